@@ -0,0 +1,33 @@
+const { runDueRules } = require('../services/recurring');
+
+const INTERVAL_MS = (parseInt(process.env.RECURRING_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+let running = false;
+
+const tick = async () => {
+  // A slow run must not overlap with the next one
+  if (running) return;
+  running = true;
+
+  try {
+    const created = await runDueRules();
+    if (created > 0) {
+      console.log(`🔁 Created ${created} recurring transaction(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Recurring scheduler failed:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+// Runs once right away, which catches up on anything missed while the server
+// was down, then on a fixed interval.
+const startRecurringScheduler = () => {
+  tick();
+  const timer = setInterval(tick, INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { startRecurringScheduler };
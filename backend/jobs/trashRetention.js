@@ -0,0 +1,25 @@
+const { purgeExpired, retentionDays } = require('../services/trash');
+
+const INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+const tick = async () => {
+  try {
+    const purged = await purgeExpired();
+    if (purged.users > 0 || purged.expenses > 0) {
+      console.log(`🗑️ Purged ${purged.expenses} transaction(s) and ${purged.users} user(s) from the trash`);
+    }
+  } catch (error) {
+    console.error('❌ Trash purge failed:', error.message);
+  }
+};
+
+// Empties anything older than TRASH_RETENTION_DAYS once at startup, then daily
+const startTrashRetention = () => {
+  console.log(`🗑️ Trash is kept for ${retentionDays()} day(s)`);
+  tick();
+  const timer = setInterval(tick, INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { startTrashRetention };
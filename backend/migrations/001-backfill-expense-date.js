@@ -0,0 +1,10 @@
+const mongoose = require('mongoose');
+
+// Transactions created before `date` existed take it from createdAt
+exports.up = async () => {
+  const expenses = mongoose.connection.collection('expenses');
+  await expenses.updateMany(
+    { date: { $exists: false } },
+    [{ $set: { date: '$createdAt' } }]
+  );
+};
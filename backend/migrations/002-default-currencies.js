@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Everything recorded before multi-currency support was in US dollars
+exports.up = async () => {
+  const { db } = mongoose.connection;
+
+  await db.collection('users').updateMany(
+    { baseCurrency: { $exists: false } },
+    { $set: { baseCurrency: 'USD' } }
+  );
+  await db.collection('expenses').updateMany(
+    { currency: { $exists: false } },
+    { $set: { currency: 'USD' } }
+  );
+};
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const {
+  toMinorUnits,
+  percentToBasisPoints,
+  calculateTotal
+} = require('@expense-tracker/shared/money');
+
+const BATCH_SIZE = 500;
+
+// Marks a document as converted, so a run that stopped halfway can be
+// started again without multiplying the converted amounts a second time
+const MONEY_VERSION = 1;
+
+// Amounts used to be stored as decimal numbers and percentage tax as a plain
+// percent. Rewrite them as integer minor units and basis points and recompute
+// totalAmount with the shared calculation.
+exports.up = async () => {
+  const expenses = mongoose.connection.collection('expenses');
+  const cursor = expenses.find({ moneyVersion: { $exists: false } }, {
+    projection: { amount: 1, currency: 1, taxType: 1, taxAmount: 1 }
+  });
+
+  let batch = [];
+  for await (const expense of cursor) {
+    const currency = expense.currency || 'USD';
+    const amount = toMinorUnits(expense.amount, currency);
+    const taxAmount = expense.taxType === 'percentage'
+      ? percentToBasisPoints(expense.taxAmount || 0)
+      : toMinorUnits(expense.taxAmount || 0, currency);
+
+    batch.push({
+      updateOne: {
+        filter: { _id: expense._id, moneyVersion: { $exists: false } },
+        update: {
+          $set: {
+            amount,
+            taxAmount,
+            totalAmount: calculateTotal({ amount, taxAmount, taxType: expense.taxType }),
+            moneyVersion: MONEY_VERSION
+          }
+        }
+      }
+    });
+
+    if (batch.length === BATCH_SIZE) {
+      await expenses.bulkWrite(batch);
+      batch = [];
+    }
+  }
+
+  if (batch.length > 0) {
+    await expenses.bulkWrite(batch);
+  }
+};
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Transactions saved before named taxes only had taxType/taxAmount, so their
+// net is the amount and their tax is whatever the total added on top
+exports.up = async () => {
+  const { db } = mongoose.connection;
+
+  await db.collection('expenses').updateMany(
+    { netAmount: { $exists: false } },
+    [{
+      $set: {
+        netAmount: '$amount',
+        taxTotal: { $subtract: ['$totalAmount', '$amount'] },
+        taxes: []
+      }
+    }]
+  );
+};
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// The list indexes now end on _id for cursor pagination. Mongoose builds the
+// new ones when the model loads; the ones they replace would only slow down
+// writes.
+const REPLACED_INDEXES = [
+  'userId_1_date_-1',
+  'userId_1_type_1_date_-1',
+  'userId_1_totalAmount_-1',
+  'userId_1_description_1',
+  'userId_1_createdAt_-1'
+];
+
+exports.up = async () => {
+  const collection = mongoose.connection.db.collection('expenses');
+
+  for (const name of REPLACED_INDEXES) {
+    try {
+      await collection.dropIndex(name);
+    } catch (error) {
+      // Never created on this database
+      if (error.codeName !== 'IndexNotFound' && error.codeName !== 'NamespaceNotFound') throw error;
+    }
+  }
+};
@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+// Each migration is a file in this folder named NNN-description.js that
+// exports `up()`. Applied names are stored in the `migrations` collection so
+// every migration runs exactly once per database, in filename order.
+const MIGRATION_FILE = /^\d{3}-.+\.js$/;
+
+const runMigrations = async () => {
+  const collection = mongoose.connection.collection('migrations');
+  const applied = new Set((await collection.find().toArray()).map(m => m.name));
+
+  const files = fs.readdirSync(__dirname)
+    .filter(file => MIGRATION_FILE.test(file))
+    .sort();
+
+  for (const file of files) {
+    const name = path.basename(file, '.js');
+    if (applied.has(name)) continue;
+
+    console.log(`🔧 Running migration ${name}...`);
+    const migration = require(path.join(__dirname, file));
+    await migration.up();
+    await collection.insertOne({ name, appliedAt: new Date() });
+    console.log(`✅ Migration ${name} applied`);
+  }
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(runMigrations)
+    .then(() => mongoose.connection.close())
+    .catch(async error => {
+      console.error('❌ Migration failed:', error.message);
+      await mongoose.connection.close();
+      process.exit(1);
+    });
+}
+
+module.exports = runMigrations;
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Where money is held: cash, a bank account, a credit card...
+const accountSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Account name is required'],
+    trim: true,
+    maxlength: [50, 'Account name cannot exceed 50 characters']
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['cash', 'checking', 'savings', 'credit_card', 'other'],
+    default: 'checking'
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code'],
+    default: 'USD'
+  },
+  // Minor units; negative for money owed, e.g. a credit card balance
+  openingBalance: {
+    type: Number,
+    default: 0,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Amounts must be whole minor units (e.g. cents), got {VALUE}'
+    }
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+accountSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Account', accountSchema);
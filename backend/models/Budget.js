@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const { startOfUTCDay } = require('../utils/recurrence');
+
+// A spending limit, either for one expense category or for all expenses.
+// Monthly budgets repeat every calendar month from their start date; custom
+// budgets cover a single fixed period.
+const budgetSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Budget name is required'],
+    trim: true,
+    maxlength: [50, 'Budget name cannot exceed 50 characters']
+  },
+  // null for an overall budget across every expense category
+  categoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Limit per period in minor units of `currency`
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [1, 'Amount must be greater than 0'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Amounts must be whole minor units (e.g. cents), got {VALUE}'
+    }
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code'],
+    default: 'USD'
+  },
+  period: {
+    type: String,
+    required: true,
+    enum: ['monthly', 'custom'],
+    default: 'monthly'
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  // Last day of a custom period (inclusive)
+  endDate: {
+    type: Date,
+    default: null
+  },
+  // Monthly only: carry what was left (or overspent) into the next month
+  rollover: {
+    type: Boolean,
+    default: false
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+budgetSchema.pre('validate', function(next) {
+  if (this.startDate) {
+    this.startDate = startOfUTCDay(this.startDate);
+    // Monthly periods are calendar months
+    if (this.period === 'monthly') this.startDate.setUTCDate(1);
+  }
+  if (this.endDate) this.endDate = startOfUTCDay(this.endDate);
+
+  if (this.period === 'custom') {
+    this.rollover = false;
+    if (!this.endDate) {
+      this.invalidate('endDate', 'A custom budget needs an end date');
+    } else if (this.startDate && this.endDate < this.startDate) {
+      this.invalidate('endDate', 'End date cannot be before the start date');
+    }
+  } else {
+    this.endDate = null;
+  }
+  next();
+});
+
+module.exports = mongoose.model('Budget', budgetSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_CATEGORIES = {
+  income: ['Salary', 'Freelance', 'Investments', 'Gifts', 'Other Income'],
+  expense: [
+    'Groceries',
+    'Rent',
+    'Utilities',
+    'Transport',
+    'Dining Out',
+    'Health',
+    'Entertainment',
+    'Shopping',
+    'Other Expenses'
+  ]
+};
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    maxlength: [50, 'Category name cannot exceed 50 characters']
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['income', 'expense']
+  },
+  color: {
+    type: String,
+    default: '#4caf50'
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+categorySchema.index({ userId: 1, type: 1, name: 1 }, { unique: true });
+
+// Give a user the starter set of categories. Safe to call repeatedly:
+// categories the user already has are left alone.
+categorySchema.statics.seedDefaults = async function(userId) {
+  const operations = Object.entries(DEFAULT_CATEGORIES).flatMap(([type, names]) =>
+    names.map(name => ({
+      updateOne: {
+        filter: { userId, type, name },
+        update: { $setOnInsert: { userId, type, name, isDefault: true } },
+        upsert: true
+      }
+    }))
+  );
+
+  await this.bulkWrite(operations);
+};
+
+module.exports = mongoose.model('Category', categorySchema);
+module.exports.DEFAULT_CATEGORIES = DEFAULT_CATEGORIES;
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// One dated rate: 1 unit of `from` is worth `rate` units of `to`
+const exchangeRateSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    required: [true, 'Source currency is required'],
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  to: {
+    type: String,
+    required: [true, 'Target currency is required'],
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0.000001, 'Rate must be greater than 0']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+exchangeRateSchema.index({ from: 1, to: 1, date: -1 }, { unique: true });
+
+exchangeRateSchema.pre('validate', function(next) {
+  if (this.from && this.from === this.to) {
+    this.invalidate('to', 'Source and target currency must differ');
+  }
+  next();
+});
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
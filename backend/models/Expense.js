@@ -1,4 +1,83 @@
 const mongoose = require('mongoose');
+const {
+  calculateTax,
+  calculateTotal,
+  calculateTaxBreakdown,
+  summarizeLineItems
+} = require('@expense-tracker/shared/money');
+const softDelete = require('./plugins/softDelete');
+
+const wholeMinorUnits = {
+  validator: Number.isInteger,
+  message: 'Amounts must be whole minor units (e.g. cents), got {VALUE}'
+};
+
+// One part of a split transaction (e.g. the food on a supermarket receipt)
+const lineItemSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Line amount is required'],
+    min: [1, 'Line amount must be greater than 0'],
+    validate: wholeMinorUnits
+  },
+  categoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  taxType: {
+    type: String,
+    enum: ['flat', 'percentage'],
+    default: 'flat'
+  },
+  taxAmount: {
+    type: Number,
+    min: [0, 'Tax amount cannot be negative'],
+    validate: wholeMinorUnits,
+    default: 0
+  },
+  totalAmount: {
+    type: Number,
+    default: 0
+  }
+});
+
+// A named tax charged on a transaction, copied from the user's TaxRate when
+// applied so later changes to the rate leave the transaction as recorded
+const appliedTaxSchema = new mongoose.Schema({
+  taxRateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxRate'
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  // Basis points
+  rate: {
+    type: Number,
+    required: true,
+    min: 0,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rates must be whole basis points, got {VALUE}'
+    }
+  },
+  inclusive: {
+    type: Boolean,
+    default: false
+  },
+  // This tax's share in minor units
+  amount: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
 
 const expenseSchema = new mongoose.Schema({
   description: {
@@ -6,15 +85,27 @@ const expenseSchema = new mongoose.Schema({
     required: [true, 'Description is required'],
     trim: true
   },
+  // Money fields are integers in the currency's minor unit (see shared/money.js)
   amount: {
     type: Number,
     required: [true, 'Amount is required'],
-    min: [0.01, 'Amount must be greater than 0']
+    min: [1, 'Amount must be greater than 0'],
+    validate: wholeMinorUnits
   },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code'],
+    default: 'USD'
+  },
+  // Transfers move money between two of the user's accounts and count as
+  // neither income nor expense
   type: {
     type: String,
     required: true,
-    enum: ['income', 'expense']
+    enum: ['income', 'expense', 'transfer']
   },
   taxType: {
     type: String,
@@ -22,38 +113,179 @@ const expenseSchema = new mongoose.Schema({
     enum: ['flat', 'percentage'],
     default: 'flat'
   },
+  // Minor units for flat tax, basis points (825 = 8.25%) for percentage tax
   taxAmount: {
     type: Number,
     required: true,
     min: [0, 'Tax amount cannot be negative'],
+    validate: wholeMinorUnits,
+    default: 0
+  },
+  // Named taxes; when present they replace taxType/taxAmount. With an
+  // inclusive tax `amount` is the price paid, tax included.
+  taxes: [appliedTaxSchema],
+  // Breakdown derived on save: net + taxTotal = totalAmount (gross)
+  netAmount: {
+    type: Number,
+    default: 0
+  },
+  taxTotal: {
+    type: Number,
     default: 0
   },
   totalAmount: {
     type: Number,
     default: 0
   },
+  date: {
+    type: Date,
+    required: [true, 'Date is required'],
+    default: Date.now
+  },
+  categoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Who was paid or paid us; set by hand or by the rules in services/rules.js
+  payeeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payee',
+    default: null
+  },
+  // Optional split; when present the parent amount, tax and total are the
+  // sums of the lines
+  lineItems: [lineItemSchema],
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    default: null
+  },
+  // Receiving account of a transfer
+  toAccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    default: null
+  },
+  // Savings goal this transaction contributes to
+  goalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Goal',
+    default: null
+  },
+  // Set on transactions created by an import, so it can be undone
+  importBatchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportBatch',
+    default: null,
+    index: true
+  },
+  // The bank's id for a transaction imported from an OFX or QIF statement
+  // ("ofx:<account>:<FITID>"), so a statement can't be imported twice
+  externalId: {
+    type: String,
+    default: null
+  },
+  // Set on transactions generated from a recurring rule
+  recurringRuleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringRule'
+  },
+  occurrenceDate: {
+    type: Date
+  },
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // Every save bumps __v and fails if the document changed since it was
+  // loaded; edits also send back the __v they started from
+  optimisticConcurrency: true
 });
 
+// Filters and sorts offered by the transaction list. Each sort ends on _id,
+// the tiebreak of its page cursors.
+expenseSchema.index({ userId: 1, date: -1, _id: -1 });
+expenseSchema.index({ userId: 1, type: 1, date: -1, _id: -1 });
+expenseSchema.index({ userId: 1, totalAmount: -1, _id: -1 });
+expenseSchema.index({ userId: 1, description: 1, _id: 1 });
+expenseSchema.index({ userId: 1, createdAt: -1, _id: -1 });
+// Spend per payee
+expenseSchema.index({ userId: 1, payeeId: 1, date: -1 });
+// The admin list across all users
+expenseSchema.index({ date: -1, _id: -1 });
+// Full-text search over what a transaction and its line items are for
+expenseSchema.index(
+  { description: 'text', 'lineItems.description': 'text' },
+  { name: 'description_text', weights: { description: 2 } }
+);
+expenseSchema.index(
+  { userId: 1, externalId: 1 },
+  { unique: true, partialFilterExpression: { externalId: { $type: 'string' } } }
+);
+// Each occurrence of a recurring rule is materialized at most once
+expenseSchema.index(
+  { recurringRuleId: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { recurringRuleId: { $exists: true } } }
+);
 
-expenseSchema.pre('save', function(next) {
-  console.log('🔄 Calculating totalAmount...');
-  console.log('Amount:', this.amount, 'TaxType:', this.taxType, 'TaxAmount:', this.taxAmount);
-  
-  if (this.taxType === 'percentage') {
-    this.totalAmount = this.amount + (this.amount * this.taxAmount / 100);
+// Runs before validation so derived amounts are validated too
+expenseSchema.pre('validate', function(next) {
+  if (this.type === 'transfer') {
+    // A transfer is a plain movement of money: no category, tax or split
+    this.categoryId = null;
+    this.lineItems = [];
+    this.taxes = [];
+    this.taxType = 'flat';
+    this.taxAmount = 0;
+
+    if (!this.accountId) {
+      this.invalidate('accountId', 'A transfer needs a from account');
+    }
+    if (!this.toAccountId) {
+      this.invalidate('toAccountId', 'A transfer needs a to account');
+    } else if (this.accountId && this.accountId.equals(this.toAccountId)) {
+      this.invalidate('toAccountId', 'Cannot transfer to the same account');
+    }
   } else {
-    this.totalAmount = this.amount + this.taxAmount;
+    this.toAccountId = null;
   }
-  
-  console.log('✅ Calculated totalAmount:', this.totalAmount);
+
+  if (this.lineItems && this.lineItems.length > 0) {
+    this.lineItems.forEach(line => {
+      line.totalAmount = calculateTotal(line);
+    });
+
+    const totals = summarizeLineItems(this.lineItems);
+    this.amount = totals.amount;
+    this.taxType = 'flat';
+    this.taxAmount = totals.taxAmount;
+    // Lines carry their own tax
+    this.taxes = [];
+  }
+
+  if (this.taxes && this.taxes.length > 0) {
+    const breakdown = calculateTaxBreakdown(this.amount || 0, this.taxes);
+    this.taxes.forEach((tax, i) => {
+      tax.amount = breakdown.amounts[i];
+    });
+    this.taxType = 'flat';
+    this.taxAmount = 0;
+    this.netAmount = breakdown.net;
+    this.taxTotal = breakdown.tax;
+    this.totalAmount = breakdown.gross;
+  } else {
+    this.netAmount = this.amount || 0;
+    this.taxTotal = calculateTax(this);
+    this.totalAmount = calculateTotal(this);
+  }
+
   next();
 });
 
+expenseSchema.plugin(softDelete);
+
 module.exports = mongoose.model('Expense', expenseSchema);
\ No newline at end of file
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { startOfUTCDay } = require('../utils/recurrence');
+
+// Something to save toward. Progress comes from the transactions linked to
+// the goal through their goalId: expenses and transfers add to it, income
+// (taking money back out) subtracts.
+const goalSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Goal name is required'],
+    trim: true,
+    maxlength: [50, 'Goal name cannot exceed 50 characters']
+  },
+  // Minor units of `currency`
+  targetAmount: {
+    type: Number,
+    required: [true, 'Target amount is required'],
+    min: [1, 'Target amount must be greater than 0'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Amounts must be whole minor units (e.g. cents), got {VALUE}'
+    }
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code'],
+    default: 'USD'
+  },
+  targetDate: {
+    type: Date,
+    required: [true, 'Target date is required']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+goalSchema.pre('validate', function(next) {
+  if (this.targetDate) this.targetDate = startOfUTCDay(this.targetDate);
+  next();
+});
+
+module.exports = mongoose.model('Goal', goalSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// One committed CSV, OFX or QIF import. Every transaction it created carries the batch id,
+// so the whole import can be undone at once.
+const importBatchSchema = new mongoose.Schema({
+  filename: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'ofx', 'qif'],
+    default: 'csv'
+  },
+  rowCount: {
+    type: Number,
+    default: 0
+  },
+  skippedCount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['committed', 'undone'],
+    default: 'committed'
+  },
+  undoneAt: {
+    type: Date,
+    default: null
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+importBatchSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ImportBatch', importBatchSchema);
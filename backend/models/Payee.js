@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Who a transaction was paid to or received from, e.g. "Starbucks". Bank
+// descriptions vary ("STARBUCKS #1234", "Starbucks Coffee"), so each payee
+// has alias patterns matched against incoming descriptions (see
+// services/payees.js).
+const payeeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Payee name is required'],
+    trim: true,
+    maxlength: [100, 'Payee name cannot exceed 100 characters']
+  },
+  // Matched anywhere in a description, ignoring case; `*` stands for any text
+  aliases: {
+    type: [{
+      type: String,
+      trim: true,
+      maxlength: [100, 'Aliases cannot exceed 100 characters']
+    }],
+    default: []
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+payeeSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+payeeSchema.pre('validate', function(next) {
+  // Blank and repeated aliases would match nothing new
+  const seen = new Set();
+  this.aliases = this.aliases.filter(alias => {
+    const key = alias.toLowerCase();
+    if (!alias || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  next();
+});
+
+module.exports = mongoose.model('Payee', payeeSchema);
@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+const { startOfUTCDay, occurrenceDate, isWithinBounds } = require('../utils/recurrence');
+
+const wholeMinorUnits = {
+  validator: Number.isInteger,
+  message: 'Amounts must be whole minor units (e.g. cents), got {VALUE}'
+};
+
+// A change to one occurrence: either skip it or replace some template fields
+const exceptionSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: true
+  },
+  skip: {
+    type: Boolean,
+    default: false
+  },
+  overrides: {
+    description: String,
+    amount: {
+      type: Number,
+      min: [1, 'Amount must be greater than 0'],
+      validate: wholeMinorUnits
+    },
+    taxType: {
+      type: String,
+      enum: ['flat', 'percentage']
+    },
+    taxAmount: {
+      type: Number,
+      min: [0, 'Tax amount cannot be negative'],
+      validate: wholeMinorUnits
+    }
+  }
+}, { _id: false });
+
+const recurringRuleSchema = new mongoose.Schema({
+  // Template for the generated transactions, same units as Expense
+  description: {
+    type: String,
+    required: [true, 'Description is required'],
+    trim: true
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [1, 'Amount must be greater than 0'],
+    validate: wholeMinorUnits
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code'],
+    default: 'USD'
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['income', 'expense']
+  },
+  taxType: {
+    type: String,
+    required: true,
+    enum: ['flat', 'percentage'],
+    default: 'flat'
+  },
+  taxAmount: {
+    type: Number,
+    required: true,
+    min: [0, 'Tax amount cannot be negative'],
+    validate: wholeMinorUnits,
+    default: 0
+  },
+  categoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Booked in the rule's currency, like any transaction's account
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    default: null
+  },
+
+  // Schedule
+  frequency: {
+    type: String,
+    required: [true, 'Frequency is required'],
+    enum: ['daily', 'weekly', 'monthly', 'yearly']
+  },
+  interval: {
+    type: Number,
+    default: 1,
+    min: [1, 'Interval must be at least 1'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Interval must be a whole number'
+    }
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    default: null
+  },
+  count: {
+    type: Number,
+    default: null,
+    min: [1, 'Count must be at least 1']
+  },
+  exceptions: [exceptionSchema],
+  active: {
+    type: Boolean,
+    default: true
+  },
+
+  // Scheduler bookkeeping: the next occurrence index still to be created and
+  // its date (null once the rule has run out of occurrences)
+  nextIndex: {
+    type: Number,
+    default: 0
+  },
+  nextRunAt: {
+    type: Date,
+    default: null
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+recurringRuleSchema.index({ active: 1, nextRunAt: 1 });
+recurringRuleSchema.index({ userId: 1 });
+
+recurringRuleSchema.methods.findException = function(date) {
+  const time = startOfUTCDay(date).getTime();
+  return this.exceptions.find(exception => exception.date.getTime() === time);
+};
+
+recurringRuleSchema.pre('validate', function(next) {
+  if (this.startDate) this.startDate = startOfUTCDay(this.startDate);
+  if (this.endDate) this.endDate = startOfUTCDay(this.endDate);
+
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date cannot be before the start date');
+  }
+  next();
+});
+
+recurringRuleSchema.pre('save', function(next) {
+  this.nextRunAt = isWithinBounds(this, this.nextIndex)
+    ? occurrenceDate(this, this.nextIndex)
+    : null;
+  next();
+});
+
+module.exports = mongoose.model('RecurringRule', recurringRuleSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// One field of a transaction before and after a save
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// A saved change to a transaction: who made it, when, and what changed
+const revisionSchema = new mongoose.Schema({
+  expenseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense',
+    required: true
+  },
+  // The transaction's owner, which is not always the one who changed it
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  action: {
+    type: String,
+    // `rules` for changes made by re-applying rules to past transactions
+    enum: ['create', 'update', 'revert', 'rules'],
+    default: 'update'
+  },
+  // For a revert, the revision whose state was brought back
+  revertedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Revision',
+    default: null
+  },
+  changes: [changeSchema]
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+revisionSchema.index({ expenseId: 1, _id: -1 });
+
+module.exports = mongoose.model('Revision', revisionSchema);
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+
+const DECIMAL = /^\d+(\.\d+)?$/;
+
+// "description contains X" or "amount between A and B". Description tests
+// ignore case; amounts are decimals compared with each transaction's amount
+// before tax, in its own currency.
+const conditionSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true,
+    enum: ['description', 'amount']
+  },
+  operator: {
+    type: String,
+    required: true,
+    enum: ['contains', 'startsWith', 'equals', 'between']
+  },
+  // Text for description conditions
+  value: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Bounds for amount conditions, both included; either may be left out
+  min: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  max: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+}, { _id: false });
+
+// Values set on transactions the rule matches, unless the user entered them
+const actionsSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['income', 'expense', null],
+    default: null
+  },
+  payeeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payee',
+    default: null
+  },
+  // Percentage tax in basis points (825 = 8.25%)
+  taxRate: {
+    type: Number,
+    min: [0, 'Tax rate cannot be negative'],
+    validate: {
+      validator: value => value === null || Number.isInteger(value),
+      message: 'Rates must be whole basis points, got {VALUE}'
+    },
+    default: null
+  },
+  // Named taxes; when present they replace `taxRate`
+  taxRateIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxRate'
+  }]
+}, { _id: false });
+
+// A rule run on transactions as they are created, edited or imported. All
+// of its conditions must match. Rules run in `priority` order (lowest
+// first) and the first rule to set a field wins.
+const ruleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  conditions: [conditionSchema],
+  actions: {
+    type: actionsSchema,
+    default: () => ({})
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+ruleSchema.index({ userId: 1, priority: 1 });
+
+ruleSchema.pre('validate', function(next) {
+  if (!this.conditions || this.conditions.length === 0) {
+    this.invalidate('conditions', 'A rule needs at least one condition');
+  }
+
+  this.conditions.forEach((condition, i) => {
+    if (condition.field === 'description') {
+      if (condition.operator === 'between') {
+        this.invalidate(`conditions.${i}.operator`, 'Descriptions are matched with contains, startsWith or equals');
+      } else if (!condition.value) {
+        this.invalidate(`conditions.${i}.value`, 'Enter the text to look for in the description');
+      }
+      return;
+    }
+
+    if (condition.operator !== 'between') {
+      this.invalidate(`conditions.${i}.operator`, 'Amounts are matched with between');
+    } else if (!condition.min && !condition.max) {
+      this.invalidate(`conditions.${i}.min`, 'Enter a lowest or highest amount');
+    } else if ([condition.min, condition.max].some(bound => bound && !DECIMAL.test(bound))) {
+      this.invalidate(`conditions.${i}.min`, 'Amounts must be positive numbers such as 12.50');
+    } else if (condition.min && condition.max && Number(condition.min) > Number(condition.max)) {
+      this.invalidate(`conditions.${i}.min`, 'The lowest amount cannot be more than the highest');
+    }
+  });
+
+  const { type, payeeId, taxRate, taxRateIds } = this.actions || {};
+  if (!type && !payeeId && taxRate === null && (!taxRateIds || taxRateIds.length === 0)) {
+    this.invalidate('actions', 'A rule needs to set a type, a payee or a tax');
+  }
+
+  next();
+});
+
+module.exports = mongoose.model('Rule', ruleSchema);
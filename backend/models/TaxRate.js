@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// A named tax a user applies to transactions, e.g. "State sales tax 6%"
+const taxRateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Tax name is required'],
+    trim: true,
+    maxlength: [50, 'Tax name cannot exceed 50 characters']
+  },
+  // Basis points (825 = 8.25%)
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0, 'Rate cannot be negative'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rates must be whole basis points, got {VALUE}'
+    }
+  },
+  // Inclusive taxes are already part of the price (e.g. VAT); exclusive ones
+  // are added on top
+  inclusive: {
+    type: Boolean,
+    default: false
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+taxRateSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('TaxRate', taxRateSchema);
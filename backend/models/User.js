@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const softDelete = require('./plugins/softDelete');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -19,6 +20,13 @@ const userSchema = new mongoose.Schema({
     type: String,
     enum: ['user', 'admin'],
     default: 'user'
+  },
+  baseCurrency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code'],
+    default: 'USD'
   }
 }, {
   timestamps: true
@@ -35,4 +43,6 @@ userSchema.methods.correctPassword = async function(candidatePassword, userPassw
   return await bcrypt.compare(candidatePassword, userPassword);
 };
 
+userSchema.plugin(softDelete);
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
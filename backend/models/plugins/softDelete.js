@@ -0,0 +1,49 @@
+// Adds a `deletedAt` timestamp and hides trashed documents from every read,
+// so existing queries keep working unchanged. To see trashed documents,
+// filter on `deletedAt` yourself or pass the `withDeleted` option:
+//
+//   Expense.find({ userId, deletedAt: { $ne: null } })
+//   User.findOne({ email }).setOptions({ withDeleted: true })
+//
+// Updates and deletes are not filtered: cleanups such as unsetting a deleted
+// account must reach trashed documents too, or restoring them would bring
+// back dangling references.
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true
+    }
+  });
+
+  const hideDeleted = function() {
+    if (this.getOptions().withDeleted) return;
+    if (this.getFilter().deletedAt !== undefined) return;
+    this.where({ deletedAt: null });
+  };
+
+  ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct'].forEach(operation => {
+    schema.pre(operation, hideDeleted);
+  });
+
+  schema.pre('aggregate', function() {
+    if (this.options.withDeleted) {
+      delete this.options.withDeleted;
+      return;
+    }
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+
+  schema.methods.trash = function(at = new Date()) {
+    this.deletedAt = at;
+    return this.save({ validateBeforeSave: false });
+  };
+
+  schema.methods.restore = function() {
+    this.deletedAt = null;
+    return this.save({ validateBeforeSave: false });
+  };
+};
+
+module.exports = softDelete;
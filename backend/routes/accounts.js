@@ -0,0 +1,162 @@
+const express = require('express');
+const router = express.Router();
+const Account = require('../models/Account');
+const Expense = require('../models/Expense');
+const RecurringRule = require('../models/RecurringRule');
+const auth = require('../middleware/auth');
+const { getAccountBalances } = require('../services/accounts');
+
+router.get('/', auth, async (req, res) => {
+  try {
+    const accounts = await getAccountBalances(req.user.id);
+
+    res.json({
+      success: true,
+      data: { accounts }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+router.post('/', auth, async (req, res) => {
+  try {
+    const { name, type, currency, openingBalance } = req.body;
+
+    const account = new Account({
+      name,
+      type,
+      currency: currency || req.user.baseCurrency,
+      openingBalance: openingBalance || 0,
+      userId: req.user.id
+    });
+
+    await account.save();
+
+    res.status(201).json({
+      success: true,
+      data: account
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'An account with this name already exists'
+      });
+    }
+
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const { name, type, currency, openingBalance } = req.body;
+
+    const account = await Account.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    if (currency && currency.toUpperCase() !== account.currency) {
+      // Booked transactions are in the account's currency
+      const inUse = await Expense.exists({
+        $or: [{ accountId: account._id }, { toAccountId: account._id }]
+      }).setOptions({ withDeleted: true });
+      if (inUse) {
+        return res.status(400).json({
+          success: false,
+          message: 'The currency of an account with transactions cannot be changed'
+        });
+      }
+      account.currency = currency;
+    }
+
+    if (name !== undefined) account.name = name;
+    if (type !== undefined) account.type = type;
+    if (openingBalance !== undefined) account.openingBalance = openingBalance;
+
+    await account.save();
+
+    res.json({
+      success: true,
+      data: account
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'An account with this name already exists'
+      });
+    }
+
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const account = await Account.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    // A transfer without one of its accounts would no longer balance, and
+    // that includes transfers in the trash that could still be restored
+    const hasTransfers = await Expense.exists({
+      type: 'transfer',
+      $or: [{ accountId: account._id }, { toAccountId: account._id }]
+    }).setOptions({ withDeleted: true });
+    if (hasTransfers) {
+      return res.status(400).json({
+        success: false,
+        message: 'Delete the transfers of this account first, including any in the trash'
+      });
+    }
+
+    await account.deleteOne();
+    await Expense.updateMany(
+      { userId: req.user.id, accountId: account._id },
+      { $set: { accountId: null } }
+    );
+    await RecurringRule.updateMany(
+      { userId: req.user.id, accountId: account._id },
+      { $set: { accountId: null } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Account deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
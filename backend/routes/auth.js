@@ -2,6 +2,8 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Category = require('../models/Category');
+const auth = require('../middleware/auth');
 const router = express.Router();
 
 
@@ -20,7 +22,8 @@ router.post('/register', async (req, res) => {
     }
 
   
-    const existingUser = await User.findOne({ email });
+    // A trashed user still owns their email until purged
+    const existingUser = await User.findOne({ email }).setOptions({ withDeleted: true });
     if (existingUser) {
       return res.status(400).json({ 
         success: false,
@@ -41,6 +44,7 @@ router.post('/register', async (req, res) => {
     }
     
     const user = await User.create(userData);
+    await Category.seedDefaults(user._id);
     
     console.log('User created:', user.email);
   
@@ -58,7 +62,8 @@ router.post('/register', async (req, res) => {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role 
+        role: user.role,
+        baseCurrency: user.baseCurrency
       }
     });
   } catch (error) {
@@ -123,7 +128,8 @@ router.post('/login', async (req, res) => {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
+        role: user.role,
+        baseCurrency: user.baseCurrency
       }
     });
   } catch (error) {
@@ -136,4 +142,32 @@ router.post('/login', async (req, res) => {
   }
 });
 
+router.put('/profile', auth, async (req, res) => {
+  try {
+    const { name, baseCurrency } = req.body;
+
+    const user = await User.findById(req.user.id);
+    if (name !== undefined) user.name = name;
+    if (baseCurrency !== undefined) user.baseCurrency = baseCurrency;
+
+    await user.save();
+
+    res.json({
+      success: true,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        baseCurrency: user.baseCurrency
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
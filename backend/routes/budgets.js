@@ -0,0 +1,122 @@
+const express = require('express');
+const router = express.Router();
+const Budget = require('../models/Budget');
+const auth = require('../middleware/auth');
+const { resolveCategory } = require('../services/categories');
+const { evaluateBudgets } = require('../services/budgets');
+
+router.get('/', auth, async (req, res) => {
+  try {
+    const result = await evaluateBudgets(req.user.id);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+router.post('/', auth, async (req, res) => {
+  try {
+    const { name, categoryId, amount, currency, period, startDate, endDate, rollover } = req.body;
+
+    const budget = new Budget({
+      name,
+      // Budgets limit spending, so only expense categories apply
+      categoryId: await resolveCategory(categoryId, req.user.id, 'expense'),
+      amount,
+      currency: currency || req.user.baseCurrency,
+      period,
+      startDate: startDate || new Date(),
+      endDate,
+      rollover,
+      userId: req.user.id
+    });
+
+    await budget.save();
+
+    res.status(201).json({
+      success: true,
+      data: budget
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const { name, categoryId, amount, currency, period, startDate, endDate, rollover } = req.body;
+
+    const budget = await Budget.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!budget) {
+      return res.status(404).json({
+        success: false,
+        message: 'Budget not found'
+      });
+    }
+
+    if (name !== undefined) budget.name = name;
+    if (categoryId !== undefined) {
+      budget.categoryId = await resolveCategory(categoryId, req.user.id, 'expense');
+    }
+    if (amount !== undefined) budget.amount = amount;
+    if (currency) budget.currency = currency;
+    if (period !== undefined) budget.period = period;
+    if (startDate) budget.startDate = startDate;
+    if (endDate !== undefined) budget.endDate = endDate;
+    if (rollover !== undefined) budget.rollover = rollover;
+
+    await budget.save();
+
+    res.json({
+      success: true,
+      data: budget
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const budget = await Budget.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!budget) {
+      return res.status(404).json({
+        success: false,
+        message: 'Budget not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Budget deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,178 @@
+const express = require('express');
+const router = express.Router();
+const Category = require('../models/Category');
+const Expense = require('../models/Expense');
+const RecurringRule = require('../models/RecurringRule');
+const Budget = require('../models/Budget');
+const auth = require('../middleware/auth');
+
+const listCategories = async (userId) => {
+  let categories = await Category.find({ userId }).sort({ type: 1, name: 1 });
+
+  // Users created before categories existed get their defaults on first use
+  if (categories.length === 0) {
+    await Category.seedDefaults(userId);
+    categories = await Category.find({ userId }).sort({ type: 1, name: 1 });
+  }
+
+  return categories;
+};
+
+router.get('/', auth, async (req, res) => {
+  try {
+    const categories = await listCategories(req.user.id);
+
+    res.json({
+      success: true,
+      data: { categories }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+router.post('/', auth, async (req, res) => {
+  try {
+    const { name, type, color } = req.body;
+
+    const category = new Category({
+      name,
+      type,
+      color,
+      userId: req.user.id
+    });
+
+    await category.save();
+
+    res.status(201).json({
+      success: true,
+      data: category
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A category with this name already exists'
+      });
+    }
+
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const { name, color } = req.body;
+
+    const category = await Category.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    // The type is fixed once created so existing transactions stay consistent
+    if (name !== undefined) category.name = name;
+    if (color !== undefined) category.color = color;
+
+    await category.save();
+
+    res.json({
+      success: true,
+      data: category
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A category with this name already exists'
+      });
+    }
+
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const category = await Category.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    // Trashed transactions too, or restoring them would bring back the
+    // deleted category
+    await Expense.updateMany(
+      { userId: req.user.id, categoryId: category._id },
+      { $set: { categoryId: null } }
+    ).setOptions({ withDeleted: true });
+    // Lines of split transactions carry their own categories
+    await Expense.updateMany(
+      { userId: req.user.id, 'lineItems.categoryId': category._id },
+      { $set: { 'lineItems.$[line].categoryId': null } },
+      { arrayFilters: [{ 'line.categoryId': category._id }] }
+    ).setOptions({ withDeleted: true });
+    await RecurringRule.updateMany(
+      { userId: req.user.id, categoryId: category._id },
+      { $set: { categoryId: null } }
+    );
+    // Without its category a budget would silently start covering everything
+    await Budget.deleteMany({ userId: req.user.id, categoryId: category._id });
+
+    res.json({
+      success: true,
+      message: 'Category deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+router.get('/admin/:userId', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin only.'
+      });
+    }
+
+    const categories = await listCategories(req.params.userId);
+
+    res.json({
+      success: true,
+      data: { categories }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,134 @@
+const express = require('express');
+const router = express.Router();
+const ExchangeRate = require('../models/ExchangeRate');
+const auth = require('../middleware/auth');
+
+router.get('/', auth, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.currency) {
+      const currency = req.query.currency.toUpperCase();
+      filter.$or = [{ from: currency }, { to: currency }];
+    }
+
+    const rates = await ExchangeRate.find(filter).sort({ date: -1, from: 1, to: 1 });
+
+    res.json({
+      success: true,
+      data: { rates }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+router.post('/', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin only.'
+      });
+    }
+
+    const { from, to, rate, date } = req.body;
+
+    const exchangeRate = new ExchangeRate({
+      from,
+      to,
+      rate,
+      date,
+      createdBy: req.user.id
+    });
+
+    await exchangeRate.save();
+
+    res.status(201).json({
+      success: true,
+      data: exchangeRate
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A rate for this currency pair and date already exists'
+      });
+    }
+
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+router.put('/:id', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin only.'
+      });
+    }
+
+    const exchangeRate = await ExchangeRate.findById(req.params.id);
+
+    if (!exchangeRate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exchange rate not found'
+      });
+    }
+
+    const { rate, date } = req.body;
+    if (rate !== undefined) exchangeRate.rate = rate;
+    if (date !== undefined) exchangeRate.date = date;
+
+    await exchangeRate.save();
+
+    res.json({
+      success: true,
+      data: exchangeRate
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin only.'
+      });
+    }
+
+    const exchangeRate = await ExchangeRate.findByIdAndDelete(req.params.id);
+
+    if (!exchangeRate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exchange rate not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Exchange rate deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,32 +1,103 @@
 
 
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Expense = require('../models/Expense');
+const Revision = require('../models/Revision');
 const auth = require('../middleware/auth');
+const { buildDateRange, buildPeriod } = require('../utils/dateRange');
+const { summarizeTotals, summarizeAllTransactions } = require('../services/dashboard');
+const { resolveCategory, resolveLineItems } = require('../services/categories');
+const { resolveAccounts, getAccountBalances } = require('../services/accounts');
+const { resolveGoal } = require('../services/goals');
+const { resolveTaxes } = require('../services/taxes');
+const { resolvePayee } = require('../services/payees');
+const { lockedFields, createRuleEngine } = require('../services/rules');
+const { trashUser } = require('../services/trash');
+const { snapshot, recordRevision, stateAtRevision } = require('../services/revisions');
+const { runBulkAction } = require('../services/bulk');
+const { streamExport } = require('../services/exports');
+const { buildExpenseFilter, buildExpenseSort } = require('../utils/expenseFilter');
+const { parseLimit, applyCursor, fetchPage } = require('../utils/pagination');
+
+// How the admin screens show a transaction
+const ADMIN_POPULATE = [['userId', 'name email'], ['categoryId', 'name type color']];
+
+const sendConflict = async (res, expense, populate = []) => {
+  // The transaction may have been deleted in the meantime
+  if (expense) {
+    for (const [path, select] of populate) {
+      await expense.populate(path, select);
+    }
+  }
+
+  res.status(409).json({
+    success: false,
+    message: 'This transaction was changed by someone else while you were editing it',
+    data: expense
+  });
+};
+
+// An edit must send back the `version` (__v) it was loaded with. A different
+// one means someone else saved the transaction in the meantime, so instead of
+// overwriting their changes the current state is returned for the client to
+// merge or overwrite.
+const checkVersion = async (res, expense, version, populate) => {
+  if (version === undefined || version === null) {
+    res.status(400).json({
+      success: false,
+      message: 'The version of the transaction being edited is required'
+    });
+    return false;
+  }
 
+  if (Number(version) !== expense.__v) {
+    await sendConflict(res, expense, populate);
+    return false;
+  }
+
+  return true;
+};
+
+// The type, payee and tax may be left out (or the tax left at none) for the
+// user's rules to fill in; see services/rules.js
 router.post('/', auth, async (req, res) => {
   try {
-    const { description, amount, type, taxType, taxAmount } = req.body;
+    const { description, amount, currency, taxType, taxAmount, categoryId, date, lineItems, accountId, toAccountId, goalId, taxRateIds, payeeId } = req.body;
 
-    let totalAmount;
-    if (taxType === 'percentage') {
-      totalAmount = amount + (amount * taxAmount / 100);
-    } else {
-      totalAmount = amount + taxAmount;
-    }
+    const accounts = await resolveAccounts({ type: req.body.type, accountId, toAccountId, currency }, req.user.id);
+    const transactionCurrency = accounts.currency || req.user.baseCurrency;
+
+    const applyRules = await createRuleEngine(req.user.id);
+    const { changes } = applyRules(
+      { description, amount, currency: transactionCurrency, type: req.body.type, lineItems },
+      lockedFields(req.body)
+    );
+    const type = req.body.type || changes.type;
 
     const expense = new Expense({
       description,
       amount,
+      currency: transactionCurrency,
       type,
       taxType,
       taxAmount: taxAmount || 0,
-      totalAmount,
+      taxes: await resolveTaxes(taxRateIds, req.user.id),
+      date,
+      categoryId: await resolveCategory(categoryId, req.user.id, type),
+      lineItems: await resolveLineItems(lineItems, req.user.id, type),
+      accountId: accounts.accountId,
+      toAccountId: accounts.toAccountId,
+      goalId: await resolveGoal(goalId, req.user.id),
+      payeeId: await resolvePayee(payeeId, req.user.id),
       userId: req.user.id
     });
+    // Rules only fill in what the request left out
+    expense.set(changes);
 
     await expense.save();
+    await recordRevision(expense, null, req.user.id);
     
     res.status(201).json({
       success: true,
@@ -40,64 +111,141 @@ router.post('/', auth, async (req, res) => {
   }
 });
 
-router.get('/', auth, async (req, res) => {
+// Apply one action (delete, changeType, changeCategory or shiftDate) to a
+// list of `ids` or to everything matching a `filter`, reporting per item
+router.post('/bulk', auth, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    const data = await runBulkAction(req.body, { userId: req.user.id }, req.user.id);
 
-    const expenses = await Expense.find({ userId: req.user.id })
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
 
-    const total = await Expense.countDocuments({ userId: req.user.id });
+// One page of transactions. Takes `limit` and the `cursor` returned with the
+// previous page (none for the first), the filters of buildExpenseFilter
+// (dates, type, category, amount range, tax type, search) and `sort`/`order`.
+// `totalExpenses` counts every match, not just this page.
+router.get('/', auth, async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    const filter = { ...buildExpenseFilter(req.query), userId: req.user.id };
+    const sort = buildExpenseSort(req.query);
+
+    const { items, hasMore, nextCursor } = await fetchPage(
+      Expense.find(applyCursor(filter, sort, req.query.cursor))
+        .populate('categoryId', 'name type color')
+        .populate('lineItems.categoryId', 'name type color')
+        .populate('accountId toAccountId', 'name currency')
+        .populate('goalId', 'name')
+        .populate('payeeId', 'name'),
+      sort,
+      limit
+    );
+
+    const total = await Expense.countDocuments(filter);
 
     res.json({
       success: true,
       data: {
-        expenses,
-        currentPage: page,
-        totalPages: Math.ceil(total / limit),
+        expenses: items,
+        nextCursor,
+        hasMore,
         totalExpenses: total
       }
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      message: 'Server error'
+      message: error.status ? error.message : 'Server error'
     });
   }
 });
 
+// Totals for the dashboard. Takes a `period` (see buildPeriod) and then also
+// returns the same figures for the period before it; without one, plain
+// `from`/`to` dates (or all time) and no comparison.
 router.get('/dashboard', auth, async (req, res) => {
   try {
-    const expenses = await Expense.find({ userId: req.user.id });
-    
-    const totalIncome = expenses
-      .filter(exp => exp.type === 'income')
-      .reduce((sum, exp) => sum + exp.totalAmount, 0);
-    
-    const totalExpense = expenses
-      .filter(exp => exp.type === 'expense')
-      .reduce((sum, exp) => sum + exp.totalAmount, 0);
-    
-    const balance = totalIncome - totalExpense;
-    const totalRecords = expenses.length;
+    const baseCurrency = req.user.baseCurrency || 'USD';
+    const period = buildPeriod(req.query);
+    const {
+      totalIncome,
+      totalExpense,
+      balance,
+      taxCollected,
+      taxPaid,
+      totalRecords,
+      categories,
+      unconvertedCurrencies
+    } = await summarizeTotals(req.user.id, baseCurrency, buildDateRange(period || req.query));
+
+    let previous = null;
+    if (period) {
+      const totals = await summarizeTotals(req.user.id, baseCurrency, buildDateRange(period.previous));
+      previous = {
+        ...period.previous,
+        totalIncome: totals.totalIncome,
+        totalExpense: totals.totalExpense,
+        balance: totals.balance,
+        taxCollected: totals.taxCollected,
+        taxPaid: totals.taxPaid,
+        totalRecords: totals.totalRecords
+      };
+    }
+
+    // Balances run from each account's opening balance up to the end of the
+    // range, whatever its start
+    const accounts = await getAccountBalances(req.user.id, buildDateRange({ to: period ? period.to : req.query.to }));
 
     res.json({
       success: true,
       data: {
+        period: period && { period: period.period, from: period.from, to: period.to },
         totalIncome,
         totalExpense,
         balance,
-        totalRecords
+        taxCollected,
+        taxPaid,
+        totalRecords,
+        categories,
+        accounts,
+        baseCurrency,
+        unconvertedCurrencies,
+        previous
       }
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      message: 'Server error'
+      message: error.status ? error.message : 'Server error'
+    });
+  }
+});
+
+// Download every transaction matching the list's filters, not just a page:
+// ?format=csv|json|xlsx plus the same filter and sort params as the list
+router.get('/export', auth, async (req, res) => {
+  try {
+    await streamExport(res, {
+      filter: { ...buildExpenseFilter(req.query), userId: req.user.id },
+      sort: buildExpenseSort(req.query),
+      format: req.query.format || 'csv'
+    });
+  } catch (error) {
+    // Once the download has started the only way to signal failure is to
+    // cut it short
+    if (res.headersSent) return res.destroy(error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error'
     });
   }
 });
@@ -128,9 +276,105 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+router.get('/:id/history', auth, async (req, res) => {
+  try {
+    const expense = await Expense.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense not found'
+      });
+    }
+
+    const revisions = await Revision.find({ expenseId: expense._id })
+      .populate({ path: 'changedBy', select: 'name role', options: { withDeleted: true } })
+      .sort({ _id: -1 });
+
+    res.json({
+      success: true,
+      data: { revisions }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Bring the transaction back to how it was right after the given revision.
+// The revert is itself recorded, so it can be undone the same way.
+router.post('/:id/history/:revisionId/revert', auth, async (req, res) => {
+  try {
+    const expense = await Expense.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense not found'
+      });
+    }
+
+    const revision = await Revision.findOne({
+      _id: req.params.revisionId,
+      expenseId: expense._id
+    });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const before = snapshot(expense);
+    const state = await stateAtRevision(expense, revision);
+
+    // Categories, accounts and goals may have been deleted since, so they
+    // are checked again like on any other save
+    const accounts = await resolveAccounts({
+      type: state.type,
+      accountId: state.accountId,
+      toAccountId: state.toAccountId,
+      currency: state.currency
+    }, req.user.id);
+
+    expense.set({
+      ...state,
+      currency: accounts.currency,
+      accountId: accounts.accountId,
+      toAccountId: accounts.toAccountId,
+      categoryId: await resolveCategory(state.categoryId, req.user.id, state.type),
+      lineItems: await resolveLineItems(state.lineItems, req.user.id, state.type),
+      goalId: await resolveGoal(state.goalId, req.user.id),
+      payeeId: await resolvePayee(state.payeeId, req.user.id)
+    });
+
+    await expense.save();
+    await recordRevision(expense, before, req.user.id, { action: 'revert', revertedTo: revision._id });
+
+    res.json({
+      success: true,
+      data: expense
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 router.put('/:id', auth, async (req, res) => {
   try {
-    const { description, amount, type, taxType, taxAmount } = req.body;
+    const { description, amount, currency, taxType, taxAmount, categoryId, date, lineItems, accountId, toAccountId, goalId, taxRateIds, payeeId, version } = req.body;
 
     let expense = await Expense.findOne({
       _id: req.params.id,
@@ -144,19 +388,71 @@ router.put('/:id', auth, async (req, res) => {
       });
     }
 
+    if (!await checkVersion(res, expense, version)) return;
+
+    const before = snapshot(expense);
+
+    // Fields left out of the request keep their account
+    const accounts = await resolveAccounts({
+      type: req.body.type || expense.type,
+      accountId: accountId !== undefined ? accountId : expense.accountId,
+      toAccountId: toAccountId !== undefined ? toAccountId : expense.toAccountId,
+      currency: currency || expense.currency
+    }, req.user.id);
+
+    // As on create, rules fill in the type, payee and tax the request leaves
+    // out; a left-out type otherwise stays as it was
+    const splitLines = lineItems !== undefined ? lineItems : expense.lineItems;
+    const applyRules = await createRuleEngine(req.user.id);
+    const { changes } = applyRules(
+      { description, amount, currency: accounts.currency, type: req.body.type || expense.type, lineItems: splitLines },
+      lockedFields({
+        ...req.body,
+        taxRateIds: taxRateIds !== undefined ? taxRateIds : expense.taxes,
+        lineItems: splitLines
+      })
+    );
+    const previousType = expense.type;
+    const type = req.body.type || changes.type || previousType;
+
     expense.description = description;
     expense.amount = amount;
+    expense.currency = accounts.currency;
     expense.type = type;
     expense.taxType = taxType;
     expense.taxAmount = taxAmount || 0;
+    if (date) expense.date = date;
+    expense.categoryId = await resolveCategory(categoryId, req.user.id, type);
+    expense.accountId = accounts.accountId;
+    expense.toAccountId = accounts.toAccountId;
+    if (goalId !== undefined) expense.goalId = await resolveGoal(goalId, req.user.id);
+    if (payeeId !== undefined) expense.payeeId = await resolvePayee(payeeId, req.user.id);
+    if (taxRateIds !== undefined) {
+      expense.taxes = await resolveTaxes(taxRateIds, req.user.id, expense.taxes);
+    }
+    if (lineItems !== undefined) {
+      expense.lineItems = await resolveLineItems(lineItems, req.user.id, type);
+    } else if (type !== previousType) {
+      // Line categories belong to the old type, so a type change clears them
+      expense.lineItems.forEach(line => {
+        if (line.categoryId) line.categoryId = null;
+      });
+    }
+    expense.set(changes);
 
     await expense.save();
+    await recordRevision(expense, before, req.user.id);
 
     res.json({
       success: true,
       data: expense
     });
   } catch (error) {
+    // Someone saved between our load and our save
+    if (error.name === 'VersionError') {
+      return sendConflict(res, await Expense.findById(req.params.id));
+    }
+
     res.status(400).json({
       success: false,
       message: error.message
@@ -164,9 +460,10 @@ router.put('/:id', auth, async (req, res) => {
   }
 });
 
+// Moves the transaction to the trash; see routes/trash.js to restore or purge
 router.delete('/:id', auth, async (req, res) => {
   try {
-    const expense = await Expense.findOneAndDelete({
+    const expense = await Expense.findOne({
       _id: req.params.id,
       userId: req.user.id
     });
@@ -178,9 +475,11 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
+    await expense.trash();
+
     res.json({
       success: true,
-      message: 'Expense deleted successfully'
+      message: 'Expense moved to trash'
     });
   } catch (error) {
     res.status(500).json({
@@ -214,6 +513,8 @@ router.get('/admin/users', auth, async (req, res) => {
   }
 });
 
+// One page of transactions across all users, paged like GET / and taking
+// the same filters; `userId` narrows it to one user
 router.get('/admin/all-expenses', auth, async (req, res) => {
   try {
     if (req.user.role !== 'admin') {
@@ -223,18 +524,193 @@ router.get('/admin/all-expenses', auth, async (req, res) => {
       });
     }
 
-    const expenses = await Expense.find()
-      .populate('userId', 'name email')
-      .sort({ createdAt: -1 });
+    const filter = buildExpenseFilter(req.query);
+    if (req.query.userId) {
+      if (!mongoose.isValidObjectId(req.query.userId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid user id'
+        });
+      }
+      filter.userId = req.query.userId;
+    }
+    const sort = buildExpenseSort(req.query);
+
+    const { items, hasMore, nextCursor } = await fetchPage(
+      Expense.find(applyCursor(filter, sort, req.query.cursor))
+        .populate('userId', 'name email')
+        .populate('categoryId', 'name type color')
+        .populate('lineItems.categoryId', 'name type color'),
+      sort,
+      parseLimit(req.query.limit)
+    );
+
+    const total = await Expense.countDocuments(filter);
 
     res.json({
       success: true,
-      data: { expenses }
+      data: {
+        expenses: items,
+        nextCursor,
+        hasMore,
+        totalExpenses: total
+      }
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      message: 'Server error'
+      message: error.status ? error.message : 'Server error'
+    });
+  }
+});
+
+// Counts and totals across all users for the admin dashboard. `today`
+// (YYYY-MM-DD) is the admin's local date.
+router.get('/admin/stats', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin only.'
+      });
+    }
+
+    const data = await summarizeAllTransactions(req.query.today);
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error'
+    });
+  }
+});
+
+// Admin export across all users; `userId` narrows it to one
+router.get('/admin/export', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin only.'
+      });
+    }
+
+    const filter = buildExpenseFilter(req.query);
+    if (req.query.userId) {
+      if (!mongoose.isValidObjectId(req.query.userId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid user id'
+        });
+      }
+      filter.userId = req.query.userId;
+    }
+
+    await streamExport(res, {
+      filter,
+      sort: buildExpenseSort(req.query),
+      format: req.query.format || 'csv',
+      includeUser: true
+    });
+  } catch (error) {
+    if (res.headersSent) return res.destroy(error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error'
+    });
+  }
+});
+
+router.post('/admin/create', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin only.'
+      });
+    }
+
+    const { description, amount, currency, taxType, taxAmount, categoryId, date, lineItems, accountId, toAccountId, goalId, taxRateIds, payeeId, userId } = req.body;
+
+    const User = require('../models/User');
+    const owner = await User.findById(userId);
+
+    if (!owner) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const accounts = await resolveAccounts({ type: req.body.type, accountId, toAccountId, currency }, owner._id);
+    const transactionCurrency = accounts.currency || owner.baseCurrency;
+
+    // The owner's rules apply as if they had saved it themselves
+    const applyRules = await createRuleEngine(owner._id);
+    const { changes } = applyRules(
+      { description, amount, currency: transactionCurrency, type: req.body.type, lineItems },
+      lockedFields(req.body)
+    );
+    const type = req.body.type || changes.type;
+
+    const expense = new Expense({
+      description,
+      amount,
+      currency: transactionCurrency,
+      type,
+      taxType,
+      taxAmount: taxAmount || 0,
+      taxes: await resolveTaxes(taxRateIds, owner._id),
+      date,
+      categoryId: await resolveCategory(categoryId, owner._id, type),
+      lineItems: await resolveLineItems(lineItems, owner._id, type),
+      accountId: accounts.accountId,
+      toAccountId: accounts.toAccountId,
+      goalId: await resolveGoal(goalId, owner._id),
+      payeeId: await resolvePayee(payeeId, owner._id),
+      userId: owner._id
+    });
+    expense.set(changes);
+
+    await expense.save();
+    await recordRevision(expense, null, req.user.id);
+    await expense.populate('userId', 'name email');
+
+    res.status(201).json({
+      success: true,
+      data: expense
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+router.post('/admin/bulk', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin only.'
+      });
+    }
+
+    const data = await runBulkAction(req.body, {}, req.user.id);
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
     });
   }
 });
@@ -248,7 +724,7 @@ router.delete('/admin/expense/:id', auth, async (req, res) => {
       });
     }
 
-    const expense = await Expense.findByIdAndDelete(req.params.id);
+    const expense = await Expense.findById(req.params.id);
 
     if (!expense) {
       return res.status(404).json({
@@ -257,9 +733,11 @@ router.delete('/admin/expense/:id', auth, async (req, res) => {
       });
     }
 
+    await expense.trash();
+
     res.json({
       success: true,
-      message: 'Expense deleted successfully'
+      message: 'Expense moved to trash'
     });
   } catch (error) {
     res.status(500).json({
@@ -284,7 +762,7 @@ router.put('/admin/users/:id', auth, async (req, res) => {
     const existingUser = await User.findOne({ 
       email, 
       _id: { $ne: req.params.id } 
-    });
+    }).setOptions({ withDeleted: true });
     
     if (existingUser) {
       return res.status(400).json({
@@ -328,7 +806,7 @@ router.delete('/admin/users/:id', auth, async (req, res) => {
     }
 
     const User = require('../models/User');
-    const user = await User.findByIdAndDelete(req.params.id);
+    const user = await User.findById(req.params.id);
 
     if (!user) {
       return res.status(404).json({
@@ -337,11 +815,12 @@ router.delete('/admin/users/:id', auth, async (req, res) => {
       });
     }
 
-    await Expense.deleteMany({ userId: req.params.id });
+    // Their data stays until the trash is purged
+    await trashUser(user);
 
     res.json({
       success: true,
-      message: 'User and their expenses deleted successfully'
+      message: 'User and their expenses moved to trash'
     });
   } catch (error) {
     res.status(500).json({
@@ -360,20 +839,9 @@ router.put('/admin/expense/:id', auth, async (req, res) => {
       });
     }
 
-    const { description, amount, type, taxType, taxAmount, totalAmount } = req.body;
+    const { description, amount, currency, taxType, taxAmount, categoryId, date, lineItems, accountId, toAccountId, goalId, taxRateIds, payeeId, version } = req.body;
 
-    const expense = await Expense.findByIdAndUpdate(
-      req.params.id,
-      {
-        description,
-        amount,
-        type,
-        taxType,
-        taxAmount,
-        totalAmount
-      },
-      { new: true }
-    ).populate('userId', 'name email');
+    const expense = await Expense.findById(req.params.id);
 
     if (!expense) {
       return res.status(404).json({
@@ -381,12 +849,71 @@ router.put('/admin/expense/:id', auth, async (req, res) => {
         message: 'Expense not found'
       });
     }
+
+    if (!await checkVersion(res, expense, version, ADMIN_POPULATE)) return;
+
+    const before = snapshot(expense);
+    const previousType = expense.type;
+    const accounts = await resolveAccounts({
+      type: req.body.type || previousType,
+      accountId: accountId !== undefined ? accountId : expense.accountId,
+      toAccountId: toAccountId !== undefined ? toAccountId : expense.toAccountId,
+      currency: currency || expense.currency
+    }, expense.userId);
+
+    // The owner's rules fill in what the request leaves out, as on their own edits
+    const splitLines = lineItems !== undefined ? lineItems : expense.lineItems;
+    const applyRules = await createRuleEngine(expense.userId);
+    const { changes } = applyRules(
+      { description, amount, currency: accounts.currency, type: req.body.type || previousType, lineItems: splitLines },
+      lockedFields({
+        ...req.body,
+        taxRateIds: taxRateIds !== undefined ? taxRateIds : expense.taxes,
+        lineItems: splitLines
+      })
+    );
+    const type = req.body.type || changes.type || previousType;
+
+    // Loading and saving (rather than findByIdAndUpdate) keeps totalAmount
+    // calculated by the model instead of trusting the client
+    expense.description = description;
+    expense.amount = amount;
+    expense.currency = accounts.currency;
+    expense.type = type;
+    expense.taxType = taxType;
+    expense.taxAmount = taxAmount || 0;
+    if (date) expense.date = date;
+    expense.categoryId = await resolveCategory(categoryId, expense.userId, type);
+    expense.accountId = accounts.accountId;
+    expense.toAccountId = accounts.toAccountId;
+    if (goalId !== undefined) expense.goalId = await resolveGoal(goalId, expense.userId);
+    if (payeeId !== undefined) expense.payeeId = await resolvePayee(payeeId, expense.userId);
+    if (taxRateIds !== undefined) {
+      expense.taxes = await resolveTaxes(taxRateIds, expense.userId, expense.taxes);
+    }
+    if (lineItems !== undefined) {
+      expense.lineItems = await resolveLineItems(lineItems, expense.userId, type);
+    } else if (type !== previousType) {
+      // Line categories belong to the old type, so a type change clears them
+      expense.lineItems.forEach(line => {
+        if (line.categoryId) line.categoryId = null;
+      });
+    }
+    expense.set(changes);
+
+    await expense.save();
+    await recordRevision(expense, before, req.user.id);
+    await expense.populate('userId', 'name email');
     
     res.json({
       success: true,
       data: expense
     });
   } catch (error) {
+    if (error.name === 'VersionError') {
+      return sendConflict(res, await Expense.findById(req.params.id), ADMIN_POPULATE);
+    }
+
     res.status(400).json({
       success: false,
       message: error.message
@@ -0,0 +1,153 @@
+const express = require('express');
+const router = express.Router();
+const Goal = require('../models/Goal');
+const Expense = require('../models/Expense');
+const auth = require('../middleware/auth');
+const { goalsWithProgress } = require('../services/goals');
+
+router.get('/', auth, async (req, res) => {
+  try {
+    const goals = await Goal.find({ userId: req.user.id }).sort({ targetDate: 1 });
+    const result = await goalsWithProgress(goals, req.user.id);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Progress of one goal together with the transactions that make it up
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const goal = await Goal.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Goal not found'
+      });
+    }
+
+    const { goals, unconvertedCurrencies } = await goalsWithProgress([goal], req.user.id);
+    const contributions = await Expense.find({ userId: req.user.id, goalId: goal._id })
+      .sort({ date: -1, createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        goal: goals[0],
+        contributions,
+        unconvertedCurrencies
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+router.post('/', auth, async (req, res) => {
+  try {
+    const { name, targetAmount, currency, targetDate } = req.body;
+
+    const goal = new Goal({
+      name,
+      targetAmount,
+      currency: currency || req.user.baseCurrency,
+      targetDate,
+      userId: req.user.id
+    });
+
+    await goal.save();
+
+    res.status(201).json({
+      success: true,
+      data: goal
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const { name, targetAmount, currency, targetDate } = req.body;
+
+    const goal = await Goal.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Goal not found'
+      });
+    }
+
+    if (name !== undefined) goal.name = name;
+    if (targetAmount !== undefined) goal.targetAmount = targetAmount;
+    if (currency) goal.currency = currency;
+    if (targetDate) goal.targetDate = targetDate;
+
+    await goal.save();
+
+    res.json({
+      success: true,
+      data: goal
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const goal = await Goal.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Goal not found'
+      });
+    }
+
+    // The contributions stay as ordinary transactions
+    await Expense.updateMany(
+      { userId: req.user.id, goalId: goal._id },
+      { $set: { goalId: null } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Goal deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,112 @@
+const express = require('express');
+const router = express.Router();
+const ImportBatch = require('../models/ImportBatch');
+const auth = require('../middleware/auth');
+const { FORMATS, DATE_FORMATS, buildImportRows, commitImport, undoImport } = require('../services/imports');
+
+// Parse an uploaded CSV, OFX or QIF file ({ format, content, mapping, options })
+// without saving anything. Leave out `mapping` to get a CSV file's headers and
+// a guessed mapping.
+router.post('/preview', auth, async (req, res) => {
+  try {
+    const preview = await buildImportRows(req.body, req.user);
+    const { rows } = preview;
+
+    res.json({
+      success: true,
+      data: {
+        ...preview,
+        formats: FORMATS,
+        dateFormats: DATE_FORMATS,
+        summary: {
+          total: rows.length,
+          valid: rows.filter(row => row.errors.length === 0).length,
+          invalid: rows.filter(row => row.errors.length > 0).length,
+          duplicates: rows.filter(row => row.duplicate).length,
+          alreadyImported: rows.filter(row => row.alreadyImported).length
+        }
+      }
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error'
+    });
+  }
+});
+
+// Same body as the preview plus `skipRows` and `filename`. All picked rows
+// are created or none are.
+router.post('/commit', auth, async (req, res) => {
+  try {
+    const batch = await commitImport(req.body, req.user);
+
+    console.log(`📥 Imported ${batch.rowCount} transaction(s) for ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      data: batch
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+      ...(error.rows && { data: { rows: error.rows } })
+    });
+  }
+});
+
+router.get('/', auth, async (req, res) => {
+  try {
+    const batches = await ImportBatch.find({ userId: req.user.id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { batches }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Undo an import: every transaction it created is permanently deleted
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const batch = await ImportBatch.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import not found'
+      });
+    }
+
+    if (batch.status === 'undone') {
+      return res.status(400).json({
+        success: false,
+        message: 'This import has already been undone'
+      });
+    }
+
+    const deletedCount = await undoImport(batch);
+
+    res.json({
+      success: true,
+      message: `Import undone; ${deletedCount} transaction(s) removed`,
+      data: batch
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,164 @@
+const express = require('express');
+const router = express.Router();
+const Payee = require('../models/Payee');
+const Rule = require('../models/Rule');
+const Expense = require('../models/Expense');
+const auth = require('../middleware/auth');
+const { buildDateRange } = require('../utils/dateRange');
+const { summarizePayees } = require('../services/payees');
+
+// Every payee with what was spent with and received from it, in the base
+// currency; optional `from`/`to` dates narrow the totals
+router.get('/', auth, async (req, res) => {
+  try {
+    const baseCurrency = req.user.baseCurrency || 'USD';
+    const payees = await Payee.find({ userId: req.user.id }).sort({ name: 1 });
+    const { totals, unconvertedCurrencies } = await summarizePayees(
+      req.user.id,
+      baseCurrency,
+      buildDateRange(req.query)
+    );
+
+    res.json({
+      success: true,
+      data: {
+        payees: payees.map(payee => ({
+          ...payee.toObject(),
+          ...(totals[payee._id.toString()] || { spent: 0, received: 0, count: 0, lastDate: null })
+        })),
+        baseCurrency,
+        unconvertedCurrencies
+      }
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error'
+    });
+  }
+});
+
+router.post('/', auth, async (req, res) => {
+  try {
+    const { name, aliases } = req.body;
+
+    const payee = new Payee({
+      name,
+      aliases,
+      userId: req.user.id
+    });
+
+    await payee.save();
+
+    res.status(201).json({
+      success: true,
+      data: payee
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A payee with this name already exists'
+      });
+    }
+
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// New aliases apply to transactions saved from now on; re-apply the rules
+// to match past ones
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const { name, aliases } = req.body;
+
+    const payee = await Payee.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!payee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payee not found'
+      });
+    }
+
+    if (name !== undefined) payee.name = name;
+    if (aliases !== undefined) payee.aliases = aliases;
+
+    await payee.save();
+
+    res.json({
+      success: true,
+      data: payee
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A payee with this name already exists'
+      });
+    }
+
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const payee = await Payee.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!payee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payee not found'
+      });
+    }
+
+    // Rules that set nothing but this payee would be left with nothing to do
+    const rules = await Rule.find({ userId: req.user.id, 'actions.payeeId': payee._id }).lean();
+    const payeeOnly = rules.filter(({ actions }) => !actions.type
+      && (actions.taxRate === null || actions.taxRate === undefined)
+      && (!actions.taxRateIds || actions.taxRateIds.length === 0));
+    if (payeeOnly.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Change or delete the rules that only set this payee first: ${payeeOnly.map(rule => rule.name).join(', ')}`
+      });
+    }
+
+    await payee.deleteOne();
+    // Trashed transactions too, or restoring them would bring back the
+    // deleted payee
+    await Expense.updateMany(
+      { userId: req.user.id, payeeId: payee._id },
+      { $set: { payeeId: null } }
+    ).setOptions({ withDeleted: true });
+    await Rule.updateMany(
+      { userId: req.user.id, 'actions.payeeId': payee._id },
+      { $set: { 'actions.payeeId': null } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Payee deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
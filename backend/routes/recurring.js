@@ -0,0 +1,331 @@
+const express = require('express');
+const router = express.Router();
+const RecurringRule = require('../models/RecurringRule');
+const auth = require('../middleware/auth');
+const { resolveCategory } = require('../services/categories');
+const { resolveAccounts } = require('../services/accounts');
+const { materializeRule } = require('../services/recurring');
+const {
+  startOfUTCDay,
+  occurrenceDate,
+  findOccurrenceIndex,
+  indexAfter,
+  listOccurrences
+} = require('../utils/recurrence');
+
+const TEMPLATE_FIELDS = ['description', 'amount', 'currency', 'type', 'taxType', 'taxAmount'];
+const SCHEDULE_FIELDS = ['frequency', 'interval', 'startDate', 'endDate', 'count'];
+const UPCOMING_LIMIT = 5;
+
+// Rule plus its next few occurrences and whether each is skipped or edited
+const serializeRule = (rule) => ({
+  ...rule.toObject(),
+  upcoming: listOccurrences(rule, rule.nextIndex, UPCOMING_LIMIT).map(({ date }) => {
+    const exception = rule.findException(date);
+    return {
+      date,
+      skipped: Boolean(exception && exception.skip),
+      overrides: exception && !exception.skip ? exception.overrides : null
+    };
+  })
+});
+
+// Check the rule's account as a transaction's is checked. Without an
+// explicit currency the rule takes its account's.
+const setAccount = async (rule, { accountId, currency }, userId) => {
+  const accounts = await resolveAccounts({
+    type: rule.type,
+    accountId: accountId !== undefined ? accountId : rule.accountId,
+    currency
+  }, userId);
+  rule.accountId = accounts.accountId;
+  if (accounts.currency) rule.currency = accounts.currency;
+};
+
+const findRule = (id, userId) => RecurringRule.findOne({ _id: id, userId });
+
+// Look up a not-yet-created occurrence of the rule by its YYYY-MM-DD date
+const findPendingOccurrence = (rule, dateParam) => {
+  const date = startOfUTCDay(dateParam);
+  if (Number.isNaN(date.getTime())) {
+    return { status: 400, message: 'Invalid occurrence date' };
+  }
+
+  const index = findOccurrenceIndex(rule, date);
+  if (index === -1) {
+    return { status: 404, message: 'This rule has no occurrence on that date' };
+  }
+  if (index < rule.nextIndex) {
+    return {
+      status: 400,
+      message: 'This occurrence has already been recorded. Edit or delete the transaction instead.'
+    };
+  }
+
+  return { date };
+};
+
+router.get('/', auth, async (req, res) => {
+  try {
+    const rules = await RecurringRule.find({ userId: req.user.id })
+      .populate('categoryId', 'name type color')
+      .sort({ active: -1, nextRunAt: 1 });
+
+    res.json({
+      success: true,
+      data: { rules: rules.map(serializeRule) }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+router.post('/', auth, async (req, res) => {
+  try {
+    const rule = new RecurringRule({ userId: req.user.id });
+
+    [...TEMPLATE_FIELDS, ...SCHEDULE_FIELDS].forEach(field => {
+      if (req.body[field] !== undefined) rule[field] = req.body[field];
+    });
+    if (!rule.currency) rule.currency = req.user.baseCurrency;
+    rule.categoryId = await resolveCategory(req.body.categoryId, req.user.id, rule.type);
+    await setAccount(rule, req.body, req.user.id);
+
+    await rule.save();
+    // Rules starting today or earlier get their due occurrences right away
+    await materializeRule(rule);
+
+    res.status(201).json({
+      success: true,
+      data: serializeRule(rule)
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const rule = await findRule(req.params.id, req.user.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: serializeRule(rule)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const rule = await findRule(req.params.id, req.user.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring rule not found'
+      });
+    }
+
+    const lastCreated = rule.nextIndex > 0 ? occurrenceDate(rule, rule.nextIndex - 1) : null;
+    const wasActive = rule.active;
+
+    TEMPLATE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) rule[field] = req.body[field];
+    });
+    if (req.body.categoryId !== undefined || req.body.type !== undefined) {
+      rule.categoryId = await resolveCategory(req.body.categoryId, req.user.id, rule.type);
+    }
+    if (req.body.accountId !== undefined || req.body.currency !== undefined) {
+      await setAccount(rule, req.body, req.user.id);
+    }
+
+    const scheduleChanged = SCHEDULE_FIELDS.some(field => req.body[field] !== undefined);
+    SCHEDULE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) rule[field] = req.body[field];
+    });
+    if (scheduleChanged) {
+      // Continue from the first new occurrence after the last one created
+      rule.nextIndex = lastCreated ? indexAfter(rule, lastCreated) : 0;
+    }
+
+    if (req.body.active !== undefined) rule.active = req.body.active;
+    if (!wasActive && rule.active) {
+      // Resuming a paused rule doesn't back-fill the paused period
+      const yesterday = new Date(startOfUTCDay(new Date()).getTime() - 24 * 60 * 60 * 1000);
+      rule.nextIndex = Math.max(rule.nextIndex, indexAfter(rule, yesterday));
+    }
+
+    await rule.save();
+    await materializeRule(rule);
+
+    res.json({
+      success: true,
+      data: serializeRule(rule)
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    // Transactions already created from the rule are kept
+    const rule = await RecurringRule.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Recurring rule deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+router.post('/:id/occurrences/:date/skip', auth, async (req, res) => {
+  try {
+    const rule = await findRule(req.params.id, req.user.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring rule not found'
+      });
+    }
+
+    const { date, status, message } = findPendingOccurrence(rule, req.params.date);
+    if (!date) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const exception = rule.findException(date);
+    if (exception) {
+      exception.skip = true;
+      exception.overrides = undefined;
+    } else {
+      rule.exceptions.push({ date, skip: true });
+    }
+
+    await rule.save();
+
+    res.json({
+      success: true,
+      data: serializeRule(rule)
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+router.put('/:id/occurrences/:date', auth, async (req, res) => {
+  try {
+    const rule = await findRule(req.params.id, req.user.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring rule not found'
+      });
+    }
+
+    const { date, status, message } = findPendingOccurrence(rule, req.params.date);
+    if (!date) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const { description, amount, taxType, taxAmount } = req.body;
+    const overrides = { description, amount, taxType, taxAmount };
+
+    const exception = rule.findException(date);
+    if (exception) {
+      exception.skip = false;
+      exception.overrides = overrides;
+    } else {
+      rule.exceptions.push({ date, overrides });
+    }
+
+    await rule.save();
+    await materializeRule(rule);
+
+    res.json({
+      success: true,
+      data: serializeRule(rule)
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Undo a skip or an edit so the occurrence follows the rule again
+router.delete('/:id/occurrences/:date', auth, async (req, res) => {
+  try {
+    const rule = await findRule(req.params.id, req.user.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring rule not found'
+      });
+    }
+
+    const { date, status, message } = findPendingOccurrence(rule, req.params.date);
+    if (!date) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    rule.exceptions = rule.exceptions.filter(exception => exception.date.getTime() !== date.getTime());
+    await rule.save();
+    await materializeRule(rule);
+
+    res.json({
+      success: true,
+      data: serializeRule(rule)
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,100 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { buildStatement, renderStatementPdf } = require('../services/statements');
+const { buildTrends } = require('../services/trends');
+const { buildForecast } = require('../services/forecast');
+const { buildTaxReport, taxReportCsv } = require('../services/taxReport');
+const { buildPeriod } = require('../utils/dateRange');
+
+// Monthly statement as a PDF: ?month=YYYY-MM
+router.get('/statement', auth, async (req, res) => {
+  try {
+    const statement = await buildStatement(req.user, req.query.month);
+    const pdf = renderStatementPdf(statement, req.user);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="statement-${statement.month}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error'
+    });
+  }
+});
+
+// Income, expense and net over time: ?interval=day|week|month and either the
+// dashboard's `period` params or `from`/`to`
+router.get('/trends', auth, async (req, res) => {
+  try {
+    const period = buildPeriod(req.query);
+    const trends = await buildTrends(req.user.id, req.user.baseCurrency || 'USD', {
+      interval: req.query.interval,
+      from: period ? period.from : req.query.from,
+      to: period ? period.to : req.query.to
+    });
+
+    res.json({
+      success: true,
+      data: trends
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error'
+    });
+  }
+});
+
+// Projected daily balance: ?days=30|60|90 and `today` (YYYY-MM-DD, the
+// user's own date; the server's by default)
+router.get('/forecast', auth, async (req, res) => {
+  try {
+    const forecast = await buildForecast(req.user.id, req.user.baseCurrency || 'USD', {
+      days: req.query.days || 90,
+      today: req.query.today || undefined
+    });
+
+    res.json({
+      success: true,
+      data: forecast
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error'
+    });
+  }
+});
+
+// Tax paid and collected: ?interval=month|quarter, the dashboard's `period`
+// params (this year by default) and ?format=csv for a download
+router.get('/tax', auth, async (req, res) => {
+  try {
+    const period = buildPeriod(req.query) || buildPeriod({ period: 'year' });
+    const report = await buildTaxReport(req.user.id, req.user.baseCurrency || 'USD', {
+      interval: req.query.interval || 'quarter',
+      from: period.from,
+      to: period.to
+    });
+
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="tax-summary-${report.from}-to-${report.to}.csv"`);
+      return res.send(taxReportCsv(report));
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error'
+    });
+  }
+});
+
+module.exports = router;
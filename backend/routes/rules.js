@@ -0,0 +1,161 @@
+const express = require('express');
+const router = express.Router();
+const Rule = require('../models/Rule');
+const auth = require('../middleware/auth');
+const { resolveRuleActions, createRuleEngine, reapplyRules } = require('../services/rules');
+
+router.get('/', auth, async (req, res) => {
+  try {
+    const rules = await Rule.find({ userId: req.user.id }).sort({ priority: 1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: { rules }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+router.post('/', auth, async (req, res) => {
+  try {
+    const { name, priority, enabled, conditions, actions } = req.body;
+
+    const rule = new Rule({
+      name,
+      priority,
+      enabled,
+      conditions,
+      actions: await resolveRuleActions(actions, req.user.id),
+      userId: req.user.id
+    });
+
+    await rule.save();
+
+    res.status(201).json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// What the rules would set on a transaction ({ description, amount in minor
+// units, currency, type }) without saving anything, to try rules out
+router.post('/test', auth, async (req, res) => {
+  try {
+    const { description, amount, currency, type } = req.body;
+
+    const engine = await createRuleEngine(req.user.id);
+    const result = engine({
+      description,
+      amount,
+      currency: currency || req.user.baseCurrency,
+      type
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Run the rules over past transactions ({ from, to, dryRun }); see
+// reapplyRules for what changes
+router.post('/reapply', auth, async (req, res) => {
+  try {
+    const { from, to, dryRun } = req.body;
+    const result = await reapplyRules(req.user.id, { from, to, dryRun: Boolean(dryRun) });
+
+    if (!result.dryRun) {
+      console.log(`🪄 Re-applied rules to ${result.changed} transaction(s) for ${req.user.email}`);
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Server error'
+    });
+  }
+});
+
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const { name, priority, enabled, conditions, actions } = req.body;
+
+    const rule = await Rule.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rule not found'
+      });
+    }
+
+    if (name !== undefined) rule.name = name;
+    if (priority !== undefined) rule.priority = priority;
+    if (enabled !== undefined) rule.enabled = enabled;
+    if (conditions !== undefined) rule.conditions = conditions;
+    if (actions !== undefined) rule.actions = await resolveRuleActions(actions, req.user.id);
+
+    await rule.save();
+
+    res.json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const rule = await Rule.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Rule deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
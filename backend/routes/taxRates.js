@@ -0,0 +1,123 @@
+const express = require('express');
+const router = express.Router();
+const TaxRate = require('../models/TaxRate');
+const auth = require('../middleware/auth');
+
+router.get('/', auth, async (req, res) => {
+  try {
+    const taxRates = await TaxRate.find({ userId: req.user.id }).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: { taxRates }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+router.post('/', auth, async (req, res) => {
+  try {
+    const { name, rate, inclusive } = req.body;
+
+    const taxRate = new TaxRate({
+      name,
+      rate,
+      inclusive,
+      userId: req.user.id
+    });
+
+    await taxRate.save();
+
+    res.status(201).json({
+      success: true,
+      data: taxRate
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A tax rate with this name already exists'
+      });
+    }
+
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Changes apply to transactions recorded from now on; existing ones keep the
+// rate they were charged
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const { name, rate, inclusive } = req.body;
+
+    const taxRate = await TaxRate.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!taxRate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rate not found'
+      });
+    }
+
+    if (name !== undefined) taxRate.name = name;
+    if (rate !== undefined) taxRate.rate = rate;
+    if (inclusive !== undefined) taxRate.inclusive = inclusive;
+
+    await taxRate.save();
+
+    res.json({
+      success: true,
+      data: taxRate
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A tax rate with this name already exists'
+      });
+    }
+
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const taxRate = await TaxRate.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!taxRate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rate not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tax rate deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
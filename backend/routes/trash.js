@@ -0,0 +1,189 @@
+const express = require('express');
+const router = express.Router();
+const Expense = require('../models/Expense');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { retentionDays, purgeDate, restoreUser, purgeExpenses, purgeUser } = require('../services/trash');
+
+const TRASHED = { deletedAt: { $ne: null } };
+
+// Admins can act on anyone's trashed transactions, users only on their own
+const ownerFilter = (user) => (user.role === 'admin' ? {} : { userId: user.id });
+
+const withPurgeDate = (doc) => ({ ...doc.toObject(), purgeAt: purgeDate(doc.deletedAt) });
+
+router.get('/', auth, async (req, res) => {
+  try {
+    const expenses = await Expense.find({ ...ownerFilter(req.user), ...TRASHED })
+      .populate('categoryId', 'name type color')
+      .populate({ path: 'userId', select: 'name email', options: { withDeleted: true } })
+      .sort({ deletedAt: -1 });
+
+    const data = {
+      retentionDays: retentionDays(),
+      expenses: expenses.map(withPurgeDate)
+    };
+
+    if (req.user.role === 'admin') {
+      const users = await User.find(TRASHED).select('-password').sort({ deletedAt: -1 });
+      data.users = users.map(withPurgeDate);
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+router.post('/expenses/:id/restore', auth, async (req, res) => {
+  try {
+    const expense = await Expense.findOne({
+      _id: req.params.id,
+      ...ownerFilter(req.user),
+      ...TRASHED
+    });
+
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense not found in trash'
+      });
+    }
+
+    const owner = await User.exists({ _id: expense.userId });
+    if (!owner) {
+      return res.status(400).json({
+        success: false,
+        message: 'The owner of this transaction is in the trash; restore the user first'
+      });
+    }
+
+    await expense.restore();
+
+    res.json({
+      success: true,
+      data: expense
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+router.delete('/expenses/:id', auth, async (req, res) => {
+  try {
+    const deletedCount = await purgeExpenses({
+      _id: req.params.id,
+      ...ownerFilter(req.user),
+      ...TRASHED
+    });
+
+    if (deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense not found in trash'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Expense permanently deleted'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Empty the caller's own trash
+router.delete('/', auth, async (req, res) => {
+  try {
+    const deletedCount = await purgeExpenses({ userId: req.user.id, ...TRASHED });
+
+    res.json({
+      success: true,
+      message: `${deletedCount} transaction(s) permanently deleted`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+router.post('/users/:id/restore', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin only.'
+      });
+    }
+
+    const user = await User.findOne({ _id: req.params.id, ...TRASHED });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found in trash'
+      });
+    }
+
+    await restoreUser(user);
+
+    res.json({
+      success: true,
+      message: 'User and their expenses restored'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+router.delete('/users/:id', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin only.'
+      });
+    }
+
+    const user = await User.findOne({ _id: req.params.id, ...TRASHED });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found in trash'
+      });
+    }
+
+    await purgeUser(user._id);
+
+    res.json({
+      success: true,
+      message: 'User and all their data permanently deleted'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,9 @@ const path = require('path');
 require('dotenv').config();
 
 const User = require('./models/User');
+const runMigrations = require('./migrations');
+const { startRecurringScheduler } = require('./jobs/recurringScheduler');
+const { startTrashRetention } = require('./jobs/trashRetention');
 
 const app = express();
 
@@ -65,13 +68,28 @@ const createAdminUser = async () => {
 // ✅ Initialize app
 const initializeApp = async () => {
   await connectDB();
+  await runMigrations();
   await createAdminUser();
+  startRecurringScheduler();
+  startTrashRetention();
   console.log('🚀 App initialized!');
 };
 
 // ✅ API Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/expenses', require('./routes/expenses'));
+app.use('/api/categories', require('./routes/categories'));
+app.use('/api/exchange-rates', require('./routes/exchangeRates'));
+app.use('/api/recurring', require('./routes/recurring'));
+app.use('/api/accounts', require('./routes/accounts'));
+app.use('/api/budgets', require('./routes/budgets'));
+app.use('/api/goals', require('./routes/goals'));
+app.use('/api/tax-rates', require('./routes/taxRates'));
+app.use('/api/trash', require('./routes/trash'));
+app.use('/api/import', require('./routes/import'));
+app.use('/api/reports', require('./routes/reports'));
+app.use('/api/payees', require('./routes/payees'));
+app.use('/api/rules', require('./routes/rules'));
 
 // ✅ Health check
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const Account = require('../models/Account');
+const Expense = require('../models/Expense');
+const { createConverter } = require('./currencyConverter');
+
+// Make sure an account belongs to the transaction's owner and holds the
+// transaction's currency
+const resolveAccount = async (accountId, userId, currency) => {
+  if (!accountId) return null;
+
+  const account = await Account.findOne({ _id: accountId, userId });
+  if (!account) {
+    throw new Error('Account not found');
+  }
+  if (currency && account.currency !== currency.toUpperCase()) {
+    throw new Error(`Account "${account.name}" holds ${account.currency}, not ${currency.toUpperCase()}`);
+  }
+
+  return account;
+};
+
+// Account fields for a transaction. Without an explicit currency the
+// transaction takes its account's; a transfer needs both accounts in the
+// same currency.
+const resolveAccounts = async ({ type, accountId, toAccountId, currency }, userId) => {
+  const from = await resolveAccount(accountId, userId, currency);
+  const resolvedCurrency = currency || (from && from.currency);
+
+  if (type !== 'transfer') {
+    return { accountId: from ? from._id : null, toAccountId: null, currency: resolvedCurrency };
+  }
+
+  const to = await resolveAccount(toAccountId, userId, resolvedCurrency);
+  return {
+    accountId: from ? from._id : null,
+    toAccountId: to ? to._id : null,
+    currency: resolvedCurrency
+  };
+};
+
+// Each account's opening balance plus everything booked against it. Pass a
+// date condition (e.g. { $lte: end }) to get balances as of that point. The
+// sums are done in the database, one per account, currency and day, and
+// converted into the account's currency at that day's rate (a no-op for the
+// transactions resolveAccounts lets in, which are in the account's currency).
+const getAccountBalances = async (userId, dateCondition) => {
+  const accounts = await Account.find({ userId }).sort({ name: 1 });
+
+  const match = {
+    userId: new mongoose.Types.ObjectId(String(userId)),
+    $or: [{ accountId: { $ne: null } }, { toAccountId: { $ne: null } }]
+  };
+  if (dateCondition) match.date = dateCondition;
+
+  const groups = await Expense.aggregate([
+    { $match: match },
+    {
+      // What each transaction moves in or out of its accounts: income in,
+      // expenses out, transfers out of one and into the other
+      $project: {
+        currency: 1,
+        day: { $dateToString: { date: '$date', format: '%Y-%m-%d' } },
+        postings: {
+          $switch: {
+            branches: [
+              { case: { $eq: ['$type', 'income'] }, then: [{ accountId: '$accountId', amount: '$totalAmount' }] },
+              { case: { $eq: ['$type', 'expense'] }, then: [{ accountId: '$accountId', amount: { $multiply: ['$totalAmount', -1] } }] }
+            ],
+            default: [
+              { accountId: '$accountId', amount: { $multiply: ['$totalAmount', -1] } },
+              { accountId: '$toAccountId', amount: '$totalAmount' }
+            ]
+          }
+        }
+      }
+    },
+    { $unwind: '$postings' },
+    { $match: { 'postings.accountId': { $ne: null } } },
+    {
+      $group: {
+        _id: { accountId: '$postings.accountId', currency: '$currency', day: '$day' },
+        amount: { $sum: '$postings.amount' }
+      }
+    }
+  ]);
+
+  const converters = {};
+  for (const currency of new Set(accounts.map(account => account.currency))) {
+    converters[currency] = await createConverter(currency, groups.map(group => group._id.currency));
+  }
+
+  const balances = new Map(accounts.map(account => [account._id.toString(), account.openingBalance]));
+  const currencies = new Map(accounts.map(account => [account._id.toString(), account.currency]));
+
+  groups.forEach(({ _id: { accountId, currency, day }, amount }) => {
+    const key = accountId.toString();
+    if (!balances.has(key)) return;
+
+    const converted = converters[currencies.get(key)](amount, currency, new Date(day));
+    if (converted !== null) balances.set(key, balances.get(key) + converted);
+  });
+
+  return accounts.map(account => ({
+    ...account.toObject(),
+    balance: balances.get(account._id.toString())
+  }));
+};
+
+// The opening balances of all of a user's accounts, in the base currency at
+// the rate on `date`. Balances without a rate are left out and their
+// currencies listed.
+const sumOpeningBalances = async (userId, baseCurrency, date) => {
+  const accounts = await Account.find({ userId, openingBalance: { $ne: 0 } })
+    .select('currency openingBalance')
+    .lean();
+  const convert = await createConverter(baseCurrency, accounts.map(account => account.currency));
+
+  let total = 0;
+  const unconvertedCurrencies = new Set();
+  accounts.forEach(({ currency, openingBalance }) => {
+    const converted = convert(openingBalance, currency, date);
+    if (converted === null) {
+      unconvertedCurrencies.add(currency);
+    } else {
+      total += converted;
+    }
+  });
+
+  return { total, unconvertedCurrencies: [...unconvertedCurrencies] };
+};
+
+module.exports = { resolveAccounts, getAccountBalances, sumOpeningBalances };
@@ -0,0 +1,116 @@
+const Budget = require('../models/Budget');
+const Expense = require('../models/Expense');
+const { createConverter } = require('./currencyConverter');
+const { expandLineItems } = require('../utils/ledger');
+const { startOfUTCDay } = require('../utils/recurrence');
+const { divideAndRound } = require('@expense-tracker/shared/money');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const monthStart = (date, offset = 0) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + offset, 1));
+
+// The period of a budget that contains `date`, as [start, end)
+const currentPeriod = (budget, date) => {
+  if (budget.period === 'custom') {
+    return { start: budget.startDate, end: new Date(budget.endDate.getTime() + DAY_MS) };
+  }
+
+  const start = date < budget.startDate ? budget.startDate : monthStart(date);
+  return { start, end: monthStart(start, 1) };
+};
+
+// Spending so far extended at the same daily pace to the end of the period
+const projectSpend = (spent, period, now) => {
+  if (now >= period.end) return spent;
+  if (now < period.start) return 0;
+
+  const elapsedDays = (startOfUTCDay(now).getTime() + DAY_MS - period.start.getTime()) / DAY_MS;
+  const totalDays = (period.end.getTime() - period.start.getTime()) / DAY_MS;
+  return divideAndRound(spent * totalDays, elapsedDays);
+};
+
+// Spent, remaining and projected figures for each of a user's budgets in
+// the period containing `now`. Spending is converted into each budget's
+// currency and split transactions count line by line.
+const evaluateBudgets = async (userId, now = new Date()) => {
+  const budgets = await Budget.find({ userId })
+    .populate('categoryId', 'name color')
+    .sort({ name: 1 });
+
+  if (budgets.length === 0) {
+    return { budgets: [], unconvertedCurrencies: [] };
+  }
+
+  const periods = budgets.map(budget => currentPeriod(budget, now));
+
+  // Rollover budgets look back over every month since they started
+  const from = new Date(Math.min(...budgets.map((budget, i) =>
+    (budget.rollover ? budget.startDate : periods[i].start).getTime())));
+  const to = new Date(Math.max(...periods.map(period => period.end.getTime())));
+
+  const expenses = await Expense.find({
+    userId,
+    type: 'expense',
+    date: { $gte: from, $lt: to }
+  }).lean();
+
+  const converters = {};
+  for (const currency of new Set(budgets.map(budget => budget.currency))) {
+    converters[currency] = await createConverter(currency, expenses.map(exp => exp.currency));
+  }
+  const unconvertedCurrencies = new Set();
+
+  const spentBetween = (budget, start, end) => {
+    const convert = converters[budget.currency];
+    const categoryId = budget.categoryId && budget.categoryId._id;
+    let spent = 0;
+
+    expenses.forEach(exp => {
+      if (exp.date < start || exp.date >= end) return;
+
+      expandLineItems(exp).forEach(entry => {
+        if (categoryId && !(entry.categoryId && categoryId.equals(entry.categoryId))) return;
+
+        const amount = convert(entry.totalAmount, exp.currency, exp.date);
+        if (amount === null) {
+          unconvertedCurrencies.add(exp.currency);
+          return;
+        }
+        spent += amount;
+      });
+    });
+
+    return spent;
+  };
+
+  const results = budgets.map((budget, i) => {
+    const period = periods[i];
+
+    let rolledOver = 0;
+    if (budget.rollover) {
+      for (let start = budget.startDate; start < period.start; start = monthStart(start, 1)) {
+        rolledOver += budget.amount - spentBetween(budget, start, monthStart(start, 1));
+      }
+    }
+
+    const available = budget.amount + rolledOver;
+    const spent = spentBetween(budget, period.start, period.end);
+
+    return {
+      ...budget.toObject(),
+      periodStart: period.start,
+      periodEnd: new Date(period.end.getTime() - DAY_MS),
+      rolledOver,
+      available,
+      spent,
+      remaining: available - spent,
+      projected: projectSpend(spent, period, now),
+      exceeded: spent > available
+    };
+  });
+
+  return { budgets: results, unconvertedCurrencies: [...unconvertedCurrencies] };
+};
+
+module.exports = { evaluateBudgets };
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const { buildExpenseFilter } = require('../utils/expenseFilter');
+const { resolveCategory } = require('./categories');
+const { snapshot, recordRevision } = require('./revisions');
+
+const ACTIONS = ['delete', 'changeType', 'changeCategory', 'shiftDate'];
+const MAX_ITEMS = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Check the whole request up front so a bad parameter fails before any
+// transaction is touched
+const validateBulkRequest = ({ action, ids, filter, type, days }) => {
+  if (!ACTIONS.includes(action)) {
+    throw new Error(`Unknown bulk action "${action}". Use one of: ${ACTIONS.join(', ')}`);
+  }
+  if (ids !== undefined && !Array.isArray(ids)) {
+    throw new Error('ids must be a list of transaction ids');
+  }
+  if (!ids && !filter) {
+    throw new Error('Pick the transactions with either ids or a filter');
+  }
+  if (action === 'changeType' && !['expense', 'income'].includes(type)) {
+    throw new Error('Transactions can only be bulk-changed to expense or income');
+  }
+  if (action === 'shiftDate' && (!Number.isInteger(Number(days)) || Number(days) === 0)) {
+    throw new Error('days must be a whole, non-zero number of days');
+  }
+};
+
+// The transactions a request targets within `scope` (e.g. the caller's own).
+// Requested ids that don't match anything are reported back as missing.
+const findBulkTargets = async ({ ids, filter }, scope) => {
+  const conditions = { ...scope };
+
+  if (ids) {
+    conditions._id = { $in: ids.filter(id => mongoose.isValidObjectId(id)) };
+  } else {
+    const filterConditions = buildExpenseFilter(filter);
+    if (Object.keys(filterConditions).length === 0) {
+      throw new Error('A bulk filter needs at least one condition');
+    }
+    Object.assign(conditions, filterConditions);
+  }
+
+  const count = await Expense.countDocuments(conditions);
+  if (count > MAX_ITEMS) {
+    throw new Error(`That matches ${count} transactions; bulk actions are limited to ${MAX_ITEMS} at a time`);
+  }
+
+  const expenses = await Expense.find(conditions);
+  const found = new Set(expenses.map(expense => expense._id.toString()));
+  const missing = ids ? ids.filter(id => !found.has(String(id))) : [];
+
+  return { expenses, missing };
+};
+
+const applyBulkAction = async (expense, { action, type, categoryId, days }, actorId) => {
+  if (action === 'delete') {
+    await expense.trash();
+    return;
+  }
+
+  if (expense.type === 'transfer' && action !== 'shiftDate') {
+    throw new Error('Transfers can only be deleted or moved in time in bulk');
+  }
+
+  const before = snapshot(expense);
+
+  if (action === 'changeType') {
+    if (expense.type === type) return;
+    // Categories are per type, so the old ones no longer apply
+    expense.type = type;
+    expense.categoryId = null;
+    expense.lineItems.forEach(line => {
+      line.categoryId = null;
+    });
+  } else if (action === 'changeCategory') {
+    expense.categoryId = await resolveCategory(categoryId, expense.userId, expense.type);
+  } else if (action === 'shiftDate') {
+    expense.date = new Date(expense.date.getTime() + Number(days) * DAY_MS);
+  }
+
+  await expense.save();
+  await recordRevision(expense, before, actorId);
+};
+
+// Run a bulk action item by item. One item failing (say, a category of the
+// wrong type) doesn't stop the rest; each gets its own result.
+const runBulkAction = async (request, scope, actorId) => {
+  validateBulkRequest(request);
+  const { expenses, missing } = await findBulkTargets(request, scope);
+
+  const results = missing.map(id => ({ id, success: false, message: 'Expense not found' }));
+  for (const expense of expenses) {
+    try {
+      await applyBulkAction(expense, request, actorId);
+      results.push({ id: expense._id, description: expense.description, success: true });
+    } catch (error) {
+      results.push({ id: expense._id, description: expense.description, success: false, message: error.message });
+    }
+  }
+
+  const succeeded = results.filter(result => result.success).length;
+  return {
+    action: request.action,
+    total: results.length,
+    succeeded,
+    failed: results.length - succeeded,
+    results
+  };
+};
+
+module.exports = { runBulkAction };
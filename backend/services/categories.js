@@ -0,0 +1,31 @@
+const Category = require('../models/Category');
+
+// Make sure a category belongs to the transaction's owner and matches its type
+const resolveCategory = async (categoryId, userId, type) => {
+  if (!categoryId) return null;
+
+  const category = await Category.findOne({ _id: categoryId, userId });
+  if (!category) {
+    throw new Error('Category not found');
+  }
+  if (category.type !== type) {
+    throw new Error(`Category "${category.name}" cannot be used for ${type} transactions`);
+  }
+
+  return category._id;
+};
+
+// Validate the categories of a split transaction's lines
+const resolveLineItems = async (lineItems, userId, type) => {
+  if (!Array.isArray(lineItems)) return [];
+
+  return Promise.all(lineItems.map(async line => ({
+    description: line.description,
+    amount: line.amount,
+    taxType: line.taxType,
+    taxAmount: line.taxAmount || 0,
+    categoryId: await resolveCategory(line.categoryId, userId, type)
+  })));
+};
+
+module.exports = { resolveCategory, resolveLineItems };
@@ -0,0 +1,75 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const { currencyExponent, roundHalfAwayFromZero } = require('@expense-tracker/shared/money');
+
+// Latest rate effective on `date`; falls back to the oldest known rate for
+// dates before the pair was first recorded.
+const rateOn = (history, date) => {
+  if (!history || history.length === 0) return null;
+
+  let match = history[0];
+  for (const entry of history) {
+    if (entry.date <= date) {
+      match = entry;
+    } else {
+      break;
+    }
+  }
+  return match.rate;
+};
+
+// Build a converter into `baseCurrency` for the given transaction currencies.
+// Rates are loaded once so converting many transactions costs no extra
+// queries. Pairs are used directly, inverted, or through one intermediate
+// currency (e.g. GBP -> USD -> EUR) when no direct rate exists.
+const createConverter = async (baseCurrency, currencies) => {
+  const involved = [...new Set([baseCurrency, ...currencies])];
+  const rates = await ExchangeRate.find({
+    $or: [{ from: { $in: involved } }, { to: { $in: involved } }]
+  })
+    .sort({ date: 1 })
+    .lean();
+
+  const histories = new Map();
+  const addRate = (from, to, rate, date) => {
+    const key = `${from}:${to}`;
+    if (!histories.has(key)) histories.set(key, []);
+    histories.get(key).push({ rate, date });
+  };
+
+  rates.forEach(({ from, to, rate, date }) => {
+    addRate(from, to, rate, date);
+    addRate(to, from, 1 / rate, date);
+  });
+
+  const pairRate = (from, to, date) => rateOn(histories.get(`${from}:${to}`), date);
+
+  const findRate = (from, date) => {
+    if (from === baseCurrency) return 1;
+
+    const direct = pairRate(from, baseCurrency, date);
+    if (direct !== null) return direct;
+
+    for (const key of histories.keys()) {
+      const [source, via] = key.split(':');
+      if (source !== from) continue;
+
+      const first = pairRate(from, via, date);
+      const second = pairRate(via, baseCurrency, date);
+      if (first !== null && second !== null) return first * second;
+    }
+
+    return null;
+  };
+
+  // Converts minor units of `currency` into minor units of the base currency.
+  // Returns null when no rate path exists for the currency.
+  return (amount, currency, date) => {
+    const rate = findRate(currency, date);
+    if (rate === null) return null;
+
+    const scale = 10 ** (currencyExponent(baseCurrency) - currencyExponent(currency));
+    return roundHalfAwayFromZero(amount * rate * scale);
+  };
+};
+
+module.exports = { createConverter };
@@ -0,0 +1,243 @@
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const Category = require('../models/Category');
+const { createConverter } = require('./currencyConverter');
+const { expandLineItems } = require('../utils/ledger');
+
+// Totals for a user's transactions in `dateRange` (all time when null). All
+// figures are in `baseCurrency`, converted at the rate in effect on each
+// transaction's date; currencies with no rate are left out and listed in
+// `unconvertedCurrencies`. `expenses` holds the transactions themselves.
+const summarizeTransactions = async (userId, baseCurrency, dateRange) => {
+  const filter = { userId };
+  if (dateRange) filter.date = dateRange;
+
+  const expenses = await Expense.find(filter)
+    .populate('categoryId', 'name type color')
+    .populate('lineItems.categoryId', 'name type color')
+    .sort({ date: 1, createdAt: 1 });
+
+  const convert = await createConverter(baseCurrency, expenses.map(exp => exp.currency));
+  const unconvertedCurrencies = new Set();
+
+  let totalIncome = 0;
+  let totalExpense = 0;
+  // Tax on income is collected, tax on expenses paid
+  let taxCollected = 0;
+  let taxPaid = 0;
+  const categoryTotals = {};
+
+  expenses.forEach(exp => {
+    // Transfers only move money between accounts
+    if (exp.type === 'transfer') return;
+
+    expandLineItems(exp).forEach(entry => {
+      const amount = convert(entry.totalAmount, exp.currency, exp.date);
+      if (amount === null) {
+        unconvertedCurrencies.add(exp.currency);
+        return;
+      }
+      const tax = convert(entry.taxTotal, exp.currency, exp.date);
+
+      if (exp.type === 'income') {
+        totalIncome += amount;
+        taxCollected += tax;
+      } else {
+        totalExpense += amount;
+        taxPaid += tax;
+      }
+
+      const category = entry.categoryId;
+      const key = category ? category._id.toString() : `uncategorized-${exp.type}`;
+      if (!categoryTotals[key]) {
+        categoryTotals[key] = {
+          categoryId: category ? category._id : null,
+          name: category ? category.name : 'Uncategorized',
+          color: category ? category.color : null,
+          type: exp.type,
+          total: 0,
+          count: 0
+        };
+      }
+      categoryTotals[key].total += amount;
+      categoryTotals[key].count += 1;
+    });
+  });
+
+  return {
+    expenses,
+    totalIncome,
+    totalExpense,
+    balance: totalIncome - totalExpense,
+    taxCollected,
+    taxPaid,
+    totalRecords: expenses.length,
+    categories: Object.values(categoryTotals).sort((a, b) => b.total - a.total),
+    unconvertedCurrencies: [...unconvertedCurrencies]
+  };
+};
+
+// The same totals as summarizeTransactions, worked out by the database: the
+// transactions are grouped by type, currency, day and category, and only the
+// groups are read and converted (at the rate of their day). Use it when the
+// transactions themselves are not needed.
+const summarizeTotals = async (userId, baseCurrency, dateRange) => {
+  const match = { userId: new mongoose.Types.ObjectId(String(userId)) };
+  if (dateRange) match.date = dateRange;
+
+  const [result] = await Expense.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        records: [{ $count: 'total' }],
+        groups: [
+          // Transfers only move money between accounts
+          { $match: { type: { $ne: 'transfer' } } },
+          {
+            $project: {
+              type: 1,
+              currency: 1,
+              day: { $dateToString: { date: '$date', format: '%Y-%m-%d' } },
+              // One entry per line item for split transactions, as in
+              // expandLineItems
+              entries: {
+                $cond: [
+                  { $gt: [{ $size: { $ifNull: ['$lineItems', []] } }, 0] },
+                  {
+                    $map: {
+                      input: '$lineItems',
+                      as: 'line',
+                      in: {
+                        categoryId: '$$line.categoryId',
+                        total: '$$line.totalAmount',
+                        tax: { $subtract: ['$$line.totalAmount', '$$line.amount'] }
+                      }
+                    }
+                  },
+                  [{ categoryId: '$categoryId', total: '$totalAmount', tax: { $ifNull: ['$taxTotal', 0] } }]
+                ]
+              }
+            }
+          },
+          { $unwind: '$entries' },
+          {
+            $group: {
+              _id: { type: '$type', currency: '$currency', day: '$day', categoryId: '$entries.categoryId' },
+              total: { $sum: '$entries.total' },
+              tax: { $sum: '$entries.tax' },
+              count: { $sum: 1 }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const groups = result.groups.map(group => ({ ...group._id, total: group.total, tax: group.tax, count: group.count }));
+  const convert = await createConverter(baseCurrency, groups.map(group => group.currency));
+  const categoryIds = [...new Set(groups.filter(group => group.categoryId).map(group => group.categoryId.toString()))];
+  const categories = new Map(
+    (await Category.find({ _id: { $in: categoryIds } }).select('name type color'))
+      .map(category => [category._id.toString(), category])
+  );
+  const unconvertedCurrencies = new Set();
+
+  let totalIncome = 0;
+  let totalExpense = 0;
+  let taxCollected = 0;
+  let taxPaid = 0;
+  const categoryTotals = {};
+
+  groups.forEach(group => {
+    const date = new Date(group.day);
+    const amount = convert(group.total, group.currency, date);
+    if (amount === null) {
+      unconvertedCurrencies.add(group.currency);
+      return;
+    }
+    const tax = convert(group.tax, group.currency, date);
+
+    if (group.type === 'income') {
+      totalIncome += amount;
+      taxCollected += tax;
+    } else {
+      totalExpense += amount;
+      taxPaid += tax;
+    }
+
+    // Deleted categories count as uncategorized, as they do when populated
+    const category = group.categoryId && categories.get(group.categoryId.toString());
+    const key = category ? category._id.toString() : `uncategorized-${group.type}`;
+    if (!categoryTotals[key]) {
+      categoryTotals[key] = {
+        categoryId: category ? category._id : null,
+        name: category ? category.name : 'Uncategorized',
+        color: category ? category.color : null,
+        type: group.type,
+        total: 0,
+        count: 0
+      };
+    }
+    categoryTotals[key].total += amount;
+    categoryTotals[key].count += group.count;
+  });
+
+  return {
+    totalIncome,
+    totalExpense,
+    balance: totalIncome - totalExpense,
+    taxCollected,
+    taxPaid,
+    totalRecords: result.records[0]?.total || 0,
+    categories: Object.values(categoryTotals).sort((a, b) => b.total - a.total),
+    unconvertedCurrencies: [...unconvertedCurrencies]
+  };
+};
+
+const DAY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// Figures across every user for the admin dashboard: how many transactions
+// there are, income and expense totals per currency (users record in
+// different ones), and how many fall on `today` (YYYY-MM-DD, the admin's own
+// calendar day) and in its month.
+const summarizeAllTransactions = async (today = new Date().toISOString().slice(0, 10)) => {
+  const match = DAY.exec(today);
+  if (!match) {
+    const error = new Error('today must be given as YYYY-MM-DD');
+    error.status = 400;
+    throw error;
+  }
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const dayStart = new Date(Date.UTC(year, month - 1, day));
+  const dayEnd = new Date(Date.UTC(year, month - 1, day + 1));
+  const monthStart = new Date(Date.UTC(year, month - 1, 1));
+  const monthEnd = new Date(Date.UTC(year, month, 1));
+
+  const [result] = await Expense.aggregate([
+    {
+      $facet: {
+        count: [{ $count: 'total' }],
+        today: [{ $match: { date: { $gte: dayStart, $lt: dayEnd } } }, { $count: 'total' }],
+        thisMonth: [{ $match: { date: { $gte: monthStart, $lt: monthEnd } } }, { $count: 'total' }],
+        totals: [
+          { $match: { type: { $in: ['income', 'expense'] } } },
+          { $group: { _id: { type: '$type', currency: '$currency' }, total: { $sum: '$totalAmount' } } },
+          { $project: { _id: 0, type: '$_id.type', currency: '$_id.currency', total: 1 } },
+          { $sort: { type: 1, currency: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  const countOf = (facet) => result[facet][0]?.total || 0;
+
+  return {
+    totalExpenses: countOf('count'),
+    todayCount: countOf('today'),
+    monthCount: countOf('thisMonth'),
+    totals: result.totals
+  };
+};
+
+module.exports = { summarizeTransactions, summarizeTotals, summarizeAllTransactions };
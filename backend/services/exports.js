@@ -0,0 +1,128 @@
+const Expense = require('../models/Expense');
+const { formatCsvRow } = require('../utils/csv');
+const { writeXlsx } = require('../utils/xlsx');
+const { writeChunk } = require('../utils/streams');
+const { fromMinorUnits, minorUnitsToInput } = require('@expense-tracker/shared/money');
+
+const EXPORT_FORMATS = ['csv', 'json', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const categoryName = (expense) => {
+  if (expense.lineItems.length > 0) {
+    const names = expense.lineItems.map(line => line.categoryId?.name).filter(Boolean);
+    return [...new Set(names)].join('; ');
+  }
+  return expense.categoryId?.name || '';
+};
+
+// Spreadsheet columns. `money` values are minor units in the transaction's
+// currency.
+const exportColumns = (includeUser) => [
+  { header: 'Date', type: 'date', value: expense => expense.date },
+  ...(includeUser ? [
+    { header: 'User', type: 'string', value: expense => expense.userId?.name || '' },
+    { header: 'Email', type: 'string', value: expense => expense.userId?.email || '' }
+  ] : []),
+  { header: 'Description', type: 'string', value: expense => expense.description },
+  { header: 'Type', type: 'string', value: expense => expense.type },
+  { header: 'Category', type: 'string', value: categoryName },
+  { header: 'Payee', type: 'string', value: expense => expense.payeeId?.name || '' },
+  { header: 'Net', type: 'money', value: expense => expense.netAmount },
+  { header: 'Tax', type: 'money', value: expense => expense.taxTotal },
+  { header: 'Total', type: 'money', value: expense => expense.totalAmount },
+  { header: 'Currency', type: 'string', value: expense => expense.currency },
+  { header: 'Account', type: 'string', value: expense => expense.accountId?.name || '' },
+  { header: 'To Account', type: 'string', value: expense => expense.toAccountId?.name || '' },
+  { header: 'Goal', type: 'string', value: expense => expense.goalId?.name || '' },
+  { header: 'ID', type: 'string', value: expense => expense._id.toString() }
+];
+
+const csvValue = (column, expense) => {
+  const value = column.value(expense);
+  if (column.type === 'date') return value.toISOString().slice(0, 10);
+  if (column.type === 'money') return minorUnitsToInput(value, expense.currency);
+  return value;
+};
+
+const xlsxValue = (column, expense) => {
+  const value = column.value(expense);
+  return column.type === 'money' ? fromMinorUnits(value, expense.currency) : value;
+};
+
+// Every matching transaction in `sort` order, read from the database one at
+// a time. Stops as soon as the client goes away.
+async function* matchingExpenses(res, filter, sort, includeUser) {
+  let query = Expense.find(filter)
+    .populate('categoryId', 'name')
+    .populate('lineItems.categoryId', 'name')
+    .populate('accountId toAccountId', 'name')
+    .populate('goalId', 'name')
+    .populate('payeeId', 'name')
+    .sort(sort);
+  if (includeUser) query = query.populate('userId', 'name email');
+
+  const cursor = query.cursor();
+  try {
+    for await (const expense of cursor) {
+      if (res.destroyed) {
+        throw new Error('The export was cancelled');
+      }
+      yield expense;
+    }
+  } finally {
+    await cursor.close();
+  }
+}
+
+// Stream every transaction matching `filter` to `res` as a file download.
+// CSV and XLSX hold one row per transaction with amounts in major units; JSON
+// holds the stored documents (amounts in minor units) for re-processing.
+const streamExport = async (res, { filter, sort = { date: -1, createdAt: -1 }, format, includeUser = false }) => {
+  if (!EXPORT_FORMATS.includes(format)) {
+    const error = new Error(`Unknown export format "${format}". Use one of: ${EXPORT_FORMATS.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const columns = exportColumns(includeUser);
+  const expenses = matchingExpenses(res, filter, sort, includeUser);
+  const filename = `transactions-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  if (format === 'csv') {
+    // The byte order mark makes Excel read the file as UTF-8
+    await writeChunk(res, '\uFEFF' + formatCsvRow(columns.map(column => column.header)));
+    for await (const expense of expenses) {
+      await writeChunk(res, formatCsvRow(columns.map(column => csvValue(column, expense))));
+    }
+  } else if (format === 'json') {
+    let separator = '[\n';
+    for await (const expense of expenses) {
+      await writeChunk(res, separator + JSON.stringify(expense));
+      separator = ',\n';
+    }
+    await writeChunk(res, separator === '[\n' ? '[]\n' : '\n]\n');
+  } else {
+    const xlsxColumns = columns.map(column => ({
+      header: column.header,
+      type: column.type === 'money' ? 'number' : column.type
+    }));
+    const rows = (async function* () {
+      for await (const expense of expenses) {
+        yield columns.map(column => xlsxValue(column, expense));
+      }
+    })();
+    await writeXlsx(res, xlsxColumns, rows, { sheetName: 'Transactions' });
+  }
+
+  res.end();
+};
+
+module.exports = { EXPORT_FORMATS, streamExport };
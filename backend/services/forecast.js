@@ -0,0 +1,276 @@
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const RecurringRule = require('../models/RecurringRule');
+const { summarizeTotals } = require('./dashboard');
+const { sumOpeningBalances } = require('./accounts');
+const { createConverter } = require('./currencyConverter');
+const { buildOccurrence } = require('./recurring');
+const { occurrenceDate, isWithinBounds } = require('../utils/recurrence');
+const { isDay, addDays } = require('@expense-tracker/shared/periods');
+const { calculateTotal } = require('@expense-tracker/shared/money');
+
+const HORIZONS = [30, 60, 90];
+// How far back repeating transactions are looked for
+const HISTORY_DAYS = 180;
+// A pattern needs this many occurrences, most of them this regular
+const MIN_OCCURRENCES = 3;
+const REGULAR_SHARE = 0.75;
+
+// Gaps between occurrences that count as repeating, as recurrence rules
+const CADENCES = [
+  { name: 'weekly', days: 7, tolerance: 1, frequency: 'weekly', interval: 1 },
+  { name: 'every two weeks', days: 14, tolerance: 2, frequency: 'weekly', interval: 2 },
+  { name: 'monthly', days: 30.4, tolerance: 3, frequency: 'monthly', interval: 1 }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const invalid = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  throw error;
+};
+
+const dayOf = (date) => date.toISOString().slice(0, 10);
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+};
+
+// "NETFLIX.COM 4411" and "Netflix.com 4412" are the same payment
+const normalizeDescription = (description) =>
+  description.toLowerCase().replace(/[\d#*]+/g, ' ').replace(/\s+/g, ' ').trim();
+
+// Transactions of the last HISTORY_DAYS that repeat on a regular cadence:
+// same type, currency and (normalized) description. Ones created by a
+// recurring rule are left out; the rule itself says when they come next.
+const detectPatterns = async (userId, today) => {
+  const transactions = await Expense.find({
+    userId,
+    type: { $in: ['income', 'expense'] },
+    recurringRuleId: null,
+    date: { $gte: new Date(addDays(today, -HISTORY_DAYS)), $lt: new Date(addDays(today, 1)) }
+  })
+    .select('description type currency totalAmount date')
+    .sort({ date: 1 })
+    .lean();
+
+  const groups = new Map();
+  transactions.forEach(tx => {
+    const key = `${tx.type}|${tx.currency}|${normalizeDescription(tx.description)}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(tx);
+  });
+
+  const patterns = [];
+  groups.forEach((occurrences, key) => {
+    const days = [...new Set(occurrences.map(tx => dayOf(tx.date)))];
+    if (days.length < MIN_OCCURRENCES) return;
+
+    const gaps = days.slice(1).map((day, index) => daysBetween(days[index], day));
+    const typical = median(gaps);
+    const cadence = CADENCES.find(candidate => Math.abs(typical - candidate.days) <= candidate.tolerance);
+    if (!cadence) return;
+
+    const regular = gaps.filter(gap => Math.abs(gap - cadence.days) <= cadence.tolerance).length;
+    if (regular / gaps.length < REGULAR_SHARE) return;
+
+    // Stopped if it is well past due
+    const last = days[days.length - 1];
+    if (daysBetween(last, today) > cadence.days * 1.5) return;
+
+    const latest = occurrences[occurrences.length - 1];
+    patterns.push({
+      key,
+      description: latest.description,
+      type: latest.type,
+      currency: latest.currency,
+      amount: median(occurrences.map(tx => tx.totalAmount)),
+      cadence: cadence.name,
+      tolerance: cadence.tolerance,
+      // Continues from the last occurrence like a recurring rule would
+      rule: { frequency: cadence.frequency, interval: cadence.interval, startDate: new Date(last) }
+    });
+  });
+
+  return patterns;
+};
+
+// Occurrences of the user's active recurring rules from tomorrow to `end`,
+// with skipped dates left out and overrides applied
+const scheduledOccurrences = async (userId, today, end) => {
+  const rules = await RecurringRule.find({ userId, active: true, nextRunAt: { $ne: null } });
+  const occurrences = [];
+
+  rules.forEach(rule => {
+    for (let index = rule.nextIndex; isWithinBounds(rule, index); index++) {
+      const date = occurrenceDate(rule, index);
+      const day = dayOf(date);
+      if (day > end) break;
+      if (day <= today) continue;
+
+      const exception = rule.findException(date);
+      if (exception && exception.skip) continue;
+
+      const occurrence = buildOccurrence(rule, date, exception);
+      occurrences.push({
+        date: day,
+        description: occurrence.description,
+        type: occurrence.type,
+        currency: occurrence.currency,
+        amount: calculateTotal(occurrence),
+        source: 'recurring'
+      });
+    }
+  });
+
+  return occurrences;
+};
+
+// Projected daily balance for the `days` after `today` (YYYY-MM-DD), in
+// `baseCurrency`. It starts from the dashboard's all-time balance and adds,
+// day by day, future-dated transactions, upcoming occurrences of recurring
+// rules and the next occurrences of repeating transactions found in the
+// history. Days below zero are grouped into `negativePeriods`.
+const buildForecast = async (userId, baseCurrency, { days = 90, today = dayOf(new Date()) } = {}) => {
+  const horizon = Number(days);
+  if (!HORIZONS.includes(horizon)) invalid(`"days" must be one of ${HORIZONS.join(', ')}`);
+  if (!isDay(today)) invalid(`Invalid "today": ${today}. Use YYYY-MM-DD`);
+
+  const end = addDays(today, horizon);
+  const tomorrow = new Date(addDays(today, 1));
+
+  const future = (await Expense.find({
+    userId,
+    type: { $in: ['income', 'expense'] },
+    date: { $gte: tomorrow, $lt: new Date(addDays(end, 1)) }
+  })
+    .select('description type currency totalAmount date')
+    .lean())
+    .map(tx => ({
+      date: dayOf(tx.date),
+      description: tx.description,
+      type: tx.type,
+      currency: tx.currency,
+      amount: tx.totalAmount,
+      source: 'scheduled',
+      key: `${tx.type}|${tx.currency}|${normalizeDescription(tx.description)}`
+    }));
+
+  const patterns = await detectPatterns(new mongoose.Types.ObjectId(String(userId)), today);
+  const predicted = [];
+  patterns.forEach(pattern => {
+    for (let index = 1; ; index++) {
+      const day = dayOf(occurrenceDate(pattern.rule, index));
+      if (day > end) break;
+      // Overdue ones may still come, but not on a day we can tell
+      if (day <= today) continue;
+
+      // Already entered ahead of time
+      const entered = future.some(tx => tx.key === pattern.key
+        && Math.abs(daysBetween(tx.date, day)) <= pattern.tolerance);
+      if (entered) continue;
+
+      predicted.push({
+        date: day,
+        description: pattern.description,
+        type: pattern.type,
+        currency: pattern.currency,
+        amount: pattern.amount,
+        source: 'pattern'
+      });
+    }
+  });
+
+  const events = [
+    ...future.map(({ key, ...event }) => event),
+    ...(await scheduledOccurrences(userId, today, end)),
+    ...predicted
+  ];
+
+  // Future amounts are converted at today's rates
+  const convert = await createConverter(baseCurrency, events.map(event => event.currency));
+  const rateDate = new Date(today);
+  const unconvertedCurrencies = new Set();
+  const byDay = new Map();
+  events.forEach(event => {
+    const amount = convert(event.amount, event.currency, rateDate);
+    if (amount === null) {
+      unconvertedCurrencies.add(event.currency);
+      return;
+    }
+    if (!byDay.has(event.date)) byDay.set(event.date, []);
+    byDay.get(event.date).push({ ...event, amount });
+  });
+
+  // Today's balance as the statements work it out: the accounts' opening
+  // balances plus everything up to today
+  const history = await summarizeTotals(userId, baseCurrency, { $lt: tomorrow });
+  const accounts = await sumOpeningBalances(userId, baseCurrency, tomorrow);
+  [...history.unconvertedCurrencies, ...accounts.unconvertedCurrencies]
+    .forEach(currency => unconvertedCurrencies.add(currency));
+  const startingBalance = accounts.total + history.balance;
+
+  let balance = startingBalance;
+  const projection = [];
+  for (let offset = 1; offset <= horizon; offset++) {
+    const date = addDays(today, offset);
+    const items = byDay.get(date) || [];
+    const income = items.filter(item => item.type === 'income').reduce((sum, item) => sum + item.amount, 0);
+    const expense = items.filter(item => item.type === 'expense').reduce((sum, item) => sum + item.amount, 0);
+    balance += income - expense;
+    projection.push({ date, income, expense, balance, items });
+  }
+
+  const negativePeriods = [];
+  projection.forEach((day, index) => {
+    if (day.balance >= 0) return;
+    const current = negativePeriods[negativePeriods.length - 1];
+    if (current && projection[index - 1]?.balance < 0) {
+      current.to = day.date;
+      if (day.balance < current.lowestBalance) {
+        current.lowestBalance = day.balance;
+        current.lowestDate = day.date;
+      }
+    } else {
+      negativePeriods.push({ from: day.date, to: day.date, lowestBalance: day.balance, lowestDate: day.date });
+    }
+  });
+
+  // The lowest point of the first `count` days, today included
+  const lowestDay = (count) => projection.slice(0, count).reduce(
+    (lowest, day) => (day.balance < lowest.balance ? day : lowest),
+    { date: today, balance: startingBalance }
+  );
+
+  return {
+    today,
+    days: horizon,
+    baseCurrency,
+    startingBalance,
+    projection,
+    negativePeriods,
+    horizons: HORIZONS.filter(count => count <= horizon).map(count => {
+      const lowest = lowestDay(count);
+      return {
+        days: count,
+        endBalance: projection[count - 1].balance,
+        lowestBalance: lowest.balance,
+        lowestDate: lowest.date
+      };
+    }),
+    patterns: patterns.map(({ description, type, currency, amount, cadence }) => ({
+      description,
+      type,
+      currency,
+      amount,
+      cadence
+    })),
+    unconvertedCurrencies: [...unconvertedCurrencies]
+  };
+};
+
+module.exports = { HORIZONS, buildForecast };
@@ -0,0 +1,93 @@
+const Goal = require('../models/Goal');
+const Expense = require('../models/Expense');
+const { createConverter } = require('./currencyConverter');
+const { divideAndRound } = require('@expense-tracker/shared/money');
+
+// Make sure a goal belongs to the transaction's owner
+const resolveGoal = async (goalId, userId) => {
+  if (!goalId) return null;
+
+  const goal = await Goal.findOne({ _id: goalId, userId });
+  if (!goal) {
+    throw new Error('Goal not found');
+  }
+
+  return goal._id;
+};
+
+// Calendar months from `from` to `to`, counting both partial months
+// (Jan 20 -> Mar 5 is 3)
+const monthsBetween = (from, to) =>
+  (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + (to.getUTCMonth() - from.getUTCMonth()) + 1;
+
+const addMonths = (date, months) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, date.getUTCDate()));
+
+// Saved amount, what is still needed each month to reach the target date,
+// and when the goal will be reached at the pace so far
+const goalsWithProgress = async (goals, userId, now = new Date()) => {
+  if (goals.length === 0) {
+    return { goals: [], unconvertedCurrencies: [] };
+  }
+
+  const contributions = await Expense.find({
+    userId,
+    goalId: { $in: goals.map(goal => goal._id) }
+  })
+    .select('type currency totalAmount date goalId')
+    .lean();
+
+  const converters = {};
+  for (const currency of new Set(goals.map(goal => goal.currency))) {
+    converters[currency] = await createConverter(currency, contributions.map(tx => tx.currency));
+  }
+  const unconvertedCurrencies = new Set();
+
+  const results = goals.map(goal => {
+    const convert = converters[goal.currency];
+    let saved = 0;
+    let contributionCount = 0;
+
+    contributions
+      .filter(tx => tx.goalId.equals(goal._id))
+      .forEach(tx => {
+        const amount = convert(tx.totalAmount, tx.currency, tx.date);
+        if (amount === null) {
+          unconvertedCurrencies.add(tx.currency);
+          return;
+        }
+        saved += tx.type === 'income' ? -amount : amount;
+        contributionCount += 1;
+      });
+
+    const remaining = Math.max(goal.targetAmount - saved, 0);
+    const monthsLeft = Math.max(monthsBetween(now, goal.targetDate), 1);
+    const monthlyNeeded = remaining > 0 ? divideAndRound(remaining, monthsLeft) : 0;
+
+    // Average monthly saving since the goal was set, carried forward
+    let projectedDate = null;
+    if (remaining === 0) {
+      projectedDate = now;
+    } else if (saved > 0) {
+      const monthlyPace = saved / Math.max(monthsBetween(goal.createdAt || now, now), 1);
+      projectedDate = addMonths(now, Math.ceil(remaining / monthlyPace));
+    }
+
+    return {
+      ...goal.toObject(),
+      saved,
+      remaining,
+      percent: Math.min(Math.max(Math.floor((saved / goal.targetAmount) * 100), 0), 100),
+      contributionCount,
+      monthsLeft,
+      monthlyNeeded,
+      projectedDate,
+      onTrack: projectedDate !== null && projectedDate <= goal.targetDate,
+      completed: remaining === 0
+    };
+  });
+
+  return { goals: results, unconvertedCurrencies: [...unconvertedCurrencies] };
+};
+
+module.exports = { resolveGoal, goalsWithProgress };
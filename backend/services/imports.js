@@ -0,0 +1,413 @@
+const Expense = require('../models/Expense');
+const ImportBatch = require('../models/ImportBatch');
+const Revision = require('../models/Revision');
+const { parseCsv } = require('../utils/csv');
+const { parseOfx } = require('../utils/ofx');
+const { parseQif } = require('../utils/qif');
+const { createRuleEngine } = require('./rules');
+const { toMinorUnits, percentToBasisPoints } = require('@expense-tracker/shared/money');
+
+const MAX_ROWS = 5000;
+const FORMATS = ['csv', 'ofx', 'qif'];
+const FIELDS = ['description', 'amount', 'date', 'type', 'tax'];
+const DATE_FORMATS = ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY'];
+
+// Header names that usually hold each field
+const FIELD_PATTERNS = {
+  description: /desc|memo|payee|narrative|details|name/i,
+  amount: /amount|value|sum|debit|credit/i,
+  date: /date|posted|day/i,
+  type: /type|kind|direction/i,
+  tax: /tax|vat|gst/i
+};
+
+const TYPE_WORDS = {
+  expense: ['expense', 'debit', 'dr', 'withdrawal', 'payment', 'out'],
+  income: ['income', 'credit', 'cr', 'deposit', 'in']
+};
+
+const invalid = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  throw error;
+};
+
+// Column index for each field, guessed from the header row
+const suggestMapping = (headers) => {
+  const mapping = {};
+  const used = new Set();
+
+  FIELDS.forEach(field => {
+    const index = headers.findIndex((header, i) => !used.has(i) && FIELD_PATTERNS[field].test(header));
+    mapping[field] = index === -1 ? null : index;
+    if (index !== -1) used.add(index);
+  });
+
+  return mapping;
+};
+
+const parseDateCell = (value, format) => {
+  const parts = value.trim().split(/[-/.]/).map(part => parseInt(part, 10));
+  if (parts.length !== 3 || parts.some(Number.isNaN)) return null;
+
+  const [year, month, day] = {
+    'YYYY-MM-DD': [parts[0], parts[1], parts[2]],
+    'MM/DD/YYYY': [parts[2], parts[0], parts[1]],
+    'DD/MM/YYYY': [parts[2], parts[1], parts[0]]
+  }[format];
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  // Rejects impossible dates such as 02/31, which Date would roll over
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date;
+};
+
+// "1,234.50", "$-12.00" and "(12.00)" (accounting negative) all parse; with a
+// comma decimal separator "1.234,50" does
+const parseAmountCell = (value, decimalSeparator, currency) => {
+  const text = value.trim();
+  const negative = text.includes('-') || /^\(.*\)$/.test(text);
+  const digits = decimalSeparator === ','
+    ? text.replace(/[^\d,]/g, '').replace(',', '.')
+    : text.replace(/[^\d.]/g, '');
+
+  const minor = toMinorUnits(digits, currency);
+  return negative ? -minor : minor;
+};
+
+const parseTypeCell = (value) => {
+  const word = value.trim().toLowerCase();
+  return Object.keys(TYPE_WORDS).find(type => TYPE_WORDS[type].includes(word)) || null;
+};
+
+// "8.25%" is a percentage rate, anything else a flat amount
+const parseTaxCell = (value, decimalSeparator, currency) => {
+  const text = value.trim();
+  if (text === '') return { taxType: 'flat', taxAmount: 0 };
+  if (text.endsWith('%')) {
+    return { taxType: 'percentage', taxAmount: percentToBasisPoints(text.slice(0, -1).replace(',', '.')) };
+  }
+  return { taxType: 'flat', taxAmount: Math.abs(parseAmountCell(text, decimalSeparator, currency)) };
+};
+
+// Bank statements write amounts as "-1234.56", "1,234.56" or "-1234,56";
+// a comma followed by one or two trailing digits is a decimal comma
+const parseStatementAmount = (value, currency) => {
+  const text = (value || '').trim();
+  const decimalSeparator = text.lastIndexOf(',') > text.lastIndexOf('.') && /,\d{1,2}$/.test(text) ? ',' : '.';
+  return parseAmountCell(text, decimalSeparator, currency);
+};
+
+const normalizeOptions = (options = {}, baseCurrency, format) => {
+  const normalized = {
+    hasHeader: options.hasHeader !== false,
+    // QIF files from US banks put the month first
+    dateFormat: options.dateFormat || (format === 'qif' ? 'MM/DD/YYYY' : 'YYYY-MM-DD'),
+    decimalSeparator: options.decimalSeparator === ',' ? ',' : '.',
+    defaultType: options.defaultType || 'expense',
+    currency: (options.currency || baseCurrency || 'USD').toUpperCase()
+  };
+
+  if (!DATE_FORMATS.includes(normalized.dateFormat)) {
+    invalid(`Unknown date format "${normalized.dateFormat}". Use one of: ${DATE_FORMATS.join(', ')}`);
+  }
+  if (!['expense', 'income'].includes(normalized.defaultType)) {
+    invalid('The default type must be expense or income');
+  }
+
+  return normalized;
+};
+
+// Turn one CSV record into Expense fields plus any problems with it. Without
+// a type column a negative amount is an expense and any other amount takes
+// the default type, which rules may change (`guessedType`).
+const parseRecord = (record, mapping, options) => {
+  const cell = (field) => (mapping[field] === null || mapping[field] === undefined ? '' : record[mapping[field]] || '');
+  const errors = [];
+
+  const description = cell('description').trim();
+  if (!description) errors.push('Description is empty');
+
+  const signedAmount = parseAmountCell(cell('amount'), options.decimalSeparator, options.currency);
+  if (Number.isNaN(signedAmount) || signedAmount === 0) {
+    errors.push(`Amount "${cell('amount')}" is not a number other than 0`);
+  }
+
+  const date = parseDateCell(cell('date'), options.dateFormat);
+  if (!date) errors.push(`Date "${cell('date')}" does not match ${options.dateFormat}`);
+
+  let type = signedAmount < 0 ? 'expense' : options.defaultType;
+  let guessedType = !(signedAmount < 0);
+  if (mapping.type !== null && mapping.type !== undefined) {
+    type = parseTypeCell(cell('type'));
+    guessedType = false;
+    if (!type) errors.push(`Type "${cell('type')}" is not expense or income`);
+  }
+
+  const tax = parseTaxCell(cell('tax'), options.decimalSeparator, options.currency);
+  if (Number.isNaN(tax.taxAmount)) errors.push(`Tax "${cell('tax')}" is not a number`);
+
+  return {
+    fields: {
+      description,
+      amount: Math.abs(signedAmount),
+      currency: options.currency,
+      type,
+      taxType: tax.taxType,
+      taxAmount: tax.taxAmount,
+      date
+    },
+    guessedType,
+    errors
+  };
+};
+
+const normalizeDescription = (text) => text.toLowerCase().replace(/\s+/g, ' ').trim();
+
+const dayKey = (date) => date.toISOString().slice(0, 10);
+
+// Same day, amount and type, and one description contains the other
+const looksLikeDuplicate = (a, b) => {
+  if (dayKey(a.date) !== dayKey(b.date) || a.amount !== b.amount || a.type !== b.type) return false;
+  const first = normalizeDescription(a.description);
+  const second = normalizeDescription(b.description);
+  return first.includes(second) || second.includes(first);
+};
+
+// Flag rows that probably repeat an existing transaction or an earlier row of
+// the same file
+const flagDuplicates = async (rows, userId) => {
+  const dated = rows.filter(row => row.errors.length === 0 && !row.alreadyImported);
+  if (dated.length === 0) return;
+
+  const times = dated.map(row => row.fields.date.getTime());
+  const existing = await Expense.find({
+    userId,
+    date: { $gte: new Date(Math.min(...times)), $lte: new Date(Math.max(...times)) }
+  }).select('description amount type date');
+
+  dated.forEach((row, index) => {
+    const match = existing.find(expense => looksLikeDuplicate(row.fields, expense));
+    if (match) {
+      row.duplicate = { expenseId: match._id, description: match.description, date: match.date };
+      return;
+    }
+
+    const earlier = dated.slice(0, index).find(other => looksLikeDuplicate(row.fields, other.fields));
+    if (earlier) {
+      row.duplicate = { row: earlier.row, description: earlier.fields.description, date: earlier.fields.date };
+    }
+  });
+};
+
+// CSV rows, numbered by their line in the file so users can find them in
+// their spreadsheet
+const buildCsvRows = (content, mapping, settings) => {
+  const records = parseCsv(content);
+  if (records.length === 0) invalid('The file has no rows');
+
+  const headers = settings.hasHeader
+    ? records[0].map(header => header.trim())
+    : records[0].map((value, index) => `Column ${index + 1}`);
+  const dataRecords = settings.hasHeader ? records.slice(1) : records;
+
+  if (dataRecords.length > MAX_ROWS) {
+    invalid(`The file has ${dataRecords.length} rows; imports are limited to ${MAX_ROWS} at a time`);
+  }
+
+  // Without a mapping yet, guess one so the client can show a first preview
+  const columns = mapping || suggestMapping(headers);
+  if (mapping) {
+    ['description', 'amount', 'date'].forEach(field => {
+      if (mapping[field] === null || mapping[field] === undefined) {
+        invalid(`Pick the column that holds the ${field}`);
+      }
+    });
+  }
+
+  const rows = dataRecords.map((record, index) => ({
+    row: index + (settings.hasHeader ? 2 : 1),
+    ...parseRecord(record, columns, settings)
+  }));
+
+  return { headers, mapping: columns, rows };
+};
+
+// OFX and QIF rows, numbered by their order in the statement. Debits (negative
+// amounts) become expenses and credits income. The bank's transaction id is
+// kept as `externalId` so the same statement can't be imported twice.
+const buildStatementRows = (format, content, settings) => {
+  let statement;
+  try {
+    statement = format === 'ofx'
+      ? parseOfx(content)
+      : parseQif(content, { dayFirst: settings.dateFormat === 'DD/MM/YYYY' });
+  } catch (error) {
+    invalid(error.message);
+  }
+
+  const { transactions } = statement;
+  if (transactions.length === 0) invalid('The statement has no transactions');
+  if (transactions.length > MAX_ROWS) {
+    invalid(`The statement has ${transactions.length} transactions; imports are limited to ${MAX_ROWS} at a time`);
+  }
+
+  const rows = transactions.map((transaction, index) => {
+    const currency = (transaction.currency || settings.currency).toUpperCase();
+    const errors = [];
+
+    const description = transaction.payee || transaction.memo || '';
+    if (!description) errors.push('Description is empty');
+
+    const signedAmount = parseStatementAmount(transaction.amount, currency);
+    if (Number.isNaN(signedAmount) || signedAmount === 0) {
+      errors.push(`Amount "${transaction.amount || ''}" is not a number other than 0`);
+    }
+
+    if (!transaction.date) errors.push(`Date "${transaction.dateText || ''}" could not be read`);
+
+    return {
+      row: index + 1,
+      fields: {
+        description,
+        amount: Math.abs(signedAmount),
+        currency,
+        type: signedAmount < 0 ? 'expense' : 'income',
+        taxType: 'flat',
+        taxAmount: 0,
+        date: transaction.date,
+        externalId: transaction.id ? `${format}:${transaction.account}:${transaction.id}` : null
+      },
+      // The sign says which way the money went
+      guessedType: false,
+      errors
+    };
+  });
+
+  return { headers: [], mapping: null, rows };
+};
+
+// Rows whose bank transaction id was imported before, including into a
+// transaction that has since been trashed, or appears earlier in the file
+const flagAlreadyImported = async (rows, userId) => {
+  const ids = rows.map(row => row.fields.externalId).filter(Boolean);
+  if (ids.length === 0) return;
+
+  const existing = await Expense.find({ userId, externalId: { $in: ids } })
+    .setOptions({ withDeleted: true })
+    .select('externalId description date');
+  const firstRow = new Map();
+
+  rows.forEach(row => {
+    const { externalId } = row.fields;
+    if (!externalId) return;
+
+    const match = existing.find(expense => expense.externalId === externalId);
+    if (match) {
+      row.alreadyImported = { expenseId: match._id, description: match.description, date: match.date };
+    } else if (firstRow.has(externalId)) {
+      row.alreadyImported = { row: firstRow.get(externalId) };
+    } else {
+      firstRow.set(externalId, row.row);
+    }
+  });
+};
+
+// Parse and check every row of an upload ({ format, content, mapping,
+// options }). `mapping` only applies to CSV files.
+const buildImportRows = async ({ format = 'csv', content, mapping, options }, user) => {
+  if (!FORMATS.includes(format)) {
+    invalid(`Unknown file format "${format}". Use one of: ${FORMATS.join(', ')}`);
+  }
+
+  const settings = normalizeOptions(options, user.baseCurrency, format);
+  const { headers, mapping: columns, rows } = format === 'csv'
+    ? buildCsvRows(content, mapping, settings)
+    : buildStatementRows(format, content, settings);
+
+  // Rules fill in the payee and, where the file has none, the type and tax
+  const applyRules = await createRuleEngine(user._id);
+
+  for (const row of rows) {
+    row.duplicate = null;
+    row.alreadyImported = null;
+
+    const { changes, rules } = applyRules(row.fields, { type: !row.guessedType, tax: row.fields.taxAmount > 0 });
+    Object.assign(row.fields, changes);
+    row.rules = rules;
+
+    // The model's own rules (currency code, tax limits, ...) apply too
+    if (row.errors.length === 0) {
+      try {
+        await new Expense({ ...row.fields, userId: user._id }).validate();
+      } catch (error) {
+        row.errors.push(...Object.values(error.errors || {}).map(e => e.message));
+      }
+    }
+  }
+
+  await flagAlreadyImported(rows, user._id);
+  await flagDuplicates(rows, user._id);
+
+  return { format, headers, mapping: columns, options: settings, rows };
+};
+
+// Create every picked row, or none of them. Rows listed in `skipRows` (row
+// numbers) and rows imported before are left out; any other row with errors
+// stops the whole import.
+const commitImport = async (request, user) => {
+  const { format, rows } = await buildImportRows(request, user);
+  const skip = new Set((request.skipRows || []).map(Number));
+  const picked = rows.filter(row => !skip.has(row.row) && !row.alreadyImported);
+
+  const broken = picked.filter(row => row.errors.length > 0);
+  if (broken.length > 0) {
+    const error = new Error(`${broken.length} row(s) still have errors; fix or skip them before importing`);
+    error.status = 400;
+    error.rows = broken;
+    throw error;
+  }
+  if (picked.length === 0) invalid('No rows were picked for import');
+
+  const batch = await ImportBatch.create({
+    filename: request.filename,
+    format,
+    rowCount: picked.length,
+    skippedCount: rows.length - picked.length,
+    userId: user._id
+  });
+
+  try {
+    await Expense.insertMany(picked.map(row => ({
+      ...row.fields,
+      importBatchId: batch._id,
+      userId: user._id
+    })));
+  } catch (error) {
+    // Without a replica set there is no transaction to roll back, so clean
+    // up whatever part of the insert went through
+    await Expense.deleteMany({ importBatchId: batch._id });
+    await batch.deleteOne();
+    throw error;
+  }
+
+  return batch;
+};
+
+// Remove every transaction an import created, including ones edited or
+// trashed since
+const undoImport = async (batch) => {
+  const ids = await Expense.find({ importBatchId: batch._id }).setOptions({ withDeleted: true }).distinct('_id');
+  await Revision.deleteMany({ expenseId: { $in: ids } });
+  const { deletedCount } = await Expense.deleteMany({ _id: { $in: ids } });
+
+  batch.status = 'undone';
+  batch.undoneAt = new Date();
+  await batch.save();
+
+  return deletedCount;
+};
+
+module.exports = { FORMATS, DATE_FORMATS, buildImportRows, commitImport, undoImport };
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const Payee = require('../models/Payee');
+const Expense = require('../models/Expense');
+const { createConverter } = require('./currencyConverter');
+
+// Make sure a payee belongs to the transaction's owner
+const resolvePayee = async (payeeId, userId) => {
+  if (!payeeId) return null;
+
+  const payee = await Payee.findOne({ _id: payeeId, userId });
+  if (!payee) {
+    throw new Error('Payee not found');
+  }
+
+  return payee._id;
+};
+
+// Case and runs of spaces don't matter in descriptions
+const normalizeText = (text) => String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+// An alias as a regular expression: matched anywhere, `*` for any text
+const aliasPattern = (alias) => new RegExp(
+  normalizeText(alias)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*')
+);
+
+// Compile every alias of `payees` once; returns a matcher from a description
+// to the payee with the longest matching alias (the most specific one), or
+// null
+const createPayeeMatcher = (payees) => {
+  const aliases = payees
+    .flatMap(payee => payee.aliases.map(alias => ({ payee, alias, pattern: aliasPattern(alias) })))
+    .sort((a, b) => b.alias.length - a.alias.length);
+
+  return (description) => {
+    const text = normalizeText(description);
+    const match = aliases.find(({ pattern }) => pattern.test(text));
+    return match ? match.payee : null;
+  };
+};
+
+// What each payee was paid and paid us within `dateRange` (all time without
+// one), in `baseCurrency` at the rate of each day
+const summarizePayees = async (userId, baseCurrency, dateRange) => {
+  const match = {
+    userId: new mongoose.Types.ObjectId(String(userId)),
+    payeeId: { $ne: null },
+    type: { $in: ['income', 'expense'] }
+  };
+  if (dateRange) match.date = dateRange;
+
+  const groups = await Expense.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          payeeId: '$payeeId',
+          type: '$type',
+          currency: '$currency',
+          day: { $dateToString: { date: '$date', format: '%Y-%m-%d' } }
+        },
+        total: { $sum: '$totalAmount' },
+        count: { $sum: 1 },
+        last: { $max: '$date' }
+      }
+    }
+  ]);
+
+  const convert = await createConverter(baseCurrency, groups.map(group => group._id.currency));
+  const unconvertedCurrencies = new Set();
+  const totals = {};
+
+  groups.forEach(({ _id: { payeeId, type, currency, day }, total, count, last }) => {
+    const key = payeeId.toString();
+    totals[key] = totals[key] || { spent: 0, received: 0, count: 0, lastDate: null };
+    const summary = totals[key];
+    summary.count += count;
+    if (!summary.lastDate || last > summary.lastDate) summary.lastDate = last;
+
+    const amount = convert(total, currency, new Date(day));
+    if (amount === null) {
+      unconvertedCurrencies.add(currency);
+      return;
+    }
+    summary[type === 'expense' ? 'spent' : 'received'] += amount;
+  });
+
+  return { totals, unconvertedCurrencies: [...unconvertedCurrencies] };
+};
+
+module.exports = { resolvePayee, normalizeText, createPayeeMatcher, summarizePayees };
@@ -0,0 +1,81 @@
+const Revision = require('../models/Revision');
+
+// The fields a user sets. Totals and tax amounts are left out because the
+// model derives them from these.
+const TRACKED_FIELDS = [
+  'description',
+  'amount',
+  'currency',
+  'type',
+  'taxType',
+  'taxAmount',
+  'taxes',
+  'categoryId',
+  'payeeId',
+  'date',
+  'lineItems',
+  'accountId',
+  'toAccountId',
+  'goalId'
+];
+
+const pick = (source, fields) => Object.fromEntries(fields.map(field => [field, source[field]]));
+
+// Plain JSON values (ids and dates as strings) so snapshots compare by value
+// and store as-is in a revision
+const snapshot = (expense) => {
+  const doc = expense.toObject({ depopulate: true });
+  const state = pick(doc, TRACKED_FIELDS);
+  state.lineItems = (doc.lineItems || []).map(line =>
+    pick(line, ['description', 'amount', 'taxType', 'taxAmount', 'categoryId'])
+  );
+  state.taxes = (doc.taxes || []).map(tax => pick(tax, ['taxRateId', 'name', 'rate', 'inclusive']));
+
+  return JSON.parse(JSON.stringify(state, (key, value) => (value === undefined ? null : value)));
+};
+
+const diffSnapshots = (before, after) =>
+  TRACKED_FIELDS
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => ({ field, from: before[field], to: after[field] }));
+
+// Record what a save changed. `before` is the snapshot taken before the
+// changes, or null for a new transaction. Saves that change nothing leave no
+// revision.
+const recordRevision = async (expense, before, changedBy, { action, revertedTo } = {}) => {
+  const after = snapshot(expense);
+  const changes = before
+    ? diffSnapshots(before, after)
+    : diffSnapshots({}, after).filter(change => change.to !== null && !(Array.isArray(change.to) && change.to.length === 0));
+
+  if (changes.length === 0) return null;
+
+  return Revision.create({
+    expenseId: expense._id,
+    userId: expense.userId,
+    changedBy,
+    action: action || (before ? 'update' : 'create'),
+    revertedTo: revertedTo || null,
+    changes
+  });
+};
+
+// The tracked fields as they were right after `revision`: the current state
+// with every later revision undone, newest first
+const stateAtRevision = async (expense, revision) => {
+  const later = await Revision.find({
+    expenseId: expense._id,
+    _id: { $gt: revision._id }
+  }).sort({ _id: -1 });
+
+  const state = snapshot(expense);
+  later.forEach(laterRevision => {
+    laterRevision.changes.forEach(change => {
+      state[change.field] = change.from === undefined ? null : change.from;
+    });
+  });
+
+  return state;
+};
+
+module.exports = { snapshot, recordRevision, stateAtRevision };
@@ -0,0 +1,199 @@
+const Rule = require('../models/Rule');
+const Payee = require('../models/Payee');
+const TaxRate = require('../models/TaxRate');
+const Expense = require('../models/Expense');
+const { buildDateRange } = require('../utils/dateRange');
+const { toMinorUnits } = require('@expense-tracker/shared/money');
+const { resolvePayee, normalizeText, createPayeeMatcher } = require('./payees');
+const { snapshot, recordRevision } = require('./revisions');
+
+// How many changed transactions a re-apply lists back
+const MAX_LISTED = 100;
+
+// The amount as entered; a split transaction's is the sum of its lines
+const enteredAmount = ({ amount, lineItems }) => (lineItems && lineItems.length > 0
+  ? lineItems.reduce((sum, line) => sum + (Number(line.amount) || 0), 0)
+  : Number(amount) || 0);
+
+// An amount bound left out is stored as ''
+const hasBound = (bound) => bound !== undefined && bound !== null && bound !== '';
+
+const conditionMatches = (condition, transaction) => {
+  if (condition.field === 'description') {
+    const text = normalizeText(transaction.description);
+    const value = normalizeText(condition.value);
+    if (condition.operator === 'startsWith') return text.startsWith(value);
+    if (condition.operator === 'equals') return text === value;
+    return text.includes(value);
+  }
+
+  // Bounds are decimals read in the transaction's own currency. The amount
+  // is the one before tax, as the tax may be what the rules set.
+  const amount = enteredAmount(transaction);
+  if (hasBound(condition.min) && amount < toMinorUnits(condition.min, transaction.currency)) return false;
+  if (hasBound(condition.max) && amount > toMinorUnits(condition.max, transaction.currency)) return false;
+  return true;
+};
+
+// Which of the fields rules set (type, payee and tax) a create or edit
+// request enters itself. Leaving out the type or payee, or entering no tax,
+// lets rules fill them in.
+const lockedFields = ({ type, payeeId, taxAmount, taxRateIds, lineItems }) => ({
+  type: Boolean(type),
+  payee: Boolean(payeeId),
+  tax: Number(taxAmount) > 0
+    || (Array.isArray(taxRateIds) && taxRateIds.length > 0)
+    // Split transactions carry their tax on their lines
+    || (Array.isArray(lineItems) && lineItems.length > 0)
+});
+
+// Make sure the payee and tax rates a rule sets belong to its owner
+const resolveRuleActions = async ({ type, payeeId, taxRate, taxRateIds } = {}, userId) => {
+  const ids = Array.isArray(taxRateIds) ? taxRateIds : [];
+  if (await TaxRate.countDocuments({ _id: { $in: ids }, userId }) !== ids.length) {
+    throw new Error('Tax rate not found');
+  }
+
+  return {
+    type: type || null,
+    payeeId: await resolvePayee(payeeId, userId),
+    taxRate: taxRate === undefined || taxRate === '' ? null : taxRate,
+    taxRateIds: ids
+  };
+};
+
+// Load a user's enabled rules and payees once and return a function that
+// works out what they set on one transaction ({ description, amount,
+// currency, type, lineItems }). Fields in `locked` are left alone. Rules run
+// in priority order and the first one to set a field wins; a description no
+// rule gives a payee to is matched against the payees' aliases. Returns the
+// Expense fields to set (type, payeeId, taxType, taxAmount, taxes) and the
+// rules that set any of them.
+const createRuleEngine = async (userId) => {
+  const [rules, payees] = await Promise.all([
+    Rule.find({ userId, enabled: true }).sort({ priority: 1, createdAt: 1 }).lean(),
+    Payee.find({ userId }).lean()
+  ]);
+
+  // Named taxes are snapshotted like on any other save; deleted ones drop out
+  const taxRates = new Map(
+    (await TaxRate.find({ userId, _id: { $in: rules.flatMap(rule => rule.actions.taxRateIds || []) } }).lean())
+      .map(taxRate => [taxRate._id.toString(), taxRate])
+  );
+  const payeeIds = new Set(payees.map(payee => payee._id.toString()));
+  const matchPayee = createPayeeMatcher(payees);
+
+  const taxChanges = ({ taxRate, taxRateIds }) => {
+    const taxes = (taxRateIds || []).map(id => taxRates.get(id.toString())).filter(Boolean);
+    if (taxes.length > 0) {
+      return {
+        taxType: 'flat',
+        taxAmount: 0,
+        taxes: taxes.map(tax => ({ taxRateId: tax._id, name: tax.name, rate: tax.rate, inclusive: tax.inclusive }))
+      };
+    }
+    if (taxRate !== null && taxRate !== undefined) {
+      return { taxType: 'percentage', taxAmount: taxRate, taxes: [] };
+    }
+    return null;
+  };
+
+  return (transaction, locked = {}) => {
+    const changes = {};
+    const matched = [];
+    // Transfers carry no type choice, payee or tax
+    if (transaction.type === 'transfer') return { changes, rules: matched };
+
+    rules.forEach(rule => {
+      if (!rule.conditions.every(condition => conditionMatches(condition, transaction))) return;
+
+      const { type, payeeId } = rule.actions;
+      let used = false;
+
+      if (type && !locked.type && !('type' in changes)) {
+        changes.type = type;
+        used = true;
+      }
+      if (payeeId && payeeIds.has(payeeId.toString()) && !locked.payee && !('payeeId' in changes)) {
+        changes.payeeId = payeeId;
+        used = true;
+      }
+      const tax = !locked.tax && !('taxType' in changes) && taxChanges(rule.actions);
+      if (tax) {
+        Object.assign(changes, tax);
+        used = true;
+      }
+
+      if (used) matched.push({ _id: rule._id, name: rule.name });
+    });
+
+    if (!locked.payee && !('payeeId' in changes)) {
+      const payee = matchPayee(transaction.description);
+      if (payee) changes.payeeId = payee._id;
+    }
+
+    return { changes, rules: matched };
+  };
+};
+
+// Run the current rules over a user's existing transactions, optionally
+// only those dated `from`/`to`. Unlike on create and edit, rules overwrite
+// what is there: a rule's type, payee or tax replaces the transaction's
+// (split transactions keep their lines' tax). A changed type clears the
+// categories, which are per type. With `dryRun` nothing is saved and the
+// result tells what would change.
+const reapplyRules = async (userId, { from, to, dryRun = false } = {}) => {
+  const engine = await createRuleEngine(userId);
+  const filter = { userId, type: { $in: ['income', 'expense'] } };
+  const dateRange = buildDateRange({ from, to });
+  if (dateRange) filter.date = dateRange;
+
+  const result = { checked: 0, changed: 0, failed: 0, dryRun, changes: [] };
+  const cursor = Expense.find(filter).sort({ date: -1, _id: -1 }).cursor();
+
+  try {
+    for await (const expense of cursor) {
+      result.checked += 1;
+
+      const { changes, rules } = engine(expense, { tax: expense.lineItems.length > 0 });
+      const before = snapshot(expense);
+      expense.set(changes);
+      if (changes.type && changes.type !== before.type) {
+        expense.categoryId = null;
+        expense.lineItems.forEach(line => {
+          line.categoryId = null;
+        });
+      }
+
+      const after = snapshot(expense);
+      const fields = Object.keys(changes).filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+      if (fields.length === 0) continue;
+
+      try {
+        if (!dryRun) {
+          await expense.save();
+          await recordRevision(expense, before, userId, { action: 'rules' });
+        }
+        result.changed += 1;
+        if (result.changes.length < MAX_LISTED) {
+          result.changes.push({
+            id: expense._id,
+            description: expense.description,
+            date: expense.date,
+            fields,
+            rules: rules.map(rule => rule.name)
+          });
+        }
+      } catch {
+        // e.g. edited by someone else since it was read
+        result.failed += 1;
+      }
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  return result;
+};
+
+module.exports = { lockedFields, resolveRuleActions, createRuleEngine, reapplyRules };
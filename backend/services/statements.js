@@ -0,0 +1,197 @@
+const { summarizeTransactions, summarizeTotals } = require('./dashboard');
+const { sumOpeningBalances } = require('./accounts');
+const { createPdf, PAGE_WIDTH, PAGE_HEIGHT, truncate } = require('../utils/pdf');
+const { fromMinorUnits, currencyExponent } = require('@expense-tracker/shared/money');
+
+const MONTH_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+const MARGIN = 40;
+const ROW_HEIGHT = 15;
+
+// Transaction table: [header, width, align]
+const COLUMNS = [
+  ['Date', 58, 'left'],
+  ['Description', 160, 'left'],
+  ['Category', 95, 'left'],
+  ['Type', 52, 'left'],
+  ['Tax', 65, 'right'],
+  ['Amount', 85, 'right']
+];
+
+const formatAmount = (minor, currency) => {
+  const digits = currencyExponent(currency);
+  const amount = new Intl.NumberFormat('en-US', {
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits
+  }).format(fromMinorUnits(minor, currency));
+  return `${amount} ${currency}`;
+};
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+// "2024-01" -> the first day of that month and of the next one (UTC)
+const parseMonth = (month) => {
+  const match = MONTH_PATTERN.exec(month || '');
+  if (!match) {
+    const error = new Error('month must be given as YYYY-MM');
+    error.status = 400;
+    throw error;
+  }
+
+  const year = Number(match[1]);
+  const monthIndex = Number(match[2]) - 1;
+  return { start: new Date(Date.UTC(year, monthIndex, 1)), end: new Date(Date.UTC(year, monthIndex + 1, 1)) };
+};
+
+// The figures of a monthly statement, from the same totals the dashboard
+// shows. The opening balance is the accounts' opening balances plus the net
+// of everything before the month, the closing balance adds the month's net
+// to it.
+const buildStatement = async (user, month) => {
+  const { start, end } = parseMonth(month);
+  const baseCurrency = user.baseCurrency || 'USD';
+
+  const accounts = await sumOpeningBalances(user._id, baseCurrency, start);
+  const before = await summarizeTotals(user._id, baseCurrency, { $lt: start });
+  const period = await summarizeTransactions(user._id, baseCurrency, { $gte: start, $lt: end });
+
+  const countOf = (type) => period.expenses.filter(expense => expense.type === type).length;
+  const openingBalance = accounts.total + before.balance;
+
+  return {
+    month,
+    start,
+    end,
+    baseCurrency,
+    openingBalance,
+    closingBalance: openingBalance + period.balance,
+    totalIncome: period.totalIncome,
+    totalExpense: period.totalExpense,
+    balance: period.balance,
+    taxCollected: period.taxCollected,
+    taxPaid: period.taxPaid,
+    counts: { income: countOf('income'), expense: countOf('expense'), transfer: countOf('transfer') },
+    transactions: period.expenses,
+    unconvertedCurrencies: [...new Set([
+      ...accounts.unconvertedCurrencies,
+      ...before.unconvertedCurrencies,
+      ...period.unconvertedCurrencies
+    ])]
+  };
+};
+
+const categoryLabel = (expense) => {
+  if (expense.lineItems.length > 0) return 'Split';
+  return expense.categoryId?.name || '';
+};
+
+const signedAmount = (expense) => {
+  const amount = formatAmount(expense.totalAmount, expense.currency);
+  if (expense.type === 'income') return `+${amount}`;
+  if (expense.type === 'expense') return `-${amount}`;
+  return amount;
+};
+
+// Lay a statement out as a PDF document
+const renderStatementPdf = (statement, user) => {
+  const { baseCurrency } = statement;
+  const monthName = statement.start.toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+  const pdf = createPdf({ title: `Statement ${statement.month} - ${user.name}` });
+  const right = PAGE_WIDTH - MARGIN;
+  let pageNumber = 0;
+  let y;
+
+  const newPage = () => {
+    pdf.addPage();
+    pageNumber += 1;
+    pdf.text(MARGIN, PAGE_HEIGHT - 25, `${user.name} - ${monthName}`, { size: 8, gray: 0.4 });
+    pdf.text(right, PAGE_HEIGHT - 25, `Page ${pageNumber}`, { size: 8, gray: 0.4, align: 'right' });
+    y = MARGIN;
+  };
+
+  const summaryRow = (label, value, { bold = false } = {}) => {
+    pdf.text(MARGIN, y, label, { bold });
+    pdf.text(right, y, value, { bold, align: 'right' });
+    y += ROW_HEIGHT;
+  };
+
+  const tableHeader = () => {
+    pdf.fillRect(MARGIN, y - 11, right - MARGIN, ROW_HEIGHT);
+    let x = MARGIN;
+    COLUMNS.forEach(([header, width, align]) => {
+      pdf.text(align === 'right' ? x + width - 4 : x + 4, y, header, { size: 9, bold: true, align });
+      x += width;
+    });
+    y += ROW_HEIGHT;
+  };
+
+  newPage();
+  pdf.text(MARGIN, y + 10, 'Monthly Statement', { size: 20, bold: true });
+  pdf.text(right, y + 10, monthName, { size: 14, align: 'right' });
+  y += 32;
+  pdf.text(MARGIN, y, `${user.name} <${user.email}>`);
+  pdf.text(right, y, `Generated ${formatDay(new Date())}`, { align: 'right', gray: 0.4 });
+  y += ROW_HEIGHT;
+  pdf.text(MARGIN, y, `Period ${formatDay(statement.start)} to ${formatDay(new Date(statement.end - 1))}. `
+    + `Totals in ${baseCurrency}, converted at the rate on each transaction's date.`, { size: 8, gray: 0.4 });
+  y += 2 * ROW_HEIGHT;
+
+  pdf.text(MARGIN, y, 'Summary', { size: 13, bold: true });
+  y += 6;
+  pdf.line(MARGIN, y, right, y);
+  y += ROW_HEIGHT;
+  summaryRow('Opening balance', formatAmount(statement.openingBalance, baseCurrency), { bold: true });
+  summaryRow(`Income (${statement.counts.income})`, `+${formatAmount(statement.totalIncome, baseCurrency)}`);
+  summaryRow(`Expenses (${statement.counts.expense})`, `-${formatAmount(statement.totalExpense, baseCurrency)}`);
+  summaryRow(`Transfers (${statement.counts.transfer})`, 'between your accounts, not counted');
+  summaryRow('Net for the month', formatAmount(statement.balance, baseCurrency));
+  summaryRow('Tax collected on income', formatAmount(statement.taxCollected, baseCurrency));
+  summaryRow('Tax paid on expenses', formatAmount(statement.taxPaid, baseCurrency));
+  pdf.line(MARGIN, y - 10, right, y - 10);
+  y += 2;
+  summaryRow('Closing balance', formatAmount(statement.closingBalance, baseCurrency), { bold: true });
+
+  if (statement.unconvertedCurrencies.length > 0) {
+    pdf.text(MARGIN, y, `Not included in the totals (no exchange rate to ${baseCurrency}): `
+      + statement.unconvertedCurrencies.join(', '), { size: 8, gray: 0.4 });
+    y += ROW_HEIGHT;
+  }
+  y += ROW_HEIGHT;
+
+  pdf.text(MARGIN, y, 'Transactions', { size: 13, bold: true });
+  y += 2 * ROW_HEIGHT;
+
+  if (statement.transactions.length === 0) {
+    pdf.text(MARGIN, y, 'No transactions this month.', { gray: 0.4 });
+  } else {
+    tableHeader();
+  }
+
+  statement.transactions.forEach(expense => {
+    if (y > PAGE_HEIGHT - MARGIN - ROW_HEIGHT) {
+      newPage();
+      tableHeader();
+    }
+
+    const cells = [
+      formatDay(expense.date),
+      expense.description,
+      categoryLabel(expense),
+      expense.type,
+      expense.taxTotal ? formatAmount(expense.taxTotal, expense.currency) : '',
+      signedAmount(expense)
+    ];
+
+    let x = MARGIN;
+    COLUMNS.forEach(([, width, align], index) => {
+      const value = truncate(cells[index], width - 8, 9);
+      pdf.text(align === 'right' ? x + width - 4 : x + 4, y, value, { size: 9, align });
+      x += width;
+    });
+    pdf.line(MARGIN, y + 4, right, y + 4, { width: 0.25, gray: 0.85 });
+    y += ROW_HEIGHT;
+  });
+
+  return pdf.toBuffer();
+};
+
+module.exports = { buildStatement, renderStatementPdf };
@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const { createConverter } = require('./currencyConverter');
+const { buildDateRange } = require('../utils/dateRange');
+const { formatCsvRow } = require('../utils/csv');
+const { addDays, periodRange } = require('@expense-tracker/shared/periods');
+const { minorUnitsToInput } = require('@expense-tracker/shared/money');
+
+const TAX_INTERVALS = ['month', 'quarter'];
+const TYPES = ['income', 'expense'];
+const TAX_TYPES = ['flat', 'percentage'];
+
+const invalid = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  throw error;
+};
+
+const emptyFigures = () => ({ count: 0, net: 0, tax: 0, gross: 0 });
+
+const addFigures = (target, figures) => {
+  target.count += figures.count;
+  target.net += figures.net;
+  target.tax += figures.tax;
+  target.gross += figures.gross;
+};
+
+// Net, tax and gross per type ("income" is tax collected, "expense" tax
+// paid) and tax type, with a total for each type
+const emptyBreakdown = () => Object.fromEntries(TYPES.map(type => [type, {
+  ...Object.fromEntries(TAX_TYPES.map(taxType => [taxType, emptyFigures()])),
+  total: emptyFigures()
+}]));
+
+const periodKey = (interval, day) => {
+  if (interval === 'month') return day.slice(0, 7);
+  return `${day.slice(0, 4)}-Q${Math.floor((Number(day.slice(5, 7)) - 1) / 3) + 1}`;
+};
+
+// Tax figures per month or quarter from `from` to `to` (YYYY-MM-DD, both
+// included), in `baseCurrency` at the rate of each transaction's day. Split
+// transactions count line by line, each with its own tax type. Named taxes
+// are rates, so they count as percentage tax. Every month or quarter in the
+// range is listed, empty ones with zeros.
+const buildTaxReport = async (userId, baseCurrency, { interval = 'quarter', from, to }) => {
+  if (!TAX_INTERVALS.includes(interval)) {
+    invalid(`Invalid "interval": ${interval}. Use one of: ${TAX_INTERVALS.join(', ')}`);
+  }
+
+  const periods = [];
+  const byKey = new Map();
+  for (let day = from; day <= to; day = addDays(periodRange(interval, day).to, 1)) {
+    const range = periodRange(interval, day);
+    const period = {
+      period: periodKey(interval, day),
+      // The first and last periods may be cut by the range
+      from: range.from < from ? from : range.from,
+      to: range.to > to ? to : range.to,
+      ...emptyBreakdown()
+    };
+    periods.push(period);
+    byKey.set(period.period, period);
+  }
+
+  const groups = await Expense.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(String(userId)),
+        type: { $in: TYPES },
+        date: buildDateRange({ from, to })
+      }
+    },
+    {
+      $project: {
+        type: 1,
+        currency: 1,
+        day: { $dateToString: { date: '$date', format: '%Y-%m-%d' } },
+        entries: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ['$lineItems', []] } }, 0] },
+            {
+              $map: {
+                input: '$lineItems',
+                as: 'line',
+                in: {
+                  taxType: '$$line.taxType',
+                  net: '$$line.amount',
+                  tax: { $subtract: ['$$line.totalAmount', '$$line.amount'] }
+                }
+              }
+            },
+            [{
+              taxType: {
+                $cond: [{ $gt: [{ $size: { $ifNull: ['$taxes', []] } }, 0] }, 'percentage', '$taxType']
+              },
+              net: '$netAmount',
+              tax: '$taxTotal'
+            }]
+          ]
+        }
+      }
+    },
+    { $unwind: '$entries' },
+    {
+      $group: {
+        _id: { type: '$type', taxType: '$entries.taxType', currency: '$currency', day: '$day' },
+        count: { $sum: 1 },
+        net: { $sum: '$entries.net' },
+        tax: { $sum: '$entries.tax' }
+      }
+    }
+  ]);
+
+  const convert = await createConverter(baseCurrency, groups.map(group => group._id.currency));
+  const unconvertedCurrencies = new Set();
+  const totals = emptyBreakdown();
+
+  groups.forEach(({ _id: { type, taxType, currency, day }, count, net, tax }) => {
+    const date = new Date(day);
+    const converted = { count, net: convert(net, currency, date), tax: convert(tax, currency, date) };
+    if (converted.net === null) {
+      unconvertedCurrencies.add(currency);
+      return;
+    }
+    // Gross from the converted parts so rounding keeps net + tax = gross
+    converted.gross = converted.net + converted.tax;
+
+    const period = byKey.get(periodKey(interval, day));
+    [period, totals].forEach(target => {
+      addFigures(target[type][taxType || 'flat'], converted);
+      addFigures(target[type].total, converted);
+    });
+  });
+
+  return {
+    interval,
+    from,
+    to,
+    baseCurrency,
+    periods,
+    totals,
+    unconvertedCurrencies: [...unconvertedCurrencies]
+  };
+};
+
+// The report as CSV: one row per period, type and tax type, then the totals.
+// Amounts are decimals in the base currency.
+const taxReportCsv = (report) => {
+  const header = ['Period', 'From', 'To', 'Type', 'Tax type', 'Transactions', 'Net', 'Tax', 'Gross'];
+  const rows = [];
+  const addRows = (label, from, to, breakdown) => {
+    TYPES.forEach(type => {
+      [...TAX_TYPES, 'total'].forEach(taxType => {
+        const figures = breakdown[type][taxType];
+        rows.push([
+          label,
+          from,
+          to,
+          type,
+          taxType,
+          figures.count,
+          minorUnitsToInput(figures.net, report.baseCurrency),
+          minorUnitsToInput(figures.tax, report.baseCurrency),
+          minorUnitsToInput(figures.gross, report.baseCurrency)
+        ]);
+      });
+    });
+  };
+
+  report.periods.forEach(period => addRows(period.period, period.from, period.to, period));
+  addRows('Total', report.from, report.to, report.totals);
+
+  // The byte order mark makes Excel read the file as UTF-8
+  return '\uFEFF' + [header, ...rows].map(formatCsvRow).join('');
+};
+
+module.exports = { TAX_INTERVALS, buildTaxReport, taxReportCsv };
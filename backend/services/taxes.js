@@ -0,0 +1,34 @@
+const TaxRate = require('../models/TaxRate');
+
+// Snapshot the named taxes a transaction is charged. Taxes the transaction
+// already carries keep their recorded name and rate, so editing or deleting
+// a TaxRate never rewrites past transactions.
+const resolveTaxes = async (taxRateIds, userId, currentTaxes = []) => {
+  if (!Array.isArray(taxRateIds)) return [];
+
+  return Promise.all(taxRateIds.map(async taxRateId => {
+    const existing = currentTaxes.find(tax => tax.taxRateId && tax.taxRateId.toString() === String(taxRateId));
+    if (existing) {
+      return {
+        taxRateId: existing.taxRateId,
+        name: existing.name,
+        rate: existing.rate,
+        inclusive: existing.inclusive
+      };
+    }
+
+    const taxRate = await TaxRate.findOne({ _id: taxRateId, userId });
+    if (!taxRate) {
+      throw new Error('Tax rate not found');
+    }
+
+    return {
+      taxRateId: taxRate._id,
+      name: taxRate.name,
+      rate: taxRate.rate,
+      inclusive: taxRate.inclusive
+    };
+  }));
+};
+
+module.exports = { resolveTaxes };
@@ -0,0 +1,74 @@
+const Expense = require('../models/Expense');
+const User = require('../models/User');
+const Account = require('../models/Account');
+const Budget = require('../models/Budget');
+const Category = require('../models/Category');
+const Goal = require('../models/Goal');
+const ImportBatch = require('../models/ImportBatch');
+const Payee = require('../models/Payee');
+const RecurringRule = require('../models/RecurringRule');
+const Revision = require('../models/Revision');
+const Rule = require('../models/Rule');
+const TaxRate = require('../models/TaxRate');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const retentionDays = () => parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// When a trashed item will be purged for good
+const purgeDate = (deletedAt) => new Date(deletedAt.getTime() + retentionDays() * DAY_MS);
+
+// A user's transactions go to the trash with them, stamped with the same
+// time, so restoring the user brings back exactly those and not the ones
+// that were already in the trash.
+const trashUser = async (user, at = new Date()) => {
+  await Expense.updateMany({ userId: user._id, deletedAt: null }, { $set: { deletedAt: at } });
+  await user.trash(at);
+};
+
+const restoreUser = async (user) => {
+  await Expense.updateMany({ userId: user._id, deletedAt: user.deletedAt }, { $set: { deletedAt: null } });
+  await user.restore();
+};
+
+// Permanently delete the trashed transactions matching `filter`, which must
+// itself match on deletedAt, along with their revision history
+const purgeExpenses = async (filter) => {
+  const ids = await Expense.find(filter).distinct('_id');
+  await Revision.deleteMany({ expenseId: { $in: ids } });
+  const { deletedCount } = await Expense.deleteMany({ _id: { $in: ids } });
+  return deletedCount;
+};
+
+const purgeUser = async (userId) => {
+  await Expense.deleteMany({ userId });
+  await Revision.deleteMany({ userId });
+  await Account.deleteMany({ userId });
+  await Budget.deleteMany({ userId });
+  await Category.deleteMany({ userId });
+  await Goal.deleteMany({ userId });
+  await ImportBatch.deleteMany({ userId });
+  await Payee.deleteMany({ userId });
+  await RecurringRule.deleteMany({ userId });
+  await Rule.deleteMany({ userId });
+  await TaxRate.deleteMany({ userId });
+  await User.deleteOne({ _id: userId });
+};
+
+// Permanently delete everything that has been in the trash for longer than
+// the retention period
+const purgeExpired = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - retentionDays() * DAY_MS);
+  const expired = { $ne: null, $lte: cutoff };
+
+  const users = await User.find({ deletedAt: expired }).select('_id');
+  for (const user of users) {
+    await purgeUser(user._id);
+  }
+
+  const expenses = await purgeExpenses({ deletedAt: expired });
+
+  return { users: users.length, expenses };
+};
+
+module.exports = { retentionDays, purgeDate, trashUser, restoreUser, purgeExpenses, purgeUser, purgeExpired };
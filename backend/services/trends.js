@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const { createConverter } = require('./currencyConverter');
+const { buildDateRange } = require('../utils/dateRange');
+const { isDay, addDays } = require('@expense-tracker/shared/periods');
+
+const INTERVALS = ['day', 'week', 'month'];
+// How far back a range without `from` starts, per interval
+const DEFAULT_SPAN = { day: 30, week: 12, month: 12 };
+// More points than this make an unreadable chart
+const MAX_BUCKETS = 400;
+
+const invalid = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  throw error;
+};
+
+// The first day of the day, week (weeks start on Monday) or month `day` is in
+const bucketStart = (interval, day) => {
+  if (interval === 'month') return `${day.slice(0, 7)}-01`;
+  if (interval === 'week') {
+    const weekday = (new Date(`${day}T00:00:00Z`).getUTCDay() + 6) % 7;
+    return addDays(day, -weekday);
+  }
+  return day;
+};
+
+const nextBucket = (interval, start) => {
+  if (interval === 'month') {
+    const [year, month] = start.split('-').map(Number);
+    return new Date(Date.UTC(year, month, 1)).toISOString().slice(0, 10);
+  }
+  return addDays(start, interval === 'week' ? 7 : 1);
+};
+
+// `span` intervals back from `to`, so the last bucket is the one with `to`
+const spanBefore = (interval, to, span) => {
+  if (interval === 'month') {
+    const [year, month] = to.split('-').map(Number);
+    return new Date(Date.UTC(year, month - span, 1)).toISOString().slice(0, 10);
+  }
+  return addDays(bucketStart(interval, to), -(interval === 'week' ? 7 : 1) * (span - 1));
+};
+
+const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+};
+
+// Income, expense and net per day, week or month from `from` to `to` (both
+// YYYY-MM-DD and included; by default the last few intervals up to today),
+// in `baseCurrency` at the rate of each day. Every interval in the range is
+// listed, empty ones with zeros, so charts keep an even time axis. Average
+// and median spend are per interval.
+const buildTrends = async (userId, baseCurrency, { interval = 'month', from, to } = {}) => {
+  if (!INTERVALS.includes(interval)) {
+    invalid(`Invalid "interval": ${interval}. Use one of: ${INTERVALS.join(', ')}`);
+  }
+  const end = to || new Date().toISOString().slice(0, 10);
+  const start = from || spanBefore(interval, end, DEFAULT_SPAN[interval]);
+  if (!isDay(start) || !isDay(end)) invalid('"from" and "to" must be dates (YYYY-MM-DD)');
+  if (start > end) invalid('"from" cannot be after "to"');
+
+  const buckets = [];
+  const byStart = new Map();
+  for (let day = bucketStart(interval, start); day <= end; day = nextBucket(interval, day)) {
+    if (buckets.length === MAX_BUCKETS) {
+      invalid(`The range has more than ${MAX_BUCKETS} ${interval}s; pick a longer interval or a shorter range`);
+    }
+    const last = addDays(nextBucket(interval, day), -1);
+    // The first and last weeks or months may be cut by the range
+    const bucket = {
+      start: day < start ? start : day,
+      end: last > end ? end : last,
+      income: 0,
+      expense: 0,
+      net: 0,
+      count: 0
+    };
+    buckets.push(bucket);
+    byStart.set(day, bucket);
+  }
+
+  const days = await Expense.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(String(userId)),
+        // Transfers only move money between accounts
+        type: { $in: ['income', 'expense'] },
+        date: buildDateRange({ from: start, to: end })
+      }
+    },
+    {
+      $group: {
+        _id: { type: '$type', currency: '$currency', day: { $dateToString: { date: '$date', format: '%Y-%m-%d' } } },
+        total: { $sum: '$totalAmount' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const convert = await createConverter(baseCurrency, days.map(group => group._id.currency));
+  const unconvertedCurrencies = new Set();
+
+  days.forEach(({ _id: { type, currency, day }, total, count }) => {
+    const amount = convert(total, currency, new Date(day));
+    if (amount === null) {
+      unconvertedCurrencies.add(currency);
+      return;
+    }
+
+    const bucket = byStart.get(bucketStart(interval, day));
+    bucket[type] += amount;
+    bucket.net = bucket.income - bucket.expense;
+    bucket.count += count;
+  });
+
+  const spend = buckets.map(bucket => bucket.expense);
+  const totalIncome = buckets.reduce((sum, bucket) => sum + bucket.income, 0);
+  const totalExpense = spend.reduce((sum, amount) => sum + amount, 0);
+
+  return {
+    interval,
+    from: start,
+    to: end,
+    baseCurrency,
+    buckets,
+    totalIncome,
+    totalExpense,
+    net: totalIncome - totalExpense,
+    averageSpend: buckets.length ? Math.round(totalExpense / buckets.length) : 0,
+    medianSpend: median(spend),
+    unconvertedCurrencies: [...unconvertedCurrencies]
+  };
+};
+
+module.exports = { INTERVALS, buildTrends };
@@ -0,0 +1,70 @@
+// Minimal RFC 4180 CSV reader: quoted fields may contain the delimiter,
+// newlines and doubled quotes (""). A leading byte order mark is ignored.
+const DELIMITERS = [',', ';', '\t'];
+
+// Spreadsheets in comma-decimal locales export with ";", so pick whichever
+// candidate appears most in the header line
+const detectDelimiter = (text) => {
+  const header = text.split(/\r?\n/, 1)[0];
+  return DELIMITERS.reduce((best, delimiter) =>
+    header.split(delimiter).length > header.split(best).length ? delimiter : best
+  );
+};
+
+const parseCsv = (input, delimiter) => {
+  const text = String(input || '').replace(/^\uFEFF/, '');
+  const separator = delimiter || detectDelimiter(text);
+
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === separator) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Blank lines carry no data
+  return records.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+// One CSV line (with its CRLF). Fields holding the delimiter, quotes or line
+// breaks are quoted; text that a spreadsheet would run as a formula is
+// prefixed with an apostrophe.
+const formatCsvRow = (values) => values.map(value => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}).join(',') + '\r\n';
+
+module.exports = { parseCsv, formatCsvRow };
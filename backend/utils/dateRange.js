@@ -0,0 +1,62 @@
+const { PERIODS, CALENDAR_PERIODS, isDay, periodRange, adjacentRange } = require('@expense-tracker/shared/periods');
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const invalid = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  throw error;
+};
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) invalid(`Invalid "${name}" date: ${value}`);
+  return date;
+};
+
+// Turn `from`/`to` query params into a Mongo condition on `date`.
+// Both ends are inclusive; a bare YYYY-MM-DD `to` covers that whole day.
+const buildDateRange = ({ from, to } = {}) => {
+  if (!from && !to) return null;
+
+  const range = {};
+  if (from) {
+    range.$gte = parseDate(from, 'from');
+  }
+  if (to) {
+    const end = parseDate(to, 'to');
+    if (DATE_ONLY.test(to)) {
+      end.setUTCDate(end.getUTCDate() + 1);
+      range.$lt = end;
+    } else {
+      range.$lte = end;
+    }
+  }
+
+  return range;
+};
+
+// Turn `period` query params into the days it covers and the period before,
+// to compare with: `month`, `quarter` or `year` containing `date` (today by
+// default), or `custom` from `from` to `to`. Returns null without `period`.
+const buildPeriod = ({ period, date, from, to } = {}) => {
+  if (!period) return null;
+  if (!PERIODS.includes(period)) {
+    invalid(`Invalid "period": ${period}. Use one of: ${PERIODS.join(', ')}`);
+  }
+
+  let range;
+  if (CALENDAR_PERIODS.includes(period)) {
+    const day = date || new Date().toISOString().slice(0, 10);
+    if (!isDay(day)) invalid(`Invalid "date": ${day}. Use YYYY-MM-DD`);
+    range = periodRange(period, day);
+  } else {
+    if (!isDay(from) || !isDay(to)) invalid('A custom period needs "from" and "to" dates (YYYY-MM-DD)');
+    if (from > to) invalid('"from" cannot be after "to"');
+    range = { from, to };
+  }
+
+  return { period, ...range, previous: adjacentRange(period, range, -1) };
+};
+
+module.exports = { buildDateRange, buildPeriod };
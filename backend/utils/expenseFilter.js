@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const { buildDateRange } = require('./dateRange');
+const { CURRENCY_EXPONENTS, toMinorUnits } = require('@expense-tracker/shared/money');
+
+const TYPES = ['expense', 'income', 'transfer'];
+const TAX_TYPES = ['flat', 'percentage'];
+
+// Sortable fields, by the name clients use
+const SORT_FIELDS = {
+  date: 'date',
+  amount: 'totalAmount',
+  description: 'description',
+  type: 'type',
+  createdAt: 'createdAt'
+};
+
+const invalid = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  throw error;
+};
+
+const parseAmount = (value, name, currency) => {
+  const minor = toMinorUnits(value, currency);
+  if (Number.isNaN(minor) || minor < 0) invalid(`Invalid "${name}" filter: ${value}`);
+  return minor;
+};
+
+// `minAmount`/`maxAmount` are decimals compared with each transaction's total
+// in its own currency, so "10" means 10.00 USD but also 10 JPY. Currencies
+// are grouped by how many minor units they have.
+const buildAmountCondition = (minAmount, maxAmount) => {
+  const range = (currency) => ({
+    ...(minAmount && { $gte: parseAmount(minAmount, 'minAmount', currency) }),
+    ...(maxAmount && { $lte: parseAmount(maxAmount, 'maxAmount', currency) })
+  });
+
+  const cents = range('USD');
+  if (cents.$gte > cents.$lte) invalid('"minAmount" cannot be more than "maxAmount"');
+
+  const byExponent = {};
+  Object.entries(CURRENCY_EXPONENTS).forEach(([currency, exponent]) => {
+    byExponent[exponent] = [...(byExponent[exponent] || []), currency];
+  });
+
+  return [
+    { currency: { $nin: Object.keys(CURRENCY_EXPONENTS) }, totalAmount: cents },
+    ...Object.values(byExponent).map(currencies => ({
+      currency: { $in: currencies },
+      totalAmount: range(currencies[0])
+    }))
+  ];
+};
+
+// Mongo conditions for the transaction filters shared by the list, export and
+// bulk endpoints: `from`/`to` dates, `type`, `categoryId` ("none" for
+// uncategorized), `payeeId` (likewise), `minAmount`/`maxAmount`, `taxType`
+// and `search` (full-text over descriptions, including line items). Unknown
+// keys are ignored.
+const buildExpenseFilter = ({ from, to, type, categoryId, payeeId, minAmount, maxAmount, taxType, search } = {}) => {
+  const filter = {};
+
+  const dateRange = buildDateRange({ from, to });
+  if (dateRange) filter.date = dateRange;
+
+  if (type) {
+    if (!TYPES.includes(type)) invalid(`Invalid "type" filter: ${type}`);
+    filter.type = type;
+  }
+
+  if (categoryId) {
+    if (categoryId === 'none') {
+      filter.categoryId = null;
+    } else if (mongoose.isValidObjectId(categoryId)) {
+      filter.categoryId = categoryId;
+    } else {
+      invalid(`Invalid "categoryId" filter: ${categoryId}`);
+    }
+  }
+
+  if (payeeId) {
+    if (payeeId === 'none') {
+      filter.payeeId = null;
+    } else if (mongoose.isValidObjectId(payeeId)) {
+      filter.payeeId = payeeId;
+    } else {
+      invalid(`Invalid "payeeId" filter: ${payeeId}`);
+    }
+  }
+
+  if (minAmount || maxAmount) {
+    filter.$or = buildAmountCondition(minAmount, maxAmount);
+  }
+
+  if (taxType) {
+    if (!TAX_TYPES.includes(taxType)) invalid(`Invalid "taxType" filter: ${taxType}`);
+    filter.taxType = taxType;
+  }
+
+  if (search && String(search).trim()) {
+    filter.$text = { $search: String(search).trim() };
+  }
+
+  return filter;
+};
+
+// Sort for `sort` (a field name above) and `order` ("asc" or "desc"). Ties
+// are broken by _id, which is unique, so cursor pages stay stable.
+const buildExpenseSort = ({ sort = 'date', order } = {}) => {
+  if (!SORT_FIELDS[sort]) {
+    invalid(`Invalid "sort": ${sort}. Use one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+  }
+  if (order && !['asc', 'desc'].includes(order)) {
+    invalid(`Invalid "order": ${order}. Use asc or desc`);
+  }
+
+  // Text sorts A-Z by default, everything else newest/largest first
+  const direction = (order || (sort === 'description' ? 'asc' : 'desc')) === 'asc' ? 1 : -1;
+  return { [SORT_FIELDS[sort]]: direction, _id: direction };
+};
+
+module.exports = { SORT_FIELDS, buildExpenseFilter, buildExpenseSort };
@@ -0,0 +1,23 @@
+// The pieces a transaction contributes to reports: one entry per line item
+// for split transactions, otherwise the transaction itself. Each entry has
+// its own category, total and tax so per-category figures count lines
+// separately.
+const expandLineItems = (expense) => {
+  if (expense.lineItems && expense.lineItems.length > 0) {
+    return expense.lineItems.map(line => ({
+      description: line.description || expense.description,
+      categoryId: line.categoryId,
+      totalAmount: line.totalAmount,
+      taxTotal: (line.totalAmount || 0) - (line.amount || 0)
+    }));
+  }
+
+  return [{
+    description: expense.description,
+    categoryId: expense.categoryId,
+    totalAmount: expense.totalAmount,
+    taxTotal: expense.taxTotal || 0
+  }];
+};
+
+module.exports = { expandLineItems };
@@ -0,0 +1,72 @@
+// Reader for OFX/QFX bank statements. OFX 1.x is SGML, where leaf elements
+// such as <TRNAMT>-12.50 have no closing tag; OFX 2.x is XML. Both are read by
+// looking for the same tags, so either version (and the loose dialects some
+// banks produce) parses the same way.
+
+const ENTITIES = { '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': "'", '&nbsp;': ' ', '&amp;': '&' };
+
+const decodeEntities = (text) => text.replace(/&(?:lt|gt|quot|apos|nbsp|amp);/g, entity => ENTITIES[entity]);
+
+// Text of the first <TAG> leaf in a block, with or without a closing tag
+const leaf = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? decodeEntities(match[1].trim()) : '';
+};
+
+// Chunks that start with <TAG>; aggregates are closed in every dialect seen
+// in practice, but the next opening tag ends a chunk too
+const blocks = (text, tag, endTags) => text
+  .split(new RegExp(`<${tag}>`, 'i'))
+  .slice(1)
+  .map(chunk => chunk.split(new RegExp(`</(?:${[tag, ...endTags].join('|')})>`, 'i'))[0]);
+
+// "20240131", "20240131120000" and "20240131120000.000[-5:EST]" all name the
+// bank's posting day; the time and zone are dropped
+const parseOfxDate = (value) => {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+  if (!match) return null;
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date;
+};
+
+// Every transaction in the file, across all of its bank and credit card
+// statements. Amounts stay as the bank wrote them; a negative amount is money
+// leaving the account.
+const parseOfx = (input) => {
+  const text = String(input || '').replace(/^\uFEFF/, '');
+  if (!/<OFX>/i.test(text)) {
+    throw new Error('This is not an OFX file');
+  }
+
+  const statements = blocks(text, '(?:CC)?STMTRS', []);
+  const transactions = [];
+  let currency = '';
+
+  statements.forEach(statement => {
+    const statementCurrency = leaf(statement, 'CURDEF');
+    const account = leaf(statement, 'ACCTID');
+    currency = currency || statementCurrency;
+
+    blocks(statement, 'STMTTRN', ['BANKTRANLIST']).forEach(block => {
+      const dateText = leaf(block, 'DTPOSTED') || leaf(block, 'DTUSER');
+      transactions.push({
+        id: leaf(block, 'FITID'),
+        account,
+        currency: statementCurrency,
+        date: parseOfxDate(dateText),
+        dateText,
+        amount: leaf(block, 'TRNAMT'),
+        payee: leaf(block, 'NAME'),
+        memo: leaf(block, 'MEMO'),
+        number: leaf(block, 'CHECKNUM')
+      });
+    });
+  });
+
+  return { currency, transactions };
+};
+
+module.exports = { parseOfx };
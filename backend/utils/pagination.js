@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+const invalid = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  throw error;
+};
+
+const parseLimit = (value) => {
+  const limit = parseInt(value) || DEFAULT_LIMIT;
+  return Math.min(Math.max(limit, 1), MAX_LIMIT);
+};
+
+// The sorted field of a `sort` built by buildExpenseSort; the other key is
+// the `_id` tiebreak
+const sortField = (sort) => Object.keys(sort).find(key => key !== '_id');
+
+// A cursor is the sort position of the last row a client has seen, as
+// base64url JSON: the sorted field, its value there and the row's _id. Dates
+// are marked so they compare as dates again.
+const encodeCursor = (doc, sort) => {
+  const field = sortField(sort);
+  const value = doc[field];
+  const position = {
+    f: field,
+    v: value instanceof Date ? { $date: value.toISOString() } : value,
+    id: doc._id.toString()
+  };
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+};
+
+const decodeCursor = (cursor, sort) => {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    invalid('Invalid cursor');
+  }
+
+  if (!position || !mongoose.isValidObjectId(position.id) || !('v' in position)) {
+    invalid('Invalid cursor');
+  }
+  // A cursor only makes sense for the order it was issued in
+  if (position.f !== sortField(sort)) {
+    invalid('The cursor belongs to a different sort order; start again without it');
+  }
+
+  const value = position.v && position.v.$date ? new Date(position.v.$date) : position.v;
+  if (value instanceof Date && Number.isNaN(value.getTime())) invalid('Invalid cursor');
+
+  return { value, id: new mongoose.Types.ObjectId(position.id) };
+};
+
+// `filter` narrowed to the rows after `cursor` in `sort` order. Rows with the
+// same sort value are ordered by _id, so every row comes exactly once even
+// while new ones are being added.
+const applyCursor = (filter, sort, cursor) => {
+  if (!cursor) return filter;
+
+  const field = sortField(sort);
+  const { value, id } = decodeCursor(cursor, sort);
+  const after = sort[field] === 1 ? '$gt' : '$lt';
+  const afterId = sort._id === 1 ? '$gt' : '$lt';
+
+  return {
+    ...filter,
+    $and: [
+      ...(filter.$and || []),
+      { $or: [{ [field]: { [after]: value } }, { [field]: value, _id: { [afterId]: id } }] }
+    ]
+  };
+};
+
+// Run `query` (already filtered and sorted) for one page. One extra row is
+// read to know whether there is another page.
+const fetchPage = async (query, sort, limit) => {
+  const docs = await query.sort(sort).limit(limit + 1);
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    items,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], sort) : null
+  };
+};
+
+module.exports = { parseLimit, applyCursor, fetchPage };
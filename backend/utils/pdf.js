@@ -0,0 +1,155 @@
+const zlib = require('zlib');
+
+// Minimal PDF writer for text reports: A4 pages, the built-in Helvetica fonts
+// (so nothing is embedded), text and rules. Coordinates are in points from
+// the top-left corner of the page.
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+// Glyph widths (per 1000 units of font size) for characters 32-126, from the
+// Adobe font metrics of Helvetica and Helvetica-Bold
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+const DEFAULT_WIDTH = 556;
+
+// The fonts use WinAnsiEncoding, which matches Latin-1 apart from a few
+// characters such as the euro sign; anything else prints as "?"
+const encodeText = (text) => Buffer.from([...String(text)].map(char => {
+  const code = char.codePointAt(0);
+  if (char === '\u20ac') return 0x80;
+  if ((code >= 32 && code <= 126) || (code >= 0xa0 && code <= 0xff)) return code;
+  return 0x3f;
+}));
+
+const escapeText = (text) => [...encodeText(text)].map(byte => {
+  if (byte === 0x28 || byte === 0x29 || byte === 0x5c) return `\\${String.fromCharCode(byte)}`;
+  if (byte > 126) return `\\${byte.toString(8).padStart(3, '0')}`;
+  return String.fromCharCode(byte);
+}).join('');
+
+const textWidth = (text, size, bold = false) => {
+  const widths = bold ? WIDTHS.bold : WIDTHS.regular;
+  const units = [...String(text)].reduce((sum, char) => {
+    const code = char.codePointAt(0);
+    return sum + (code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_WIDTH);
+  }, 0);
+  return (units * size) / 1000;
+};
+
+// Shorten text with "..." until it fits `width`
+const truncate = (text, width, size, bold = false) => {
+  let value = String(text);
+  if (textWidth(value, size, bold) <= width) return value;
+  while (value.length > 0 && textWidth(`${value}...`, size, bold) > width) {
+    value = value.slice(0, -1);
+  }
+  return `${value}...`;
+};
+
+const number = (value) => Number(value.toFixed(2)).toString();
+
+const createPdf = ({ title = '' } = {}) => {
+  const pages = [];
+  let current = null;
+
+  const addPage = () => {
+    current = [];
+    pages.push(current);
+  };
+
+  // `align` is 'left', 'right' (x is the right edge) or 'center'
+  const text = (x, y, value, { size = 10, bold = false, align = 'left', gray = 0 } = {}) => {
+    const width = textWidth(value, size, bold);
+    const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+    current.push(`BT ${number(gray)} g /${bold ? 'F2' : 'F1'} ${size} Tf `
+      + `1 0 0 1 ${number(left)} ${number(PAGE_HEIGHT - y)} Tm (${escapeText(value)}) Tj ET`);
+  };
+
+  const line = (x1, y1, x2, y2, { width = 0.5, gray = 0.6 } = {}) => {
+    current.push(`${number(gray)} G ${number(width)} w ${number(x1)} ${number(PAGE_HEIGHT - y1)} m `
+      + `${number(x2)} ${number(PAGE_HEIGHT - y2)} l S`);
+  };
+
+  const fillRect = (x, y, width, height, { gray = 0.93 } = {}) => {
+    current.push(`${number(gray)} g ${number(x)} ${number(PAGE_HEIGHT - y - height)} `
+      + `${number(width)} ${number(height)} re f`);
+  };
+
+  const toBuffer = () => {
+    const objects = [];
+    const addObject = (content) => {
+      objects.push(content);
+      return objects.length;
+    };
+
+    const catalog = addObject(null);
+    const pageTree = addObject(null);
+    const regular = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    const bold = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+    const info = addObject(`<< /Title (${escapeText(title)}) /Producer (Expense Tracker) >>`);
+
+    const pageIds = pages.map(operations => {
+      const stream = zlib.deflateSync(Buffer.from(operations.join('\n'), 'latin1'));
+      const contents = addObject(Buffer.concat([
+        Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`),
+        stream,
+        Buffer.from('\nendstream')
+      ]));
+      return addObject(`<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+        + `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${contents} 0 R >>`);
+    });
+
+    objects[catalog - 1] = `<< /Type /Catalog /Pages ${pageTree} 0 R >>`;
+    objects[pageTree - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    let length = chunks[0].length;
+    const offsets = objects.map((content, index) => {
+      const offset = length;
+      const body = Buffer.concat([
+        Buffer.from(`${index + 1} 0 obj\n`),
+        Buffer.isBuffer(content) ? content : Buffer.from(content, 'latin1'),
+        Buffer.from('\nendobj\n')
+      ]);
+      chunks.push(body);
+      length += body.length;
+      return offset;
+    });
+
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>`,
+      'startxref',
+      String(length),
+      '%%EOF'
+    ].join('\n');
+    chunks.push(Buffer.from(`${xref}\n`));
+
+    return Buffer.concat(chunks);
+  };
+
+  return { addPage, text, line, fillRect, toBuffer };
+};
+
+module.exports = { PAGE_WIDTH, PAGE_HEIGHT, createPdf, textWidth, truncate };
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+
+// Reader for QIF (Quicken Interchange Format) statements: one "CODEvalue"
+// line per field, "^" ending each record. QIF has no transaction ids and its
+// dates have no fixed order, so callers say whether the day comes first.
+
+// "12/31/2024", "12/31/24", "1/ 5'24" (Quicken's 2000s years), "31.12.2024"
+// and "2024-12-31" all parse
+const parseQifDate = (value, dayFirst) => {
+  const text = value.replace(/\s/g, '');
+  let year;
+  let month;
+  let day;
+
+  const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (iso) {
+    [year, month, day] = iso.slice(1).map(Number);
+  } else {
+    const match = text.match(/^(\d{1,2})[/.-](\d{1,2})(['/.-])(\d{2}|\d{4})$/);
+    if (!match) return null;
+
+    const [first, second] = [Number(match[1]), Number(match[2])];
+    [day, month] = dayFirst ? [first, second] : [second, first];
+    year = Number(match[4]);
+    if (match[4].length === 2) {
+      year += match[3] === "'" || year < 70 ? 2000 : 1900;
+    }
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date;
+};
+
+// A stable id for a transaction, so importing the same file twice finds the
+// same ids. Identical transactions in one file are told apart by their order.
+const transactionId = (record, seen) => {
+  const key = [record.dateText, record.amount, record.payee, record.number].join('|');
+  const occurrence = seen.get(key) || 0;
+  seen.set(key, occurrence + 1);
+  return crypto.createHash('sha1').update(`${key}|${occurrence}`).digest('hex').slice(0, 24);
+};
+
+// Every transaction in the file. Account headers (!Account) name the account
+// of the transactions after them; investment and list sections are skipped.
+const parseQif = (input, { dayFirst = false } = {}) => {
+  const lines = String(input || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+  if (!lines.some(line => /^!Type:/i.test(line.trim()))) {
+    throw new Error('This is not a QIF file');
+  }
+
+  const transactions = [];
+  const seen = new Map();
+  let section = null;
+  let account = '';
+  let record = {};
+
+  const finishRecord = () => {
+    if (section === 'account') {
+      account = record.payee || account;
+    } else if (section === 'transactions' && (record.dateText || record.amount)) {
+      transactions.push({
+        ...record,
+        id: transactionId(record, seen),
+        account,
+        date: parseQifDate(record.dateText || '', dayFirst)
+      });
+    }
+    record = {};
+  };
+
+  lines.forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line.startsWith('!')) {
+      if (/^!Account/i.test(line)) {
+        section = 'account';
+      } else if (/^!Type:(Bank|Cash|CCard|Oth ?A|Oth ?L)/i.test(line)) {
+        section = 'transactions';
+      } else if (!/^!Option|^!Clear/i.test(line)) {
+        section = null;
+      }
+      return;
+    }
+
+    const code = line[0];
+    const value = line.slice(1).trim();
+
+    if (code === '^') {
+      finishRecord();
+    } else if (code === 'D') {
+      record.dateText = value;
+    } else if (code === 'T' || (code === 'U' && !record.amount)) {
+      record.amount = value;
+    } else if (code === 'P' || (code === 'N' && section === 'account')) {
+      record.payee = value;
+    } else if (code === 'M') {
+      record.memo = value;
+    } else if (code === 'N') {
+      record.number = value;
+    } else if (code === 'L') {
+      record.category = value;
+    }
+  });
+  // The last record often has no closing "^"
+  finishRecord();
+
+  return { transactions };
+};
+
+module.exports = { parseQif };
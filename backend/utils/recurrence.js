@@ -0,0 +1,92 @@
+// Occurrence dates for recurring rules. Dates are calendar days stored as
+// UTC midnight, like transaction dates.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Safety net for rules with neither an end date nor a count
+const MAX_SCAN = 10000;
+
+const startOfUTCDay = (value) => {
+  const date = new Date(value);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Adding months keeps the start date's day where possible and otherwise uses
+// the last day of the month (a rule starting Jan 31 falls on Feb 28/29).
+const addMonths = (start, months) => {
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth() + months;
+  const targetYear = year + Math.floor(month / 12);
+  const targetMonth = ((month % 12) + 12) % 12;
+  const day = Math.min(start.getUTCDate(), daysInMonth(targetYear, targetMonth));
+  return new Date(Date.UTC(targetYear, targetMonth, day));
+};
+
+// Date of the index-th occurrence (0 is the start date), ignoring end bounds
+const occurrenceDate = (rule, index) => {
+  const start = startOfUTCDay(rule.startDate);
+  const steps = index * (rule.interval || 1);
+
+  switch (rule.frequency) {
+    case 'daily':
+      return new Date(start.getTime() + steps * DAY_MS);
+    case 'weekly':
+      return new Date(start.getTime() + steps * 7 * DAY_MS);
+    case 'monthly':
+      return addMonths(start, steps);
+    case 'yearly':
+      return addMonths(start, steps * 12);
+    default:
+      throw new Error(`Unknown frequency: ${rule.frequency}`);
+  }
+};
+
+// Whether the index-th occurrence is still inside the rule's end date / count
+const isWithinBounds = (rule, index) => {
+  if (rule.count && index >= rule.count) return false;
+  if (rule.endDate && occurrenceDate(rule, index) > startOfUTCDay(rule.endDate)) return false;
+  return index < MAX_SCAN;
+};
+
+// Index of the occurrence falling on `date`, or -1 if the rule has none that day
+const findOccurrenceIndex = (rule, date) => {
+  const target = startOfUTCDay(date).getTime();
+
+  for (let index = 0; isWithinBounds(rule, index); index++) {
+    const time = occurrenceDate(rule, index).getTime();
+    if (time === target) return index;
+    if (time > target) break;
+  }
+
+  return -1;
+};
+
+// First occurrence index strictly after `date`
+const indexAfter = (rule, date) => {
+  const target = startOfUTCDay(date).getTime();
+  let index = 0;
+  while (isWithinBounds(rule, index) && occurrenceDate(rule, index).getTime() <= target) {
+    index++;
+  }
+  return index;
+};
+
+// Up to `limit` occurrences starting at `fromIndex`
+const listOccurrences = (rule, fromIndex, limit) => {
+  const occurrences = [];
+  for (let index = fromIndex; occurrences.length < limit && isWithinBounds(rule, index); index++) {
+    occurrences.push({ index, date: occurrenceDate(rule, index) });
+  }
+  return occurrences;
+};
+
+module.exports = {
+  startOfUTCDay,
+  occurrenceDate,
+  isWithinBounds,
+  findOccurrenceIndex,
+  indexAfter,
+  listOccurrences
+};
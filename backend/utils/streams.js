@@ -0,0 +1,21 @@
+const { once } = require('events');
+
+// Write to a stream with backpressure. Throws once the stream is gone (e.g.
+// the client hung up on a download) so producers stop instead of waiting for
+// a 'drain' that never comes.
+const writeChunk = async (output, chunk) => {
+  if (output.destroyed) {
+    throw new Error('The output stream was closed');
+  }
+  if (output.write(chunk)) return;
+
+  const controller = new AbortController();
+  const { signal } = controller;
+  try {
+    await Promise.race([once(output, 'drain', { signal }), once(output, 'close', { signal })]);
+  } finally {
+    controller.abort();
+  }
+};
+
+module.exports = { writeChunk };
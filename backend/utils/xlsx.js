@@ -0,0 +1,179 @@
+const zlib = require('zlib');
+const { writeChunk } = require('./streams');
+
+// Minimal streaming XLSX writer: a single worksheet, written row by row into a
+// zip archive, so exports of any size never sit in memory. Columns are
+// { header, type } with type 'string', 'number' or 'date'.
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const STATIC_FILES = {
+  '[Content_Types].xml': `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+    + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+    + '</Types>',
+  '_rels/.rels': `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+    + '</Relationships>',
+  'xl/_rels/workbook.xml.rels': `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+    + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+    + '</Relationships>',
+  // Style 1 is a bold header cell, style 2 a date
+  'xl/styles.xml': `${XML_HEADER}<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">`
+    + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+    + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+    + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+    + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+    + '<cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+    + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+    + '<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>'
+    + '</styleSheet>'
+};
+
+const workbookXml = (sheetName) => `${XML_HEADER}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" `
+  + 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+  + `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`;
+
+// Characters XML 1.0 does not allow at all are dropped
+const escapeXml = (text) => String(text)
+  .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Spreadsheet dates are days since 1899-12-30
+const toSerialDate = (date) => date.getTime() / 86400000 + 25569;
+
+const cellXml = (value, type, style) => {
+  if (value === null || value === undefined || value === '') return '<c/>';
+  if (type === 'number') return `<c><v>${value}</v></c>`;
+  if (type === 'date') return `<c s="2"><v>${toSerialDate(value)}</v></c>`;
+  return `<c t="inlineStr"${style ? ` s="${style}"` : ''}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+const rowXml = (cells) => `<row>${cells.join('')}</row>`;
+
+// Zip archive written straight to `output`. Sizes and checksums follow each
+// entry's data (general purpose flag bit 3), so entries can be streamed.
+const createZipWriter = (output) => {
+  const entries = [];
+  let offset = 0;
+
+  const write = async (buffer) => {
+    offset += buffer.length;
+    await writeChunk(output, buffer);
+  };
+
+  const localHeader = (name) => {
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(0x0808, 6); // data descriptor + UTF-8 names
+    header.writeUInt16LE(8, 8); // deflate
+    header.writeUInt16LE(Buffer.byteLength(name), 26);
+    return Buffer.concat([header, Buffer.from(name)]);
+  };
+
+  // Returns a writer for one entry's content; `end()` finishes the entry
+  const addEntry = async (name) => {
+    const entry = { name, offset, crc: 0, size: 0, compressedSize: 0 };
+    entries.push(entry);
+    await write(localHeader(name));
+
+    const deflate = zlib.createDeflateRaw();
+    const finished = (async () => {
+      for await (const chunk of deflate) {
+        entry.compressedSize += chunk.length;
+        await write(chunk);
+      }
+    })();
+    // A failed write is reported by end(); until then don't let it go unhandled
+    finished.catch(() => {});
+
+    return {
+      write: async (text) => {
+        const chunk = Buffer.from(text);
+        entry.crc = zlib.crc32(chunk, entry.crc);
+        entry.size += chunk.length;
+        await writeChunk(deflate, chunk);
+      },
+      end: async () => {
+        deflate.end();
+        await finished;
+
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(entry.crc, 4);
+        descriptor.writeUInt32LE(entry.compressedSize, 8);
+        descriptor.writeUInt32LE(entry.size, 12);
+        await write(descriptor);
+      }
+    };
+  };
+
+  const addFile = async (name, content) => {
+    const entry = await addEntry(name);
+    await entry.write(content);
+    await entry.end();
+  };
+
+  const finish = async () => {
+    const directoryOffset = offset;
+    for (const entry of entries) {
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014b50, 0);
+      record.writeUInt16LE(20, 4);
+      record.writeUInt16LE(20, 6);
+      record.writeUInt16LE(0x0808, 8);
+      record.writeUInt16LE(8, 10);
+      record.writeUInt32LE(entry.crc, 16);
+      record.writeUInt32LE(entry.compressedSize, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(Buffer.byteLength(entry.name), 28);
+      record.writeUInt32LE(entry.offset, 42);
+      await write(Buffer.concat([record, Buffer.from(entry.name)]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - directoryOffset, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+    await write(end);
+  };
+
+  return { addEntry, addFile, finish };
+};
+
+// Write a workbook to `output` with a header row, then one row per array of
+// values from the (async) iterable `rows`
+const writeXlsx = async (output, columns, rows, { sheetName = 'Sheet1' } = {}) => {
+  const zip = createZipWriter(output);
+
+  for (const [name, content] of Object.entries(STATIC_FILES)) {
+    await zip.addFile(name, content);
+  }
+  await zip.addFile('xl/workbook.xml', workbookXml(sheetName));
+
+  const sheet = await zip.addEntry('xl/worksheets/sheet1.xml');
+  await sheet.write(`${XML_HEADER}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">`
+    + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    + '<sheetData>');
+  await sheet.write(rowXml(columns.map(column => cellXml(column.header, 'string', 1))));
+
+  for await (const values of rows) {
+    await sheet.write(rowXml(values.map((value, i) => cellXml(value, columns[i].type))));
+  }
+
+  await sheet.write('</sheetData></worksheet>');
+  await sheet.end();
+  await zip.finish();
+};
+
+module.exports = { writeXlsx };
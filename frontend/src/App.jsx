@@ -12,6 +12,16 @@ import Dashboard from "./pages/Dashboard";
 import AdminDashboard from "./pages/AdminDashboard";
 import AddExpense from "./pages/AddExpense";
 import EditExpense from "./pages/EditExpense";
+import Recurring from "./pages/Recurring";
+import Accounts from "./pages/Accounts";
+import Budgets from "./pages/Budgets";
+import Goals from "./pages/Goals";
+import TaxRates from "./pages/TaxRates";
+import TaxReport from "./pages/TaxReport";
+import Payees from "./pages/Payees";
+import Rules from "./pages/Rules";
+import Trash from "./pages/Trash";
+import Import from "./pages/Import";
 
 const ProtectedRoute = ({ children, adminOnly = false }) => {
   const { user, loading } = useAuth();
@@ -78,6 +88,96 @@ function App() {
               }
             />
             
+            <Route
+              path="/recurring"
+              element={
+                <ProtectedRoute>
+                  <Recurring />
+                </ProtectedRoute>
+              }
+            />
+            
+            <Route
+              path="/accounts"
+              element={
+                <ProtectedRoute>
+                  <Accounts />
+                </ProtectedRoute>
+              }
+            />
+            
+            <Route
+              path="/budgets"
+              element={
+                <ProtectedRoute>
+                  <Budgets />
+                </ProtectedRoute>
+              }
+            />
+            
+            <Route
+              path="/goals"
+              element={
+                <ProtectedRoute>
+                  <Goals />
+                </ProtectedRoute>
+              }
+            />
+            
+            <Route
+              path="/tax-rates"
+              element={
+                <ProtectedRoute>
+                  <TaxRates />
+                </ProtectedRoute>
+              }
+            />
+            
+            <Route
+              path="/tax-report"
+              element={
+                <ProtectedRoute>
+                  <TaxReport />
+                </ProtectedRoute>
+              }
+            />
+            
+            <Route
+              path="/payees"
+              element={
+                <ProtectedRoute>
+                  <Payees />
+                </ProtectedRoute>
+              }
+            />
+            
+            <Route
+              path="/rules"
+              element={
+                <ProtectedRoute>
+                  <Rules />
+                </ProtectedRoute>
+              }
+            />
+            
+            <Route
+              path="/trash"
+              element={
+                <ProtectedRoute>
+                  <Trash />
+                </ProtectedRoute>
+              }
+            />
+            
+            <Route
+              path="/import"
+              element={
+                <ProtectedRoute>
+                  <Import />
+                </ProtectedRoute>
+              }
+            />
+            
             {/* Root redirect */}
             <Route path="/" element={<Navigate to="/dashboard" />} />
             
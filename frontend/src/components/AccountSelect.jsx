@@ -0,0 +1,26 @@
+import React from "react";
+
+// Account picker; `exclude` hides one account, e.g. the other end of a transfer
+const AccountSelect = ({
+  accounts,
+  value,
+  onChange,
+  name = "accountId",
+  disabled,
+  required,
+  exclude,
+  emptyLabel = "No account",
+}) => (
+  <select name={name} value={value || ""} onChange={onChange} disabled={disabled} required={required}>
+    <option value="">{emptyLabel}</option>
+    {accounts
+      .filter((account) => account._id !== exclude)
+      .map((account) => (
+        <option key={account._id} value={account._id}>
+          {account.name} ({account.currency})
+        </option>
+      ))}
+  </select>
+);
+
+export default AccountSelect;
@@ -0,0 +1,45 @@
+import React from "react";
+import ChartAxes from "./ChartAxes";
+import ChartLegend from "./ChartLegend";
+import { CHART_WIDTH, CHART_HEIGHT, CHART_MARGIN, buildScale } from "../utils/charts";
+import "./Charts.css";
+
+// Grouped bars, one group per label and one bar per series. `series` is
+// [{ name, color, values }] with a value for every label; negative values
+// hang below the zero line.
+const BarChart = ({ title, labels, series, formatValue, formatTooltip = formatValue }) => {
+  const scale = buildScale(series.flatMap((item) => item.values));
+  const groupWidth = (CHART_WIDTH - CHART_MARGIN.left - CHART_MARGIN.right) / Math.max(labels.length, 1);
+  const barWidth = (groupWidth * 0.8) / series.length;
+  const xFor = (index) => CHART_MARGIN.left + groupWidth * (index + 0.5);
+  const zero = scale.y(0);
+
+  return (
+    <figure className="chart">
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} role="img" aria-label={title}>
+        <ChartAxes scale={scale} labels={labels} xFor={xFor} formatValue={formatValue} />
+        {labels.map((label, index) =>
+          series.map((item, seriesIndex) => {
+            const value = item.values[index];
+            const y = scale.y(value);
+            return (
+              <rect
+                key={`${index}-${item.name}`}
+                x={xFor(index) - (groupWidth * 0.8) / 2 + barWidth * seriesIndex}
+                y={Math.min(y, zero)}
+                width={Math.max(barWidth - 1, 1)}
+                height={Math.abs(zero - y)}
+                fill={item.color}
+              >
+                <title>{`${label} · ${item.name}: ${formatTooltip(value)}`}</title>
+              </rect>
+            );
+          })
+        )}
+      </svg>
+      <ChartLegend title={title} series={series} />
+    </figure>
+  );
+};
+
+export default BarChart;
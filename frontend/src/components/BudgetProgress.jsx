@@ -0,0 +1,47 @@
+import React from "react";
+import { formatMoney } from "../utils/money";
+import { formatDate } from "../utils/date";
+import "./BudgetProgress.css";
+
+// Progress bar for one budget as reported by /api/budgets. The bar turns red
+// once spending passes the budget and amber when it is on course to.
+const BudgetProgress = ({ budget }) => {
+  const { currency } = budget;
+  const percent = budget.available > 0 ? Math.min((budget.spent / budget.available) * 100, 100) : 100;
+  const status = budget.exceeded ? "over" : budget.projected > budget.available ? "warning" : "";
+
+  return (
+    <div className={`budget-progress ${status}`}>
+      <div className="budget-progress-label">
+        <span>
+          <strong>{budget.name}</strong>
+          <small>
+            {budget.categoryId?.name || "All expenses"} · {formatDate(budget.periodStart)} – {formatDate(budget.periodEnd)}
+          </small>
+        </span>
+        <span>
+          {formatMoney(budget.spent, currency)} / {formatMoney(budget.available, currency)}
+        </span>
+      </div>
+      <div className="budget-bar">
+        <div className="budget-bar-fill" style={{ width: `${percent}%` }} />
+      </div>
+      <div className="budget-progress-notes">
+        <span>
+          {budget.remaining >= 0
+            ? `${formatMoney(budget.remaining, currency)} left`
+            : `${formatMoney(-budget.remaining, currency)} over budget`}
+        </span>
+        <span>Projected: {formatMoney(budget.projected, currency)}</span>
+        {budget.rolledOver !== 0 && (
+          <span>
+            {budget.rolledOver > 0 ? "+" : "−"}
+            {formatMoney(Math.abs(budget.rolledOver), currency)} rolled over
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BudgetProgress;
@@ -0,0 +1,106 @@
+import React, { useState } from "react";
+import CategorySelect from "./CategorySelect";
+import "./BulkActionBar.css";
+
+const ACTION_LABELS = {
+  delete: "Move to trash",
+  changeType: "Change type",
+  changeCategory: "Change category",
+  shiftDate: "Shift date",
+};
+
+// Actions for the selected transactions, and the per-item report of the last
+// run. `onApply` gets { action, type, categoryId, days } and returns the
+// report from POST /api/expenses/bulk.
+const BulkActionBar = ({
+  selectedLabel,
+  actions = Object.keys(ACTION_LABELS),
+  categories = [],
+  onApply,
+  onClear,
+  report,
+  busy,
+}) => {
+  const [action, setAction] = useState(actions[0]);
+  const [type, setType] = useState("expense");
+  const [categoryId, setCategoryId] = useState("");
+  const [days, setDays] = useState("1");
+
+  const handleApply = () => {
+    if (action === "delete" && !window.confirm(`Move ${selectedLabel} to the trash?`)) {
+      return;
+    }
+    onApply({ action, type, categoryId: categoryId || null, days: parseInt(days, 10) });
+  };
+
+  const failures = report ? report.results.filter((result) => !result.success) : [];
+
+  return (
+    <div className="bulk-action-bar">
+      {selectedLabel && (
+        <div className="bulk-controls">
+          <span className="bulk-count">{selectedLabel} selected</span>
+          <select value={action} onChange={(e) => setAction(e.target.value)} disabled={busy}>
+            {actions.map((name) => (
+              <option key={name} value={name}>
+                {ACTION_LABELS[name]}
+              </option>
+            ))}
+          </select>
+
+          {(action === "changeType" || action === "changeCategory") && (
+            <select value={type} onChange={(e) => { setType(e.target.value); setCategoryId(""); }} disabled={busy}>
+              <option value="expense">Expense</option>
+              <option value="income">Income</option>
+            </select>
+          )}
+
+          {action === "changeCategory" && (
+            <CategorySelect
+              categories={categories}
+              type={type}
+              value={categoryId}
+              onChange={(e) => setCategoryId(e.target.value)}
+              disabled={busy}
+            />
+          )}
+
+          {action === "shiftDate" && (
+            <label className="bulk-days">
+              by
+              <input type="number" value={days} onChange={(e) => setDays(e.target.value)} step="1" disabled={busy} />
+              days
+            </label>
+          )}
+
+          <button type="button" className="bulk-apply" onClick={handleApply} disabled={busy}>
+            {busy ? "Working..." : "Apply"}
+          </button>
+          <button type="button" className="bulk-clear" onClick={onClear} disabled={busy}>
+            Clear
+          </button>
+        </div>
+      )}
+
+      {report && (
+        <div className={`bulk-report ${report.failed > 0 ? "has-failures" : ""}`}>
+          <p>
+            {ACTION_LABELS[report.action]}: {report.succeeded} of {report.total} done
+            {report.failed > 0 && `, ${report.failed} failed`}
+          </p>
+          {failures.length > 0 && (
+            <ul>
+              {failures.map((result) => (
+                <li key={result.id}>
+                  <strong>{result.description || result.id}</strong>: {result.message}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BulkActionBar;
@@ -0,0 +1,27 @@
+import React from "react";
+
+// Category picker limited to the categories that fit the transaction type
+const CategorySelect = ({
+  categories,
+  type,
+  value,
+  onChange,
+  name = "categoryId",
+  disabled,
+  emptyLabel = "Uncategorized",
+}) => {
+  const options = categories.filter((category) => category.type === type);
+
+  return (
+    <select name={name} value={value || ""} onChange={onChange} disabled={disabled}>
+      <option value="">{emptyLabel}</option>
+      {options.map((category) => (
+        <option key={category._id} value={category._id}>
+          {category.name}
+        </option>
+      ))}
+    </select>
+  );
+};
+
+export default CategorySelect;
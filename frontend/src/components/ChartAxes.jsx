@@ -0,0 +1,37 @@
+import React from "react";
+import { CHART_WIDTH, CHART_HEIGHT, CHART_MARGIN, labelStep } from "../utils/charts";
+
+// Grid lines with value labels on the left and point labels along the
+// bottom, shared by the line and bar charts. `xFor(index)` is the horizontal
+// centre of a point.
+const ChartAxes = ({ scale, labels, xFor, formatValue }) => {
+  const step = labelStep(labels.length);
+
+  return (
+    <g className="chart-axes">
+      {scale.ticks.map((tick) => (
+        <g key={tick}>
+          <line
+            x1={CHART_MARGIN.left}
+            x2={CHART_WIDTH - CHART_MARGIN.right}
+            y1={scale.y(tick)}
+            y2={scale.y(tick)}
+            className={tick === 0 ? "chart-zero" : "chart-grid"}
+          />
+          <text x={CHART_MARGIN.left - 6} y={scale.y(tick)} className="chart-value-label">
+            {formatValue(tick)}
+          </text>
+        </g>
+      ))}
+      {labels.map((label, index) =>
+        index % step === 0 ? (
+          <text key={index} x={xFor(index)} y={CHART_HEIGHT - 8} className="chart-point-label">
+            {label}
+          </text>
+        ) : null
+      )}
+    </g>
+  );
+};
+
+export default ChartAxes;
@@ -0,0 +1,16 @@
+import React from "react";
+
+// Chart title with a colour key for each series
+const ChartLegend = ({ title, series }) => (
+  <figcaption className="chart-legend">
+    <strong>{title}</strong>
+    {series.map((item) => (
+      <span key={item.name} className="chart-legend-item">
+        <span className="chart-swatch" style={{ background: item.color }} />
+        {item.name}
+      </span>
+    ))}
+  </figcaption>
+);
+
+export default ChartLegend;
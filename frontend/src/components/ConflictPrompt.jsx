@@ -0,0 +1,35 @@
+import React from "react";
+import { fieldLabel } from "../utils/expenseFields";
+import "./ConflictPrompt.css";
+
+const listFields = (fields) => [...new Set(fields.map(fieldLabel))].join(", ");
+
+// Shown when saving an edit fails because someone else saved the same
+// transaction first (a 409 from the API)
+const ConflictPrompt = ({ theirChanges, conflicts, onOverwrite, onMerge, onDiscard, disabled }) => (
+  <div className="conflict-prompt">
+    <h3>Someone else changed this transaction</h3>
+    <p>
+      While you were editing, it was saved with changes to{" "}
+      <strong>{theirChanges.length > 0 ? listFields(theirChanges) : "nothing you can edit here"}</strong>.
+    </p>
+    {conflicts.length > 0 && (
+      <p className="conflict-fields">
+        You both changed <strong>{listFields(conflicts)}</strong>; merging keeps your values for those.
+      </p>
+    )}
+    <div className="conflict-actions">
+      <button type="button" onClick={onMerge} disabled={disabled} className="conflict-merge">
+        Merge their changes
+      </button>
+      <button type="button" onClick={onOverwrite} disabled={disabled} className="conflict-overwrite">
+        Overwrite with mine
+      </button>
+      <button type="button" onClick={onDiscard} disabled={disabled} className="conflict-discard">
+        Discard my changes
+      </button>
+    </div>
+  </div>
+);
+
+export default ConflictPrompt;
@@ -0,0 +1,19 @@
+import React from "react";
+import { CURRENCIES } from "../utils/money";
+
+const CurrencySelect = ({ value, onChange, name = "currency", disabled, className }) => {
+  // Keep currencies outside the common list selectable when editing
+  const options = value && !CURRENCIES.includes(value) ? [value, ...CURRENCIES] : CURRENCIES;
+
+  return (
+    <select name={name} value={value} onChange={onChange} disabled={disabled} className={className}>
+      {options.map((currency) => (
+        <option key={currency} value={currency}>
+          {currency}
+        </option>
+      ))}
+    </select>
+  );
+};
+
+export default CurrencySelect;
@@ -0,0 +1,47 @@
+import React, { useState } from "react";
+import { downloadFile } from "../utils/download";
+import "./ExportButton.css";
+
+const FORMATS = [
+  { value: "csv", label: "CSV" },
+  { value: "xlsx", label: "Excel (XLSX)" },
+  { value: "json", label: "JSON" },
+];
+
+// Download every transaction matching `params` (the list's active filters)
+// from the export endpoint at `url`
+const ExportButton = ({ url, params = {} }) => {
+  const [format, setFormat] = useState("csv");
+  const [exporting, setExporting] = useState(false);
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      await downloadFile(url, { ...params, format }, `transactions.${format}`);
+    } catch (error) {
+      alert(error.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="export-control">
+      <select
+        value={format}
+        onChange={(e) => setFormat(e.target.value)}
+        disabled={exporting}
+        aria-label="Export format"
+      >
+        {FORMATS.map(({ value, label }) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+      <button type="button" onClick={handleExport} disabled={exporting}>
+        {exporting ? "Exporting..." : "⬇️ Export"}
+      </button>
+    </div>
+  );
+};
+
+export default ExportButton;
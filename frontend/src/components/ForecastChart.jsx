@@ -0,0 +1,148 @@
+import React, { useState, useEffect } from "react";
+import axios from "axios";
+import LineChart from "./LineChart";
+import { formatMoney, formatMoneyCompact } from "../utils/money";
+import { formatDate, todayInputValue } from "../utils/date";
+import "./TrendCharts.css";
+import "./ForecastChart.css";
+
+const HORIZONS = [30, 60, 90];
+
+const SOURCE_LABELS = {
+  scheduled: "entered ahead",
+  recurring: "recurring rule",
+  pattern: "repeats in your history",
+};
+
+const shortDate = (day) =>
+  new Date(`${day}T00:00:00Z`).toLocaleDateString(undefined, { month: "short", day: "numeric", timeZone: "UTC" });
+
+// Projected balance for the coming days, from future-dated transactions,
+// recurring rules and repeating transactions in the history. The 90-day
+// forecast is loaded once and cut to the picked horizon. `refreshKey`
+// changes whenever the dashboard reloads its figures.
+const ForecastChart = ({ refreshKey }) => {
+  const [horizon, setHorizon] = useState(30);
+  const [forecast, setForecast] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+
+    axios
+      .get("/api/reports/forecast", { params: { days: 90, today: todayInputValue() } })
+      .then((response) => {
+        if (cancelled) return;
+        setForecast(response.data.data);
+        setError("");
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error("❌ Error fetching forecast:", err);
+        setError(err.response?.data?.message || "Failed to load the forecast");
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshKey]);
+
+  const currency = forecast?.baseCurrency;
+  const days = forecast ? forecast.projection.slice(0, horizon) : [];
+  const summary = forecast?.horizons.find((entry) => entry.days === horizon);
+  const lastDate = days[days.length - 1]?.date;
+  // Dips starting within the horizon, shown whole
+  const negative = forecast ? forecast.negativePeriods.filter((period) => period.from <= lastDate) : [];
+  const upcoming = days.flatMap((day) => day.items.map((item) => ({ ...item, date: day.date }))).slice(0, 8);
+
+  return (
+    <div className="forecast-chart">
+      <div className="section-header">
+        <h2>Cash-flow Forecast</h2>
+        <div className="trend-intervals" role="group" aria-label="Forecast horizon">
+          {HORIZONS.map((option) => (
+            <button
+              key={option}
+              type="button"
+              className={horizon === option ? "active" : ""}
+              aria-pressed={horizon === option}
+              onClick={() => setHorizon(option)}
+            >
+              {option} days
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && <p className="trend-error">{error}</p>}
+
+      {forecast && !error && (
+        <>
+          <div className="trend-summary">
+            <span>
+              Today: <strong>{formatMoney(forecast.startingBalance, currency)}</strong>
+            </span>
+            <span>
+              In {horizon} days: <strong>{formatMoney(summary.endBalance, currency)}</strong>
+            </span>
+            <span>
+              Lowest: <strong>{formatMoney(summary.lowestBalance, currency)}</strong> on {formatDate(summary.lowestDate)}
+            </span>
+          </div>
+
+          {negative.length > 0 && (
+            <div className="forecast-warning">
+              <strong>⚠️ Your balance is projected to go below zero:</strong>
+              <ul>
+                {negative.map((period) => (
+                  <li key={period.from}>
+                    {period.from === period.to
+                      ? formatDate(period.from)
+                      : `${formatDate(period.from)} – ${formatDate(period.to)}`}
+                    {", lowest "}
+                    {formatMoney(period.lowestBalance, currency)} on {formatDate(period.lowestDate)}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <LineChart
+            title="Projected balance"
+            labels={days.map((day) => shortDate(day.date))}
+            series={[{ name: "Balance", color: "#1e88e5", values: days.map((day) => day.balance) }]}
+            formatValue={(value) => formatMoneyCompact(value, currency)}
+            formatTooltip={(value) => formatMoney(value, currency)}
+          />
+
+          {upcoming.length > 0 ? (
+            <ul className="forecast-items">
+              {upcoming.map((item, index) => (
+                <li key={`${item.date}-${index}`}>
+                  <span>{formatDate(item.date)}</span>
+                  <span>
+                    {item.description} <em>({SOURCE_LABELS[item.source]})</em>
+                  </span>
+                  <span className={item.type}>
+                    {item.type === "income" ? "+" : "-"}
+                    {formatMoney(item.amount, currency)}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="forecast-empty">Nothing known or repeating is coming up in the next {horizon} days.</p>
+          )}
+
+          {forecast.unconvertedCurrencies.length > 0 && (
+            <p className="forecast-empty">
+              No exchange rate to {currency} for {forecast.unconvertedCurrencies.join(", ")}; those amounts are left out.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ForecastChart;
@@ -0,0 +1,41 @@
+import React from "react";
+import { formatMoney } from "../utils/money";
+import { formatDate } from "../utils/date";
+import "./GoalCard.css";
+
+// Progress of one savings goal as reported by /api/goals
+const GoalCard = ({ goal, children }) => {
+  const { currency } = goal;
+
+  return (
+    <div className={`goal-card ${goal.completed ? "completed" : ""}`}>
+      <div className="goal-card-header">
+        <h4>{goal.name}</h4>
+        <span className={`goal-status ${goal.onTrack ? "on-track" : "behind"}`}>
+          {goal.completed ? "Reached" : goal.onTrack ? "On track" : "Behind"}
+        </span>
+      </div>
+      <p className="goal-amounts">
+        {formatMoney(goal.saved, currency)} <span>of {formatMoney(goal.targetAmount, currency)}</span>
+      </p>
+      <div className="goal-bar">
+        <div className="goal-bar-fill" style={{ width: `${goal.percent}%` }} />
+      </div>
+      <div className="goal-details">
+        <span>Target: {formatDate(goal.targetDate)}</span>
+        {!goal.completed && (
+          <span>
+            Needs {formatMoney(goal.monthlyNeeded, currency)}/month for {goal.monthsLeft}{" "}
+            {goal.monthsLeft === 1 ? "month" : "months"}
+          </span>
+        )}
+        {!goal.completed && goal.projectedDate && (
+          <span>At this pace: {formatDate(goal.projectedDate)}</span>
+        )}
+      </div>
+      {children}
+    </div>
+  );
+};
+
+export default GoalCard;
@@ -0,0 +1,42 @@
+import React from "react";
+import ChartAxes from "./ChartAxes";
+import ChartLegend from "./ChartLegend";
+import { CHART_WIDTH, CHART_HEIGHT, CHART_MARGIN, buildScale } from "../utils/charts";
+import "./Charts.css";
+
+// One line per series over evenly spaced labels. `series` is
+// [{ name, color, values }] with a value for every label.
+const LineChart = ({ title, labels, series, formatValue, formatTooltip = formatValue }) => {
+  const scale = buildScale(series.flatMap((item) => item.values));
+  const plotWidth = CHART_WIDTH - CHART_MARGIN.left - CHART_MARGIN.right;
+  // A single point sits in the middle
+  const xFor = (index) =>
+    CHART_MARGIN.left + (labels.length > 1 ? (plotWidth * index) / (labels.length - 1) : plotWidth / 2);
+
+  return (
+    <figure className="chart">
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} role="img" aria-label={title}>
+        <ChartAxes scale={scale} labels={labels} xFor={xFor} formatValue={formatValue} />
+        {series.map((item) => (
+          <g key={item.name}>
+            <polyline
+              points={item.values.map((value, index) => `${xFor(index)},${scale.y(value)}`).join(" ")}
+              fill="none"
+              stroke={item.color}
+              strokeWidth="2"
+              strokeLinejoin="round"
+            />
+            {item.values.map((value, index) => (
+              <circle key={index} cx={xFor(index)} cy={scale.y(value)} r="3" fill={item.color}>
+                <title>{`${labels[index]} · ${item.name}: ${formatTooltip(value)}`}</title>
+              </circle>
+            ))}
+          </g>
+        ))}
+      </svg>
+      <ChartLegend title={title} series={series} />
+    </figure>
+  );
+};
+
+export default LineChart;
@@ -0,0 +1,83 @@
+import React from "react";
+import CategorySelect from "./CategorySelect";
+import { emptyLineItem, calculateFormTotal, formatMoney } from "../utils/money";
+import "./LineItemsEditor.css";
+
+// Editor for the lines of a split transaction. Each line has its own amount,
+// category and tax; the parent amount becomes the sum of the lines.
+const LineItemsEditor = ({ lineItems, onChange, categories, type, currency, disabled }) => {
+  const updateLine = (index, name, value) => {
+    onChange(lineItems.map((line, i) => (i === index ? { ...line, [name]: value } : line)));
+  };
+
+  const addLine = () => onChange([...lineItems, emptyLineItem()]);
+
+  const removeLine = (index) => onChange(lineItems.filter((_, i) => i !== index));
+
+  return (
+    <div className="line-items">
+      {lineItems.map((line, index) => (
+        <div key={index} className="line-item">
+          <input
+            type="text"
+            value={line.description}
+            onChange={(e) => updateLine(index, "description", e.target.value)}
+            placeholder={`Line ${index + 1}`}
+            disabled={disabled}
+          />
+          <input
+            type="number"
+            value={line.amount}
+            onChange={(e) => updateLine(index, "amount", e.target.value)}
+            required
+            min="0.01"
+            step="0.01"
+            placeholder="0.00"
+            disabled={disabled}
+          />
+          <CategorySelect
+            categories={categories}
+            type={type}
+            value={line.categoryId}
+            onChange={(e) => updateLine(index, "categoryId", e.target.value)}
+            disabled={disabled}
+          />
+          <select
+            value={line.taxType}
+            onChange={(e) => updateLine(index, "taxType", e.target.value)}
+            disabled={disabled}
+          >
+            <option value="flat">Flat tax</option>
+            <option value="percentage">Tax %</option>
+          </select>
+          <input
+            type="number"
+            value={line.taxAmount}
+            onChange={(e) => updateLine(index, "taxAmount", e.target.value)}
+            min="0"
+            step={line.taxType === "percentage" ? "0.1" : "0.01"}
+            placeholder="0"
+            disabled={disabled}
+          />
+          <span className="line-item-total">
+            {formatMoney(calculateFormTotal({ ...line, currency }), currency)}
+          </span>
+          <button
+            type="button"
+            onClick={() => removeLine(index)}
+            className="line-item-remove"
+            disabled={disabled}
+            title="Remove line"
+          >
+            ×
+          </button>
+        </div>
+      ))}
+      <button type="button" onClick={addLine} className="line-item-add" disabled={disabled}>
+        {lineItems.length === 0 ? "Split into line items" : "+ Add line"}
+      </button>
+    </div>
+  );
+};
+
+export default LineItemsEditor;
@@ -0,0 +1,83 @@
+import React from "react";
+import { CALENDAR_PERIODS, adjacentRange, periodLabel } from "../utils/date";
+import "./PeriodSwitcher.css";
+
+const OPTIONS = [
+  { value: "", label: "All time" },
+  { value: "month", label: "Month" },
+  { value: "quarter", label: "Quarter" },
+  { value: "year", label: "Year" },
+  { value: "custom", label: "Custom" },
+];
+
+// Picks the period the dashboard covers. `period` is "" for all time,
+// `range` the { from, to } days shown, and `onChange` gets the URL params to
+// change: `period`, `date` (a day in the calendar period) and `from`/`to`
+// (custom ranges). Reports that need a bounded range hide "All time".
+const PeriodSwitcher = ({ period, range, onChange, allowAllTime = true }) => {
+  const calendar = CALENDAR_PERIODS.includes(period);
+
+  const selectPeriod = (value) => {
+    if (value === period) return;
+    onChange({
+      period: value,
+      // Stay around the days already shown
+      date: CALENDAR_PERIODS.includes(value) && calendar ? range.from : "",
+      from: value === "custom" ? range.from : "",
+      to: value === "custom" ? range.to : "",
+    });
+  };
+
+  const step = (direction) => {
+    onChange({ period, date: adjacentRange(period, range, direction).from });
+  };
+
+  const handleDateChange = (e) => {
+    onChange({ period: "custom", [e.target.name]: e.target.value });
+  };
+
+  return (
+    <div className="period-switcher">
+      <div className="period-options" role="group" aria-label="Period">
+        {OPTIONS.filter((option) => allowAllTime || option.value).map((option) => (
+          <button
+            key={option.value}
+            type="button"
+            className={`period-option ${period === option.value ? "active" : ""}`}
+            aria-pressed={period === option.value}
+            onClick={() => selectPeriod(option.value)}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      {calendar && (
+        <div className="period-step">
+          <button type="button" onClick={() => step(-1)} aria-label="Previous period">
+            ◀
+          </button>
+          <span>{periodLabel(period, range)}</span>
+          <button type="button" onClick={() => step(1)} aria-label="Next period">
+            ▶
+          </button>
+        </div>
+      )}
+
+      {period === "custom" && (
+        <div className="period-custom">
+          <label>
+            From
+            <input type="date" name="from" value={range.from} max={range.to || undefined} onChange={handleDateChange} />
+          </label>
+          <label>
+            To
+            <input type="date" name="to" value={range.to} min={range.from || undefined} onChange={handleDateChange} />
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PeriodSwitcher;
@@ -0,0 +1,142 @@
+import React, { useState, useEffect } from "react";
+import axios from "axios";
+import { formatMoney, formatTaxNames, basisPointsToPercent } from "../utils/money";
+import { formatDate } from "../utils/date";
+import { fieldLabel } from "../utils/expenseFields";
+import "./RevisionHistory.css";
+
+const ACTION_LABELS = {
+  create: "Created",
+  update: "Edited",
+  revert: "Reverted",
+  rules: "Rules applied",
+};
+
+const nameOf = (items, id) => (id ? items.find((item) => item._id === id)?.name || "(deleted)" : "None");
+
+// Amounts in a change are read with the currency and tax type they were
+// saved with, which may have changed in the same revision
+const formatValue = (field, value, revision, side, context) => {
+  const fieldValue = (name) => {
+    const change = revision.changes.find((item) => item.field === name);
+    return change ? change[side] : context[name];
+  };
+  const currency = fieldValue("currency");
+
+  switch (field) {
+    case "amount":
+      return formatMoney(value, currency);
+    case "taxAmount":
+      return fieldValue("taxType") === "percentage"
+        ? `${basisPointsToPercent(value)}%`
+        : formatMoney(value, currency);
+    case "taxes":
+      return value?.length ? formatTaxNames(value) : "None";
+    case "lineItems":
+      return value?.length ? `${value.length} line(s)` : "None";
+    case "categoryId":
+      return nameOf(context.categories, value);
+    case "accountId":
+    case "toAccountId":
+      return nameOf(context.accounts, value);
+    case "goalId":
+      return nameOf(context.goals, value);
+    case "payeeId":
+      return nameOf(context.payees || [], value);
+    case "date":
+      return formatDate(value);
+    default:
+      return value === null || value === undefined || value === "" ? "None" : String(value);
+  }
+};
+
+// Who changed a transaction, when and how, newest first. Any revision but the
+// latest can be reverted to.
+const RevisionHistory = ({ expenseId, context, onRevert }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [version, setVersion] = useState(0);
+  const [reverting, setReverting] = useState(null);
+
+  useEffect(() => {
+    let ignore = false;
+
+    axios
+      .get(`/api/expenses/${expenseId}/history`)
+      .then((response) => {
+        if (!ignore) {
+          setRevisions(response.data.data?.revisions || []);
+        }
+      })
+      .catch((error) => {
+        console.error("❌ Error fetching history:", error);
+      });
+
+    return () => {
+      ignore = true;
+    };
+  }, [expenseId, version]);
+
+  const revert = async (revision) => {
+    if (!window.confirm(`Revert this transaction to how it was on ${new Date(revision.createdAt).toLocaleString()}?`)) {
+      return;
+    }
+
+    setReverting(revision._id);
+    try {
+      await axios.post(`/api/expenses/${expenseId}/history/${revision._id}/revert`);
+      setVersion((prev) => prev + 1);
+      onRevert();
+    } catch (error) {
+      alert(error.response?.data?.message || "Error reverting transaction");
+    } finally {
+      setReverting(null);
+    }
+  };
+
+  if (revisions.length === 0) return null;
+
+  return (
+    <div className="revision-history">
+      <h3>History</h3>
+      <ol className="revision-list">
+        {revisions.map((revision, index) => (
+          <li key={revision._id} className={`revision ${revision.action}`}>
+            <div className="revision-header">
+              <span>
+                <strong>{ACTION_LABELS[revision.action]}</strong> by {revision.changedBy?.name || "the system"}
+                {revision.changedBy?.role === "admin" && " (admin)"}
+              </span>
+              <span className="revision-time">{new Date(revision.createdAt).toLocaleString()}</span>
+            </div>
+            <ul className="revision-changes">
+              {revision.changes.map((change) => (
+                <li key={change.field}>
+                  <span className="revision-field">{fieldLabel(change.field)}</span>
+                  {revision.action !== "create" && (
+                    <>
+                      <span className="revision-from">{formatValue(change.field, change.from, revision, "from", context)}</span>
+                      <span>→</span>
+                    </>
+                  )}
+                  <span className="revision-to">{formatValue(change.field, change.to, revision, "to", context)}</span>
+                </li>
+              ))}
+            </ul>
+            {index > 0 && (
+              <button
+                type="button"
+                className="revision-revert"
+                onClick={() => revert(revision)}
+                disabled={reverting !== null}
+              >
+                {reverting === revision._id ? "Reverting..." : "Revert to this version"}
+              </button>
+            )}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+export default RevisionHistory;
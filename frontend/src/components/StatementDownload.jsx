@@ -0,0 +1,44 @@
+import React, { useState } from "react";
+import { downloadFile } from "../utils/download";
+import "./ExportButton.css";
+
+// Last month as YYYY-MM, the statement people usually want
+const previousMonth = () => {
+  const now = new Date();
+  const date = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+};
+
+// Pick a month and download its PDF statement
+const StatementDownload = () => {
+  const [month, setMonth] = useState(previousMonth);
+  const [downloading, setDownloading] = useState(false);
+
+  const handleDownload = async () => {
+    setDownloading(true);
+    try {
+      await downloadFile("/api/reports/statement", { month }, `statement-${month}.pdf`);
+    } catch (error) {
+      alert(error.message);
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <div className="export-control">
+      <input
+        type="month"
+        value={month}
+        onChange={(e) => setMonth(e.target.value)}
+        disabled={downloading}
+        aria-label="Statement month"
+      />
+      <button type="button" onClick={handleDownload} disabled={downloading || !month}>
+        {downloading ? "Preparing..." : "📄 Statement PDF"}
+      </button>
+    </div>
+  );
+};
+
+export default StatementDownload;
@@ -0,0 +1,29 @@
+import React from "react";
+import { basisPointsToPercent } from "../utils/money";
+import "./TaxRatePicker.css";
+
+// Toggle which named taxes apply; `value` is the list of selected ids
+const TaxRatePicker = ({ taxRates, value, onChange, disabled }) => {
+  const toggle = (id) => {
+    onChange(value.includes(id) ? value.filter((selected) => selected !== id) : [...value, id]);
+  };
+
+  return (
+    <div className="tax-rate-picker">
+      {taxRates.map((taxRate) => (
+        <label key={taxRate._id} className={value.includes(taxRate._id) ? "selected" : ""}>
+          <input
+            type="checkbox"
+            checked={value.includes(taxRate._id)}
+            onChange={() => toggle(taxRate._id)}
+            disabled={disabled}
+          />
+          {taxRate.name} {basisPointsToPercent(taxRate.rate)}%
+          {taxRate.inclusive && <small>incl.</small>}
+        </label>
+      ))}
+    </div>
+  );
+};
+
+export default TaxRatePicker;
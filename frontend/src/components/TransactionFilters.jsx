@@ -0,0 +1,114 @@
+import React, { useState } from "react";
+import "./TransactionFilters.css";
+
+const SORT_OPTIONS = [
+  { value: "date", label: "Date" },
+  { value: "amount", label: "Total" },
+  { value: "description", label: "Description" },
+  { value: "type", label: "Type" },
+  { value: "createdAt", label: "Date added" },
+];
+
+const CLEARED = { search: "", type: "", payeeId: "", taxType: "", minAmount: "", maxAmount: "", sort: "", order: "" };
+
+// Filter, search and sort controls for the transaction list. `filters` holds
+// the current values (all strings, "" when unset) and `onChange` gets the
+// ones to change. Typed fields apply on submit, dropdowns right away.
+// `payees` lists the user's payees to filter by.
+const TransactionFilters = ({ filters, onChange, payees = [] }) => {
+  const [draft, setDraft] = useState({
+    search: filters.search,
+    minAmount: filters.minAmount,
+    maxAmount: filters.maxAmount,
+  });
+
+  const handleDraftChange = (e) => {
+    const { name, value } = e.target;
+    setDraft((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSelectChange = (e) => {
+    onChange({ [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onChange(draft);
+  };
+
+  const active = Object.keys(CLEARED).some((key) => filters[key]);
+
+  return (
+    <form className="transaction-filters" onSubmit={handleSubmit}>
+      <input
+        type="search"
+        name="search"
+        value={draft.search}
+        onChange={handleDraftChange}
+        placeholder="Search descriptions"
+        aria-label="Search descriptions"
+        className="filter-search"
+      />
+      <select name="type" value={filters.type} onChange={handleSelectChange} aria-label="Type">
+        <option value="">All types</option>
+        <option value="expense">Expenses</option>
+        <option value="income">Income</option>
+        <option value="transfer">Transfers</option>
+      </select>
+      {payees.length > 0 && (
+        <select name="payeeId" value={filters.payeeId} onChange={handleSelectChange} aria-label="Payee">
+          <option value="">All payees</option>
+          <option value="none">No payee</option>
+          {payees.map((payee) => (
+            <option key={payee._id} value={payee._id}>
+              {payee.name}
+            </option>
+          ))}
+        </select>
+      )}
+      <select name="taxType" value={filters.taxType} onChange={handleSelectChange} aria-label="Tax type">
+        <option value="">Any tax</option>
+        <option value="flat">Flat tax</option>
+        <option value="percentage">Percentage tax</option>
+      </select>
+      <input
+        type="number"
+        name="minAmount"
+        value={draft.minAmount}
+        onChange={handleDraftChange}
+        placeholder="Min total"
+        aria-label="Minimum total"
+        min="0"
+        step="any"
+      />
+      <input
+        type="number"
+        name="maxAmount"
+        value={draft.maxAmount}
+        onChange={handleDraftChange}
+        placeholder="Max total"
+        aria-label="Maximum total"
+        min="0"
+        step="any"
+      />
+      <select name="sort" value={filters.sort || "date"} onChange={handleSelectChange} aria-label="Sort by">
+        {SORT_OPTIONS.map(({ value, label }) => (
+          <option key={value} value={value}>Sort: {label}</option>
+        ))}
+      </select>
+      <select name="order" value={filters.order} onChange={handleSelectChange} aria-label="Sort order">
+        <option value="">Default order</option>
+        <option value="asc">Ascending</option>
+        <option value="desc">Descending</option>
+      </select>
+      <button type="submit" className="filter-apply">Apply</button>
+      {active && (
+        <button type="button" onClick={() => onChange(CLEARED)} className="filter-clear">
+          Clear
+        </button>
+      )}
+    </form>
+  );
+};
+
+export default TransactionFilters;
@@ -0,0 +1,132 @@
+import React, { useState, useEffect } from "react";
+import axios from "axios";
+import BarChart from "./BarChart";
+import LineChart from "./LineChart";
+import { formatMoney, formatMoneyCompact } from "../utils/money";
+import "./TrendCharts.css";
+
+const INTERVALS = [
+  { value: "day", label: "Daily" },
+  { value: "week", label: "Weekly" },
+  { value: "month", label: "Monthly" },
+];
+
+// Days up to which a range is shown per day, then per week
+const DAILY_UP_TO = 31;
+const WEEKLY_UP_TO = 183;
+
+// The interval that gives a readable number of points for `range`
+const autoInterval = ({ from, to }) => {
+  if (!from || !to) return "month";
+  const days = (Date.parse(to) - Date.parse(from)) / 86400000 + 1;
+  if (days <= DAILY_UP_TO) return "day";
+  if (days <= WEEKLY_UP_TO) return "week";
+  return "month";
+};
+
+const bucketLabel = (bucket, interval) => {
+  const date = new Date(`${bucket.start}T00:00:00Z`);
+  const options = interval === "month" ? { month: "short", year: "2-digit" } : { month: "short", day: "numeric" };
+  return date.toLocaleDateString(undefined, { ...options, timeZone: "UTC" });
+};
+
+// Income, expenses and net over the dashboard's range (`range` is
+// { from, to }, empty for all time) as charts. `refreshKey` changes whenever
+// the dashboard reloads its figures, so the charts follow.
+const TrendCharts = ({ range, refreshKey }) => {
+  // null follows the range; a picked interval sticks
+  const [picked, setPicked] = useState(null);
+  const [trends, setTrends] = useState(null);
+  const [error, setError] = useState("");
+  const interval = picked || autoInterval(range);
+
+  useEffect(() => {
+    let cancelled = false;
+    const params = { interval };
+    if (range.from) params.from = range.from;
+    if (range.to) params.to = range.to;
+
+    axios
+      .get("/api/reports/trends", { params })
+      .then((response) => {
+        if (cancelled) return;
+        setTrends(response.data.data);
+        setError("");
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error("❌ Error fetching trends:", err);
+        setError(err.response?.data?.message || "Failed to load trends");
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [interval, range.from, range.to, refreshKey]);
+
+  const currency = trends?.baseCurrency;
+  const labels = trends ? trends.buckets.map((bucket) => bucketLabel(bucket, trends.interval)) : [];
+  const values = (key) => trends.buckets.map((bucket) => bucket[key]);
+  const compact = (value) => formatMoneyCompact(value, currency);
+  const full = (value) => formatMoney(value, currency);
+
+  return (
+    <div className="trend-charts">
+      <div className="section-header">
+        <h2>Trends</h2>
+        <div className="trend-intervals" role="group" aria-label="Interval">
+          {INTERVALS.map((option) => (
+            <button
+              key={option.value}
+              type="button"
+              className={interval === option.value ? "active" : ""}
+              aria-pressed={interval === option.value}
+              onClick={() => setPicked(option.value)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && <p className="trend-error">{error}</p>}
+
+      {trends && !error && (
+        <>
+          <div className="trend-summary">
+            <span>
+              Average spend per {interval}: <strong>{full(trends.averageSpend)}</strong>
+            </span>
+            <span>
+              Median spend per {interval}: <strong>{full(trends.medianSpend)}</strong>
+            </span>
+            <span>
+              Net over the range: <strong>{full(trends.net)}</strong>
+            </span>
+          </div>
+          <div className="trend-chart-row">
+            <BarChart
+              title="Income and expenses"
+              labels={labels}
+              series={[
+                { name: "Income", color: "#66bb6a", values: values("income") },
+                { name: "Expenses", color: "#ef5350", values: values("expense") },
+              ]}
+              formatValue={compact}
+              formatTooltip={full}
+            />
+            <LineChart
+              title="Net"
+              labels={labels}
+              series={[{ name: "Net", color: "#1e88e5", values: values("net") }]}
+              formatValue={compact}
+              formatTooltip={full}
+            />
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TrendCharts;
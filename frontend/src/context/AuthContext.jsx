@@ -91,6 +91,26 @@ export const AuthProvider = ({ children }) => {
   };
 
  
+  // ✅ PROFILE (e.g. base currency)
+  const updateProfile = async (updates) => {
+    try {
+      const response = await axios.put(`${API_URL}/auth/profile`, updates);
+      const userData = response.data.user;
+
+      localStorage.setItem("user", JSON.stringify(userData));
+      setUser(userData);
+
+      return { success: true, user: userData };
+    } catch (error) {
+      console.error("❌ AuthContext - Profile update failed:", error);
+
+      return {
+        success: false,
+        message: error.response?.data?.message || "Profile update failed",
+      };
+    }
+  };
+
   const logout = () => {
     console.log("🔍 AuthContext - Logging out");
 
@@ -100,7 +120,7 @@ export const AuthProvider = ({ children }) => {
     setUser(null);
   };
 
-  const value = { user, login, register, logout, loading };
+  const value = { user, login, register, logout, updateProfile, loading };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
 };
@@ -0,0 +1,28 @@
+import { useState, useEffect } from "react";
+import axios from "axios";
+
+// Loads the current user's accounts along with their balances
+export const useAccounts = () => {
+  const [accounts, setAccounts] = useState([]);
+
+  useEffect(() => {
+    let ignore = false;
+
+    axios
+      .get("/api/accounts")
+      .then((response) => {
+        if (!ignore) {
+          setAccounts(response.data.data?.accounts || []);
+        }
+      })
+      .catch((error) => {
+        console.error("❌ Error fetching accounts:", error);
+      });
+
+    return () => {
+      ignore = true;
+    };
+  }, []);
+
+  return accounts;
+};
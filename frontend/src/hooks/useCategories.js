@@ -0,0 +1,36 @@
+import { useState, useEffect } from "react";
+import axios from "axios";
+
+// Loads the category list for the current user, or for another user when an
+// admin passes their id. Passing an empty id (e.g. no user picked yet) yields
+// an empty list.
+export const useCategories = (userId) => {
+  const [categories, setCategories] = useState([]);
+
+  useEffect(() => {
+    if (userId === "" || userId === null) {
+      setCategories([]);
+      return;
+    }
+
+    let ignore = false;
+    const url = userId ? `/api/categories/admin/${userId}` : "/api/categories";
+
+    axios
+      .get(url)
+      .then((response) => {
+        if (!ignore) {
+          setCategories(response.data.data?.categories || []);
+        }
+      })
+      .catch((error) => {
+        console.error("❌ Error fetching categories:", error);
+      });
+
+    return () => {
+      ignore = true;
+    };
+  }, [userId]);
+
+  return categories;
+};
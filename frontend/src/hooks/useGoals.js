@@ -0,0 +1,28 @@
+import { useState, useEffect } from "react";
+import axios from "axios";
+
+// Loads the current user's savings goals with their progress
+export const useGoals = () => {
+  const [goals, setGoals] = useState([]);
+
+  useEffect(() => {
+    let ignore = false;
+
+    axios
+      .get("/api/goals")
+      .then((response) => {
+        if (!ignore) {
+          setGoals(response.data.data?.goals || []);
+        }
+      })
+      .catch((error) => {
+        console.error("❌ Error fetching goals:", error);
+      });
+
+    return () => {
+      ignore = true;
+    };
+  }, []);
+
+  return goals;
+};
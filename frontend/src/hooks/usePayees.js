@@ -0,0 +1,28 @@
+import { useState, useEffect } from "react";
+import axios from "axios";
+
+// Loads the current user's payees
+export const usePayees = () => {
+  const [payees, setPayees] = useState([]);
+
+  useEffect(() => {
+    let ignore = false;
+
+    axios
+      .get("/api/payees")
+      .then((response) => {
+        if (!ignore) {
+          setPayees(response.data.data?.payees || []);
+        }
+      })
+      .catch((error) => {
+        console.error("❌ Error fetching payees:", error);
+      });
+
+    return () => {
+      ignore = true;
+    };
+  }, []);
+
+  return payees;
+};
@@ -0,0 +1,28 @@
+import { useState, useEffect } from "react";
+import axios from "axios";
+
+// Loads the current user's named tax rates
+export const useTaxRates = () => {
+  const [taxRates, setTaxRates] = useState([]);
+
+  useEffect(() => {
+    let ignore = false;
+
+    axios
+      .get("/api/tax-rates")
+      .then((response) => {
+        if (!ignore) {
+          setTaxRates(response.data.data?.taxRates || []);
+        }
+      })
+      .catch((error) => {
+        console.error("❌ Error fetching tax rates:", error);
+      });
+
+    return () => {
+      ignore = true;
+    };
+  }, []);
+
+  return taxRates;
+};
@@ -0,0 +1,254 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
+import CurrencySelect from '../components/CurrencySelect';
+import { ACCOUNT_TYPES } from '../utils/accounts';
+import { formatMoney, minorUnitsToInput, parseAmountFields } from '../utils/money';
+import './Accounts.css';
+
+const Accounts = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+
+  const emptyForm = {
+    name: '',
+    type: 'checking',
+    currency: user?.baseCurrency || 'USD',
+    openingBalance: '0'
+  };
+
+  const [accounts, setAccounts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [formData, setFormData] = useState(emptyForm);
+  const [editingAccount, setEditingAccount] = useState(null);
+
+  useEffect(() => {
+    fetchAccounts();
+  }, []);
+
+  const fetchAccounts = async () => {
+    try {
+      const response = await axios.get('/api/accounts');
+      setAccounts(response.data.data?.accounts || []);
+    } catch (error) {
+      console.error('❌ Error fetching accounts:', error);
+      setError('Failed to load accounts');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Opening balances may be negative (e.g. a credit card already owing)
+  const parseBalance = (value, currency) =>
+    parseAmountFields({ amount: value === '' ? '0' : value, currency }).amount;
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+
+    try {
+      await axios.post('/api/accounts', {
+        name: formData.name.trim(),
+        type: formData.type,
+        currency: formData.currency,
+        openingBalance: parseBalance(formData.openingBalance, formData.currency)
+      });
+      setFormData(emptyForm);
+      fetchAccounts();
+    } catch (error) {
+      console.error('❌ Error creating account:', error);
+      setError(error.response?.data?.message || 'Error creating account');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const startEditing = (account) => {
+    setEditingAccount({
+      _id: account._id,
+      name: account.name,
+      type: account.type,
+      currency: account.currency,
+      openingBalance: minorUnitsToInput(account.openingBalance, account.currency)
+    });
+  };
+
+  const saveAccount = async () => {
+    try {
+      await axios.put(`/api/accounts/${editingAccount._id}`, {
+        name: editingAccount.name.trim(),
+        type: editingAccount.type,
+        openingBalance: parseBalance(editingAccount.openingBalance, editingAccount.currency)
+      });
+      setEditingAccount(null);
+      fetchAccounts();
+    } catch (error) {
+      alert(error.response?.data?.message || 'Error updating account');
+    }
+  };
+
+  const deleteAccount = async (account) => {
+    if (window.confirm(`Delete account "${account.name}"? Its transactions are kept without an account.`)) {
+      try {
+        await axios.delete(`/api/accounts/${account._id}`);
+        setAccounts(prev => prev.filter(a => a._id !== account._id));
+      } catch (error) {
+        alert(error.response?.data?.message || 'Error deleting account');
+      }
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="loading-spinner"></div>
+        <p>Loading accounts...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="dashboard-container accounts-page">
+      <header className="dashboard-header">
+        <h1>Accounts</h1>
+        <button onClick={() => navigate('/dashboard')} className="add-button">
+          ◀ Back to Dashboard
+        </button>
+      </header>
+
+      <div className="expenses-section accounts-form-section">
+        <div className="section-header">
+          <h2>New Account</h2>
+        </div>
+
+        {error && (
+          <div className="error-message">
+            <strong>Error:</strong> {error}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="accounts-form">
+          <div className="form-group">
+            <label>Name *</label>
+            <input
+              type="text"
+              name="name"
+              value={formData.name}
+              onChange={handleChange}
+              required
+              placeholder="e.g. Cash wallet"
+              disabled={saving}
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Type *</label>
+            <select name="type" value={formData.type} onChange={handleChange} disabled={saving}>
+              {Object.entries(ACCOUNT_TYPES).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label>Currency *</label>
+            <CurrencySelect value={formData.currency} onChange={handleChange} disabled={saving} />
+          </div>
+
+          <div className="form-group">
+            <label>Opening Balance ({formData.currency})</label>
+            <input
+              type="number"
+              name="openingBalance"
+              value={formData.openingBalance}
+              onChange={handleChange}
+              step="0.01"
+              disabled={saving}
+            />
+          </div>
+
+          <div className="accounts-form-actions">
+            <button type="submit" className="add-button" disabled={saving}>
+              {saving ? 'Saving...' : 'Add Account'}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      <div className="expenses-section">
+        <div className="section-header">
+          <h2>Your Accounts</h2>
+        </div>
+
+        {accounts.length === 0 ? (
+          <div className="no-expenses">
+            <p>No accounts yet. Add your cash, bank accounts and cards above.</p>
+          </div>
+        ) : (
+          <div className="accounts-list">
+            {accounts.map(account => (
+              <div key={account._id} className={`account-row ${account.balance < 0 ? 'negative' : ''}`}>
+                {editingAccount?._id === account._id ? (
+                  <div className="account-edit">
+                    <input
+                      type="text"
+                      value={editingAccount.name}
+                      onChange={(e) => setEditingAccount({ ...editingAccount, name: e.target.value })}
+                    />
+                    <select
+                      value={editingAccount.type}
+                      onChange={(e) => setEditingAccount({ ...editingAccount, type: e.target.value })}
+                    >
+                      {Object.entries(ACCOUNT_TYPES).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="number"
+                      value={editingAccount.openingBalance}
+                      onChange={(e) => setEditingAccount({ ...editingAccount, openingBalance: e.target.value })}
+                      step="0.01"
+                    />
+                  </div>
+                ) : (
+                  <div className="account-summary">
+                    <h4>{account.name}</h4>
+                    <p className="account-meta">
+                      {ACCOUNT_TYPES[account.type]} · {account.currency} · opened with{' '}
+                      {formatMoney(account.openingBalance, account.currency)}
+                    </p>
+                  </div>
+                )}
+                <div className="account-balance">{formatMoney(account.balance, account.currency)}</div>
+                <div className="expense-actions">
+                  {editingAccount?._id === account._id ? (
+                    <>
+                      <button onClick={saveAccount} className="edit-btn">Save</button>
+                      <button onClick={() => setEditingAccount(null)} className="delete-btn">Cancel</button>
+                    </>
+                  ) : (
+                    <>
+                      <button onClick={() => startEditing(account)} className="edit-btn">Edit</button>
+                      <button onClick={() => deleteAccount(account)} className="delete-btn">Delete</button>
+                    </>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Accounts;
@@ -1,59 +1,107 @@
 import React, { useState } from "react";
 import { useAuth } from "../context/AuthContext";
 import axios from "axios";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import CategorySelect from "../components/CategorySelect";
+import { useCategories } from "../hooks/useCategories";
+import CurrencySelect from "../components/CurrencySelect";
+import LineItemsEditor from "../components/LineItemsEditor";
+import AccountSelect from "../components/AccountSelect";
+import { useAccounts } from "../hooks/useAccounts";
+import { useGoals } from "../hooks/useGoals";
+import { useTaxRates } from "../hooks/useTaxRates";
+import { usePayees } from "../hooks/usePayees";
+import TaxRatePicker from "../components/TaxRatePicker";
+import { todayInputValue } from "../utils/date";
+import { formatMoney, calculateFormBreakdown, parseAmountFields, parseLineItems } from "../utils/money";
 
 // Add this at the top
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
 
 const AddExpense = () => {
+  const { user } = useAuth();
+  const [searchParams] = useSearchParams();
   const [formData, setFormData] = useState({
     description: "",
     amount: "",
+    currency: user?.baseCurrency || "USD",
     type: "expense",
     taxType: "flat",
     taxAmount: "0",
+    categoryId: "",
+    date: todayInputValue(),
+    lineItems: [],
+    accountId: "",
+    toAccountId: "",
+    // Contributions can be started from a goal's card
+    goalId: searchParams.get("goalId") || "",
+    payeeId: "",
+    taxRateIds: [],
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
 
-  const { user } = useAuth();
   const navigate = useNavigate();
+  const categories = useCategories();
+  const accounts = useAccounts();
+  const goals = useGoals();
+  const payees = usePayees();
+  const taxRates = useTaxRates();
 
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData((prev) => ({
       ...prev,
       [name]: value,
+      // A transaction is booked in its account's currency
+      ...(name === "accountId" && value && {
+        currency: accounts.find((account) => account._id === value)?.currency || prev.currency,
+      }),
+      // Categories are per type, so switching type clears the pick
+      ...(name === "type" && {
+        categoryId: "",
+        lineItems: prev.lineItems.map((line) => ({ ...line, categoryId: "" })),
+      }),
     }));
   };
 
-  const calculateTotal = () => {
-    const amount = parseFloat(formData.amount) || 0;
-    const tax = parseFloat(formData.taxAmount) || 0;
+  const handleLineItemsChange = (lineItems) => {
+    setFormData((prev) => ({ ...prev, lineItems }));
+  };
 
-    if (formData.taxType === "percentage") {
-      return amount + (amount * tax) / 100;
-    } else {
-      return amount + tax;
-    }
+  const handleTaxRatesChange = (taxRateIds) => {
+    setFormData((prev) => ({ ...prev, taxRateIds }));
   };
 
+  const isTransfer = formData.type === "transfer";
+  const isSplit = !isTransfer && formData.lineItems.length > 0;
+  const taxOptions = taxRates;
+  const usesNamedTaxes = !isSplit && !isTransfer && formData.taxRateIds.length > 0;
+  const breakdown = calculateFormBreakdown(formData, taxOptions);
+
 const handleSubmit = async (e) => {
   e.preventDefault();
   setLoading(true);
   setError('');
 
   try {
-    const totalAmount = calculateTotal();
-    
+    // Amounts go to the API as integer minor units; the total is computed there
     const expenseData = {
       description: formData.description.trim(),
-      amount: parseFloat(formData.amount),
+      // A split transaction's amount and tax are summed from its lines
+      ...(!isSplit && parseAmountFields(formData)),
+      currency: formData.currency,
       type: formData.type,
       taxType: formData.taxType,
-      taxAmount: parseFloat(formData.taxAmount) || 0,
-      totalAmount: totalAmount
+      categoryId: formData.categoryId || null,
+      date: formData.date,
+      lineItems: isSplit ? parseLineItems(formData.lineItems, formData.currency) : [],
+      accountId: formData.accountId || null,
+      toAccountId: isTransfer ? formData.toAccountId || null : null,
+      goalId: formData.goalId || null,
+      // No payee lets the payees' aliases and the rules pick one
+      payeeId: isTransfer ? null : formData.payeeId || null,
+      taxRateIds: isSplit || isTransfer ? [] : formData.taxRateIds
     };
 
     console.log('Sending expense data:', expenseData);
@@ -104,17 +152,40 @@ const handleSubmit = async (e) => {
             />
           </div>
 
+          {!isSplit && (
+            <div className="form-group">
+              <label>Amount *</label>
+              <input
+                type="number"
+                name="amount"
+                value={formData.amount}
+                onChange={handleChange}
+                required
+                min="0.01"
+                step="0.01"
+                placeholder="0.00"
+                disabled={loading}
+              />
+            </div>
+          )}
+
           <div className="form-group">
-            <label>Amount ($) *</label>
+            <label>Currency *</label>
+            <CurrencySelect
+              value={formData.currency}
+              onChange={handleChange}
+              disabled={loading || !!formData.accountId}
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Date *</label>
             <input
-              type="number"
-              name="amount"
-              value={formData.amount}
+              type="date"
+              name="date"
+              value={formData.date}
               onChange={handleChange}
               required
-              min="0.01"
-              step="0.01"
-              placeholder="0.00"
               disabled={loading}
             />
           </div>
@@ -130,46 +201,150 @@ const handleSubmit = async (e) => {
             >
               <option value="expense">Expense</option>
               <option value="income">Income</option>
+              <option value="transfer">Transfer</option>
             </select>
           </div>
 
           <div className="form-group">
-            <label>Tax Type</label>
-            <select
-              name="taxType"
-              value={formData.taxType}
-              onChange={handleChange}
-              disabled={loading}
-            >
-              <option value="flat">Flat Amount</option>
-              <option value="percentage">Percentage</option>
-            </select>
-          </div>
-
-          <div className="form-group">
-            <label>
-              Tax Amount {formData.taxType === "percentage" ? "(%)" : "($)"}
-            </label>
-            <input
-              type="number"
-              name="taxAmount"
-              value={formData.taxAmount}
+            <label>{isTransfer ? "From Account *" : "Account"}</label>
+            <AccountSelect
+              accounts={accounts}
+              value={formData.accountId}
               onChange={handleChange}
-              min="0"
-              step={formData.taxType === "percentage" ? "0.1" : "0.01"}
-              placeholder="0"
+              required={isTransfer}
               disabled={loading}
             />
           </div>
 
+          {isTransfer && (
+            <div className="form-group">
+              <label>To Account *</label>
+              <AccountSelect
+                name="toAccountId"
+                accounts={accounts}
+                value={formData.toAccountId}
+                onChange={handleChange}
+                exclude={formData.accountId}
+                required
+                disabled={loading}
+              />
+            </div>
+          )}
+
+          {goals.length > 0 && (
+            <div className="form-group">
+              <label>Savings Goal</label>
+              <select name="goalId" value={formData.goalId} onChange={handleChange} disabled={loading}>
+                <option value="">None</option>
+                {goals.map((goal) => (
+                  <option key={goal._id} value={goal._id}>
+                    {goal.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {!isTransfer && (
+            <>
+              <div className="form-group">
+                <label>Category</label>
+                <CategorySelect
+                  categories={categories}
+                  type={formData.type}
+                  value={formData.categoryId}
+                  onChange={handleChange}
+                  disabled={loading}
+                />
+              </div>
+
+              <div className="form-group">
+                <label>Payee</label>
+                <select name="payeeId" value={formData.payeeId} onChange={handleChange} disabled={loading}>
+                  <option value="">Match automatically</option>
+                  {payees.map((payee) => (
+                    <option key={payee._id} value={payee._id}>
+                      {payee.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label>Line Items</label>
+                <LineItemsEditor
+                  lineItems={formData.lineItems}
+                  onChange={handleLineItemsChange}
+                  categories={categories}
+                  type={formData.type}
+                  currency={formData.currency}
+                  disabled={loading}
+                />
+              </div>
+            </>
+          )}
+
+          {!isSplit && !isTransfer && taxOptions.length > 0 && (
+            <div className="form-group">
+              <label>Taxes</label>
+              <TaxRatePicker
+                taxRates={taxOptions}
+                value={formData.taxRateIds}
+                onChange={handleTaxRatesChange}
+                disabled={loading}
+              />
+            </div>
+          )}
+
+          {!isSplit && !isTransfer && !usesNamedTaxes && (
+            <>
+              <div className="form-group">
+                <label>Tax Type</label>
+                <select
+                  name="taxType"
+                  value={formData.taxType}
+                  onChange={handleChange}
+                  disabled={loading}
+                >
+                  <option value="flat">Flat Amount</option>
+                  <option value="percentage">Percentage</option>
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label>
+                  Tax Amount {formData.taxType === "percentage" ? "(%)" : `(${formData.currency})`}
+                </label>
+                <input
+                  type="number"
+                  name="taxAmount"
+                  value={formData.taxAmount}
+                  onChange={handleChange}
+                  min="0"
+                  step={formData.taxType === "percentage" ? "0.1" : "0.01"}
+                  placeholder="0"
+                  disabled={loading}
+                />
+              </div>
+            </>
+          )}
+
           <div className="form-group">
             <label>Total Amount</label>
-            <div className="total-amount">${calculateTotal().toFixed(2)}</div>
+            <div className="total-amount">{formatMoney(breakdown.gross, formData.currency)}</div>
             <small className="total-note">
-              Calculated: Amount{" "}
-              {formData.taxType === "percentage"
-                ? `+ ${formData.taxAmount}%`
-                : `+ $${formData.taxAmount}`}
+              {isSplit ? (
+                `Calculated: sum of ${formData.lineItems.length} line items`
+              ) : usesNamedTaxes ? (
+                `Net ${formatMoney(breakdown.net, formData.currency)} + tax ${formatMoney(breakdown.tax, formData.currency)}`
+              ) : (
+                <>
+                  Calculated: Amount{" "}
+                  {formData.taxType === "percentage"
+                    ? `+ ${formData.taxAmount}%`
+                    : `+ ${formatMoney(parseAmountFields(formData).taxAmount || 0, formData.currency)}`}
+                </>
+              )}
             </small>
           </div>
 
@@ -2,22 +2,75 @@ import React, { useState, useEffect } from "react";
 import { useAuth } from "../context/AuthContext";
 import axios from "axios";
 import { useNavigate } from "react-router-dom";
+import CategorySelect from "../components/CategorySelect";
+import { useCategories } from "../hooks/useCategories";
+import CurrencySelect from "../components/CurrencySelect";
+import { todayInputValue, toDateInputValue, formatDate } from "../utils/date";
+import {
+  formatMoney,
+  formatMoneyByCurrency,
+  parseAmountFields,
+  minorUnitsToInput,
+  basisPointsToPercent,
+} from "../utils/money";
+import ConflictPrompt from "../components/ConflictPrompt";
+import ExportButton from "../components/ExportButton";
+import BulkActionBar from "../components/BulkActionBar";
+import { mergeForms } from "../utils/expenseFields";
 import "./AdminDashboard.css";
 
+// Edit-modal values for a transaction as the admin API returns it
+const expenseToEditForm = (expense) => ({
+  description: expense.description,
+  amount: minorUnitsToInput(expense.amount, expense.currency),
+  currency: expense.currency || "USD",
+  type: expense.type,
+  taxType: expense.taxType || "flat",
+  taxAmount: expense.taxType === "percentage"
+    ? basisPointsToPercent(expense.taxAmount).toString()
+    : minorUnitsToInput(expense.taxAmount, expense.currency),
+  categoryId: expense.categoryId?._id || "",
+  date: toDateInputValue(expense.date || expense.createdAt),
+  lineCount: expense.lineItems?.length || 0,
+});
+
+// Transactions fetched per "Load more"
+const PAGE_SIZE = 25;
+
 const AdminDashboard = () => {
   const [users, setUsers] = useState([]);
+  // The transactions loaded so far, newest first
   const [allExpenses, setAllExpenses] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  // Counts and totals over every transaction, from the server
+  const [expenseTotals, setExpenseTotals] = useState({
+    totalExpenses: 0,
+    todayCount: 0,
+    monthCount: 0,
+    totals: []
+  });
+  const [exchangeRates, setExchangeRates] = useState([]);
+  const [showRateForm, setShowRateForm] = useState(false);
   const [activeTab, setActiveTab] = useState("dashboard");
   const [loading, setLoading] = useState(true);
   const [editingUser, setEditingUser] = useState(null);
   const [editingExpense, setEditingExpense] = useState(null);
+  const [editingExpenseOwner, setEditingExpenseOwner] = useState(null);
+  // What the open edit started from, to catch someone else saving meanwhile
+  const [editingExpenseVersion, setEditingExpenseVersion] = useState(null);
+  const [editExpenseBase, setEditExpenseBase] = useState(null);
+  const [expenseConflict, setExpenseConflict] = useState(null);
+  const [selectedExpenseIds, setSelectedExpenseIds] = useState([]);
+  const [bulkBusy, setBulkBusy] = useState(false);
+  const [bulkReport, setBulkReport] = useState(null);
   const [showUserForm, setShowUserForm] = useState(false);
   const [showExpenseForm, setShowExpenseForm] = useState(false);
   const [stats, setStats] = useState({
     totalUsers: 0,
     totalExpenses: 0,
-    totalIncome: 0,
-    totalExpenseAmount: 0,
+    totalIncome: formatMoney(0),
+    totalExpenseAmount: formatMoney(0),
     recentActivity: []
   });
 
@@ -34,9 +87,12 @@ const AdminDashboard = () => {
   const [expenseForm, setExpenseForm] = useState({
     description: "",
     amount: "",
+    currency: "USD",
     type: "expense",
     taxType: "flat",
     taxAmount: "0",
+    categoryId: "",
+    date: todayInputValue(),
     userId: ""
   });
 
@@ -49,21 +105,36 @@ const AdminDashboard = () => {
   const [editExpenseForm, setEditExpenseForm] = useState({
     description: "",
     amount: "",
+    currency: "USD",
     type: "expense",
     taxType: "flat",
     taxAmount: "0",
+    categoryId: "",
+    date: "",
+  });
+
+  const [rateForm, setRateForm] = useState({
+    from: "EUR",
+    to: "USD",
+    rate: "",
+    date: todayInputValue(),
   });
 
+  const createCategories = useCategories(expenseForm.userId);
+  const editCategories = useCategories(editingExpenseOwner);
+
   useEffect(() => {
     if (user?.role === "admin") {
       fetchUsers();
       fetchAllExpenses();
+      fetchExpenseTotals();
+      fetchExchangeRates();
     }
   }, [user]);
 
   useEffect(() => {
     calculateStats();
-  }, [users, allExpenses]);
+  }, [users, allExpenses, expenseTotals]);
 
   const fetchUsers = async () => {
     try {
@@ -74,10 +145,16 @@ const AdminDashboard = () => {
     }
   };
 
-  const fetchAllExpenses = async () => {
+  // The first page of transactions, or with `cursor` the next one, appended
+  // to those already loaded
+  const fetchAllExpenses = async (cursor) => {
     try {
-      const response = await axios.get("/api/expenses/admin/all-expenses"); // ✅ FIXED
-      setAllExpenses(response.data.data?.expenses || response.data.expenses || []);
+      const response = await axios.get("/api/expenses/admin/all-expenses", {
+        params: { limit: PAGE_SIZE, ...(cursor && { cursor }) },
+      });
+      const page = response.data.data?.expenses || response.data.expenses || [];
+      setAllExpenses((prev) => (cursor ? [...prev, ...page] : page));
+      setNextCursor(response.data.data?.nextCursor || null);
       setLoading(false);
     } catch (error) {
       console.error("Error fetching all expenses:", error);
@@ -85,20 +162,48 @@ const AdminDashboard = () => {
     }
   };
 
+  const loadMoreExpenses = async () => {
+    setLoadingMore(true);
+    await fetchAllExpenses(nextCursor);
+    setLoadingMore(false);
+  };
+
+  const fetchExpenseTotals = async () => {
+    try {
+      const response = await axios.get("/api/expenses/admin/stats", {
+        params: { today: todayInputValue() },
+      });
+      setExpenseTotals(response.data.data);
+    } catch (error) {
+      console.error("Error fetching expense totals:", error);
+    }
+  };
+
+  const fetchExchangeRates = async () => {
+    try {
+      const response = await axios.get("/api/exchange-rates");
+      setExchangeRates(response.data.data?.rates || []);
+    } catch (error) {
+      console.error("Error fetching exchange rates:", error);
+    }
+  };
+
   const calculateStats = () => {
     const totalUsers = users.length;
-    const totalExpenses = allExpenses.length;
-    const totalIncome = allExpenses
-      .filter(expense => expense.type === 'income')
-      .reduce((sum, expense) => sum + (expense.totalAmount || 0), 0);
+    const { totalExpenses, totals } = expenseTotals;
+    // Users record in different currencies, so totals are shown per currency
+    const totalIncome = formatMoneyByCurrency(
+      totals.filter(total => total.type === 'income'),
+      total => total.total
+    );
     
-    const totalExpenseAmount = allExpenses
-      .filter(expense => expense.type === 'expense')
-      .reduce((sum, expense) => sum + (expense.totalAmount || 0), 0);
+    const totalExpenseAmount = formatMoneyByCurrency(
+      totals.filter(total => total.type === 'expense'),
+      total => total.total
+    );
 
-    const recentActivity = [...allExpenses]
-      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
-      .slice(0, 5);
+    // The list comes newest first
+    const recentActivity = allExpenses.slice(0, 5);
 
     setStats({
       totalUsers,
@@ -126,12 +231,10 @@ const AdminDashboard = () => {
   const createExpense = async (e) => {
     e.preventDefault();
     try {
-      const totalAmount = calculateTotal(expenseForm);
       const expenseData = {
         ...expenseForm,
-        amount: parseFloat(expenseForm.amount),
-        taxAmount: parseFloat(expenseForm.taxAmount),
-        totalAmount: totalAmount,
+        ...parseAmountFields(expenseForm),
+        categoryId: expenseForm.categoryId || null,
       };
 
       const response = await axios.post("/api/expenses/admin/create", expenseData); // ✅ FIXED
@@ -142,10 +245,14 @@ const AdminDashboard = () => {
           amount: "", 
           type: "expense", 
           taxType: "flat", 
+          currency: "USD",
           taxAmount: "0", 
+          categoryId: "",
+          date: todayInputValue(),
           userId: "" 
         });
         fetchAllExpenses();
+        fetchExpenseTotals();
       }
     } catch (error) {
       alert(error.response?.data?.message || "Error creating expense");
@@ -178,7 +285,7 @@ const AdminDashboard = () => {
   };
 
   const deleteUser = async (userId, userName) => {
-    if (window.confirm(`Are you sure you want to delete user "${userName}"? This will also delete all their expenses.`)) {
+    if (window.confirm(`Are you sure you want to delete user "${userName}"? Their expenses go to the trash with them.`)) {
       try {
         const response = await axios.delete(`/api/expenses/admin/users/${userId}`); // ✅ FIXED
         if (response.data.success) {
@@ -190,26 +297,38 @@ const AdminDashboard = () => {
     }
   };
 
+  const startExpenseEditFrom = (expense, form) => {
+    setEditExpenseBase(form);
+    setEditingExpenseVersion(expense.__v);
+    setExpenseConflict(null);
+  };
+
   const openEditExpense = (expense) => {
+    const form = expenseToEditForm(expense);
     setEditingExpense(expense._id);
-    setEditExpenseForm({
-      description: expense.description,
-      amount: expense.amount.toString(),
-      type: expense.type,
-      taxType: expense.taxType || "flat",
-      taxAmount: expense.taxAmount?.toString() || "0",
-    });
+    setEditingExpenseOwner(expense.userId?._id || null);
+    setEditExpenseForm(form);
+    startExpenseEditFrom(expense, form);
   };
 
-  const updateExpense = async (e) => {
+  const closeEditExpense = () => {
+    setEditingExpense(null);
+    setEditingExpenseOwner(null);
+    setExpenseConflict(null);
+  };
+
+  const updateExpense = (e) => {
     e.preventDefault();
+    saveEditedExpense(editingExpenseVersion);
+  };
+
+  const saveEditedExpense = async (version) => {
     try {
-      const totalAmount = calculateTotal(editExpenseForm);
       const expenseData = {
         ...editExpenseForm,
-        amount: parseFloat(editExpenseForm.amount),
-        taxAmount: parseFloat(editExpenseForm.taxAmount),
-        totalAmount: totalAmount,
+        ...parseAmountFields(editExpenseForm),
+        categoryId: editExpenseForm.categoryId || null,
+        version,
       };
 
       const response = await axios.put(
@@ -217,20 +336,46 @@ const AdminDashboard = () => {
         expenseData
       );
       if (response.data.success) {
-        setEditingExpense(null);
+        closeEditExpense();
         fetchAllExpenses();
+        fetchExpenseTotals();
       }
     } catch (error) {
+      if (error.response?.status === 409 && error.response.data?.data) {
+        const current = error.response.data.data;
+        setExpenseConflict({
+          current,
+          ...mergeForms(editExpenseBase, editExpenseForm, expenseToEditForm(current)),
+        });
+        return;
+      }
       alert(error.response?.data?.message || "Error updating expense");
     }
   };
 
+  const mergeExpenseConflict = () => {
+    setEditExpenseForm(expenseConflict.merged);
+    startExpenseEditFrom(expenseConflict.current, expenseToEditForm(expenseConflict.current));
+  };
+
+  const overwriteExpenseConflict = () => {
+    startExpenseEditFrom(expenseConflict.current, expenseToEditForm(expenseConflict.current));
+    saveEditedExpense(expenseConflict.current.__v);
+  };
+
+  const discardExpenseChanges = () => {
+    const form = expenseToEditForm(expenseConflict.current);
+    setEditExpenseForm(form);
+    startExpenseEditFrom(expenseConflict.current, form);
+  };
+
   const deleteExpense = async (expenseId, description) => {
-    if (window.confirm(`Are you sure you want to delete expense "${description}"?`)) {
+    if (window.confirm(`Move expense "${description}" to the trash?`)) {
       try {
         const response = await axios.delete(`/api/expenses/admin/expense/${expenseId}`); // ✅ FIXED
         if (response.data.success) {
           fetchAllExpenses();
+          fetchExpenseTotals();
         }
       } catch (error) {
         alert(error.response?.data?.message || "Error deleting expense");
@@ -238,14 +383,68 @@ const AdminDashboard = () => {
     }
   };
 
-  const calculateTotal = (formData) => {
-    const amount = parseFloat(formData.amount) || 0;
-    const tax = parseFloat(formData.taxAmount) || 0;
+  const toggleExpenseSelected = (expenseId) => {
+    setSelectedExpenseIds((prev) =>
+      prev.includes(expenseId) ? prev.filter((id) => id !== expenseId) : [...prev, expenseId]
+    );
+  };
+
+  const allExpensesSelected = allExpenses.length > 0 && selectedExpenseIds.length === allExpenses.length;
 
-    if (formData.taxType === "percentage") {
-      return amount + (amount * tax) / 100;
-    } else {
-      return amount + tax;
+  const toggleAllExpensesSelected = () => {
+    setSelectedExpenseIds(allExpensesSelected ? [] : allExpenses.map((expense) => expense._id));
+  };
+
+  const clearExpenseSelection = () => {
+    setSelectedExpenseIds([]);
+    setBulkReport(null);
+  };
+
+  const applyBulkAction = async (params) => {
+    setBulkBusy(true);
+    try {
+      const response = await axios.post("/api/expenses/admin/bulk", {
+        ...params,
+        ids: selectedExpenseIds,
+      });
+      setBulkReport(response.data.data);
+      setSelectedExpenseIds([]);
+      fetchAllExpenses();
+      fetchExpenseTotals();
+    } catch (error) {
+      alert(error.response?.data?.message || "Error updating expenses");
+    } finally {
+      setBulkBusy(false);
+    }
+  };
+
+  const createExchangeRate = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await axios.post("/api/exchange-rates", {
+        ...rateForm,
+        rate: parseFloat(rateForm.rate),
+      });
+      if (response.data.success) {
+        setShowRateForm(false);
+        setRateForm({ from: "EUR", to: "USD", rate: "", date: todayInputValue() });
+        fetchExchangeRates();
+      }
+    } catch (error) {
+      alert(error.response?.data?.message || "Error creating exchange rate");
+    }
+  };
+
+  const deleteExchangeRate = async (rate) => {
+    if (window.confirm(`Delete the ${rate.from}/${rate.to} rate for ${formatDate(rate.date)}?`)) {
+      try {
+        const response = await axios.delete(`/api/exchange-rates/${rate._id}`);
+        if (response.data.success) {
+          fetchExchangeRates();
+        }
+      } catch (error) {
+        alert(error.response?.data?.message || "Error deleting exchange rate");
+      }
     }
   };
 
@@ -293,7 +492,14 @@ const AdminDashboard = () => {
           >
             <span className="tab-icon">💰</span>
             Expenses
-            <span className="tab-count">{allExpenses.length}</span>
+            <span className="tab-count">{stats.totalExpenses}</span>
+          </button>
+          <button 
+            className={`nav-tab ${activeTab === "rates" ? "active" : ""}`}
+            onClick={() => setActiveTab("rates")}
+          >
+            <span className="tab-icon">💱</span>
+            Exchange Rates
           </button>
         </div>
 
@@ -320,8 +526,15 @@ const AdminDashboard = () => {
             {activeTab === "dashboard" && "Dashboard Overview"}
             {activeTab === "users" && "User Management"}
             {activeTab === "expenses" && "Expense Management"}
+            {activeTab === "rates" && "Exchange Rates"}
           </h1>
           <div className="header-actions">
+            <button 
+              onClick={() => navigate("/trash")}
+              className="btn-secondary"
+            >
+              🗑️ Trash
+            </button>
             {activeTab === "users" && (
               <button 
                 onClick={() => setShowUserForm(true)}
@@ -330,6 +543,9 @@ const AdminDashboard = () => {
                 + Add User
               </button>
             )}
+            {activeTab === "expenses" && (
+              <ExportButton url="/api/expenses/admin/export" />
+            )}
             {activeTab === "expenses" && (
               <button 
                 onClick={() => setShowExpenseForm(true)}
@@ -338,6 +554,14 @@ const AdminDashboard = () => {
                 + Add Expense
               </button>
             )}
+            {activeTab === "rates" && (
+              <button 
+                onClick={() => setShowRateForm(true)}
+                className="btn-primary"
+              >
+                + Add Rate
+              </button>
+            )}
           </div>
         </header>
 
@@ -362,14 +586,14 @@ const AdminDashboard = () => {
                 <div className="stat-card">
                   <div className="stat-icon income">📈</div>
                   <div className="stat-info">
-                    <h3>${stats.totalIncome.toFixed(2)}</h3>
+                    <h3>{stats.totalIncome}</h3>
                     <p>Total Income</p>
                   </div>
                 </div>
                 <div className="stat-card">
                   <div className="stat-icon expense">📉</div>
                   <div className="stat-info">
-                    <h3>${stats.totalExpenseAmount.toFixed(2)}</h3>
+                    <h3>{stats.totalExpenseAmount}</h3>
                     <p>Total Expenses</p>
                   </div>
                 </div>
@@ -390,10 +614,10 @@ const AdminDashboard = () => {
                         </div>
                         <div className="activity-amount">
                           <span className={`amount ${activity.type}`}>
-                            ${activity.totalAmount?.toFixed(2)}
+                            {formatMoney(activity.totalAmount, activity.currency)}
                           </span>
                           <span className="activity-date">
-                            {new Date(activity.createdAt).toLocaleDateString()}
+                            {formatDate(activity.date || activity.createdAt)}
                           </span>
                         </div>
                       </div>
@@ -410,19 +634,11 @@ const AdminDashboard = () => {
                     </div>
                     <div className="quick-stat">
                       <span className="stat-label">Today's Transactions</span>
-                      <span className="stat-value">
-                        {allExpenses.filter(exp => 
-                          new Date(exp.createdAt).toDateString() === new Date().toDateString()
-                        ).length}
-                      </span>
+                      <span className="stat-value">{expenseTotals.todayCount}</span>
                     </div>
                     <div className="quick-stat">
                       <span className="stat-label">This Month</span>
-                      <span className="stat-value">
-                        {allExpenses.filter(exp => 
-                          new Date(exp.createdAt).getMonth() === new Date().getMonth()
-                        ).length}
-                      </span>
+                      <span className="stat-value">{expenseTotals.monthCount}</span>
                     </div>
                   </div>
                 </div>
@@ -496,14 +712,34 @@ const AdminDashboard = () => {
 
           {activeTab === "expenses" && (
             <div className="management-section">
+              {(selectedExpenseIds.length > 0 || bulkReport) && (
+                <BulkActionBar
+                  selectedLabel={selectedExpenseIds.length > 0 && `${selectedExpenseIds.length} expense(s)`}
+                  actions={["delete", "changeType", "shiftDate"]}
+                  onApply={applyBulkAction}
+                  onClear={clearExpenseSelection}
+                  report={bulkReport}
+                  busy={bulkBusy}
+                />
+              )}
               <div className="table-container">
                 <table className="data-table">
                   <thead>
                     <tr>
+                      <th>
+                        <input
+                          type="checkbox"
+                          className="expense-select"
+                          checked={allExpensesSelected}
+                          onChange={toggleAllExpensesSelected}
+                          aria-label="Select all expenses"
+                        />
+                      </th>
                       <th>Description</th>
                       <th>User</th>
                       <th>Amount</th>
                       <th>Type</th>
+                      <th>Category</th>
                       <th>Total</th>
                       <th>Date</th>
                       <th>Actions</th>
@@ -512,6 +748,15 @@ const AdminDashboard = () => {
                   <tbody>
                     {allExpenses.map(expense => (
                       <tr key={expense._id}>
+                        <td>
+                          <input
+                            type="checkbox"
+                            className="expense-select"
+                            checked={selectedExpenseIds.includes(expense._id)}
+                            onChange={() => toggleExpenseSelected(expense._id)}
+                            aria-label={`Select ${expense.description}`}
+                          />
+                        </td>
                         <td>{expense.description}</td>
                         <td>
                           <div className="user-cell">
@@ -521,14 +766,15 @@ const AdminDashboard = () => {
                             {expense.userId?.name}
                           </div>
                         </td>
-                        <td>${expense.amount}</td>
+                        <td>{formatMoney(expense.amount, expense.currency)}</td>
                         <td>
                           <span className={`type-badge ${expense.type}`}>
                             {expense.type}
                           </span>
                         </td>
-                        <td>${expense.totalAmount?.toFixed(2)}</td>
-                        <td>{new Date(expense.createdAt).toLocaleDateString()}</td>
+                        <td>{expense.categoryId?.name || "Uncategorized"}</td>
+                        <td>{formatMoney(expense.totalAmount, expense.currency)}</td>
+                        <td>{formatDate(expense.date || expense.createdAt)}</td>
                         <td>
                           <div className="action-buttons">
                             <button 
@@ -550,6 +796,60 @@ const AdminDashboard = () => {
                   </tbody>
                 </table>
               </div>
+              {allExpenses.length > 0 && (
+                <div className="load-more">
+                  <span>Showing {allExpenses.length} of {stats.totalExpenses}</span>
+                  {nextCursor && (
+                    <button className="btn-secondary" disabled={loadingMore} onClick={loadMoreExpenses}>
+                      {loadingMore ? "Loading..." : "Load more"}
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+
+          {activeTab === "rates" && (
+            <div className="management-section">
+              <div className="table-container">
+                <table className="data-table">
+                  <thead>
+                    <tr>
+                      <th>Date</th>
+                      <th>From</th>
+                      <th>To</th>
+                      <th>Rate</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {exchangeRates.map(rate => (
+                      <tr key={rate._id}>
+                        <td>{formatDate(rate.date)}</td>
+                        <td>{rate.from}</td>
+                        <td>{rate.to}</td>
+                        <td>1 {rate.from} = {rate.rate} {rate.to}</td>
+                        <td>
+                          <div className="action-buttons">
+                            <button 
+                              className="btn-delete"
+                              onClick={() => deleteExchangeRate(rate)}
+                            >
+                              Delete
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                {exchangeRates.length === 0 && (
+                  <div className="no-data-message">
+                    <p>No exchange rates yet. Transactions in other currencies are left out of users' totals until a rate exists.</p>
+                  </div>
+                )}
+              </div>
             </div>
           )}
         </div>
@@ -628,7 +928,15 @@ const AdminDashboard = () => {
                   <label>User *</label>
                   <select
                     value={expenseForm.userId}
-                    onChange={(e) => setExpenseForm({...expenseForm, userId: e.target.value})}
+                    onChange={(e) => {
+                      const owner = users.find(u => u._id === e.target.value);
+                      setExpenseForm({
+                        ...expenseForm,
+                        userId: e.target.value,
+                        categoryId: "",
+                        currency: owner?.baseCurrency || expenseForm.currency
+                      });
+                    }}
                     required
                   >
                     <option value="">Select User</option>
@@ -659,16 +967,42 @@ const AdminDashboard = () => {
                     step="0.01"
                   />
                 </div>
+                <div className="form-group">
+                  <label>Currency *</label>
+                  <CurrencySelect
+                    value={expenseForm.currency}
+                    onChange={(e) => setExpenseForm({...expenseForm, currency: e.target.value})}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Date *</label>
+                  <input
+                    type="date"
+                    value={expenseForm.date}
+                    onChange={(e) => setExpenseForm({...expenseForm, date: e.target.value})}
+                    required
+                  />
+                </div>
                 <div className="form-group">
                   <label>Type *</label>
                   <select
                     value={expenseForm.type}
-                    onChange={(e) => setExpenseForm({...expenseForm, type: e.target.value})}
+                    onChange={(e) => setExpenseForm({...expenseForm, type: e.target.value, categoryId: ""})}
                   >
                     <option value="expense">Expense</option>
                     <option value="income">Income</option>
                   </select>
                 </div>
+                <div className="form-group">
+                  <label>Category</label>
+                  <CategorySelect
+                    categories={createCategories}
+                    type={expenseForm.type}
+                    value={expenseForm.categoryId}
+                    onChange={(e) => setExpenseForm({...expenseForm, categoryId: e.target.value})}
+                    disabled={!expenseForm.userId}
+                  />
+                </div>
               </div>
               <div className="modal-footer">
                 <button type="button" onClick={() => setShowExpenseForm(false)} className="btn-secondary">
@@ -683,6 +1017,63 @@ const AdminDashboard = () => {
         </div>
       )}
 
+      {showRateForm && (
+        <div className="modal-overlay">
+          <div className="modal">
+            <div className="modal-header">
+              <h3>Add Exchange Rate</h3>
+              <button onClick={() => setShowRateForm(false)} className="modal-close">×</button>
+            </div>
+            <form onSubmit={createExchangeRate}>
+              <div className="modal-body">
+                <div className="form-group">
+                  <label>From *</label>
+                  <CurrencySelect
+                    value={rateForm.from}
+                    onChange={(e) => setRateForm({...rateForm, from: e.target.value})}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>To *</label>
+                  <CurrencySelect
+                    value={rateForm.to}
+                    onChange={(e) => setRateForm({...rateForm, to: e.target.value})}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Rate (1 {rateForm.from} = ? {rateForm.to}) *</label>
+                  <input
+                    type="number"
+                    value={rateForm.rate}
+                    onChange={(e) => setRateForm({...rateForm, rate: e.target.value})}
+                    required
+                    min="0.000001"
+                    step="any"
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Effective Date *</label>
+                  <input
+                    type="date"
+                    value={rateForm.date}
+                    onChange={(e) => setRateForm({...rateForm, date: e.target.value})}
+                    required
+                  />
+                </div>
+              </div>
+              <div className="modal-footer">
+                <button type="button" onClick={() => setShowRateForm(false)} className="btn-secondary">
+                  Cancel
+                </button>
+                <button type="submit" className="btn-primary">
+                  Add Rate
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
       {editingUser && (
         <div className="modal-overlay">
           <div className="modal">
@@ -739,10 +1130,19 @@ const AdminDashboard = () => {
           <div className="modal">
             <div className="modal-header">
               <h3>Edit Expense</h3>
-              <button onClick={() => setEditingExpense(null)} className="modal-close">×</button>
+              <button onClick={closeEditExpense} className="modal-close">×</button>
             </div>
             <form onSubmit={updateExpense}>
               <div className="modal-body">
+                {expenseConflict && (
+                  <ConflictPrompt
+                    theirChanges={expenseConflict.theirChanges}
+                    conflicts={expenseConflict.conflicts}
+                    onMerge={mergeExpenseConflict}
+                    onOverwrite={overwriteExpenseConflict}
+                    onDiscard={discardExpenseChanges}
+                  />
+                )}
                 <div className="form-group">
                   <label>Description *</label>
                   <input
@@ -753,7 +1153,7 @@ const AdminDashboard = () => {
                   />
                 </div>
                 <div className="form-group">
-                  <label>Amount ($) *</label>
+                  <label>Amount *</label>
                   <input
                     type="number"
                     value={editExpenseForm.amount}
@@ -761,21 +1161,54 @@ const AdminDashboard = () => {
                     required
                     min="0.01"
                     step="0.01"
+                    disabled={editExpenseForm.lineCount > 0}
+                  />
+                  {editExpenseForm.lineCount > 0 && (
+                    <small className="form-hint">
+                      Split across {editExpenseForm.lineCount} line items; the amount is their sum.
+                    </small>
+                  )}
+                </div>
+                <div className="form-group">
+                  <label>Currency *</label>
+                  <CurrencySelect
+                    value={editExpenseForm.currency}
+                    onChange={(e) => setEditExpenseForm({...editExpenseForm, currency: e.target.value})}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Date *</label>
+                  <input
+                    type="date"
+                    value={editExpenseForm.date}
+                    onChange={(e) => setEditExpenseForm({...editExpenseForm, date: e.target.value})}
+                    required
                   />
                 </div>
                 <div className="form-group">
                   <label>Type *</label>
                   <select
                     value={editExpenseForm.type}
-                    onChange={(e) => setEditExpenseForm({...editExpenseForm, type: e.target.value})}
+                    onChange={(e) => setEditExpenseForm({...editExpenseForm, type: e.target.value, categoryId: ""})}
                   >
                     <option value="expense">Expense</option>
                     <option value="income">Income</option>
+                    {/* Transfers are created by their owner, who picks the accounts */}
+                    <option value="transfer" disabled>Transfer</option>
                   </select>
                 </div>
+                <div className="form-group">
+                  <label>Category</label>
+                  <CategorySelect
+                    categories={editCategories}
+                    type={editExpenseForm.type}
+                    value={editExpenseForm.categoryId}
+                    onChange={(e) => setEditExpenseForm({...editExpenseForm, categoryId: e.target.value})}
+                  />
+                </div>
               </div>
               <div className="modal-footer">
-                <button type="button" onClick={() => setEditingExpense(null)} className="btn-secondary">
+                <button type="button" onClick={closeEditExpense} className="btn-secondary">
                   Cancel
                 </button>
                 <button type="submit" className="btn-primary">
@@ -0,0 +1,275 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
+import CategorySelect from '../components/CategorySelect';
+import CurrencySelect from '../components/CurrencySelect';
+import BudgetProgress from '../components/BudgetProgress';
+import { useCategories } from '../hooks/useCategories';
+import { todayInputValue } from '../utils/date';
+import { parseAmountFields } from '../utils/money';
+import './Budgets.css';
+
+const Budgets = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const categories = useCategories();
+
+  const emptyForm = {
+    name: '',
+    categoryId: '',
+    amount: '',
+    currency: user?.baseCurrency || 'USD',
+    period: 'monthly',
+    startDate: todayInputValue(),
+    endDate: '',
+    rollover: false
+  };
+
+  const [budgets, setBudgets] = useState([]);
+  const [unconvertedCurrencies, setUnconvertedCurrencies] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [formData, setFormData] = useState(emptyForm);
+
+  useEffect(() => {
+    fetchBudgets();
+  }, []);
+
+  const fetchBudgets = async () => {
+    try {
+      const response = await axios.get('/api/budgets');
+      setBudgets(response.data.data?.budgets || []);
+      setUnconvertedCurrencies(response.data.data?.unconvertedCurrencies || []);
+    } catch (error) {
+      console.error('❌ Error fetching budgets:', error);
+      setError('Failed to load budgets');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+
+    try {
+      const isCustom = formData.period === 'custom';
+      await axios.post('/api/budgets', {
+        name: formData.name.trim(),
+        categoryId: formData.categoryId || null,
+        amount: parseAmountFields(formData).amount,
+        currency: formData.currency,
+        period: formData.period,
+        startDate: formData.startDate,
+        endDate: isCustom ? formData.endDate : null,
+        rollover: !isCustom && formData.rollover
+      });
+      setFormData(emptyForm);
+      fetchBudgets();
+    } catch (error) {
+      console.error('❌ Error creating budget:', error);
+      setError(error.response?.data?.message || 'Error creating budget');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleRollover = async (budget) => {
+    try {
+      await axios.put(`/api/budgets/${budget._id}`, { rollover: !budget.rollover });
+      fetchBudgets();
+    } catch (error) {
+      alert(error.response?.data?.message || 'Error updating budget');
+    }
+  };
+
+  const deleteBudget = async (budget) => {
+    if (window.confirm(`Delete budget "${budget.name}"?`)) {
+      try {
+        await axios.delete(`/api/budgets/${budget._id}`);
+        setBudgets(prev => prev.filter(b => b._id !== budget._id));
+      } catch (error) {
+        alert(error.response?.data?.message || 'Error deleting budget');
+      }
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="loading-spinner"></div>
+        <p>Loading budgets...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="dashboard-container budgets-page">
+      <header className="dashboard-header">
+        <h1>Budgets</h1>
+        <button onClick={() => navigate('/dashboard')} className="add-button">
+          ◀ Back to Dashboard
+        </button>
+      </header>
+
+      <div className="expenses-section budgets-form-section">
+        <div className="section-header">
+          <h2>New Budget</h2>
+        </div>
+
+        {error && (
+          <div className="error-message">
+            <strong>Error:</strong> {error}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="budgets-form">
+          <div className="form-group">
+            <label>Name *</label>
+            <input
+              type="text"
+              name="name"
+              value={formData.name}
+              onChange={handleChange}
+              required
+              placeholder="e.g. Groceries"
+              disabled={saving}
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Category</label>
+            <CategorySelect
+              categories={categories}
+              type="expense"
+              value={formData.categoryId}
+              onChange={handleChange}
+              emptyLabel="All expenses"
+              disabled={saving}
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Limit *</label>
+            <input
+              type="number"
+              name="amount"
+              value={formData.amount}
+              onChange={handleChange}
+              required
+              min="0.01"
+              step="0.01"
+              placeholder="0.00"
+              disabled={saving}
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Currency *</label>
+            <CurrencySelect value={formData.currency} onChange={handleChange} disabled={saving} />
+          </div>
+
+          <div className="form-group">
+            <label>Period *</label>
+            <select name="period" value={formData.period} onChange={handleChange} disabled={saving}>
+              <option value="monthly">Every month</option>
+              <option value="custom">Custom dates</option>
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label>{formData.period === 'monthly' ? 'Starting Month *' : 'Start Date *'}</label>
+            <input
+              type="date"
+              name="startDate"
+              value={formData.startDate}
+              onChange={handleChange}
+              required
+              disabled={saving}
+            />
+          </div>
+
+          {formData.period === 'custom' ? (
+            <div className="form-group">
+              <label>End Date *</label>
+              <input
+                type="date"
+                name="endDate"
+                value={formData.endDate}
+                onChange={handleChange}
+                min={formData.startDate}
+                required
+                disabled={saving}
+              />
+            </div>
+          ) : (
+            <div className="form-group checkbox-group">
+              <label>
+                <input
+                  type="checkbox"
+                  name="rollover"
+                  checked={formData.rollover}
+                  onChange={handleChange}
+                  disabled={saving}
+                />
+                Roll unspent (or overspent) money into next month
+              </label>
+            </div>
+          )}
+
+          <div className="budgets-form-actions">
+            <button type="submit" className="add-button" disabled={saving}>
+              {saving ? 'Saving...' : 'Add Budget'}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      <div className="expenses-section">
+        <div className="section-header">
+          <h2>Your Budgets</h2>
+        </div>
+
+        {unconvertedCurrencies.length > 0 && (
+          <div className="currency-warning">
+            No exchange rate for {unconvertedCurrencies.join(', ')}. Those transactions are not counted.
+          </div>
+        )}
+
+        {budgets.length === 0 ? (
+          <div className="no-expenses">
+            <p>No budgets yet. Set a monthly limit for groceries, dining out or everything.</p>
+          </div>
+        ) : (
+          <div className="budgets-list">
+            {budgets.map(budget => (
+              <div key={budget._id} className="budget-card">
+                <BudgetProgress budget={budget} />
+                <div className="expense-actions">
+                  {budget.period === 'monthly' && (
+                    <button onClick={() => toggleRollover(budget)} className="edit-btn">
+                      {budget.rollover ? 'Stop Rollover' : 'Roll Over'}
+                    </button>
+                  )}
+                  <button onClick={() => deleteBudget(budget)} className="delete-btn">
+                    Delete
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Budgets;
@@ -1,36 +1,145 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
 import axios from 'axios';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import CurrencySelect from '../components/CurrencySelect';
+import BudgetProgress from '../components/BudgetProgress';
+import GoalCard from '../components/GoalCard';
+import BulkActionBar from '../components/BulkActionBar';
+import ExportButton from '../components/ExportButton';
+import StatementDownload from '../components/StatementDownload';
+import TransactionFilters from '../components/TransactionFilters';
+import PeriodSwitcher from '../components/PeriodSwitcher';
+import TrendCharts from '../components/TrendCharts';
+import ForecastChart from '../components/ForecastChart';
+import { useCategories } from '../hooks/useCategories';
+import { usePayees } from '../hooks/usePayees';
+import { CALENDAR_PERIODS, periodRange, formatDate, todayInputValue } from '../utils/date';
+import { formatMoney, formatTax } from '../utils/money';
+import { ACCOUNT_TYPES } from '../utils/accounts';
 import './Dashboard.css';
 
+// Transaction list params kept in the URL (besides the period params
+// `period`, `date`, `from` and `to`) so a filtered view can be bookmarked or
+// shared
+const LIST_PARAMS = ['search', 'type', 'payeeId', 'taxType', 'minAmount', 'maxAmount', 'sort', 'order'];
+const SORT_PARAMS = ['sort', 'order'];
+// Transactions fetched per "Load more"
+const PAGE_SIZE = 10;
+
+// Only the params that are set
+const compactParams = (params) =>
+  Object.fromEntries(Object.entries(params).filter(([, value]) => value));
+
+const PREVIOUS_LABELS = {
+  month: 'previous month',
+  quarter: 'previous quarter',
+  year: 'previous year',
+  custom: 'previous period'
+};
+
+// How a stat card's figure compares with the period before, e.g. "▲ 12% vs
+// previous month". `goodWhenUp` is false for figures that are better lower.
+const describeChange = (current, previous, period, goodWhenUp = true) => {
+  const versus = `vs ${PREVIOUS_LABELS[period]}`;
+  if (current === previous) return { text: `No change ${versus}`, tone: 'flat' };
+
+  const up = current > previous;
+  const percent = previous === 0 ? null : Math.round((Math.abs(current - previous) / Math.abs(previous)) * 100);
+  return {
+    text: `${up ? '▲' : '▼'} ${percent === null ? 'from 0' : `${percent}%`} ${versus}`,
+    tone: up === goodWhenUp ? 'good' : 'bad'
+  };
+};
+
 const Dashboard = () => {
   const [stats, setStats] = useState({
     totalIncome: 0,
     totalExpense: 0,
     balance: 0,
-    totalRecords: 0
+    totalRecords: 0,
+    categories: []
   });
   const [expenses, setExpenses] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [currentPage, setCurrentPage] = useState(1);
-  const [totalPages, setTotalPages] = useState(1);
+  // Where the next page starts; null once everything is loaded
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [totalExpenses, setTotalExpenses] = useState(0);
+  const [selectedIds, setSelectedIds] = useState([]);
+  // Instead of the picked ids, act on everything matching the filters
+  const [selectAllMatching, setSelectAllMatching] = useState(false);
+  const [bulkBusy, setBulkBusy] = useState(false);
+  const [bulkReport, setBulkReport] = useState(null);
   const [error, setError] = useState('');
+  const [budgets, setBudgets] = useState([]);
+  const [goals, setGoals] = useState([]);
   
-  const { user, logout } = useAuth();
+  const { user, logout, updateProfile } = useAuth();
   const navigate = useNavigate();
+  const categories = useCategories();
+  const payees = usePayees();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  // Old links with only `from`/`to` open as a custom period
+  const period = searchParams.get('period')
+    || (searchParams.get('from') || searchParams.get('to') ? 'custom' : '');
+  const calendarPeriod = CALENDAR_PERIODS.includes(period);
+  // The days shown; the transaction list covers the same ones
+  const dateRange = calendarPeriod
+    ? periodRange(period, searchParams.get('date') || todayInputValue())
+    : { from: searchParams.get('from') || '', to: searchParams.get('to') || '' };
+  const listFilters = Object.fromEntries(LIST_PARAMS.map(key => [key, searchParams.get(key) || '']));
+  // What the list is narrowed to; bulk actions on "all matching" use the same
+  const activeFilters = compactParams({
+    ...dateRange,
+    ...Object.fromEntries(LIST_PARAMS.filter(key => !SORT_PARAMS.includes(key)).map(key => [key, listFilters[key]]))
+  });
+  const hasFilters = Object.keys(activeFilters).length > 0;
 
   useEffect(() => {
     console.log('Dashboard mounted, fetching data...');
     console.log('Current user:', user);
     fetchDashboardData();
     fetchExpenses();
-  }, [currentPage]);
+  }, [searchParams]);
+
+  // Set or clear URL params; the list then starts over from the top
+  const updateParams = (changes) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      Object.entries(changes).forEach(([key, value]) => {
+        if (value) {
+          next.set(key, value);
+        } else {
+          next.delete(key);
+        }
+      });
+      return next;
+    });
+    setSelectAllMatching(false);
+  };
+
+  // Budgets and goals always show where they stand today, whatever range is shown
+  useEffect(() => {
+    fetchBudgets();
+    fetchGoals();
+  }, []);
+
+  // A full period also brings the figures of the one before; a half-open
+  // custom range is sent as plain dates
+  const dateQuery = () => {
+    const params = new URLSearchParams();
+    if (calendarPeriod || (dateRange.from && dateRange.from <= dateRange.to)) params.set('period', period);
+    if (dateRange.from) params.set(calendarPeriod ? 'date' : 'from', dateRange.from);
+    if (dateRange.to && !calendarPeriod) params.set('to', dateRange.to);
+    return params.toString();
+  };
 
   const fetchDashboardData = async () => {
     try {
       console.log('Fetching dashboard data...');
-      const response = await axios.get('/api/expenses/dashboard'); // ✅ FIXED: Remove localhost
+      const response = await axios.get(`/api/expenses/dashboard?${dateQuery()}`); // ✅ FIXED: Remove localhost
       console.log('Dashboard data:', response.data);
       setStats(response.data.data || response.data);
     } catch (error) {
@@ -39,27 +148,68 @@ const Dashboard = () => {
     }
   };
 
-  const fetchExpenses = async () => {
+  // The first page of the list, or with `cursor` the page after the ones
+  // already shown, appended to them
+  const fetchExpenses = async (cursor) => {
     try {
       console.log('Fetching expenses...');
-      const response = await axios.get(`/api/expenses?page=${currentPage}&limit=5`); // ✅ FIXED: Remove localhost
+      const params = new URLSearchParams({
+        ...activeFilters,
+        ...compactParams({ sort: listFilters.sort, order: listFilters.order, cursor }),
+        limit: PAGE_SIZE
+      });
+      const response = await axios.get(`/api/expenses?${params}`); // ✅ FIXED: Remove localhost
       console.log('Expenses data:', response.data);
-      setExpenses(response.data.data?.expenses || response.data.expenses || []);
-      setTotalPages(response.data.data?.totalPages || response.data.totalPages || 1);
+      const page = response.data.data?.expenses || response.data.expenses || [];
+      setExpenses(prev => (cursor ? [...prev, ...page] : page));
+      setNextCursor(response.data.data?.nextCursor || null);
+      setTotalExpenses(response.data.data?.totalExpenses || 0);
       setLoading(false);
     } catch (error) {
       console.error('❌ Error fetching expenses:', error);
-      setError('Failed to load expenses');
+      if (cursor) {
+        alert(error.response?.data?.message || 'Error loading more transactions');
+      } else {
+        setError('Failed to load expenses');
+      }
       setLoading(false);
     }
   };
 
+  const loadMore = async () => {
+    setLoadingMore(true);
+    await fetchExpenses(nextCursor);
+    setLoadingMore(false);
+  };
+
+  const fetchBudgets = async () => {
+    try {
+      const response = await axios.get('/api/budgets');
+      setBudgets(response.data.data?.budgets || []);
+    } catch (error) {
+      console.error('❌ Error fetching budgets:', error);
+    }
+  };
+
+  const fetchGoals = async () => {
+    try {
+      const response = await axios.get('/api/goals');
+      setGoals(response.data.data?.goals || []);
+    } catch (error) {
+      console.error('❌ Error fetching goals:', error);
+    }
+  };
+
   const deleteExpense = async (expenseId) => {
-    if (window.confirm('Are you sure you want to delete this transaction?')) {
+    if (window.confirm('Move this transaction to the trash?')) {
       try {
         await axios.delete(`/api/expenses/${expenseId}`);
+        // Cursors mark a position, so what is loaded below stays valid
+        setExpenses(prev => prev.filter(expense => expense._id !== expenseId));
+        setTotalExpenses(prev => prev - 1);
         fetchDashboardData();
-        fetchExpenses();
+        fetchBudgets();
+        fetchGoals();
       } catch (error) {
         console.error('❌ Error deleting expense:', error);
         alert('Error deleting transaction. Please try again.');
@@ -67,6 +217,63 @@ const Dashboard = () => {
     }
   };
 
+  const toggleSelected = (expenseId) => {
+    setSelectAllMatching(false);
+    setSelectedIds(prev =>
+      prev.includes(expenseId) ? prev.filter(id => id !== expenseId) : [...prev, expenseId]
+    );
+  };
+
+  const shownIds = expenses.map(expense => expense._id);
+  const shownSelected = shownIds.length > 0 && shownIds.every(id => selectedIds.includes(id));
+
+  const toggleShownSelected = () => {
+    setSelectAllMatching(false);
+    setSelectedIds(prev =>
+      shownSelected ? prev.filter(id => !shownIds.includes(id)) : [...new Set([...prev, ...shownIds])]
+    );
+  };
+
+  const clearSelection = () => {
+    setSelectedIds([]);
+    setSelectAllMatching(false);
+    setBulkReport(null);
+  };
+
+  const applyBulkAction = async (params) => {
+    setBulkBusy(true);
+    try {
+      const response = await axios.post('/api/expenses/bulk', {
+        ...params,
+        ...(selectAllMatching ? { filter: activeFilters } : { ids: selectedIds })
+      });
+      setBulkReport(response.data.data);
+      setSelectedIds([]);
+      setSelectAllMatching(false);
+      fetchDashboardData();
+      fetchExpenses();
+      fetchBudgets();
+      fetchGoals();
+    } catch (error) {
+      alert(error.response?.data?.message || 'Error updating transactions');
+    } finally {
+      setBulkBusy(false);
+    }
+  };
+
+  const selectedLabel = selectAllMatching
+    ? `All ${totalExpenses} matching transactions`
+    : selectedIds.length > 0 && `${selectedIds.length} transaction(s)`;
+
+  const handleBaseCurrencyChange = async (e) => {
+    const result = await updateProfile({ baseCurrency: e.target.value });
+    if (result.success) {
+      fetchDashboardData();
+    } else {
+      alert(result.message);
+    }
+  };
+
   const handleLogout = () => {
     logout();
     navigate('/login');
@@ -106,42 +313,262 @@ const Dashboard = () => {
         <h1>Expense Tracker Dashboard</h1>
         <div className="user-info">
           <span>Welcome, {user?.name}</span>
+          <label className="base-currency">
+            Base currency
+            <CurrencySelect
+              name="baseCurrency"
+              value={user?.baseCurrency || 'USD'}
+              onChange={handleBaseCurrencyChange}
+            />
+          </label>
           <button onClick={handleLogout} className="logout-btn">🚪 Logout</button>
         </div>
       </header>
 
+      <div className="date-range-bar">
+        <PeriodSwitcher period={period} range={dateRange} onChange={updateParams} />
+        <div className="date-range-export">
+          <StatementDownload />
+          <ExportButton
+            url="/api/expenses/export"
+            params={{ ...activeFilters, ...compactParams({ sort: listFilters.sort, order: listFilters.order }) }}
+          />
+        </div>
+      </div>
+
+      {stats.unconvertedCurrencies?.length > 0 && (
+        <div className="currency-warning">
+          No exchange rate to {stats.baseCurrency} for {stats.unconvertedCurrencies.join(', ')}.
+          Those transactions are left out of the totals below.
+        </div>
+      )}
+
       <div className="stats-container">
-        <div className="stat-card income">
-          <h3>Total Income</h3>
-          <p>${stats.totalIncome?.toFixed(2) || '0.00'}</p>
+        {[
+          { key: 'totalIncome', title: 'Total Income', className: 'income' },
+          { key: 'totalExpense', title: 'Total Expenses', className: 'expense', goodWhenUp: false },
+          { key: 'balance', title: 'Balance', className: 'balance' },
+          { key: 'totalRecords', title: 'Total Records', className: 'records', count: true }
+        ].map(card => {
+          const value = stats[card.key] || 0;
+          const change = stats.previous
+            && describeChange(value, stats.previous[card.key], stats.period.period, card.goodWhenUp);
+
+          return (
+            <div key={card.key} className={`stat-card ${card.className}`}>
+              <h3>{card.title}</h3>
+              <p>{card.count ? value : formatMoney(value, stats.baseCurrency)}</p>
+              {change && (
+                <span
+                  className={`stat-change ${change.tone}`}
+                  title={`${stats.previous.from} to ${stats.previous.to}: ${card.count
+                    ? stats.previous[card.key]
+                    : formatMoney(stats.previous[card.key], stats.baseCurrency)}`}
+                >
+                  {change.text}
+                </span>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <TrendCharts range={dateRange} refreshKey={stats} />
+
+      <ForecastChart refreshKey={stats} />
+
+      {stats.accounts?.length > 0 && (
+        <div className="accounts-overview">
+          <h2>Account Balances</h2>
+          <div className="account-cards">
+            {stats.accounts.map(account => (
+              <div key={account._id} className={`account-card ${account.balance < 0 ? 'negative' : ''}`}>
+                <span className="account-type">{ACCOUNT_TYPES[account.type]}</span>
+                <h4>{account.name}</h4>
+                <p>{formatMoney(account.balance, account.currency)}</p>
+              </div>
+            ))}
+          </div>
         </div>
-        <div className="stat-card expense">
-          <h3>Total Expenses</h3>
-          <p>${stats.totalExpense?.toFixed(2) || '0.00'}</p>
+      )}
+
+      {budgets.length > 0 && (
+        <div className="budgets-overview">
+          <div className="section-header">
+            <h2>Budgets</h2>
+            <button onClick={() => navigate('/budgets')} className="clear-range-btn">
+              Manage
+            </button>
+          </div>
+          {budgets.map(budget => (
+            <BudgetProgress key={budget._id} budget={budget} />
+          ))}
         </div>
-        <div className="stat-card balance">
-          <h3>Balance</h3>
-          <p>${stats.balance?.toFixed(2) || '0.00'}</p>
+      )}
+
+      {goals.length > 0 && (
+        <div className="goals-overview">
+          <div className="section-header">
+            <h2>Savings Goals</h2>
+            <button onClick={() => navigate('/goals')} className="clear-range-btn">
+              Manage
+            </button>
+          </div>
+          <div className="goal-cards">
+            {goals.map(goal => (
+              <GoalCard key={goal._id} goal={goal} />
+            ))}
+          </div>
         </div>
-        <div className="stat-card records">
-          <h3>Total Records</h3>
-          <p>{stats.totalRecords || 0}</p>
+      )}
+
+      {stats.categories?.length > 0 && (
+        <div className="category-breakdown">
+          <h2>Spending by Category</h2>
+          <div className="category-columns">
+            {['expense', 'income'].map(type => {
+              const rows = stats.categories.filter(category => category.type === type);
+              const max = Math.max(...rows.map(category => category.total), 0);
+
+              return (
+                <div key={type} className="category-column">
+                  <h3>{type === 'expense' ? 'Expenses' : 'Income'}</h3>
+                  {rows.length === 0 ? (
+                    <p className="category-empty">No {type} transactions yet.</p>
+                  ) : (
+                    rows.map(category => (
+                      <div key={category.categoryId || `uncategorized-${type}`} className="category-row">
+                        <div className="category-label">
+                          <span>{category.name}</span>
+                          <span>{formatMoney(category.total, stats.baseCurrency)}</span>
+                        </div>
+                        <div className="category-bar">
+                          <div
+                            className={`category-bar-fill ${type}`}
+                            style={{ width: `${max ? (category.total / max) * 100 : 0}%` }}
+                          />
+                        </div>
+                      </div>
+                    ))
+                  )}
+                </div>
+              );
+            })}
+          </div>
         </div>
-      </div>
+      )}
 
       <div className="expenses-section">
         <div className="section-header">
           <h2>Recent Transactions</h2>
-          <button 
-            onClick={() => navigate('/add-expense')} 
-            className="add-button"
-          >
-            Add New Transaction
-          </button>
+          <div className="section-actions">
+            <button 
+              onClick={() => navigate('/accounts')} 
+              className="add-button secondary"
+            >
+              🏦 Accounts
+            </button>
+            <button 
+              onClick={() => navigate('/budgets')} 
+              className="add-button secondary"
+            >
+              🎯 Budgets
+            </button>
+            <button 
+              onClick={() => navigate('/goals')} 
+              className="add-button secondary"
+            >
+              🐷 Goals
+            </button>
+            <button 
+              onClick={() => navigate('/tax-rates')} 
+              className="add-button secondary"
+            >
+              🧾 Tax Rates
+            </button>
+            <button 
+              onClick={() => navigate('/tax-report')} 
+              className="add-button secondary"
+            >
+              📊 Tax Report
+            </button>
+            <button 
+              onClick={() => navigate('/payees')} 
+              className="add-button secondary"
+            >
+              🏪 Payees
+            </button>
+            <button 
+              onClick={() => navigate('/rules')} 
+              className="add-button secondary"
+            >
+              🪄 Rules
+            </button>
+            <button 
+              onClick={() => navigate('/trash')} 
+              className="add-button secondary"
+            >
+              🗑️ Trash
+            </button>
+            <button 
+              onClick={() => navigate('/import')} 
+              className="add-button secondary"
+            >
+              📥 Import
+            </button>
+            <button 
+              onClick={() => navigate('/recurring')} 
+              className="add-button secondary"
+            >
+              🔁 Recurring
+            </button>
+            <button 
+              onClick={() => navigate('/add-expense')} 
+              className="add-button"
+            >
+              Add New Transaction
+            </button>
+          </div>
         </div>
 
+        <TransactionFilters
+          key={searchParams.toString()}
+          filters={listFilters}
+          onChange={updateParams}
+          payees={payees}
+        />
+
+        {(selectedLabel || bulkReport) && (
+          <BulkActionBar
+            selectedLabel={selectedLabel}
+            categories={categories}
+            onApply={applyBulkAction}
+            onClear={clearSelection}
+            report={bulkReport}
+            busy={bulkBusy}
+          />
+        )}
+
+        {expenses.length > 0 && (
+          <div className="bulk-selection">
+            <label className="bulk-select">
+              <input type="checkbox" checked={shownSelected || selectAllMatching} onChange={toggleShownSelected} />
+              Select all shown
+            </label>
+            {shownSelected && hasFilters && nextCursor && !selectAllMatching && (
+              <button onClick={() => setSelectAllMatching(true)} className="link-button">
+                Select all {totalExpenses} matching these filters
+              </button>
+            )}
+          </div>
+        )}
+
         <div className="expenses-list">
-          {expenses.length === 0 ? (
+          {expenses.length === 0 && hasFilters ? (
+            <div className="no-expenses">
+              <p>No transactions match these filters.</p>
+            </div>
+          ) : expenses.length === 0 ? (
             <div className="no-expenses">
               <p>No transactions yet. Add your first transaction!</p>
               <button 
@@ -154,19 +581,47 @@ const Dashboard = () => {
           ) : (
             expenses.map(expense => (
               <div key={expense._id} className={`expense-item ${expense.type}`}>
+                <input
+                  type="checkbox"
+                  className="expense-select"
+                  checked={selectAllMatching || selectedIds.includes(expense._id)}
+                  onChange={() => toggleSelected(expense._id)}
+                  aria-label={`Select ${expense.description}`}
+                />
                 <div className="expense-info">
                   <h4>{expense.description}</h4>
                   <div className="expense-details">
-                    <p><strong>Amount:</strong> ${expense.amount?.toFixed(2)}</p>
+                    <p><strong>Amount:</strong> {formatMoney(expense.amount, expense.currency)}</p>
                     <p><strong>Type:</strong> 
                       <span className={`type-badge ${expense.type}`}>
                         {expense.type}
                       </span>
                     </p>
-                    <p><strong>Tax:</strong> {expense.taxType === 'flat' ? `$${expense.taxAmount}` : `${expense.taxAmount}%`}</p>
-                    <p><strong>Total:</strong> ${expense.totalAmount?.toFixed(2)}</p>
-                    <p><strong>Date:</strong> {new Date(expense.createdAt).toLocaleDateString()}</p>
+                    {expense.type === 'transfer' ? (
+                      <p><strong>Transfer:</strong> {expense.accountId?.name} → {expense.toAccountId?.name}</p>
+                    ) : (
+                      <>
+                        <p><strong>Category:</strong> {expense.categoryId?.name || 'Uncategorized'}</p>
+                        {expense.payeeId && <p><strong>Payee:</strong> {expense.payeeId.name}</p>}
+                        {expense.accountId && <p><strong>Account:</strong> {expense.accountId.name}</p>}
+                        <p><strong>Tax:</strong> {formatTax(expense)}</p>
+                      </>
+                    )}
+                    {expense.goalId && <p><strong>Goal:</strong> {expense.goalId.name}</p>}
+                    <p><strong>Total:</strong> {formatMoney(expense.totalAmount, expense.currency)}</p>
+                    <p><strong>Date:</strong> {formatDate(expense.date || expense.createdAt)}</p>
                   </div>
+                  {expense.lineItems?.length > 0 && (
+                    <ul className="expense-lines">
+                      {expense.lineItems.map(line => (
+                        <li key={line._id}>
+                          <span>{line.description || expense.description}</span>
+                          <span>{line.categoryId?.name || 'Uncategorized'}</span>
+                          <span>{formatMoney(line.totalAmount, expense.currency)}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
                 </div>
                 <div className="expense-actions">
                   <button 
@@ -189,23 +644,18 @@ const Dashboard = () => {
 
         {expenses.length > 0 && (
           <div className="pagination">
-            <button 
-              disabled={currentPage === 1}
-              onClick={() => setCurrentPage(currentPage - 1)}
-              className="pagination-btn"
-            >
-              ◀ Previous
-            </button>
             <span className="page-info">
-              Page {currentPage} of {totalPages}
+              Showing {expenses.length} of {totalExpenses}
             </span>
-            <button 
-              disabled={currentPage >= totalPages}
-              onClick={() => setCurrentPage(currentPage + 1)}
-              className="pagination-btn"
-            >
-              Next ▶
-            </button>
+            {nextCursor && (
+              <button 
+                disabled={loadingMore}
+                onClick={loadMore}
+                className="pagination-btn"
+              >
+                {loadingMore ? 'Loading...' : 'Load more'}
+              </button>
+            )}
           </div>
         )}
       </div>
@@ -2,16 +2,75 @@ import React, { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
 import axios from 'axios';
 import { useNavigate, useParams } from 'react-router-dom';
+import CategorySelect from '../components/CategorySelect';
+import { useCategories } from '../hooks/useCategories';
+import CurrencySelect from '../components/CurrencySelect';
+import LineItemsEditor from '../components/LineItemsEditor';
+import AccountSelect from '../components/AccountSelect';
+import { useAccounts } from '../hooks/useAccounts';
+import { useGoals } from '../hooks/useGoals';
+import { useTaxRates } from '../hooks/useTaxRates';
+import { usePayees } from '../hooks/usePayees';
+import TaxRatePicker from '../components/TaxRatePicker';
+import RevisionHistory from '../components/RevisionHistory';
+import ConflictPrompt from '../components/ConflictPrompt';
+import { mergeForms } from '../utils/expenseFields';
+import { toDateInputValue } from '../utils/date';
+import {
+  formatMoney,
+  calculateFormBreakdown,
+  taxRateOptions,
+  parseAmountFields,
+  parseLineItems,
+  lineItemsToInput,
+  minorUnitsToInput,
+  basisPointsToPercent
+} from '../utils/money';
 import './EditExpense.css';
 
+// Form values for a transaction as the API returns it
+const expenseToForm = (expense) => ({
+  description: expense.description || '',
+  amount: minorUnitsToInput(expense.amount, expense.currency),
+  currency: expense.currency || 'USD',
+  type: expense.type || 'expense',
+  taxType: expense.taxType || 'flat',
+  taxAmount: expense.taxType === 'percentage'
+    ? basisPointsToPercent(expense.taxAmount).toString()
+    : minorUnitsToInput(expense.taxAmount, expense.currency),
+  categoryId: expense.categoryId || '',
+  date: toDateInputValue(expense.date || expense.createdAt),
+  lineItems: lineItemsToInput(expense.lineItems, expense.currency),
+  accountId: expense.accountId || '',
+  toAccountId: expense.toAccountId || '',
+  goalId: expense.goalId || '',
+  payeeId: expense.payeeId || '',
+  taxRateIds: (expense.taxes || []).map(tax => tax.taxRateId).filter(Boolean)
+});
+
 const EditExpense = () => {
   const [formData, setFormData] = useState({
     description: '',
     amount: '',
+    currency: 'USD',
     type: 'expense',
     taxType: 'flat',
-    taxAmount: '0'
+    taxAmount: '0',
+    categoryId: '',
+    date: '',
+    lineItems: [],
+    accountId: '',
+    toAccountId: '',
+    goalId: '',
+    payeeId: '',
+    taxRateIds: []
   });
+  const [recordedTaxes, setRecordedTaxes] = useState([]);
+  // The version and form values the edit started from, to detect and merge
+  // changes someone else saved meanwhile
+  const [version, setVersion] = useState(null);
+  const [loadedForm, setLoadedForm] = useState(null);
+  const [conflict, setConflict] = useState(null);
   const [loading, setLoading] = useState(false);
   const [fetchLoading, setFetchLoading] = useState(true);
   const [error, setError] = useState('');
@@ -19,6 +78,11 @@ const EditExpense = () => {
   const { user } = useAuth();
   const navigate = useNavigate();
   const { id } = useParams();
+  const categories = useCategories();
+  const accounts = useAccounts();
+  const goals = useGoals();
+  const payees = usePayees();
+  const taxRates = useTaxRates();
 
   useEffect(() => {
     fetchExpense();
@@ -38,13 +102,9 @@ const EditExpense = () => {
       
       console.log('📝 Expense data:', expense);
       
-      setFormData({
-        description: expense.description || '',
-        amount: expense.amount?.toString() || '',
-        type: expense.type || 'expense',
-        taxType: expense.taxType || 'flat',
-        taxAmount: expense.taxAmount?.toString() || '0'
-      });
+      const form = expenseToForm(expense);
+      setFormData(form);
+      startFrom(expense, form);
       
     } catch (error) {
       console.error('Error loading expense:', error);
@@ -55,40 +115,73 @@ const EditExpense = () => {
     }
   };
 
+  // Make `expense` (as saved on the server) the starting point of the edit
+  const startFrom = (expense, form) => {
+    setLoadedForm(form);
+    setVersion(expense.__v);
+    setRecordedTaxes(expense.taxes || []);
+    setConflict(null);
+  };
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
       ...prev,
-      [name]: value
+      [name]: value,
+      // A transaction is booked in its account's currency
+      ...(name === 'accountId' && value && {
+        currency: accounts.find(account => account._id === value)?.currency || prev.currency
+      }),
+      // Categories are per type, so switching type clears the pick
+      ...(name === 'type' && {
+        categoryId: '',
+        lineItems: prev.lineItems.map(line => ({ ...line, categoryId: '' }))
+      })
     }));
   };
 
-  const calculateTotal = () => {
-    const amount = parseFloat(formData.amount) || 0;
-    const tax = parseFloat(formData.taxAmount) || 0;
-    
-    if (formData.taxType === 'percentage') {
-      return amount + (amount * tax / 100);
-    } else {
-      return amount + tax;
-    }
+  const handleLineItemsChange = (lineItems) => {
+    setFormData(prev => ({ ...prev, lineItems }));
+  };
+
+  const handleTaxRatesChange = (taxRateIds) => {
+    setFormData(prev => ({ ...prev, taxRateIds }));
   };
 
-  const handleSubmit = async (e) => {
+  const isTransfer = formData.type === 'transfer';
+  const isSplit = !isTransfer && formData.lineItems.length > 0;
+  const taxOptions = taxRateOptions(taxRates, recordedTaxes);
+  const usesNamedTaxes = !isSplit && !isTransfer && formData.taxRateIds.length > 0;
+  const breakdown = calculateFormBreakdown(formData, taxOptions);
+
+  const handleSubmit = (e) => {
     e.preventDefault();
+    saveExpense(version);
+  };
+
+  const saveExpense = async (baseVersion) => {
     setLoading(true);
     setError('');
 
     try {
-      const totalAmount = calculateTotal();
-      
+      // Amounts go to the API as integer minor units; the total is computed there
       const expenseData = {
         description: formData.description.trim(),
-        amount: parseFloat(formData.amount),
+        // A split transaction's amount and tax are summed from its lines
+        ...(!isSplit && parseAmountFields(formData)),
+        currency: formData.currency,
         type: formData.type,
         taxType: formData.taxType,
-        taxAmount: parseFloat(formData.taxAmount) || 0,
-        totalAmount: totalAmount
+        categoryId: formData.categoryId || null,
+        date: formData.date,
+        lineItems: isSplit ? parseLineItems(formData.lineItems, formData.currency) : [],
+        accountId: formData.accountId || null,
+        toAccountId: isTransfer ? formData.toAccountId || null : null,
+        goalId: formData.goalId || null,
+        // No payee lets the payees' aliases and the rules pick one
+        payeeId: isTransfer ? null : formData.payeeId || null,
+        taxRateIds: isSplit || isTransfer ? [] : formData.taxRateIds,
+        version: baseVersion
       };
 
       console.log('📤 Sending update data:', expenseData);
@@ -98,6 +191,15 @@ const EditExpense = () => {
       
       navigate('/dashboard');
     } catch (error) {
+      if (error.response?.status === 409 && error.response.data?.data) {
+        const current = error.response.data.data;
+        setConflict({
+          current,
+          ...mergeForms(loadedForm, formData, expenseToForm(current))
+        });
+        return;
+      }
+
       console.error('Error updating expense:', error);
       console.error('Error response:', error.response?.data);
       setError(error.response?.data?.message || 'Error updating expense. Please try again.');
@@ -106,6 +208,22 @@ const EditExpense = () => {
     }
   };
 
+  const mergeConflict = () => {
+    setFormData(conflict.merged);
+    startFrom(conflict.current, expenseToForm(conflict.current));
+  };
+
+  const overwriteConflict = () => {
+    startFrom(conflict.current, expenseToForm(conflict.current));
+    saveExpense(conflict.current.__v);
+  };
+
+  const discardChanges = () => {
+    const form = expenseToForm(conflict.current);
+    setFormData(form);
+    startFrom(conflict.current, form);
+  };
+
   if (fetchLoading) {
     return (
       <div className="loading-container">
@@ -140,6 +258,17 @@ const EditExpense = () => {
           </div>
         )}
         
+        {conflict && (
+          <ConflictPrompt
+            theirChanges={conflict.theirChanges}
+            conflicts={conflict.conflicts}
+            onMerge={mergeConflict}
+            onOverwrite={overwriteConflict}
+            onDiscard={discardChanges}
+            disabled={loading}
+          />
+        )}
+
         <form onSubmit={handleSubmit}>
           <div className="form-group">
             <label>Description *</label>
@@ -154,17 +283,40 @@ const EditExpense = () => {
             />
           </div>
 
+          {!isSplit && (
+            <div className="form-group">
+              <label>Amount *</label>
+              <input
+                type="number"
+                name="amount"
+                value={formData.amount}
+                onChange={handleChange}
+                required
+                min="0.01"
+                step="0.01"
+                placeholder="0.00"
+                disabled={loading}
+              />
+            </div>
+          )}
+
+          <div className="form-group">
+            <label>Currency *</label>
+            <CurrencySelect
+              value={formData.currency}
+              onChange={handleChange}
+              disabled={loading || !!formData.accountId}
+            />
+          </div>
+
           <div className="form-group">
-            <label>Amount ($) *</label>
+            <label>Date *</label>
             <input
-              type="number"
-              name="amount"
-              value={formData.amount}
+              type="date"
+              name="date"
+              value={formData.date}
               onChange={handleChange}
               required
-              min="0.01"
-              step="0.01"
-              placeholder="0.00"
               disabled={loading}
             />
           </div>
@@ -180,47 +332,151 @@ const EditExpense = () => {
             >
               <option value="expense">Expense</option>
               <option value="income">Income</option>
+              <option value="transfer">Transfer</option>
             </select>
           </div>
 
           <div className="form-group">
-            <label>Tax Type</label>
-            <select
-              name="taxType"
-              value={formData.taxType}
-              onChange={handleChange}
-              disabled={loading}
-            >
-              <option value="flat">Flat Amount</option>
-              <option value="percentage">Percentage</option>
-            </select>
-          </div>
-
-          <div className="form-group">
-            <label>
-              Tax Amount {formData.taxType === 'percentage' ? '(%)' : '($)'}
-            </label>
-            <input
-              type="number"
-              name="taxAmount"
-              value={formData.taxAmount}
+            <label>{isTransfer ? 'From Account *' : 'Account'}</label>
+            <AccountSelect
+              accounts={accounts}
+              value={formData.accountId}
               onChange={handleChange}
-              min="0"
-              step={formData.taxType === 'percentage' ? '0.1' : '0.01'}
-              placeholder="0"
+              required={isTransfer}
               disabled={loading}
             />
           </div>
 
+          {isTransfer && (
+            <div className="form-group">
+              <label>To Account *</label>
+              <AccountSelect
+                name="toAccountId"
+                accounts={accounts}
+                value={formData.toAccountId}
+                onChange={handleChange}
+                exclude={formData.accountId}
+                required
+                disabled={loading}
+              />
+            </div>
+          )}
+
+          {goals.length > 0 && (
+            <div className="form-group">
+              <label>Savings Goal</label>
+              <select name="goalId" value={formData.goalId} onChange={handleChange} disabled={loading}>
+                <option value="">None</option>
+                {goals.map(goal => (
+                  <option key={goal._id} value={goal._id}>
+                    {goal.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {!isTransfer && (
+            <>
+              <div className="form-group">
+                <label>Category</label>
+                <CategorySelect
+                  categories={categories}
+                  type={formData.type}
+                  value={formData.categoryId}
+                  onChange={handleChange}
+                  disabled={loading}
+                />
+              </div>
+
+              <div className="form-group">
+                <label>Payee</label>
+                <select name="payeeId" value={formData.payeeId} onChange={handleChange} disabled={loading}>
+                  <option value="">Match automatically</option>
+                  {payees.map(payee => (
+                    <option key={payee._id} value={payee._id}>
+                      {payee.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label>Line Items</label>
+                <LineItemsEditor
+                  lineItems={formData.lineItems}
+                  onChange={handleLineItemsChange}
+                  categories={categories}
+                  type={formData.type}
+                  currency={formData.currency}
+                  disabled={loading}
+                />
+              </div>
+            </>
+          )}
+
+          {!isSplit && !isTransfer && taxOptions.length > 0 && (
+            <div className="form-group">
+              <label>Taxes</label>
+              <TaxRatePicker
+                taxRates={taxOptions}
+                value={formData.taxRateIds}
+                onChange={handleTaxRatesChange}
+                disabled={loading}
+              />
+            </div>
+          )}
+
+          {!isSplit && !isTransfer && !usesNamedTaxes && (
+            <>
+              <div className="form-group">
+                <label>Tax Type</label>
+                <select
+                  name="taxType"
+                  value={formData.taxType}
+                  onChange={handleChange}
+                  disabled={loading}
+                >
+                  <option value="flat">Flat Amount</option>
+                  <option value="percentage">Percentage</option>
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label>
+                  Tax Amount {formData.taxType === 'percentage' ? '(%)' : `(${formData.currency})`}
+                </label>
+                <input
+                  type="number"
+                  name="taxAmount"
+                  value={formData.taxAmount}
+                  onChange={handleChange}
+                  min="0"
+                  step={formData.taxType === 'percentage' ? '0.1' : '0.01'}
+                  placeholder="0"
+                  disabled={loading}
+                />
+              </div>
+            </>
+          )}
+
           <div className="form-group">
             <label>Total Amount</label>
             <div className="total-amount">
-              ${calculateTotal().toFixed(2)}
+              {formatMoney(breakdown.gross, formData.currency)}
             </div>
             <small className="total-note">
-              Calculated: Amount {formData.taxType === 'percentage' 
-                ? `+ ${formData.taxAmount}%` 
-                : `+ $${formData.taxAmount}`}
+              {isSplit ? (
+                `Calculated: sum of ${formData.lineItems.length} line items`
+              ) : usesNamedTaxes ? (
+                `Net ${formatMoney(breakdown.net, formData.currency)} + tax ${formatMoney(breakdown.tax, formData.currency)}`
+              ) : (
+                <>
+                  Calculated: Amount {formData.taxType === 'percentage' 
+                    ? `+ ${formData.taxAmount}%` 
+                    : `+ ${formatMoney(parseAmountFields(formData).taxAmount || 0, formData.currency)}`}
+                </>
+              )}
             </small>
           </div>
 
@@ -238,6 +494,12 @@ const EditExpense = () => {
             </button>
           </div>
         </form>
+
+        <RevisionHistory
+          expenseId={id}
+          context={{ currency: formData.currency, taxType: formData.taxType, categories, accounts, goals, payees }}
+          onRevert={fetchExpense}
+        />
       </div>
     </div>
   );
@@ -0,0 +1,205 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
+import CurrencySelect from '../components/CurrencySelect';
+import GoalCard from '../components/GoalCard';
+import { parseAmountFields } from '../utils/money';
+import './Goals.css';
+
+const Goals = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+
+  const emptyForm = {
+    name: '',
+    amount: '',
+    currency: user?.baseCurrency || 'USD',
+    targetDate: ''
+  };
+
+  const [goals, setGoals] = useState([]);
+  const [unconvertedCurrencies, setUnconvertedCurrencies] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [formData, setFormData] = useState(emptyForm);
+
+  useEffect(() => {
+    fetchGoals();
+  }, []);
+
+  const fetchGoals = async () => {
+    try {
+      const response = await axios.get('/api/goals');
+      setGoals(response.data.data?.goals || []);
+      setUnconvertedCurrencies(response.data.data?.unconvertedCurrencies || []);
+    } catch (error) {
+      console.error('❌ Error fetching goals:', error);
+      setError('Failed to load goals');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+
+    try {
+      await axios.post('/api/goals', {
+        name: formData.name.trim(),
+        targetAmount: parseAmountFields(formData).amount,
+        currency: formData.currency,
+        targetDate: formData.targetDate
+      });
+      setFormData(emptyForm);
+      fetchGoals();
+    } catch (error) {
+      console.error('❌ Error creating goal:', error);
+      setError(error.response?.data?.message || 'Error creating goal');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteGoal = async (goal) => {
+    if (window.confirm(`Delete goal "${goal.name}"? Its contributions are kept as ordinary transactions.`)) {
+      try {
+        await axios.delete(`/api/goals/${goal._id}`);
+        setGoals(prev => prev.filter(g => g._id !== goal._id));
+      } catch (error) {
+        alert(error.response?.data?.message || 'Error deleting goal');
+      }
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="loading-spinner"></div>
+        <p>Loading goals...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="dashboard-container goals-page">
+      <header className="dashboard-header">
+        <h1>Savings Goals</h1>
+        <button onClick={() => navigate('/dashboard')} className="add-button">
+          ◀ Back to Dashboard
+        </button>
+      </header>
+
+      <div className="expenses-section goals-form-section">
+        <div className="section-header">
+          <h2>New Goal</h2>
+        </div>
+
+        {error && (
+          <div className="error-message">
+            <strong>Error:</strong> {error}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="goals-form">
+          <div className="form-group">
+            <label>Name *</label>
+            <input
+              type="text"
+              name="name"
+              value={formData.name}
+              onChange={handleChange}
+              required
+              placeholder="e.g. New bike"
+              disabled={saving}
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Target Amount *</label>
+            <input
+              type="number"
+              name="amount"
+              value={formData.amount}
+              onChange={handleChange}
+              required
+              min="0.01"
+              step="0.01"
+              placeholder="0.00"
+              disabled={saving}
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Currency *</label>
+            <CurrencySelect value={formData.currency} onChange={handleChange} disabled={saving} />
+          </div>
+
+          <div className="form-group">
+            <label>Target Date *</label>
+            <input
+              type="date"
+              name="targetDate"
+              value={formData.targetDate}
+              onChange={handleChange}
+              required
+              disabled={saving}
+            />
+          </div>
+
+          <div className="goals-form-actions">
+            <button type="submit" className="add-button" disabled={saving}>
+              {saving ? 'Saving...' : 'Add Goal'}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      <div className="expenses-section">
+        <div className="section-header">
+          <h2>Your Goals</h2>
+        </div>
+
+        {unconvertedCurrencies.length > 0 && (
+          <div className="currency-warning">
+            No exchange rate for {unconvertedCurrencies.join(', ')}. Those contributions are not counted.
+          </div>
+        )}
+
+        {goals.length === 0 ? (
+          <div className="no-expenses">
+            <p>No goals yet. Pick something to save toward and a date to reach it by.</p>
+          </div>
+        ) : (
+          <div className="goals-list">
+            {goals.map(goal => (
+              <GoalCard key={goal._id} goal={goal}>
+                <div className="goal-actions">
+                  <button
+                    onClick={() => navigate(`/add-expense?goalId=${goal._id}`)}
+                    className="edit-btn"
+                  >
+                    Add Contribution
+                  </button>
+                  <button onClick={() => deleteGoal(goal)} className="delete-btn">
+                    Delete
+                  </button>
+                </div>
+              </GoalCard>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Goals;
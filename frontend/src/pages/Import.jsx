@@ -0,0 +1,435 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
+import CurrencySelect from '../components/CurrencySelect';
+import { usePayees } from '../hooks/usePayees';
+import { formatMoney, formatTax, formatTaxNames } from '../utils/money';
+import { formatDate } from '../utils/date';
+import './Import.css';
+
+const MAPPED_FIELDS = [
+  { field: 'description', label: 'Description', required: true },
+  { field: 'amount', label: 'Amount', required: true },
+  { field: 'date', label: 'Date', required: true },
+  { field: 'type', label: 'Type' },
+  { field: 'tax', label: 'Tax' }
+];
+
+// Bank statements are recognized by their extension; anything else is CSV
+const formatFromFilename = (name) => {
+  const extension = name.split('.').pop().toLowerCase();
+  if (extension === 'ofx' || extension === 'qfx') return 'ofx';
+  if (extension === 'qif') return 'qif';
+  return 'csv';
+};
+
+// Rows with errors or that look like duplicates start out unticked. Rows
+// imported before are never imported again.
+const defaultSkipRows = (rows) =>
+  rows.filter(row => row.errors.length > 0 || row.duplicate).map(row => row.row);
+
+const isPicked = (row, skipRows) => !row.alreadyImported && !skipRows.includes(row.row);
+
+const rowClassName = (row) => {
+  if (row.alreadyImported) return 'is-imported';
+  if (row.errors.length > 0) return 'has-errors';
+  return row.duplicate ? 'is-duplicate' : '';
+};
+
+const Import = () => {
+  const navigate = useNavigate();
+  const payees = usePayees();
+
+  const [filename, setFilename] = useState('');
+  const [format, setFormat] = useState('csv');
+  const [content, setContent] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [mapping, setMapping] = useState(null);
+  const [options, setOptions] = useState(null);
+  const [skipRows, setSkipRows] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [batches, setBatches] = useState([]);
+
+  useEffect(() => {
+    fetchBatches();
+  }, []);
+
+  const fetchBatches = async () => {
+    try {
+      const response = await axios.get('/api/import');
+      setBatches(response.data.data?.batches || []);
+    } catch (error) {
+      console.error('❌ Error fetching imports:', error);
+    }
+  };
+
+  const loadPreview = async (fileFormat, text, nextMapping, nextOptions) => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await axios.post('/api/import/preview', {
+        format: fileFormat,
+        content: text,
+        mapping: nextMapping || undefined,
+        options: nextOptions || undefined
+      });
+      const data = response.data.data;
+      setPreview(data);
+      setMapping(data.mapping);
+      setOptions(data.options);
+      setSkipRows(defaultSkipRows(data.rows));
+    } catch (error) {
+      setError(error.response?.data?.message || 'Error reading the file');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setMessage('');
+    const reader = new FileReader();
+    reader.onload = () => {
+      const fileFormat = formatFromFilename(file.name);
+      setFilename(file.name);
+      setFormat(fileFormat);
+      setContent(reader.result);
+      loadPreview(fileFormat, reader.result);
+    };
+    reader.readAsText(file);
+  };
+
+  const handleMappingChange = (e) => {
+    const { name, value } = e.target;
+    setMapping(prev => ({ ...prev, [name]: value === '' ? null : Number(value) }));
+  };
+
+  const handleOptionChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setOptions(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const toggleRow = (rowNumber) => {
+    setSkipRows(prev =>
+      prev.includes(rowNumber) ? prev.filter(row => row !== rowNumber) : [...prev, rowNumber]
+    );
+  };
+
+  const resetImport = () => {
+    setFilename('');
+    setFormat('csv');
+    setContent('');
+    setPreview(null);
+    setMapping(null);
+    setOptions(null);
+    setSkipRows([]);
+  };
+
+  const commitImport = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await axios.post('/api/import/commit', {
+        format,
+        content,
+        mapping,
+        options,
+        skipRows,
+        filename
+      });
+      setMessage(`Imported ${response.data.data.rowCount} transaction(s) from ${filename}.`);
+      resetImport();
+      fetchBatches();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Error importing transactions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const undoImport = async (batch) => {
+    if (window.confirm(`Undo the import of ${batch.filename || 'this file'}? All ${batch.rowCount} transaction(s) it created are deleted, including any you edited since.`)) {
+      try {
+        const response = await axios.delete(`/api/import/${batch._id}`);
+        setMessage(response.data.message);
+        fetchBatches();
+      } catch (error) {
+        alert(error.response?.data?.message || 'Error undoing import');
+      }
+    }
+  };
+
+  const pickedCount = preview ? preview.rows.filter(row => isPicked(row, skipRows)).length : 0;
+  const pickedWithErrors = preview
+    ? preview.rows.filter(row => row.errors.length > 0 && isPicked(row, skipRows)).length
+    : 0;
+
+  return (
+    <div className="dashboard-container import-page">
+      <header className="dashboard-header">
+        <h1>Import Transactions</h1>
+        <button onClick={() => navigate('/dashboard')} className="add-button">
+          ◀ Back to Dashboard
+        </button>
+      </header>
+
+      {error && (
+        <div className="error-message">
+          <strong>Error:</strong> {error}
+        </div>
+      )}
+      {message && <div className="import-message">{message}</div>}
+
+      <div className="expenses-section import-section">
+        <div className="section-header">
+          <h2>1. Choose a file</h2>
+        </div>
+        <p className="import-hint">
+          A CSV export from a spreadsheet, or a bank statement in OFX/QFX or QIF format.
+        </p>
+        <input type="file" accept=".csv,text/csv,.ofx,.qfx,.qif" onChange={handleFileChange} disabled={loading} />
+        {filename && <p className="import-filename">{filename}</p>}
+      </div>
+
+      {preview && format !== 'csv' && options && (
+        <div className="expenses-section import-section">
+          <div className="section-header">
+            <h2>2. Statement options</h2>
+          </div>
+
+          <div className="import-grid">
+            <div className="form-group">
+              <label>Currency</label>
+              <CurrencySelect value={options.currency} onChange={handleOptionChange} disabled={loading} />
+              {format === 'ofx' && (
+                <small className="import-hint">Only used if the statement doesn't name its currency</small>
+              )}
+            </div>
+
+            {format === 'qif' && (
+              <div className="form-group">
+                <label>Date Order</label>
+                <select name="dateFormat" value={options.dateFormat} onChange={handleOptionChange} disabled={loading}>
+                  <option value="MM/DD/YYYY">Month first (12/31/2024)</option>
+                  <option value="DD/MM/YYYY">Day first (31.12.2024)</option>
+                </select>
+              </div>
+            )}
+          </div>
+
+          <div className="import-actions">
+            <button onClick={() => loadPreview(format, content, null, options)} className="add-button secondary" disabled={loading}>
+              {loading ? 'Reading...' : 'Update Preview'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {preview && format === 'csv' && mapping && options && (
+        <div className="expenses-section import-section">
+          <div className="section-header">
+            <h2>2. Map the columns</h2>
+          </div>
+
+          <div className="import-grid">
+            {MAPPED_FIELDS.map(({ field, label, required }) => (
+              <div key={field} className="form-group">
+                <label>{label}{required && ' *'}</label>
+                <select name={field} value={mapping[field] ?? ''} onChange={handleMappingChange} disabled={loading}>
+                  <option value="">{required ? 'Pick a column' : 'Not in the file'}</option>
+                  {preview.headers.map((header, index) => (
+                    <option key={index} value={index}>{header}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+
+            <div className="form-group">
+              <label>Date Format</label>
+              <select name="dateFormat" value={options.dateFormat} onChange={handleOptionChange} disabled={loading}>
+                {preview.dateFormats.map(format => (
+                  <option key={format} value={format}>{format}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label>Decimal Separator</label>
+              <select name="decimalSeparator" value={options.decimalSeparator} onChange={handleOptionChange} disabled={loading}>
+                <option value=".">Point (1,234.50)</option>
+                <option value=",">Comma (1.234,50)</option>
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label>Currency</label>
+              <CurrencySelect value={options.currency} onChange={handleOptionChange} disabled={loading} />
+            </div>
+
+            {mapping.type === null && (
+              <div className="form-group">
+                <label>Positive Amounts Are</label>
+                <select name="defaultType" value={options.defaultType} onChange={handleOptionChange} disabled={loading}>
+                  <option value="expense">Expenses</option>
+                  <option value="income">Income</option>
+                </select>
+              </div>
+            )}
+
+            <div className="form-group checkbox-group">
+              <label>
+                <input
+                  type="checkbox"
+                  name="hasHeader"
+                  checked={options.hasHeader}
+                  onChange={handleOptionChange}
+                  disabled={loading}
+                />
+                First row holds column names
+              </label>
+            </div>
+          </div>
+
+          <div className="import-actions">
+            <button onClick={() => loadPreview(format, content, mapping, options)} className="add-button secondary" disabled={loading}>
+              {loading ? 'Reading...' : 'Update Preview'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {preview && (
+        <div className="expenses-section import-section">
+          <div className="section-header">
+            <h2>3. Review</h2>
+            <span className="import-summary">
+              {preview.summary.total} rows · {preview.summary.invalid} with errors · {preview.summary.duplicates} possible duplicates
+              {preview.summary.alreadyImported > 0 && ` · ${preview.summary.alreadyImported} already imported`}
+            </span>
+          </div>
+
+          <div className="table-container">
+            <table className="import-table">
+              <thead>
+                <tr>
+                  <th>Import</th>
+                  <th>Row</th>
+                  <th>Date</th>
+                  <th>Description</th>
+                  <th>Payee</th>
+                  <th>Type</th>
+                  <th>Amount</th>
+                  <th>Tax</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.rows.map(row => (
+                  <tr key={row.row} className={rowClassName(row)}>
+                    <td>
+                      <input
+                        type="checkbox"
+                        checked={isPicked(row, skipRows)}
+                        onChange={() => toggleRow(row.row)}
+                        disabled={Boolean(row.alreadyImported)}
+                        aria-label={`Import row ${row.row}`}
+                      />
+                    </td>
+                    <td>{row.row}</td>
+                    <td>{row.fields.date ? formatDate(row.fields.date) : '—'}</td>
+                    <td>
+                      {row.fields.description}
+                      {row.rules?.length > 0 && (
+                        <span className="import-rules">Rules: {row.rules.map(rule => rule.name).join(', ')}</span>
+                      )}
+                    </td>
+                    <td>{payees.find(payee => payee._id === row.fields.payeeId)?.name || '—'}</td>
+                    <td>{row.fields.type}</td>
+                    <td>{Number.isFinite(row.fields.amount) ? formatMoney(row.fields.amount, row.fields.currency) : '—'}</td>
+                    {/* Named taxes from a rule are only worked out on save */}
+                    <td>{row.fields.taxes?.length > 0 ? formatTaxNames(row.fields.taxes) : formatTax(row.fields)}</td>
+                    <td>
+                      {row.alreadyImported && (
+                        <span className="import-already">
+                          Already imported{row.alreadyImported.row
+                            ? ` (same transaction as row ${row.alreadyImported.row})`
+                            : `: "${row.alreadyImported.description}" on ${formatDate(row.alreadyImported.date)}`}
+                        </span>
+                      )}
+                      {row.errors.length > 0 && (
+                        <ul className="import-errors">
+                          {row.errors.map(message => <li key={message}>{message}</li>)}
+                        </ul>
+                      )}
+                      {row.duplicate && (
+                        <span className="import-duplicate">
+                          Possible duplicate of {row.duplicate.row ? `row ${row.duplicate.row}` : 'an existing transaction'}:{' '}
+                          "{row.duplicate.description}" on {formatDate(row.duplicate.date)}
+                        </span>
+                      )}
+                      {row.errors.length === 0 && !row.duplicate && !row.alreadyImported && 'OK'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="import-actions">
+            {pickedWithErrors > 0 && (
+              <span className="import-warning">Untick or fix the {pickedWithErrors} row(s) with errors to import.</span>
+            )}
+            <button onClick={resetImport} className="delete-btn" disabled={loading}>
+              Cancel
+            </button>
+            <button
+              onClick={commitImport}
+              className="add-button"
+              disabled={loading || pickedCount === 0 || pickedWithErrors > 0}
+            >
+              {loading ? 'Importing...' : `Import ${pickedCount} Transaction(s)`}
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="expenses-section">
+        <div className="section-header">
+          <h2>Past Imports</h2>
+        </div>
+
+        {batches.length === 0 ? (
+          <div className="no-expenses">
+            <p>Nothing imported yet.</p>
+          </div>
+        ) : (
+          <div className="import-batches">
+            {batches.map(batch => (
+              <div key={batch._id} className={`import-batch ${batch.status}`}>
+                <div>
+                  <h4>{batch.filename || 'Untitled import'}</h4>
+                  <p>
+                    {batch.format.toUpperCase()} · {new Date(batch.createdAt).toLocaleString()} · {batch.rowCount} imported
+                    {batch.skippedCount > 0 && `, ${batch.skippedCount} skipped`}
+                    {batch.status === 'undone' && ` · undone ${new Date(batch.undoneAt).toLocaleString()}`}
+                  </p>
+                </div>
+                {batch.status === 'committed' && (
+                  <button onClick={() => undoImport(batch)} className="delete-btn">
+                    Undo Import
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Import;
@@ -0,0 +1,261 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
+import { formatMoney } from '../utils/money';
+import { formatDate } from '../utils/date';
+import './Payees.css';
+
+const emptyForm = {
+  name: '',
+  aliases: ''
+};
+
+// Aliases are typed as one comma-separated list
+const parseAliases = (text) => text.split(',').map(alias => alias.trim()).filter(Boolean);
+
+const Payees = () => {
+  const navigate = useNavigate();
+
+  const [payees, setPayees] = useState([]);
+  const [baseCurrency, setBaseCurrency] = useState('USD');
+  const [unconvertedCurrencies, setUnconvertedCurrencies] = useState([]);
+  const [version, setVersion] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [formData, setFormData] = useState(emptyForm);
+  const [editingPayee, setEditingPayee] = useState(null);
+
+  useEffect(() => {
+    let ignore = false;
+
+    axios
+      .get('/api/payees')
+      .then(response => {
+        if (ignore) return;
+        const data = response.data.data;
+        setPayees(data?.payees || []);
+        setBaseCurrency(data?.baseCurrency || 'USD');
+        setUnconvertedCurrencies(data?.unconvertedCurrencies || []);
+      })
+      .catch(error => {
+        console.error('❌ Error fetching payees:', error);
+        if (!ignore) setError('Failed to load payees');
+      })
+      .finally(() => {
+        if (!ignore) setLoading(false);
+      });
+
+    return () => {
+      ignore = true;
+    };
+  }, [version]);
+
+  const reload = () => setVersion(prev => prev + 1);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+
+    try {
+      await axios.post('/api/payees', {
+        name: formData.name.trim(),
+        aliases: parseAliases(formData.aliases)
+      });
+      setFormData(emptyForm);
+      reload();
+    } catch (error) {
+      console.error('❌ Error creating payee:', error);
+      setError(error.response?.data?.message || 'Error creating payee');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const startEditing = (payee) => {
+    setEditingPayee({
+      _id: payee._id,
+      name: payee.name,
+      aliases: payee.aliases.join(', ')
+    });
+  };
+
+  const savePayee = async () => {
+    try {
+      await axios.put(`/api/payees/${editingPayee._id}`, {
+        name: editingPayee.name.trim(),
+        aliases: parseAliases(editingPayee.aliases)
+      });
+      setEditingPayee(null);
+      reload();
+    } catch (error) {
+      alert(error.response?.data?.message || 'Error updating payee');
+    }
+  };
+
+  const deletePayee = async (payee) => {
+    if (window.confirm(`Delete payee "${payee.name}"? Its transactions are kept without a payee.`)) {
+      try {
+        await axios.delete(`/api/payees/${payee._id}`);
+        setPayees(prev => prev.filter(item => item._id !== payee._id));
+      } catch (error) {
+        alert(error.response?.data?.message || 'Error deleting payee');
+      }
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="loading-spinner"></div>
+        <p>Loading payees...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="dashboard-container payees-page">
+      <header className="dashboard-header">
+        <h1>Payees</h1>
+        <div className="payees-header-actions">
+          <button onClick={() => navigate('/rules')} className="add-button secondary">
+            🪄 Rules
+          </button>
+          <button onClick={() => navigate('/dashboard')} className="add-button">
+            ◀ Back to Dashboard
+          </button>
+        </div>
+      </header>
+
+      <div className="expenses-section payees-form-section">
+        <div className="section-header">
+          <h2>New Payee</h2>
+        </div>
+
+        {error && (
+          <div className="error-message">
+            <strong>Error:</strong> {error}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="payees-form">
+          <div className="form-group">
+            <label>Name *</label>
+            <input
+              type="text"
+              name="name"
+              value={formData.name}
+              onChange={handleChange}
+              required
+              placeholder="e.g. Starbucks"
+              disabled={saving}
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Aliases</label>
+            <input
+              type="text"
+              name="aliases"
+              value={formData.aliases}
+              onChange={handleChange}
+              placeholder="e.g. starbucks, sbux*coffee"
+              disabled={saving}
+            />
+          </div>
+
+          <p className="payees-hint">
+            Transactions whose description contains an alias get this payee. Case doesn't matter and * stands for
+            any text, so "sbux*coffee" matches "SBUX #1234 COFFEE".
+          </p>
+
+          <div className="payees-form-actions">
+            <button type="submit" className="add-button" disabled={saving}>
+              {saving ? 'Saving...' : 'Add Payee'}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      <div className="expenses-section">
+        <div className="section-header">
+          <h2>Your Payees</h2>
+        </div>
+
+        {unconvertedCurrencies.length > 0 && (
+          <div className="currency-warning">
+            No exchange rate to {baseCurrency} for {unconvertedCurrencies.join(', ')}. Those transactions are left
+            out of the totals below.
+          </div>
+        )}
+
+        {payees.length === 0 ? (
+          <div className="no-expenses">
+            <p>No payees yet. Add the shops and people you deal with to see what you spend with each.</p>
+          </div>
+        ) : (
+          <div className="payees-list">
+            {payees.map(payee => (
+              <div key={payee._id} className="payee-row">
+                {editingPayee?._id === payee._id ? (
+                  <div className="payee-edit">
+                    <input
+                      type="text"
+                      value={editingPayee.name}
+                      onChange={(e) => setEditingPayee({ ...editingPayee, name: e.target.value })}
+                      aria-label="Name"
+                    />
+                    <input
+                      type="text"
+                      value={editingPayee.aliases}
+                      onChange={(e) => setEditingPayee({ ...editingPayee, aliases: e.target.value })}
+                      aria-label="Aliases"
+                      placeholder="Aliases, comma-separated"
+                    />
+                  </div>
+                ) : (
+                  <div className="payee-summary">
+                    <h4>{payee.name}</h4>
+                    <p>{payee.aliases.length > 0 ? `Matches: ${payee.aliases.join(', ')}` : 'No aliases; set by hand or by rules'}</p>
+                    <p className="payee-totals">
+                      {payee.count} transaction(s)
+                      {payee.spent > 0 && ` · spent ${formatMoney(payee.spent, baseCurrency)}`}
+                      {payee.received > 0 && ` · received ${formatMoney(payee.received, baseCurrency)}`}
+                      {payee.lastDate && ` · last on ${formatDate(payee.lastDate)}`}
+                    </p>
+                  </div>
+                )}
+                <div className="expense-actions">
+                  {editingPayee?._id === payee._id ? (
+                    <>
+                      <button onClick={savePayee} className="edit-btn">Save</button>
+                      <button onClick={() => setEditingPayee(null)} className="delete-btn">Cancel</button>
+                    </>
+                  ) : (
+                    <>
+                      {payee.count > 0 && (
+                        <button onClick={() => navigate(`/dashboard?payeeId=${payee._id}`)} className="edit-btn">
+                          Transactions
+                        </button>
+                      )}
+                      <button onClick={() => startEditing(payee)} className="edit-btn">Edit</button>
+                      <button onClick={() => deletePayee(payee)} className="delete-btn">Delete</button>
+                    </>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Payees;
@@ -0,0 +1,494 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
+import AccountSelect from '../components/AccountSelect';
+import CategorySelect from '../components/CategorySelect';
+import CurrencySelect from '../components/CurrencySelect';
+import { useAccounts } from '../hooks/useAccounts';
+import { useCategories } from '../hooks/useCategories';
+import { todayInputValue, toDateInputValue, formatDate } from '../utils/date';
+import { formatMoney, formatTax, parseAmountFields, minorUnitsToInput } from '../utils/money';
+import './Recurring.css';
+
+const FREQUENCY_UNITS = {
+  daily: ['day', 'days'],
+  weekly: ['week', 'weeks'],
+  monthly: ['month', 'months'],
+  yearly: ['year', 'years']
+};
+
+const describeSchedule = (rule) => {
+  const [singular, plural] = FREQUENCY_UNITS[rule.frequency];
+  const every = rule.interval > 1 ? `Every ${rule.interval} ${plural}` : `Every ${singular}`;
+  let ends = '';
+  if (rule.endDate) ends = `, until ${formatDate(rule.endDate)}`;
+  if (rule.count) ends += `, ${rule.count} times`;
+  return `${every} from ${formatDate(rule.startDate)}${ends}`;
+};
+
+const Recurring = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const categories = useCategories();
+  const accounts = useAccounts();
+
+  const emptyForm = {
+    description: '',
+    amount: '',
+    currency: user?.baseCurrency || 'USD',
+    type: 'expense',
+    taxType: 'flat',
+    taxAmount: '0',
+    categoryId: '',
+    accountId: '',
+    frequency: 'monthly',
+    interval: '1',
+    startDate: todayInputValue(),
+    ends: 'never',
+    endDate: '',
+    count: ''
+  };
+
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [formData, setFormData] = useState(emptyForm);
+  const [editingOccurrence, setEditingOccurrence] = useState(null);
+
+  useEffect(() => {
+    fetchRules();
+  }, []);
+
+  const fetchRules = async () => {
+    try {
+      const response = await axios.get('/api/recurring');
+      setRules(response.data.data?.rules || []);
+    } catch (error) {
+      console.error('❌ Error fetching recurring rules:', error);
+      setError('Failed to load recurring transactions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const replaceRule = (updated) => {
+    setRules(prev => prev.map(rule => (rule._id === updated._id ? updated : rule)));
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value,
+      // Occurrences are booked in the account's currency
+      ...(name === 'accountId' && value && {
+        currency: accounts.find(account => account._id === value)?.currency || prev.currency
+      }),
+      // Categories are per type, so switching type clears the pick
+      ...(name === 'type' && { categoryId: '' })
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+
+    try {
+      const ruleData = {
+        description: formData.description.trim(),
+        ...parseAmountFields(formData),
+        currency: formData.currency,
+        type: formData.type,
+        taxType: formData.taxType,
+        categoryId: formData.categoryId || null,
+        accountId: formData.accountId || null,
+        frequency: formData.frequency,
+        interval: parseInt(formData.interval) || 1,
+        startDate: formData.startDate,
+        endDate: formData.ends === 'date' ? formData.endDate : null,
+        count: formData.ends === 'count' ? parseInt(formData.count) : null
+      };
+
+      await axios.post('/api/recurring', ruleData);
+      setFormData(emptyForm);
+      fetchRules();
+    } catch (error) {
+      console.error('❌ Error creating recurring rule:', error);
+      setError(error.response?.data?.message || 'Error creating recurring transaction');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleActive = async (rule) => {
+    try {
+      const response = await axios.put(`/api/recurring/${rule._id}`, { active: !rule.active });
+      replaceRule(response.data.data);
+    } catch (error) {
+      alert(error.response?.data?.message || 'Error updating recurring transaction');
+    }
+  };
+
+  const deleteRule = async (rule) => {
+    if (window.confirm(`Stop "${rule.description}" from recurring? Transactions already created are kept.`)) {
+      try {
+        await axios.delete(`/api/recurring/${rule._id}`);
+        setRules(prev => prev.filter(r => r._id !== rule._id));
+      } catch (error) {
+        alert(error.response?.data?.message || 'Error deleting recurring transaction');
+      }
+    }
+  };
+
+  const occurrenceUrl = (rule, occurrence) =>
+    `/api/recurring/${rule._id}/occurrences/${toDateInputValue(occurrence.date)}`;
+
+  const skipOccurrence = async (rule, occurrence) => {
+    try {
+      const response = await axios.post(`${occurrenceUrl(rule, occurrence)}/skip`);
+      replaceRule(response.data.data);
+    } catch (error) {
+      alert(error.response?.data?.message || 'Error skipping occurrence');
+    }
+  };
+
+  const restoreOccurrence = async (rule, occurrence) => {
+    try {
+      const response = await axios.delete(occurrenceUrl(rule, occurrence));
+      replaceRule(response.data.data);
+    } catch (error) {
+      alert(error.response?.data?.message || 'Error restoring occurrence');
+    }
+  };
+
+  const startEditingOccurrence = (rule, occurrence) => {
+    const overrides = occurrence.overrides || {};
+    setEditingOccurrence({
+      ruleId: rule._id,
+      date: occurrence.date,
+      description: overrides.description || rule.description,
+      amount: minorUnitsToInput(overrides.amount || rule.amount, rule.currency)
+    });
+  };
+
+  const saveOccurrence = async (rule, occurrence) => {
+    try {
+      const { amount } = parseAmountFields({ amount: editingOccurrence.amount, currency: rule.currency });
+      const response = await axios.put(occurrenceUrl(rule, occurrence), {
+        description: editingOccurrence.description.trim(),
+        amount
+      });
+      replaceRule(response.data.data);
+      setEditingOccurrence(null);
+    } catch (error) {
+      alert(error.response?.data?.message || 'Error updating occurrence');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="loading-spinner"></div>
+        <p>Loading recurring transactions...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="dashboard-container recurring-page">
+      <header className="dashboard-header">
+        <h1>Recurring Transactions</h1>
+        <button onClick={() => navigate('/dashboard')} className="add-button">
+          ◀ Back to Dashboard
+        </button>
+      </header>
+
+      <div className="expenses-section recurring-form-section">
+        <div className="section-header">
+          <h2>New Recurring Transaction</h2>
+        </div>
+
+        {error && (
+          <div className="error-message">
+            <strong>Error:</strong> {error}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="recurring-form">
+          <div className="form-group">
+            <label>Description *</label>
+            <input
+              type="text"
+              name="description"
+              value={formData.description}
+              onChange={handleChange}
+              required
+              placeholder="e.g. Rent"
+              disabled={saving}
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Amount *</label>
+            <input
+              type="number"
+              name="amount"
+              value={formData.amount}
+              onChange={handleChange}
+              required
+              min="0.01"
+              step="0.01"
+              placeholder="0.00"
+              disabled={saving}
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Currency *</label>
+            <CurrencySelect value={formData.currency} onChange={handleChange} disabled={saving || !!formData.accountId} />
+          </div>
+
+          <div className="form-group">
+            <label>Type *</label>
+            <select name="type" value={formData.type} onChange={handleChange} disabled={saving}>
+              <option value="expense">Expense</option>
+              <option value="income">Income</option>
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label>Account</label>
+            <AccountSelect accounts={accounts} value={formData.accountId} onChange={handleChange} disabled={saving} />
+          </div>
+
+          <div className="form-group">
+            <label>Category</label>
+            <CategorySelect
+              categories={categories}
+              type={formData.type}
+              value={formData.categoryId}
+              onChange={handleChange}
+              disabled={saving}
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Tax Type</label>
+            <select name="taxType" value={formData.taxType} onChange={handleChange} disabled={saving}>
+              <option value="flat">Flat Amount</option>
+              <option value="percentage">Percentage</option>
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label>Tax Amount {formData.taxType === 'percentage' ? '(%)' : `(${formData.currency})`}</label>
+            <input
+              type="number"
+              name="taxAmount"
+              value={formData.taxAmount}
+              onChange={handleChange}
+              min="0"
+              step="0.01"
+              disabled={saving}
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Repeats *</label>
+            <div className="inline-fields">
+              <span>Every</span>
+              <input
+                type="number"
+                name="interval"
+                value={formData.interval}
+                onChange={handleChange}
+                min="1"
+                step="1"
+                required
+                disabled={saving}
+              />
+              <select name="frequency" value={formData.frequency} onChange={handleChange} disabled={saving}>
+                <option value="daily">Day(s)</option>
+                <option value="weekly">Week(s)</option>
+                <option value="monthly">Month(s)</option>
+                <option value="yearly">Year(s)</option>
+              </select>
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label>Starts *</label>
+            <input
+              type="date"
+              name="startDate"
+              value={formData.startDate}
+              onChange={handleChange}
+              required
+              disabled={saving}
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Ends</label>
+            <select name="ends" value={formData.ends} onChange={handleChange} disabled={saving}>
+              <option value="never">Never</option>
+              <option value="date">On a date</option>
+              <option value="count">After a number of times</option>
+            </select>
+          </div>
+
+          {formData.ends === 'date' && (
+            <div className="form-group">
+              <label>End Date *</label>
+              <input
+                type="date"
+                name="endDate"
+                value={formData.endDate}
+                onChange={handleChange}
+                min={formData.startDate}
+                required
+                disabled={saving}
+              />
+            </div>
+          )}
+
+          {formData.ends === 'count' && (
+            <div className="form-group">
+              <label>Occurrences *</label>
+              <input
+                type="number"
+                name="count"
+                value={formData.count}
+                onChange={handleChange}
+                min="1"
+                step="1"
+                required
+                disabled={saving}
+              />
+            </div>
+          )}
+
+          <div className="recurring-form-actions">
+            <button type="submit" className="add-button" disabled={saving}>
+              {saving ? 'Saving...' : 'Add Recurring Transaction'}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      <div className="expenses-section">
+        <div className="section-header">
+          <h2>Your Recurring Transactions</h2>
+        </div>
+
+        {rules.length === 0 ? (
+          <div className="no-expenses">
+            <p>Nothing recurring yet. Add rent, salary or subscriptions above.</p>
+          </div>
+        ) : (
+          <div className="recurring-list">
+            {rules.map(rule => (
+              <div key={rule._id} className={`recurring-card ${rule.type} ${rule.active ? '' : 'paused'}`}>
+                <div className="recurring-card-header">
+                  <div>
+                    <h4>{rule.description}</h4>
+                    <p className="recurring-schedule">{describeSchedule(rule)}</p>
+                    <p className="recurring-meta">
+                      <span className={`type-badge ${rule.type}`}>{rule.type}</span>
+                      {formatMoney(rule.amount, rule.currency)}
+                      {rule.taxAmount > 0 && ` + ${formatTax(rule)} tax`}
+                      {' · '}
+                      {rule.categoryId?.name || 'Uncategorized'}
+                      {rule.accountId && ` · ${accounts.find(account => account._id === rule.accountId)?.name || 'Account'}`}
+                    </p>
+                  </div>
+                  <div className="expense-actions">
+                    {rule.nextRunAt && (
+                      <button onClick={() => toggleActive(rule)} className="edit-btn">
+                        {rule.active ? 'Pause' : 'Resume'}
+                      </button>
+                    )}
+                    <button onClick={() => deleteRule(rule)} className="delete-btn">
+                      Delete
+                    </button>
+                  </div>
+                </div>
+
+                {!rule.nextRunAt ? (
+                  <p className="recurring-status">Finished — no more occurrences.</p>
+                ) : !rule.active ? (
+                  <p className="recurring-status">Paused — nothing will be created until resumed.</p>
+                ) : (
+                  <ul className="occurrence-list">
+                    {rule.upcoming.map(occurrence => {
+                      const isEditing = editingOccurrence?.ruleId === rule._id
+                        && editingOccurrence.date === occurrence.date;
+                      const overrides = occurrence.overrides || {};
+
+                      return (
+                        <li key={occurrence.date} className={occurrence.skipped ? 'skipped' : ''}>
+                          <span className="occurrence-date">{formatDate(occurrence.date)}</span>
+
+                          {isEditing ? (
+                            <span className="occurrence-edit">
+                              <input
+                                type="text"
+                                value={editingOccurrence.description}
+                                onChange={(e) => setEditingOccurrence({ ...editingOccurrence, description: e.target.value })}
+                              />
+                              <input
+                                type="number"
+                                min="0.01"
+                                step="0.01"
+                                value={editingOccurrence.amount}
+                                onChange={(e) => setEditingOccurrence({ ...editingOccurrence, amount: e.target.value })}
+                              />
+                              <button onClick={() => saveOccurrence(rule, occurrence)} className="edit-btn">Save</button>
+                              <button onClick={() => setEditingOccurrence(null)} className="delete-btn">Cancel</button>
+                            </span>
+                          ) : (
+                            <>
+                              <span className="occurrence-summary">
+                                {overrides.description || rule.description}
+                                {' · '}
+                                {formatMoney(overrides.amount || rule.amount, rule.currency)}
+                                {occurrence.skipped && ' (skipped)'}
+                                {occurrence.overrides && ' (edited)'}
+                              </span>
+                              <span className="occurrence-actions">
+                                {!occurrence.skipped && (
+                                  <>
+                                    <button onClick={() => startEditingOccurrence(rule, occurrence)} className="edit-btn">
+                                      Edit
+                                    </button>
+                                    <button onClick={() => skipOccurrence(rule, occurrence)} className="delete-btn">
+                                      Skip
+                                    </button>
+                                  </>
+                                )}
+                                {(occurrence.skipped || occurrence.overrides) && (
+                                  <button onClick={() => restoreOccurrence(rule, occurrence)} className="edit-btn">
+                                    Restore
+                                  </button>
+                                )}
+                              </span>
+                            </>
+                          )}
+                        </li>
+                      );
+                    })}
+                  </ul>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Recurring;
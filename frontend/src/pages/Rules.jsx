@@ -0,0 +1,580 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
+import TaxRatePicker from '../components/TaxRatePicker';
+import { usePayees } from '../hooks/usePayees';
+import { useTaxRates } from '../hooks/useTaxRates';
+import { useAuth } from '../context/AuthContext';
+import { basisPointsToPercent, percentToBasisPoints, formatTaxNames, toMinorUnits } from '../utils/money';
+import { fieldLabel } from '../utils/expenseFields';
+import { formatDate } from '../utils/date';
+import './Rules.css';
+
+const OPERATORS = {
+  description: [
+    { value: 'contains', label: 'contains' },
+    { value: 'startsWith', label: 'starts with' },
+    { value: 'equals', label: 'is exactly' }
+  ],
+  amount: [{ value: 'between', label: 'is between' }]
+};
+
+const emptyCondition = { field: 'description', operator: 'contains', value: '', min: '', max: '' };
+
+const emptyForm = {
+  name: '',
+  priority: '0',
+  enabled: true,
+  conditions: [emptyCondition],
+  type: '',
+  payeeId: '',
+  taxRate: '',
+  taxRateIds: []
+};
+
+const ruleToForm = (rule) => ({
+  name: rule.name,
+  priority: String(rule.priority),
+  enabled: rule.enabled,
+  conditions: rule.conditions.map(condition => ({ ...emptyCondition, ...condition })),
+  type: rule.actions.type || '',
+  payeeId: rule.actions.payeeId || '',
+  taxRate: rule.actions.taxRate === null ? '' : basisPointsToPercent(rule.actions.taxRate).toString(),
+  taxRateIds: rule.actions.taxRateIds || []
+});
+
+const formToRule = (form) => ({
+  name: form.name.trim(),
+  priority: Number(form.priority) || 0,
+  enabled: form.enabled,
+  conditions: form.conditions,
+  actions: {
+    type: form.type || null,
+    payeeId: form.payeeId || null,
+    taxRate: form.taxRate === '' ? null : percentToBasisPoints(form.taxRate),
+    taxRateIds: form.taxRateIds
+  }
+});
+
+const describeCondition = ({ field, operator, value, min, max }) => {
+  if (field === 'description') {
+    const label = OPERATORS.description.find(option => option.value === operator)?.label;
+    return `description ${label} "${value}"`;
+  }
+  if (min && max) return `amount before tax between ${min} and ${max}`;
+  return min ? `amount before tax at least ${min}` : `amount before tax at most ${max}`;
+};
+
+// What a rule, or a rules test, sets, e.g. "type income · payee Starbucks".
+// Rules name their taxes by id; test results carry the taxes themselves.
+const describeActions = ({ type, payeeId, taxRate, taxRateIds, taxes, taxType, taxAmount }, payees, taxRates = []) => {
+  const parts = [];
+  if (type) parts.push(`type ${type}`);
+  if (payeeId) parts.push(`payee ${payees.find(payee => payee._id === payeeId)?.name || '(deleted)'}`);
+
+  const named = taxes || taxRates.filter(rate => (taxRateIds || []).includes(rate._id));
+  if (named.length > 0) {
+    parts.push(`tax ${formatTaxNames(named)}`);
+  } else if (taxRate !== null && taxRate !== undefined) {
+    parts.push(`tax ${basisPointsToPercent(taxRate)}%`);
+  } else if (taxType === 'percentage') {
+    parts.push(`tax ${basisPointsToPercent(taxAmount)}%`);
+  }
+
+  return parts.length > 0 ? parts.join(' · ') : 'nothing';
+};
+
+const Rules = () => {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const payees = usePayees();
+  const taxRates = useTaxRates();
+
+  const [rules, setRules] = useState([]);
+  const [version, setVersion] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [formData, setFormData] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [test, setTest] = useState({ description: '', amount: '' });
+  const [testResult, setTestResult] = useState(null);
+  const [reapplyRange, setReapplyRange] = useState({ from: '', to: '' });
+  const [reapplyResult, setReapplyResult] = useState(null);
+  const [reapplying, setReapplying] = useState(false);
+
+  useEffect(() => {
+    let ignore = false;
+
+    axios
+      .get('/api/rules')
+      .then(response => {
+        if (!ignore) setRules(response.data.data?.rules || []);
+      })
+      .catch(error => {
+        console.error('❌ Error fetching rules:', error);
+        if (!ignore) setError('Failed to load rules');
+      })
+      .finally(() => {
+        if (!ignore) setLoading(false);
+      });
+
+    return () => {
+      ignore = true;
+    };
+  }, [version]);
+
+  const reload = () => setVersion(prev => prev + 1);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const updateCondition = (index, changes) => {
+    setFormData(prev => ({
+      ...prev,
+      conditions: prev.conditions.map((condition, i) => {
+        if (i !== index) return condition;
+        const next = { ...condition, ...changes };
+        // Each field has its own operators
+        if (changes.field) next.operator = OPERATORS[changes.field][0].value;
+        return next;
+      })
+    }));
+  };
+
+  const addCondition = () => {
+    setFormData(prev => ({ ...prev, conditions: [...prev.conditions, emptyCondition] }));
+  };
+
+  const removeCondition = (index) => {
+    setFormData(prev => ({ ...prev, conditions: prev.conditions.filter((condition, i) => i !== index) }));
+  };
+
+  const resetForm = () => {
+    setFormData(emptyForm);
+    setEditingId(null);
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+
+    try {
+      if (editingId) {
+        await axios.put(`/api/rules/${editingId}`, formToRule(formData));
+      } else {
+        await axios.post('/api/rules', formToRule(formData));
+      }
+      resetForm();
+      reload();
+    } catch (error) {
+      console.error('❌ Error saving rule:', error);
+      setError(error.response?.data?.message || 'Error saving rule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const startEditing = (rule) => {
+    setFormData(ruleToForm(rule));
+    setEditingId(rule._id);
+    setError('');
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const toggleRule = async (rule) => {
+    try {
+      await axios.put(`/api/rules/${rule._id}`, { enabled: !rule.enabled });
+      reload();
+    } catch (error) {
+      alert(error.response?.data?.message || 'Error updating rule');
+    }
+  };
+
+  const deleteRule = async (rule) => {
+    if (window.confirm(`Delete rule "${rule.name}"? Transactions it already changed stay as they are.`)) {
+      try {
+        await axios.delete(`/api/rules/${rule._id}`);
+        setRules(prev => prev.filter(item => item._id !== rule._id));
+        if (editingId === rule._id) resetForm();
+      } catch (error) {
+        alert(error.response?.data?.message || 'Error deleting rule');
+      }
+    }
+  };
+
+  const runTest = async (e) => {
+    e.preventDefault();
+    const currency = user?.baseCurrency || 'USD';
+
+    try {
+      const response = await axios.post('/api/rules/test', {
+        description: test.description,
+        amount: test.amount ? toMinorUnits(test.amount, currency) : 0,
+        currency
+      });
+      setTestResult(response.data.data);
+    } catch (error) {
+      alert(error.response?.data?.message || 'Error testing rules');
+    }
+  };
+
+  const reapply = async (dryRun) => {
+    if (!dryRun && !window.confirm(
+      'Re-apply the rules to past transactions? Types, payees and taxes the rules set replace what the transactions have now.'
+    )) {
+      return;
+    }
+
+    setReapplying(true);
+    try {
+      const response = await axios.post('/api/rules/reapply', {
+        from: reapplyRange.from || undefined,
+        to: reapplyRange.to || undefined,
+        dryRun
+      });
+      setReapplyResult(response.data.data);
+    } catch (error) {
+      alert(error.response?.data?.message || 'Error re-applying rules');
+    } finally {
+      setReapplying(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="loading-spinner"></div>
+        <p>Loading rules...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="dashboard-container rules-page">
+      <header className="dashboard-header">
+        <h1>Rules</h1>
+        <div className="rules-header-actions">
+          <button onClick={() => navigate('/payees')} className="add-button secondary">
+            🏪 Payees
+          </button>
+          <button onClick={() => navigate('/dashboard')} className="add-button">
+            ◀ Back to Dashboard
+          </button>
+        </div>
+      </header>
+
+      <div className="expenses-section rules-form-section">
+        <div className="section-header">
+          <h2>{editingId ? 'Edit Rule' : 'New Rule'}</h2>
+        </div>
+
+        {error && (
+          <div className="error-message">
+            <strong>Error:</strong> {error}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="rules-form">
+          <div className="rules-form-row">
+            <div className="form-group">
+              <label>Name *</label>
+              <input
+                type="text"
+                name="name"
+                value={formData.name}
+                onChange={handleChange}
+                required
+                placeholder="e.g. Coffee shops"
+                disabled={saving}
+              />
+            </div>
+            <div className="form-group">
+              <label>Priority</label>
+              <input
+                type="number"
+                name="priority"
+                value={formData.priority}
+                onChange={handleChange}
+                step="1"
+                disabled={saving}
+              />
+            </div>
+            <div className="form-group checkbox-group">
+              <label>
+                <input
+                  type="checkbox"
+                  name="enabled"
+                  checked={formData.enabled}
+                  onChange={handleChange}
+                  disabled={saving}
+                />
+                Enabled
+              </label>
+            </div>
+          </div>
+
+          <fieldset className="rules-fieldset">
+            <legend>When all of these match</legend>
+            {formData.conditions.map((condition, index) => (
+              <div key={index} className="rule-condition">
+                <select
+                  value={condition.field}
+                  onChange={(e) => updateCondition(index, { field: e.target.value })}
+                  aria-label="Field"
+                  disabled={saving}
+                >
+                  <option value="description">Description</option>
+                  <option value="amount">Amount before tax</option>
+                </select>
+                <select
+                  value={condition.operator}
+                  onChange={(e) => updateCondition(index, { operator: e.target.value })}
+                  aria-label="Test"
+                  disabled={saving}
+                >
+                  {OPERATORS[condition.field].map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+                {condition.field === 'description' ? (
+                  <input
+                    type="text"
+                    value={condition.value}
+                    onChange={(e) => updateCondition(index, { value: e.target.value })}
+                    placeholder="e.g. starbucks"
+                    aria-label="Text"
+                    required
+                    disabled={saving}
+                  />
+                ) : (
+                  <span className="rule-amounts">
+                    <input
+                      type="number"
+                      value={condition.min}
+                      onChange={(e) => updateCondition(index, { min: e.target.value })}
+                      placeholder="Lowest"
+                      aria-label="Lowest amount"
+                      min="0"
+                      step="any"
+                      disabled={saving}
+                    />
+                    and
+                    <input
+                      type="number"
+                      value={condition.max}
+                      onChange={(e) => updateCondition(index, { max: e.target.value })}
+                      placeholder="Highest"
+                      aria-label="Highest amount"
+                      min="0"
+                      step="any"
+                      disabled={saving}
+                    />
+                  </span>
+                )}
+                {formData.conditions.length > 1 && (
+                  <button type="button" onClick={() => removeCondition(index)} className="delete-btn" disabled={saving}>
+                    Remove
+                  </button>
+                )}
+              </div>
+            ))}
+            <button type="button" onClick={addCondition} className="clear-range-btn" disabled={saving}>
+              + Add condition
+            </button>
+            <p className="rules-hint">
+              Amounts are compared with the amount before tax, in the transaction's own currency.
+            </p>
+          </fieldset>
+
+          <fieldset className="rules-fieldset">
+            <legend>Set</legend>
+            <div className="rules-form-row">
+              <div className="form-group">
+                <label>Type</label>
+                <select name="type" value={formData.type} onChange={handleChange} disabled={saving}>
+                  <option value="">Leave as is</option>
+                  <option value="expense">Expense</option>
+                  <option value="income">Income</option>
+                </select>
+              </div>
+              <div className="form-group">
+                <label>Payee</label>
+                <select name="payeeId" value={formData.payeeId} onChange={handleChange} disabled={saving}>
+                  <option value="">Leave as is</option>
+                  {payees.map(payee => (
+                    <option key={payee._id} value={payee._id}>{payee.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label>Tax (%)</label>
+                <input
+                  type="number"
+                  name="taxRate"
+                  value={formData.taxRate}
+                  onChange={handleChange}
+                  min="0"
+                  step="0.01"
+                  placeholder="Leave as is"
+                  disabled={saving || formData.taxRateIds.length > 0}
+                />
+              </div>
+            </div>
+            {taxRates.length > 0 && (
+              <div className="form-group">
+                <label>Named taxes</label>
+                <TaxRatePicker
+                  taxRates={taxRates}
+                  value={formData.taxRateIds}
+                  onChange={(taxRateIds) => setFormData(prev => ({ ...prev, taxRateIds }))}
+                  disabled={saving}
+                />
+              </div>
+            )}
+            <p className="rules-hint">
+              Rules fill in what a new, edited or imported transaction leaves out: its type or payee, or its tax
+              when none is entered. Lower priorities run first, and the first rule to set something wins.
+            </p>
+          </fieldset>
+
+          <div className="rules-form-actions">
+            {editingId && (
+              <button type="button" onClick={resetForm} className="delete-btn" disabled={saving}>
+                Cancel
+              </button>
+            )}
+            <button type="submit" className="add-button" disabled={saving}>
+              {saving ? 'Saving...' : editingId ? 'Save Rule' : 'Add Rule'}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      <div className="expenses-section rules-list-section">
+        <div className="section-header">
+          <h2>Your Rules</h2>
+        </div>
+
+        {rules.length === 0 ? (
+          <div className="no-expenses">
+            <p>No rules yet. Add one to fill in types, payees and taxes as transactions come in.</p>
+          </div>
+        ) : (
+          <div className="rules-list">
+            {rules.map(rule => (
+              <div key={rule._id} className={`rule-row ${rule.enabled ? '' : 'disabled'}`}>
+                <div className="rule-summary">
+                  <h4>
+                    {rule.name}
+                    <small>priority {rule.priority}{!rule.enabled && ' · off'}</small>
+                  </h4>
+                  <p>When {rule.conditions.map(describeCondition).join(' and ')}</p>
+                  <p>Set {describeActions(rule.actions, payees, taxRates)}</p>
+                </div>
+                <div className="expense-actions">
+                  <button onClick={() => toggleRule(rule)} className="edit-btn">
+                    {rule.enabled ? 'Turn off' : 'Turn on'}
+                  </button>
+                  <button onClick={() => startEditing(rule)} className="edit-btn">Edit</button>
+                  <button onClick={() => deleteRule(rule)} className="delete-btn">Delete</button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="expenses-section rules-tools">
+        <div className="rules-tool">
+          <h3>Try the rules</h3>
+          <form onSubmit={runTest} className="rules-tool-form">
+            <input
+              type="text"
+              value={test.description}
+              onChange={(e) => setTest(prev => ({ ...prev, description: e.target.value }))}
+              placeholder="Description, e.g. STARBUCKS #1234"
+              aria-label="Description"
+              required
+            />
+            <input
+              type="number"
+              value={test.amount}
+              onChange={(e) => setTest(prev => ({ ...prev, amount: e.target.value }))}
+              placeholder={`Amount before tax (${user?.baseCurrency || 'USD'})`}
+              aria-label="Amount"
+              min="0"
+              step="any"
+            />
+            <button type="submit" className="clear-range-btn">Test</button>
+          </form>
+          {testResult && (
+            <p className="rules-result">
+              Sets {describeActions(testResult.changes, payees)}
+              {testResult.rules.length > 0 && ` (from ${testResult.rules.map(rule => rule.name).join(', ')})`}
+            </p>
+          )}
+        </div>
+
+        <div className="rules-tool">
+          <h3>Re-apply to past transactions</h3>
+          <div className="rules-tool-form">
+            <label>
+              From
+              <input
+                type="date"
+                value={reapplyRange.from}
+                onChange={(e) => setReapplyRange(prev => ({ ...prev, from: e.target.value }))}
+              />
+            </label>
+            <label>
+              To
+              <input
+                type="date"
+                value={reapplyRange.to}
+                onChange={(e) => setReapplyRange(prev => ({ ...prev, to: e.target.value }))}
+              />
+            </label>
+            <button onClick={() => reapply(true)} className="clear-range-btn" disabled={reapplying}>
+              Preview
+            </button>
+            <button onClick={() => reapply(false)} className="add-button" disabled={reapplying}>
+              {reapplying ? 'Working...' : 'Re-apply rules'}
+            </button>
+          </div>
+          <p className="rules-hint">
+            Leave the dates empty for all transactions. Unlike new transactions, past ones take whatever the rules
+            set, replacing their current type, payee or tax; a changed type clears the category.
+          </p>
+          {reapplyResult && (
+            <div className="rules-result">
+              <p>
+                {reapplyResult.dryRun ? 'Would change' : 'Changed'} {reapplyResult.changed} of {reapplyResult.checked} transaction(s)
+                {reapplyResult.failed > 0 && ` · ${reapplyResult.failed} could not be saved`}
+              </p>
+              {reapplyResult.changes.length > 0 && (
+                <ul className="rules-changes">
+                  {reapplyResult.changes.map(change => (
+                    <li key={change.id}>
+                      {formatDate(change.date)} · {change.description}: {change.fields.map(fieldLabel).join(', ')}
+                      {change.rules.length > 0 && <small> ({change.rules.join(', ')})</small>}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {reapplyResult.changed > reapplyResult.changes.length && (
+                <p className="rules-hint">Showing the first {reapplyResult.changes.length}.</p>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Rules;
@@ -0,0 +1,244 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
+import { basisPointsToPercent, percentToBasisPoints } from '../utils/money';
+import './TaxRates.css';
+
+const emptyForm = {
+  name: '',
+  rate: '',
+  inclusive: false
+};
+
+const TaxRates = () => {
+  const navigate = useNavigate();
+
+  const [taxRates, setTaxRates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [formData, setFormData] = useState(emptyForm);
+  const [editingRate, setEditingRate] = useState(null);
+
+  useEffect(() => {
+    fetchTaxRates();
+  }, []);
+
+  const fetchTaxRates = async () => {
+    try {
+      const response = await axios.get('/api/tax-rates');
+      setTaxRates(response.data.data?.taxRates || []);
+    } catch (error) {
+      console.error('❌ Error fetching tax rates:', error);
+      setError('Failed to load tax rates');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+
+    try {
+      await axios.post('/api/tax-rates', {
+        name: formData.name.trim(),
+        rate: percentToBasisPoints(formData.rate),
+        inclusive: formData.inclusive
+      });
+      setFormData(emptyForm);
+      fetchTaxRates();
+    } catch (error) {
+      console.error('❌ Error creating tax rate:', error);
+      setError(error.response?.data?.message || 'Error creating tax rate');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const startEditing = (taxRate) => {
+    setEditingRate({
+      _id: taxRate._id,
+      name: taxRate.name,
+      rate: basisPointsToPercent(taxRate.rate).toString(),
+      inclusive: taxRate.inclusive
+    });
+  };
+
+  const saveTaxRate = async () => {
+    try {
+      await axios.put(`/api/tax-rates/${editingRate._id}`, {
+        name: editingRate.name.trim(),
+        rate: percentToBasisPoints(editingRate.rate),
+        inclusive: editingRate.inclusive
+      });
+      setEditingRate(null);
+      fetchTaxRates();
+    } catch (error) {
+      alert(error.response?.data?.message || 'Error updating tax rate');
+    }
+  };
+
+  const deleteTaxRate = async (taxRate) => {
+    if (window.confirm(`Delete tax rate "${taxRate.name}"? Transactions already taxed with it keep their tax.`)) {
+      try {
+        await axios.delete(`/api/tax-rates/${taxRate._id}`);
+        setTaxRates(prev => prev.filter(rate => rate._id !== taxRate._id));
+      } catch (error) {
+        alert(error.response?.data?.message || 'Error deleting tax rate');
+      }
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="loading-spinner"></div>
+        <p>Loading tax rates...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="dashboard-container tax-rates-page">
+      <header className="dashboard-header">
+        <h1>Tax Rates</h1>
+        <button onClick={() => navigate('/dashboard')} className="add-button">
+          ◀ Back to Dashboard
+        </button>
+      </header>
+
+      <div className="expenses-section tax-rates-form-section">
+        <div className="section-header">
+          <h2>New Tax Rate</h2>
+        </div>
+
+        {error && (
+          <div className="error-message">
+            <strong>Error:</strong> {error}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="tax-rates-form">
+          <div className="form-group">
+            <label>Name *</label>
+            <input
+              type="text"
+              name="name"
+              value={formData.name}
+              onChange={handleChange}
+              required
+              placeholder="e.g. State sales tax"
+              disabled={saving}
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Rate (%) *</label>
+            <input
+              type="number"
+              name="rate"
+              value={formData.rate}
+              onChange={handleChange}
+              required
+              min="0"
+              step="0.01"
+              placeholder="0"
+              disabled={saving}
+            />
+          </div>
+
+          <div className="form-group checkbox-group">
+            <label>
+              <input
+                type="checkbox"
+                name="inclusive"
+                checked={formData.inclusive}
+                onChange={handleChange}
+                disabled={saving}
+              />
+              Already included in prices (e.g. VAT)
+            </label>
+          </div>
+
+          <div className="tax-rates-form-actions">
+            <button type="submit" className="add-button" disabled={saving}>
+              {saving ? 'Saving...' : 'Add Tax Rate'}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      <div className="expenses-section">
+        <div className="section-header">
+          <h2>Your Tax Rates</h2>
+        </div>
+
+        {taxRates.length === 0 ? (
+          <div className="no-expenses">
+            <p>No tax rates yet. Add the sales taxes or VAT you pay to apply them to transactions.</p>
+          </div>
+        ) : (
+          <div className="tax-rates-list">
+            {taxRates.map(taxRate => (
+              <div key={taxRate._id} className="tax-rate-row">
+                {editingRate?._id === taxRate._id ? (
+                  <div className="tax-rate-edit">
+                    <input
+                      type="text"
+                      value={editingRate.name}
+                      onChange={(e) => setEditingRate({ ...editingRate, name: e.target.value })}
+                    />
+                    <input
+                      type="number"
+                      value={editingRate.rate}
+                      onChange={(e) => setEditingRate({ ...editingRate, rate: e.target.value })}
+                      min="0"
+                      step="0.01"
+                    />
+                    <label>
+                      <input
+                        type="checkbox"
+                        checked={editingRate.inclusive}
+                        onChange={(e) => setEditingRate({ ...editingRate, inclusive: e.target.checked })}
+                      />
+                      Included
+                    </label>
+                  </div>
+                ) : (
+                  <div className="tax-rate-summary">
+                    <h4>{taxRate.name}</h4>
+                    <p>
+                      {basisPointsToPercent(taxRate.rate)}% · {taxRate.inclusive ? 'included in prices' : 'added on top'}
+                    </p>
+                  </div>
+                )}
+                <div className="expense-actions">
+                  {editingRate?._id === taxRate._id ? (
+                    <>
+                      <button onClick={saveTaxRate} className="edit-btn">Save</button>
+                      <button onClick={() => setEditingRate(null)} className="delete-btn">Cancel</button>
+                    </>
+                  ) : (
+                    <>
+                      <button onClick={() => startEditing(taxRate)} className="edit-btn">Edit</button>
+                      <button onClick={() => deleteTaxRate(taxRate)} className="delete-btn">Delete</button>
+                    </>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TaxRates;
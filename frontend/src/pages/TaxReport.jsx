@@ -0,0 +1,214 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
+import PeriodSwitcher from '../components/PeriodSwitcher';
+import { CALENDAR_PERIODS, periodRange, formatDate, todayInputValue } from '../utils/date';
+import { formatMoney } from '../utils/money';
+import { downloadFile } from '../utils/download';
+import './TaxReport.css';
+
+const TYPES = [
+  { value: 'income', label: 'Income', taxLabel: 'Tax collected' },
+  { value: 'expense', label: 'Expenses', taxLabel: 'Tax paid' }
+];
+const TAX_TYPES = [
+  { value: 'flat', label: 'Flat' },
+  { value: 'percentage', label: 'Percentage' }
+];
+
+// "2024-Q1" or "2024-01" as "Q1 2024" or "January 2024"
+const periodName = (period) => {
+  const [year, part] = period.split('-');
+  if (part.startsWith('Q')) return `${part} ${year}`;
+  return new Date(Date.UTC(Number(year), Number(part) - 1, 1))
+    .toLocaleDateString(undefined, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+};
+
+const TaxReport = () => {
+  const navigate = useNavigate();
+
+  // Same params as the dashboard's period switcher, kept in state here
+  const [periodParams, setPeriodParams] = useState({ period: 'year', date: '', from: '', to: '' });
+  const [interval, setReportInterval] = useState('quarter');
+  const [showTaxTypes, setShowTaxTypes] = useState(false);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [downloading, setDownloading] = useState(false);
+  const [error, setError] = useState('');
+
+  const { period } = periodParams;
+  const range = CALENDAR_PERIODS.includes(period)
+    ? periodRange(period, periodParams.date || todayInputValue())
+    : { from: periodParams.from, to: periodParams.to };
+  const complete = Boolean(range.from && range.to && range.from <= range.to);
+
+  useEffect(() => {
+    if (!complete) return;
+    let cancelled = false;
+
+    axios
+      .get('/api/reports/tax', { params: { period: 'custom', from: range.from, to: range.to, interval } })
+      .then(response => {
+        if (cancelled) return;
+        setReport(response.data.data);
+        setError('');
+      })
+      .catch(err => {
+        if (cancelled) return;
+        console.error('❌ Error fetching tax report:', err);
+        setError(err.response?.data?.message || 'Failed to load the tax report');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [complete, range.from, range.to, interval]);
+
+  const handlePeriodChange = (changes) => {
+    setPeriodParams(prev => ({ ...prev, ...changes }));
+  };
+
+  const handleDownload = async () => {
+    setDownloading(true);
+    try {
+      await downloadFile(
+        '/api/reports/tax',
+        { period: 'custom', from: range.from, to: range.to, interval, format: 'csv' },
+        `tax-summary-${range.from}-to-${range.to}.csv`
+      );
+    } catch (error) {
+      alert(error.message);
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const money = (value) => formatMoney(value, report?.baseCurrency);
+
+  // One row of figures: net, tax and gross for income, then for expenses
+  const figureCells = (breakdown, key) => TYPES.flatMap(type => {
+    const figures = breakdown[type.value][key];
+    return [
+      <td key={`${type.value}-net`}>{money(figures.net)}</td>,
+      <td key={`${type.value}-tax`} className="tax-figure">{money(figures.tax)}</td>,
+      <td key={`${type.value}-gross`}>{money(figures.gross)}</td>
+    ];
+  });
+
+  const netTax = (breakdown) => breakdown.income.total.tax - breakdown.expense.total.tax;
+
+  const rowsFor = (label, breakdown, className) => [
+    <tr key={label} className={className}>
+      <th scope="row">{label}</th>
+      {figureCells(breakdown, 'total')}
+      <td className="tax-figure">{money(netTax(breakdown))}</td>
+    </tr>,
+    ...(showTaxTypes ? TAX_TYPES.map(taxType => (
+      <tr key={`${label}-${taxType.value}`} className="tax-type-row">
+        <th scope="row">{taxType.label} tax</th>
+        {figureCells(breakdown, taxType.value)}
+        <td />
+      </tr>
+    )) : [])
+  ];
+
+  if (loading && complete) {
+    return (
+      <div className="loading-container">
+        <div className="loading-spinner"></div>
+        <p>Loading tax report...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="dashboard-container tax-report-page">
+      <header className="dashboard-header">
+        <h1>Tax Report</h1>
+        <button onClick={() => navigate('/dashboard')} className="add-button">
+          ◀ Back to Dashboard
+        </button>
+      </header>
+
+      <div className="date-range-bar">
+        <PeriodSwitcher period={period} range={range} onChange={handlePeriodChange} allowAllTime={false} />
+        <div className="date-range-export">
+          <select value={interval} onChange={(e) => setReportInterval(e.target.value)} aria-label="Group by">
+            <option value="quarter">By quarter</option>
+            <option value="month">By month</option>
+          </select>
+          <button onClick={handleDownload} className="clear-range-btn" disabled={!complete || downloading}>
+            {downloading ? 'Preparing...' : '⬇️ Download CSV'}
+          </button>
+        </div>
+      </div>
+
+      <div className="expenses-section">
+        <div className="section-header">
+          <h2>
+            {complete ? `${formatDate(range.from)} – ${formatDate(range.to)}` : 'Pick the dates to report on'}
+          </h2>
+          <label className="tax-type-toggle">
+            <input type="checkbox" checked={showTaxTypes} onChange={(e) => setShowTaxTypes(e.target.checked)} />
+            Split by tax type
+          </label>
+        </div>
+
+        {error && (
+          <div className="error-message">
+            <strong>Error:</strong> {error}
+          </div>
+        )}
+
+        {complete && report && !error && (
+          <>
+            {report.unconvertedCurrencies.length > 0 && (
+              <div className="currency-warning">
+                No exchange rate to {report.baseCurrency} for {report.unconvertedCurrencies.join(', ')}.
+                Those transactions are left out below.
+              </div>
+            )}
+
+            <div className="tax-table-container">
+              <table className="tax-table">
+                <thead>
+                  <tr>
+                    <th rowSpan="2">Period</th>
+                    {TYPES.map(type => (
+                      <th key={type.value} colSpan="3">{type.label}</th>
+                    ))}
+                    <th rowSpan="2">Collected − paid</th>
+                  </tr>
+                  <tr>
+                    {TYPES.flatMap(type => [
+                      <th key={`${type.value}-net`}>Net</th>,
+                      <th key={`${type.value}-tax`}>{type.taxLabel}</th>,
+                      <th key={`${type.value}-gross`}>Gross</th>
+                    ])}
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.periods.flatMap(row => rowsFor(periodName(row.period), row))}
+                </tbody>
+                <tfoot>
+                  {rowsFor('Total', report.totals, 'tax-total-row')}
+                </tfoot>
+              </table>
+            </div>
+
+            <p className="tax-note">
+              Amounts are in {report.baseCurrency}, converted at the rate on each transaction's date. Transfers carry
+              no tax and are left out; split transactions count line by line, and named tax rates count as
+              percentage tax.
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TaxReport;
@@ -0,0 +1,197 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
+import { formatMoney } from '../utils/money';
+import { formatDate } from '../utils/date';
+import './Trash.css';
+
+const Trash = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+
+  const [expenses, setExpenses] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const isAdmin = user?.role === 'admin';
+
+  useEffect(() => {
+    fetchTrash();
+  }, []);
+
+  const fetchTrash = async () => {
+    try {
+      const response = await axios.get('/api/trash');
+      const data = response.data.data || {};
+      setExpenses(data.expenses || []);
+      setUsers(data.users || []);
+      setRetentionDays(data.retentionDays);
+    } catch (error) {
+      console.error('❌ Error fetching trash:', error);
+      setError('Failed to load trash');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const restoreExpense = async (expense) => {
+    try {
+      await axios.post(`/api/trash/expenses/${expense._id}/restore`);
+      setExpenses(prev => prev.filter(item => item._id !== expense._id));
+    } catch (error) {
+      alert(error.response?.data?.message || 'Error restoring transaction');
+    }
+  };
+
+  const purgeExpense = async (expense) => {
+    if (window.confirm(`Permanently delete "${expense.description}"? This cannot be undone.`)) {
+      try {
+        await axios.delete(`/api/trash/expenses/${expense._id}`);
+        setExpenses(prev => prev.filter(item => item._id !== expense._id));
+      } catch (error) {
+        alert(error.response?.data?.message || 'Error deleting transaction');
+      }
+    }
+  };
+
+  const emptyTrash = async () => {
+    if (window.confirm('Permanently delete every transaction in your trash? This cannot be undone.')) {
+      try {
+        await axios.delete('/api/trash');
+        fetchTrash();
+      } catch (error) {
+        alert(error.response?.data?.message || 'Error emptying trash');
+      }
+    }
+  };
+
+  const restoreUser = async (trashedUser) => {
+    try {
+      await axios.post(`/api/trash/users/${trashedUser._id}/restore`);
+      fetchTrash();
+    } catch (error) {
+      alert(error.response?.data?.message || 'Error restoring user');
+    }
+  };
+
+  const purgeUser = async (trashedUser) => {
+    if (window.confirm(`Permanently delete "${trashedUser.name}" and all of their data? This cannot be undone.`)) {
+      try {
+        await axios.delete(`/api/trash/users/${trashedUser._id}`);
+        fetchTrash();
+      } catch (error) {
+        alert(error.response?.data?.message || 'Error deleting user');
+      }
+    }
+  };
+
+  const ownExpenses = expenses.filter(expense => (expense.userId?._id || expense.userId) === user?.id);
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="loading-spinner"></div>
+        <p>Loading trash...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="dashboard-container trash-page">
+      <header className="dashboard-header">
+        <h1>Trash</h1>
+        <button onClick={() => navigate(isAdmin ? '/admin' : '/dashboard')} className="add-button">
+          ◀ Back to {isAdmin ? 'Admin' : 'Dashboard'}
+        </button>
+      </header>
+
+      {error && (
+        <div className="error-message">
+          <strong>Error:</strong> {error}
+        </div>
+      )}
+
+      {retentionDays && (
+        <p className="trash-notice">
+          Deleted items stay here for {retentionDays} days before they are removed for good.
+        </p>
+      )}
+
+      {isAdmin && (
+        <div className="expenses-section trash-section">
+          <div className="section-header">
+            <h2>Deleted Users</h2>
+          </div>
+
+          {users.length === 0 ? (
+            <div className="no-expenses">
+              <p>No deleted users.</p>
+            </div>
+          ) : (
+            <div className="trash-list">
+              {users.map(trashedUser => (
+                <div key={trashedUser._id} className="trash-row">
+                  <div className="trash-summary">
+                    <h4>{trashedUser.name}</h4>
+                    <p>{trashedUser.email} · {trashedUser.role}</p>
+                    <p className="trash-dates">
+                      Deleted {formatDate(trashedUser.deletedAt)} · purged {formatDate(trashedUser.purgeAt)}
+                    </p>
+                  </div>
+                  <div className="expense-actions">
+                    <button onClick={() => restoreUser(trashedUser)} className="edit-btn">Restore</button>
+                    <button onClick={() => purgeUser(trashedUser)} className="delete-btn">Delete Forever</button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="expenses-section trash-section">
+        <div className="section-header">
+          <h2>Deleted Transactions</h2>
+          {ownExpenses.length > 0 && (
+            <button onClick={emptyTrash} className="delete-btn">
+              Empty My Trash
+            </button>
+          )}
+        </div>
+
+        {expenses.length === 0 ? (
+          <div className="no-expenses">
+            <p>The trash is empty.</p>
+          </div>
+        ) : (
+          <div className="trash-list">
+            {expenses.map(expense => (
+              <div key={expense._id} className={`trash-row ${expense.type}`}>
+                <div className="trash-summary">
+                  <h4>{expense.description}</h4>
+                  <p>
+                    {formatMoney(expense.totalAmount, expense.currency)} · {expense.type}
+                    {expense.categoryId && ` · ${expense.categoryId.name}`} · {formatDate(expense.date)}
+                  </p>
+                  {isAdmin && expense.userId?.name && <p>Owner: {expense.userId.name}</p>}
+                  <p className="trash-dates">
+                    Deleted {formatDate(expense.deletedAt)} · purged {formatDate(expense.purgeAt)}
+                  </p>
+                </div>
+                <div className="expense-actions">
+                  <button onClick={() => restoreExpense(expense)} className="edit-btn">Restore</button>
+                  <button onClick={() => purgeExpense(expense)} className="delete-btn">Delete Forever</button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Trash;
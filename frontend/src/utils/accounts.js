@@ -0,0 +1,7 @@
+export const ACCOUNT_TYPES = {
+  cash: "Cash",
+  checking: "Checking",
+  savings: "Savings",
+  credit_card: "Credit Card",
+  other: "Other",
+};
@@ -0,0 +1,40 @@
+// Layout helpers for the SVG charts. Everything is in viewBox units; the
+// SVG scales to its container's width.
+
+export const CHART_WIDTH = 640;
+export const CHART_HEIGHT = 240;
+export const CHART_MARGIN = { top: 12, right: 12, bottom: 28, left: 64 };
+
+// A round step (1, 2 or 5 times a power of ten) giving about `count` ticks
+const niceStep = (range, count) => {
+  const raw = range / count;
+  const magnitude = 10 ** Math.floor(Math.log10(raw));
+  const normalized = raw / magnitude;
+  if (normalized <= 1) return magnitude;
+  if (normalized <= 2) return 2 * magnitude;
+  if (normalized <= 5) return 5 * magnitude;
+  return 10 * magnitude;
+};
+
+// Y axis covering every value (minor units) and zero, with round ticks. `y(value)`
+// gives the vertical position in the plot area.
+export const buildScale = (values, tickCount = 4) => {
+  const low = Math.min(0, ...values);
+  const high = Math.max(0, ...values);
+  // An empty chart still gets an axis, one currency unit per tick
+  const step = niceStep(high - low || tickCount * 100, tickCount);
+  const min = Math.floor(low / step) * step;
+  const max = Math.max(Math.ceil(high / step) * step, min + step);
+
+  const ticks = [];
+  for (let tick = min; tick <= max + step / 2; tick += step) ticks.push(tick);
+
+  const top = CHART_MARGIN.top;
+  const bottom = CHART_HEIGHT - CHART_MARGIN.bottom;
+  const y = (value) => bottom - ((value - min) / (max - min)) * (bottom - top);
+
+  return { ticks, y };
+};
+
+// Which of `count` x-axis labels to print so they don't overlap
+export const labelStep = (count, maxLabels = 8) => Math.max(1, Math.ceil(count / maxLabels));
@@ -0,0 +1,38 @@
+import { CALENDAR_PERIODS, periodRange, adjacentRange } from "@expense-tracker/shared/periods";
+
+export { CALENDAR_PERIODS, periodRange, adjacentRange };
+
+// Transaction dates are calendar days stored as UTC midnight, so they are
+// always read and displayed in UTC to avoid shifting a day across timezones.
+
+// Today's local calendar date as YYYY-MM-DD, for <input type="date">
+export const todayInputValue = () => {
+  const now = new Date();
+  const month = String(now.getMonth() + 1).padStart(2, "0");
+  const day = String(now.getDate()).padStart(2, "0");
+  return `${now.getFullYear()}-${month}-${day}`;
+};
+
+export const toDateInputValue = (value) => {
+  if (!value) return "";
+  return new Date(value).toISOString().slice(0, 10);
+};
+
+export const formatDate = (value) => {
+  if (!value) return "";
+  return new Date(value).toLocaleDateString(undefined, { timeZone: "UTC" });
+};
+
+// "March 2024", "Q1 2024" or "2024" for a calendar period's { from, to }
+export const periodLabel = (period, range) => {
+  const [year, month] = range.from.split("-").map(Number);
+  if (period === "month") {
+    return new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString(undefined, {
+      month: "long",
+      year: "numeric",
+      timeZone: "UTC",
+    });
+  }
+  if (period === "quarter") return `Q${Math.floor((month - 1) / 3) + 1} ${year}`;
+  return String(year);
+};
@@ -0,0 +1,25 @@
+import axios from "axios";
+
+// The server names the file; fall back to `fallbackName`
+const filenameFrom = (disposition, fallbackName) =>
+  disposition?.match(/filename="([^"]+)"/)?.[1] || fallbackName;
+
+// Fetch a file from the API (with the auth header axios already sends) and
+// hand it to the browser as a download. Failures throw with the API's message.
+export const downloadFile = async (url, params, fallbackName) => {
+  try {
+    const response = await axios.get(url, { params, responseType: "blob" });
+
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(response.data);
+    link.download = filenameFrom(response.headers["content-disposition"], fallbackName);
+    link.click();
+    URL.revokeObjectURL(link.href);
+  } catch (error) {
+    // Error bodies arrive as a blob too
+    const body = error.response?.data instanceof Blob
+      ? JSON.parse(await error.response.data.text())
+      : null;
+    throw new Error(body?.message || "Download failed", { cause: error });
+  }
+};
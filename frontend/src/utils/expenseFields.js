@@ -0,0 +1,48 @@
+// Display names for the fields of a transaction, as used by its forms and
+// by the API
+export const FIELD_LABELS = {
+  description: "Description",
+  amount: "Amount",
+  currency: "Currency",
+  type: "Type",
+  taxType: "Tax type",
+  taxAmount: "Tax",
+  taxes: "Taxes",
+  taxRateIds: "Taxes",
+  categoryId: "Category",
+  date: "Date",
+  lineItems: "Line items",
+  lineCount: "Line items",
+  accountId: "Account",
+  toAccountId: "To account",
+  goalId: "Goal",
+  payeeId: "Payee",
+};
+
+export const fieldLabel = (field) => FIELD_LABELS[field] || field;
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Three-way merge of an edit form after a version conflict. `base` is the
+// form as it was loaded, `mine` the user's edits and `theirs` the server's
+// current state. A field only one side changed takes that side's value; a
+// field both sides changed differently is a conflict and keeps the user's
+// value.
+export const mergeForms = (base, mine, theirs) => {
+  const merged = { ...mine };
+  const theirChanges = [];
+  const conflicts = [];
+
+  Object.keys(theirs).forEach((field) => {
+    if (sameValue(base[field], theirs[field])) return;
+
+    theirChanges.push(field);
+    if (sameValue(base[field], mine[field])) {
+      merged[field] = theirs[field];
+    } else if (!sameValue(mine[field], theirs[field])) {
+      conflicts.push(field);
+    }
+  });
+
+  return { merged, theirChanges, conflicts };
+};
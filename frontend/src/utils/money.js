@@ -0,0 +1,139 @@
+import {
+  fromMinorUnits,
+  toMinorUnits,
+  minorUnitsToInput,
+  basisPointsToPercent,
+  percentToBasisPoints,
+  calculateTax,
+  calculateTotal,
+  calculateTaxBreakdown,
+  parseAmountFields,
+} from "@expense-tracker/shared/money";
+
+export { toMinorUnits, minorUnitsToInput, basisPointsToPercent, percentToBasisPoints, calculateTax, calculateTotal, parseAmountFields };
+
+export const CURRENCIES = ["USD", "EUR", "GBP", "NPR", "INR", "JPY", "CNY", "AUD", "CAD", "CHF"];
+
+// Amounts from the API are integer minor units (e.g. cents)
+export const formatMoney = (minor, currency = "USD") => {
+  const amount = fromMinorUnits(minor, currency);
+  try {
+    return new Intl.NumberFormat(undefined, { style: "currency", currency }).format(amount);
+  } catch {
+    // Unknown currency codes still get a readable fallback
+    return `${currency} ${amount.toFixed(2)}`;
+  }
+};
+
+// Short form for chart axes, e.g. "$1.2K"
+export const formatMoneyCompact = (minor, currency = "USD") => {
+  const amount = fromMinorUnits(minor, currency);
+  try {
+    return new Intl.NumberFormat(undefined, {
+      style: "currency",
+      currency,
+      notation: "compact",
+      maximumFractionDigits: 1,
+    }).format(amount);
+  } catch {
+    return `${currency} ${amount.toFixed(0)}`;
+  }
+};
+
+// Totals across transactions in different currencies, e.g. "$10.00 · €5.00"
+export const formatMoneyByCurrency = (items, getAmount) => {
+  const totals = {};
+  items.forEach((item) => {
+    const currency = item.currency || "USD";
+    totals[currency] = (totals[currency] || 0) + (getAmount(item) || 0);
+  });
+
+  const entries = Object.entries(totals);
+  if (entries.length === 0) return formatMoney(0);
+  return entries.map(([currency, total]) => formatMoney(total, currency)).join(" · ");
+};
+
+// "State 6% + VAT 20% incl."
+export const formatTaxNames = (taxes) =>
+  taxes
+    .map((tax) => `${tax.name} ${basisPointsToPercent(tax.rate)}%${tax.inclusive ? " incl." : ""}`)
+    .join(" + ");
+
+// Human-readable tax for a stored transaction
+export const formatTax = ({ taxType, taxAmount, taxes, taxTotal, currency }) => {
+  if (taxes?.length > 0) {
+    return `${formatMoney(taxTotal, currency)} (${formatTaxNames(taxes)})`;
+  }
+  return taxType === "percentage" ? `${basisPointsToPercent(taxAmount)}%` : formatMoney(taxAmount, currency);
+};
+
+// Tax choices for a transaction: the user's current rates, with the rates a
+// transaction was recorded with taking precedence (they may since have been
+// changed or deleted)
+export const taxRateOptions = (taxRates, recordedTaxes = []) => {
+  const recorded = recordedTaxes
+    .filter((tax) => tax.taxRateId)
+    .map((tax) => ({ _id: tax.taxRateId, name: tax.name, rate: tax.rate, inclusive: tax.inclusive }));
+  const recordedIds = recorded.map((tax) => tax._id);
+  return [...recorded, ...taxRates.filter((rate) => !recordedIds.includes(rate._id))];
+};
+
+// Live net, tax and gross for a form whose amounts are still the decimal
+// strings the user typed. `taxRates` are the named taxes the form can pick.
+export const calculateFormBreakdown = (form, taxRates = []) => {
+  // A split transaction is the sum of its lines
+  if (form.lineItems?.length > 0) {
+    return form.lineItems.reduce(
+      (sum, line) => {
+        const lineBreakdown = calculateFormBreakdown({ ...line, currency: form.currency });
+        return {
+          net: sum.net + lineBreakdown.net,
+          tax: sum.tax + lineBreakdown.tax,
+          gross: sum.gross + lineBreakdown.gross,
+        };
+      },
+      { net: 0, tax: 0, gross: 0 }
+    );
+  }
+
+  const { amount, taxAmount } = parseAmountFields(form);
+  const selected = taxRates.filter((rate) => form.taxRateIds?.includes(rate._id));
+  if (selected.length > 0) {
+    const { net, tax, gross } = calculateTaxBreakdown(amount || 0, selected);
+    return { net, tax, gross };
+  }
+
+  const tax = calculateTax({ amount: amount || 0, taxAmount: taxAmount || 0, taxType: form.taxType });
+  return { net: amount || 0, tax, gross: (amount || 0) + tax };
+};
+
+export const calculateFormTotal = (form, taxRates) => calculateFormBreakdown(form, taxRates).gross;
+
+export const emptyLineItem = () => ({
+  description: "",
+  amount: "",
+  categoryId: "",
+  taxType: "flat",
+  taxAmount: "0",
+});
+
+// Stored line items back into the decimal strings the form edits
+export const lineItemsToInput = (lineItems = [], currency = "USD") =>
+  lineItems.map((line) => ({
+    description: line.description || "",
+    amount: minorUnitsToInput(line.amount, currency),
+    categoryId: line.categoryId?._id || line.categoryId || "",
+    taxType: line.taxType || "flat",
+    taxAmount: line.taxType === "percentage"
+      ? basisPointsToPercent(line.taxAmount).toString()
+      : minorUnitsToInput(line.taxAmount, currency),
+  }));
+
+// Form line items into the integer minor units the API expects
+export const parseLineItems = (lineItems, currency) =>
+  lineItems.map((line) => ({
+    description: line.description.trim(),
+    ...parseAmountFields({ ...line, currency }),
+    taxType: line.taxType,
+    categoryId: line.categoryId || null,
+  }));
@@ -4,4 +4,14 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
-})
\ No newline at end of file
+  // The shared package is CommonJS (the backend requires it too) and is
+  // linked rather than installed, so Vite has to be told to convert it
+  optimizeDeps: {
+    include: ['@expense-tracker/shared/money', '@expense-tracker/shared/periods'],
+  },
+  build: {
+    commonjsOptions: {
+      include: [/shared/, /node_modules/],
+    },
+  },
+})
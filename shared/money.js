@@ -0,0 +1,142 @@
+// Money is stored as integers in the currency's minor unit (cents for USD,
+// yen for JPY) and percentage tax rates as integer basis points (8.25% = 825),
+// so no floating point ever reaches a stored amount.
+//
+// Rounding rule: whenever a calculation lands between two minor units it is
+// rounded half away from zero (1.5 cents -> 2 cents, -1.5 cents -> -2 cents).
+//
+// This file is plain CommonJS so that both the Node backend and the Vite
+// frontend can load it.
+
+// Currencies whose minor unit is not 1/100 (ISO 4217)
+const CURRENCY_EXPONENTS = {
+  JPY: 0, KRW: 0, VND: 0, CLP: 0, ISK: 0, UGX: 0, XAF: 0, XOF: 0,
+  BHD: 3, JOD: 3, KWD: 3, OMR: 3, TND: 3
+};
+
+const currencyExponent = (currency) => {
+  const exponent = CURRENCY_EXPONENTS[currency];
+  return exponent === undefined ? 2 : exponent;
+};
+
+// Integer division rounded half away from zero, exact for safe integers
+const divideAndRound = (numerator, denominator) => {
+  const sign = Math.sign(numerator) * Math.sign(denominator);
+  const n = Math.abs(numerator);
+  const d = Math.abs(denominator);
+  let quotient = Math.floor(n / d);
+  if ((n - quotient * d) * 2 >= d) quotient += 1;
+  return sign * quotient || 0;
+};
+
+const roundHalfAwayFromZero = (value) => Math.sign(value) * Math.round(Math.abs(value)) || 0;
+
+// Parse a decimal ("10.35", 10.35, "-0.5") into an integer scaled by 10^places,
+// working on the digits rather than on a float product. Extra decimals are
+// rounded half away from zero. Returns NaN for anything that isn't a number.
+const parseScaled = (value, places) => {
+  if (value === null || value === undefined || value === '') return NaN;
+
+  let text = typeof value === 'number' ? value.toFixed(Math.min(places + 6, 100)) : String(value).trim();
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)$/.test(text)) return NaN;
+
+  const negative = text.startsWith('-');
+  text = text.replace(/^[-+]/, '');
+
+  const [whole, fraction = ''] = text.split('.');
+  const kept = fraction.slice(0, places).padEnd(places, '0');
+  let scaled = parseInt(`${whole || '0'}${kept}`, 10);
+  if (fraction.length > places && fraction[places] >= '5') scaled += 1;
+
+  return negative ? -scaled : scaled;
+};
+
+// "10.35" USD -> 1035, "500" JPY -> 500
+const toMinorUnits = (amount, currency = 'USD') => parseScaled(amount, currencyExponent(currency));
+
+// 1035 USD -> 10.35 (for display and form inputs only)
+const fromMinorUnits = (minor, currency = 'USD') => (minor || 0) / 10 ** currencyExponent(currency);
+
+// 1035 USD -> "10.35", keeping trailing zeros for inputs
+const minorUnitsToInput = (minor, currency = 'USD') =>
+  fromMinorUnits(minor, currency).toFixed(currencyExponent(currency));
+
+// "8.25" -> 825
+const percentToBasisPoints = (percent) => parseScaled(percent, 2);
+
+// 825 -> 8.25
+const basisPointsToPercent = (basisPoints) => (basisPoints || 0) / 100;
+
+// Tax on a transaction in minor units. `taxAmount` is minor units for flat tax
+// and basis points for percentage tax.
+const calculateTax = ({ amount, taxType, taxAmount }) => {
+  if (!taxAmount) return 0;
+  if (taxType === 'percentage') {
+    return divideAndRound(amount * taxAmount, 10000);
+  }
+  return taxAmount;
+};
+
+// Total of a transaction taxed with a plain taxType/taxAmount
+const calculateTotal = (transaction) => (transaction.amount || 0) + calculateTax(transaction);
+
+// Net, tax and gross of `amount` under named taxes ({ rate, inclusive },
+// rates in basis points). Inclusive taxes are already part of the amount and
+// are backed out of it to find the net; exclusive taxes are charged on the
+// net and added on top. `amounts` holds each tax's share, in order; rounding
+// leftovers go to the last inclusive tax so net + taxes always add up.
+const calculateTaxBreakdown = (amount, taxes) => {
+  const inclusiveRate = taxes.reduce((sum, tax) => sum + (tax.inclusive ? tax.rate : 0), 0);
+  const net = divideAndRound(amount * 10000, 10000 + inclusiveRate);
+
+  let inclusiveLeft = amount - net;
+  let inclusiveRateLeft = inclusiveRate;
+  const amounts = taxes.map(tax => {
+    if (!tax.inclusive) return divideAndRound(net * tax.rate, 10000);
+
+    const share = inclusiveRateLeft === tax.rate
+      ? inclusiveLeft
+      : divideAndRound((amount - net) * tax.rate, inclusiveRate);
+    inclusiveLeft -= share;
+    inclusiveRateLeft -= tax.rate;
+    return share;
+  });
+
+  const tax = amounts.reduce((sum, value) => sum + value, 0);
+  return { net, tax, gross: net + tax, amounts };
+};
+
+// Parent amounts of a split transaction: each line is taxed on its own and
+// the parent holds the sums, with the tax as a flat amount.
+const summarizeLineItems = (lineItems) => lineItems.reduce((sum, line) => ({
+  amount: sum.amount + (line.amount || 0),
+  taxAmount: sum.taxAmount + calculateTax(line),
+  totalAmount: sum.totalAmount + calculateTotal(line)
+}), { amount: 0, taxAmount: 0, totalAmount: 0 });
+
+// Convert user-entered decimal fields into their stored integer form
+const parseAmountFields = ({ amount, taxType, taxAmount, currency = 'USD' }) => ({
+  amount: toMinorUnits(amount, currency),
+  taxAmount: taxAmount === '' || taxAmount === undefined || taxAmount === null
+    ? 0
+    : taxType === 'percentage'
+      ? percentToBasisPoints(taxAmount)
+      : toMinorUnits(taxAmount, currency)
+});
+
+module.exports = {
+  CURRENCY_EXPONENTS,
+  currencyExponent,
+  divideAndRound,
+  roundHalfAwayFromZero,
+  toMinorUnits,
+  fromMinorUnits,
+  minorUnitsToInput,
+  percentToBasisPoints,
+  basisPointsToPercent,
+  calculateTax,
+  calculateTotal,
+  calculateTaxBreakdown,
+  summarizeLineItems,
+  parseAmountFields
+};
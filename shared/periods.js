@@ -0,0 +1,71 @@
+// Reporting periods as calendar days. Days are "YYYY-MM-DD" strings with no
+// time zone, the same form as date inputs and the `from`/`to` filters, so the
+// backend and the frontend pick the same days for "this month".
+//
+// This file is plain CommonJS so that both the Node backend and the Vite
+// frontend can load it.
+
+const PERIODS = ['month', 'quarter', 'year', 'custom'];
+// Periods that follow the calendar; `custom` is any from/to range
+const CALENDAR_PERIODS = ['month', 'quarter', 'year'];
+
+const DAY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const isDay = (value) => {
+  const match = DAY.exec(value || '');
+  if (!match) return false;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return date.toISOString().slice(0, 10) === value;
+};
+
+// Out-of-range parts roll over (day 0 is the last day of the month before)
+const formatDay = (year, month, day) => new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10);
+
+const addDays = (value, days) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return formatDay(year, month, day + days);
+};
+
+// Days from `from` to `to`, both included
+const dayCount = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / 86400000) + 1;
+
+// The month, quarter or year containing `day`, as inclusive { from, to }
+const periodRange = (period, day) => {
+  const [year, month] = day.split('-').map(Number);
+
+  if (period === 'month') {
+    return { from: formatDay(year, month, 1), to: formatDay(year, month + 1, 0) };
+  }
+  if (period === 'quarter') {
+    const first = Math.floor((month - 1) / 3) * 3 + 1;
+    return { from: formatDay(year, first, 1), to: formatDay(year, first + 3, 0) };
+  }
+  if (period === 'year') {
+    return { from: formatDay(year, 1, 1), to: formatDay(year, 12, 31) };
+  }
+  throw new Error(`Unknown period: ${period}`);
+};
+
+// The period `step` periods away from `range` (-1 for the one before). A
+// custom range moves by its own length.
+const adjacentRange = (period, range, step) => {
+  if (CALENDAR_PERIODS.includes(period)) {
+    let current = periodRange(period, range.from);
+    for (let i = 0; i < Math.abs(step); i += 1) {
+      current = periodRange(period, step < 0 ? addDays(current.from, -1) : addDays(current.to, 1));
+    }
+    return current;
+  }
+
+  const days = dayCount(range.from, range.to) * step;
+  return { from: addDays(range.from, days), to: addDays(range.to, days) };
+};
+
+module.exports = {
+  PERIODS,
+  CALENDAR_PERIODS,
+  isDay,
+  addDays,
+  periodRange,
+  adjacentRange
+};